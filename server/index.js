@@ -11,18 +11,27 @@ const poolsRouter = require('./routes/pools');
 const hedgingRouter = require('./routes/hedging');
 const vaultsRouter = require('./routes/vaults');
 const evcRouter = require('./routes/evc');
+const indexerRouter = require('./routes/indexer');
+const usersRouter = require('./routes/users');
+const alertsRouter = require('./routes/alerts');
+const transactionsRouter = require('./routes/transactions');
+const portfolioRouter = require('./routes/portfolio');
+const stressRouter = require('./routes/stress');
+const riskRouter = require('./routes/risk');
 
 // Import services
-const HedgingService = require('./services/hedgingService');
-const RiskAnalyzer = require('./services/riskAnalyzer');
-const EulerSwapService = require('./services/eulerSwapService');
+const { hedgingService } = require('./services/hedgingService');
+const { riskAnalyzer } = require('./services/riskAnalyzer');
+const { eulerSwapService } = require('./services/eulerSwapService');
 const EulerVaultService = require('./services/eulerVaultService');
 const EVCService = require('./services/evcService');
+const { historyStore } = require('./services/historyStore');
+const { eventIndexer } = require('./services/eventIndexer');
+const { RealtimeService } = require('./services/realtimeService');
+const { alertService } = require('./services/alertService');
+const { stressTestService } = require('./services/stressTestService');
 
 // Initialize services
-const hedgingService = new HedgingService();
-const riskAnalyzer = new RiskAnalyzer();
-const eulerSwapService = new EulerSwapService();
 const eulerVaultService = new EulerVaultService();
 const evcService = new EVCService();
 
@@ -88,6 +97,13 @@ app.use('/api/pools', poolsRouter);
 app.use('/api/hedging', hedgingRouter);
 app.use('/api/vaults', vaultsRouter);
 app.use('/api/evc', evcRouter);
+app.use('/api/indexer', indexerRouter);
+app.use('/api/users', usersRouter);
+app.use('/api/alerts', alertsRouter);
+app.use('/api/transactions', transactionsRouter);
+app.use('/api/portfolio', portfolioRouter);
+app.use('/api/stress', stressRouter);
+app.use('/api/risk', riskRouter);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -98,7 +114,14 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       pools: '/api/pools',
-      hedging: '/api/hedging'
+      hedging: '/api/hedging',
+      indexer: '/api/indexer',
+      users: '/api/users',
+      alerts: '/api/alerts',
+      transactions: '/api/transactions',
+      portfolio: '/api/portfolio',
+      stress: '/api/stress',
+      risk: '/api/risk'
     },
     documentation: process.env.API_DOCS_URL || 'https://docs.wedged.protocol'
   });
@@ -118,65 +141,16 @@ const io = new Server(server, {
   }
 });
 
-// WebSocket connection handling
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
-
-  // Subscribe to pool updates
-  socket.on('subscribe-pool', (poolId) => {
-    socket.join(`pool-${poolId}`);
-    console.log(`Client ${socket.id} subscribed to pool ${poolId}`);
-  });
-
-  // Unsubscribe from pool updates
-  socket.on('unsubscribe-pool', (poolId) => {
-    socket.leave(`pool-${poolId}`);
-    console.log(`Client ${socket.id} unsubscribed from pool ${poolId}`);
-  });
-
-  // Subscribe to portfolio updates
-  socket.on('subscribe-portfolio', (userAddress) => {
-    socket.join(`portfolio-${userAddress}`);
-    console.log(`Client ${socket.id} subscribed to portfolio ${userAddress}`);
-  });
-
-  // Handle disconnection
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-  });
+// WebSocket rooms are fed by service events; see RealtimeService for payload types
+const realtimeService = new RealtimeService(io, {
+  hedgingService,
+  riskAnalyzer,
+  eulerVaultService,
+  evcService,
+  eventIndexer,
+  alertService
 });
-
-// Real-time data broadcasting
-const broadcastPoolUpdate = (poolId, data) => {
-  io.to(`pool-${poolId}`).emit('pool-update', data);
-};
-
-const broadcastPortfolioUpdate = (userAddress, data) => {
-  io.to(`portfolio-${userAddress}`).emit('portfolio-update', data);
-};
-
-// Periodic updates
-const startPeriodicUpdates = () => {
-  // Update pool data every 30 seconds
-  setInterval(async () => {
-    try {
-      // This would typically fetch and broadcast updated pool data
-      console.log('Broadcasting periodic pool updates...');
-    } catch (error) {
-      console.error('Error in periodic updates:', error);
-    }
-  }, 30000);
-
-  // Update risk metrics every 60 seconds
-  setInterval(async () => {
-    try {
-      console.log('Updating risk metrics...');
-      // Risk metrics update logic would go here
-    } catch (error) {
-      console.error('Error updating risk metrics:', error);
-    }
-  }, 60000);
-};
+realtimeService.attach();
 
 // Error handling middleware
 app.use((req, res, next) => {
@@ -206,19 +180,29 @@ const initializeServices = async () => {
   try {
     console.log('Initializing services...');
     
+    // Load persisted price and risk history before services start sampling
+    await historyStore.initialize();
+
+    // Replay indexed contract events so services can rebuild state from them
+    await eventIndexer.initialize();
+
     // Initialize blockchain connection
     await hedgingService.initialize();
     await riskAnalyzer.initialize();
     await eulerSwapService.initialize();
     await eulerVaultService.initialize();
     await evcService.initialize();
+
+    // Alert rules are evaluated on the risk analyzer and EVC monitoring ticks
+    await alertService.initialize({ hedgingService, riskAnalyzer, evcService });
+
+    // Stress tests revalue vault and cross-vault positions through the shared service instances
+    await stressTestService.initialize({ eulerVaultService, evcService });
+
+    // Routes that build per-request services share these instances instead of creating their own
+    app.locals.services = { eulerVaultService, evcService };
     
     console.log('All services initialized successfully');
-    
-    // Start periodic updates
-    startPeriodicUpdates();
-    
-    console.log('Periodic updates started');
   } catch (error) {
     console.error('Failed to initialize services:', error);
     process.exit(1);
@@ -229,10 +213,16 @@ const initializeServices = async () => {
 const gracefulShutdown = (signal) => {
   console.log(`Received ${signal}. Starting graceful shutdown...`);
   
-  server.close(() => {
+  server.close(async () => {
     console.log('HTTP server closed');
     
     // Close database connections, cleanup resources
+    try {
+      await historyStore.close();
+      await eventIndexer.close();
+    } catch (error) {
+      console.error('Error closing persistent stores:', error);
+    }
     process.exit(0);
   });
   
@@ -256,4 +246,4 @@ server.listen(PORT, '0.0.0.0', async () => {
 });
 
 // Export for testing
-module.exports = { app, io, broadcastPoolUpdate, broadcastPortfolioUpdate };
+module.exports = { app, io };
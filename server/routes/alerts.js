@@ -0,0 +1,170 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { alertService } = require('../services/alertService');
+const { requireSignature } = require('../services/requestAuth');
+
+const router = express.Router();
+
+// Rules are changed only by a request signed by their owner's wallet
+const rejectNonOwner = (req, res, owner) => {
+  if (req.signer === String(owner || '').toLowerCase()) return false;
+  res.status(403).json({
+    error: 'Forbidden',
+    message: 'Alert rules can only be changed by their owner'
+  });
+  return true;
+};
+
+const findRule = (req, res) => {
+  const rule = alertService.getRule(req.params.id);
+  if (!rule) {
+    res.status(404).json({
+      error: 'Rule not found',
+      message: `Alert rule ${req.params.id} does not exist`
+    });
+  }
+  return rule;
+};
+
+// Alerts stay dark until notifications are switched on for the deployment
+router.use((req, res, next) => {
+  if (!alertService.enabled) {
+    return res.status(503).json({
+      error: 'Notifications disabled',
+      message: 'Set ALERTS_ENABLED=true to enable the alerts API'
+    });
+  }
+  if (!alertService.isInitialized) {
+    return res.status(503).json({
+      error: 'Service not initialized',
+      message: 'Alert service is still initializing. Please try again later.'
+    });
+  }
+  next();
+});
+
+// List a user's alert rules
+router.get('/', (req, res) => {
+  const { owner } = req.query;
+
+  if (!owner || !ethers.utils.isAddress(owner)) {
+    return res.status(400).json({
+      error: 'Invalid owner',
+      message: 'owner query parameter must be a valid Ethereum address'
+    });
+  }
+
+  const rules = alertService.getRules(owner).map(rule => alertService.toPublic(rule));
+  res.json({ owner, rules, total: rules.length });
+});
+
+// Get triggered alerts for a user or rule
+router.get('/history', (req, res) => {
+  const { owner, ruleId, limit = 50, offset = 0 } = req.query;
+
+  if (owner && !ethers.utils.isAddress(owner)) {
+    return res.status(400).json({
+      error: 'Invalid owner',
+      message: 'owner must be a valid Ethereum address'
+    });
+  }
+  if (!owner && !ruleId) {
+    return res.status(400).json({
+      error: 'Missing filter',
+      message: 'Provide an owner or ruleId'
+    });
+  }
+
+  const alerts = alertService.getAlerts({ owner, ruleId });
+
+  // Apply pagination
+  const startIndex = parseInt(offset);
+  const endIndex = startIndex + parseInt(limit);
+
+  res.json({
+    alerts: alerts.slice(startIndex, endIndex),
+    pagination: {
+      total: alerts.length,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      hasNext: endIndex < alerts.length,
+      hasPrev: startIndex > 0
+    }
+  });
+});
+
+// Get a single rule
+router.get('/:id', (req, res) => {
+  const rule = alertService.getRule(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      error: 'Rule not found',
+      message: `Alert rule ${req.params.id} does not exist`
+    });
+  }
+
+  res.json(alertService.toPublic(rule));
+});
+
+// Create a rule; the response is the only time the webhook secret is returned
+router.post('/', requireSignature, async (req, res) => {
+  try {
+    if (rejectNonOwner(req, res, (req.body || {}).owner)) return;
+
+    const rule = await alertService.createRule(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      rule: alertService.toPublic(rule, { withSecret: true })
+    });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid alert rule',
+      message: error.message
+    });
+  }
+});
+
+// Update threshold, cooldown, channels, label or enabled flag
+router.put('/:id', requireSignature, async (req, res) => {
+  try {
+    const existing = findRule(req, res);
+    if (!existing || rejectNonOwner(req, res, existing.owner)) return;
+
+    const rule = await alertService.updateRule(req.params.id, req.body || {});
+    res.json({ success: true, rule: alertService.toPublic(rule) });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid alert rule',
+      message: error.message
+    });
+  }
+});
+
+router.delete('/:id', requireSignature, async (req, res) => {
+  const rule = findRule(req, res);
+  if (!rule || rejectNonOwner(req, res, rule.owner)) return;
+
+  await alertService.deleteRule(req.params.id);
+  res.json({ success: true, id: req.params.id });
+});
+
+// Send a sample alert through the rule's channels
+router.post('/:id/test', requireSignature, async (req, res) => {
+  try {
+    const rule = findRule(req, res);
+    if (!rule || rejectNonOwner(req, res, rule.owner)) return;
+
+    const result = await alertService.sendTest(rule);
+    res.json({ success: result.deliveries.every(d => d.status === 'delivered'), ...result });
+  } catch (error) {
+    console.error('Error sending test alert:', error);
+    res.status(500).json({
+      error: 'Failed to send test alert',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
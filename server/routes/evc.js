@@ -2,17 +2,18 @@ const express = require('express');
 const router = express.Router();
 const { ethers } = require('ethers');
 
-// In-memory cache for development (would use Redis in production)
-let evcService = null;
-
-// Initialize service when first route is called
-const initializeService = async () => {
-  if (!evcService) {
-    const EVCService = require('../services/evcService');
-    evcService = new EVCService();
-    await evcService.initialize();
+// The instance index.js initializes and shares, so routes do not start a second monitor
+const getService = (req, res) => {
+  const { services } = req.app.locals;
+  if (!services) {
+    res.status(503).json({
+      success: false,
+      error: 'Service not initialized',
+      message: 'EVC service is still initializing. Please try again later.'
+    });
+    return null;
   }
-  return evcService;
+  return services.evcService;
 };
 
 // Get user's cross-vault positions
@@ -27,7 +28,8 @@ router.get('/positions/:user', async (req, res) => {
       });
     }
 
-    const service = await initializeService();
+    const service = getService(req, res);
+    if (!service) return;
     const positions = await service.getUserCrossVaultPositions(user);
     
     res.json({
@@ -66,7 +68,8 @@ router.get('/health/:user/:positionId', async (req, res) => {
       });
     }
 
-    const service = await initializeService();
+    const service = getService(req, res);
+    if (!service) return;
     const healthData = await service.getPositionHealth(user, positionId);
     
     res.json({
@@ -86,7 +89,8 @@ router.get('/health/:user/:positionId', async (req, res) => {
 // Get liquidity bridges
 router.get('/bridges', async (req, res) => {
   try {
-    const service = await initializeService();
+    const service = getService(req, res);
+    if (!service) return;
     const bridges = await service.getLiquidityBridges();
     
     res.json({
@@ -118,7 +122,8 @@ router.get('/collaterals/:user', async (req, res) => {
       });
     }
 
-    const service = await initializeService();
+    const service = getService(req, res);
+    if (!service) return;
     const collaterals = await service.getEnabledCollaterals(user);
     
     res.json({
@@ -150,7 +155,8 @@ router.get('/controllers/:user', async (req, res) => {
       });
     }
 
-    const service = await initializeService();
+    const service = getService(req, res);
+    if (!service) return;
     const controllers = await service.getEnabledControllers(user);
     
     res.json({
@@ -173,7 +179,8 @@ router.get('/controllers/:user', async (req, res) => {
 // Get EVC execution context
 router.get('/context', async (req, res) => {
   try {
-    const service = await initializeService();
+    const service = getService(req, res);
+    if (!service) return;
     const context = await service.getExecutionContext();
     
     res.json({
@@ -212,7 +219,8 @@ router.get('/status/account/:account/:vault', async (req, res) => {
       });
     }
 
-    const service = await initializeService();
+    const service = getService(req, res);
+    if (!service) return;
     const status = await service.checkAccountStatus(account, vault);
     
     res.json({
@@ -242,7 +250,8 @@ router.get('/analytics', async (req, res) => {
       });
     }
 
-    const service = await initializeService();
+    const service = getService(req, res);
+    if (!service) return;
     const analytics = await service.getCrossVaultAnalytics(timeframe);
     
     res.json({
@@ -262,7 +271,8 @@ router.get('/analytics', async (req, res) => {
 // Get liquidation opportunities
 router.get('/liquidations', async (req, res) => {
   try {
-    const service = await initializeService();
+    const service = getService(req, res);
+    if (!service) return;
     const liquidations = await service.getLiquidationOpportunities();
     
     res.json({
@@ -2,9 +2,17 @@ const express = require('express');
 const { ethers } = require('ethers');
 const { hedgingService } = require('../services/hedgingService');
 const { riskAnalyzer } = require('../services/riskAnalyzer');
+const { backtestService } = require('../services/backtestService');
+const { circuitBreakerService, PAUSE_BREAKERS } = require('../services/circuitBreakerService');
+const { TIMEFRAMES } = require('../services/historyStore');
+const { validateCurve } = require('../services/hedgeCurves');
+const { requireOperator } = require('../services/requestAuth');
 
 const router = express.Router();
 
+const MAX_BACKTEST_POINTS = 10000;
+const DECISION_ACTIONS = ['none', 'hedge', 'reduce', 'blocked', 'skipped', 'failed'];
+
 // Get all hedging strategies
 router.get('/strategies', async (req, res) => {
   try {
@@ -64,9 +72,9 @@ router.get('/strategies/:strategyId', async (req, res) => {
 });
 
 // Create new hedging strategy (admin only)
-router.post('/strategies', async (req, res) => {
+router.post('/strategies', requireOperator, async (req, res) => {
   try {
-    const { name, riskThreshold, hedgeRatio } = req.body;
+    const { name, riskThreshold, hedgeRatio } = req.body || {};
 
     // Validate input
     if (!name || typeof name !== 'string' || name.trim().length === 0) {
@@ -124,10 +132,10 @@ router.post('/strategies', async (req, res) => {
 });
 
 // Update hedging strategy (admin only)
-router.put('/strategies/:strategyId', async (req, res) => {
+router.put('/strategies/:strategyId', requireOperator, async (req, res) => {
   try {
     const { strategyId } = req.params;
-    const { riskThreshold, hedgeRatio } = req.body;
+    const { riskThreshold, hedgeRatio } = req.body || {};
 
     if (!strategyId || isNaN(parseInt(strategyId))) {
       return res.status(400).json({
@@ -157,10 +165,14 @@ router.put('/strategies/:strategyId', async (req, res) => {
       });
     }
 
+    // Fields left out of the body keep their current values
+    const nextRiskThreshold = riskThreshold !== undefined ? parseInt(riskThreshold) : strategy.riskThreshold;
+    const nextHedgeRatio = hedgeRatio !== undefined ? parseInt(hedgeRatio) : strategy.hedgeRatio;
+
     const txHash = await hedgingService.updateStrategy(
       parseInt(strategyId),
-      parseInt(riskThreshold),
-      parseInt(hedgeRatio)
+      nextRiskThreshold,
+      nextHedgeRatio
     );
 
     res.json({
@@ -168,8 +180,8 @@ router.put('/strategies/:strategyId', async (req, res) => {
       transactionHash: txHash,
       strategy: {
         id: parseInt(strategyId),
-        riskThreshold: parseInt(riskThreshold),
-        hedgeRatio: parseInt(hedgeRatio)
+        riskThreshold: nextRiskThreshold,
+        hedgeRatio: nextHedgeRatio
       }
     });
 
@@ -190,6 +202,462 @@ router.put('/strategies/:strategyId', async (req, res) => {
   }
 });
 
+// Deactivate hedging strategy (admin only)
+router.post('/strategies/:strategyId/deactivate', requireOperator, async (req, res) => {
+  try {
+    const { strategyId } = req.params;
+
+    if (!strategyId || isNaN(parseInt(strategyId))) {
+      return res.status(400).json({
+        error: 'Invalid strategy ID'
+      });
+    }
+
+    const strategy = hedgingService.getStrategy(parseInt(strategyId));
+    if (!strategy) {
+      return res.status(404).json({
+        error: 'Strategy not found'
+      });
+    }
+
+    if (!strategy.active) {
+      return res.status(400).json({
+        error: 'Strategy already inactive',
+        message: `Strategy ${strategyId} is already deactivated`
+      });
+    }
+
+    const txHash = await hedgingService.deactivateStrategy(parseInt(strategyId));
+
+    res.json({
+      message: 'Strategy deactivated successfully',
+      transactionHash: txHash,
+      strategy: { ...strategy, active: false }
+    });
+
+  } catch (error) {
+    console.error(`Error deactivating strategy ${req.params.strategyId}:`, error);
+
+    if (error.message.includes('Signer required')) {
+      return res.status(403).json({
+        error: 'Unauthorized',
+        message: 'Administrative privileges required for strategy deactivation'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to deactivate strategy',
+      message: error.message
+    });
+  }
+});
+
+// Get a strategy's hedge ratio curve
+router.get('/strategies/:strategyId/curve', async (req, res) => {
+  try {
+    const { strategyId } = req.params;
+
+    if (!strategyId || isNaN(parseInt(strategyId))) {
+      return res.status(400).json({
+        error: 'Invalid strategy ID'
+      });
+    }
+
+    const strategy = hedgingService.getStrategy(parseInt(strategyId));
+    if (!strategy) {
+      return res.status(404).json({
+        error: 'Strategy not found'
+      });
+    }
+
+    res.json({
+      strategyId: strategy.id,
+      curve: strategy.curve,
+      customCurve: strategy.customCurve
+    });
+
+  } catch (error) {
+    console.error(`Error getting curve for strategy ${req.params.strategyId}:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch strategy curve',
+      message: error.message
+    });
+  }
+});
+
+// Set a strategy's hedge ratio curve (off-chain, applies to hedging evaluation)
+router.put('/strategies/:strategyId/curve', requireOperator, async (req, res) => {
+  try {
+    const { strategyId } = req.params;
+
+    if (!strategyId || isNaN(parseInt(strategyId))) {
+      return res.status(400).json({
+        error: 'Invalid strategy ID'
+      });
+    }
+
+    if (!hedgingService.getStrategy(parseInt(strategyId))) {
+      return res.status(404).json({
+        error: 'Strategy not found'
+      });
+    }
+
+    let curve;
+    try {
+      curve = await hedgingService.setCurve(parseInt(strategyId), req.body);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid curve',
+        message: error.message
+      });
+    }
+
+    res.json({
+      message: 'Strategy curve updated successfully',
+      strategyId: parseInt(strategyId),
+      curve
+    });
+
+  } catch (error) {
+    console.error(`Error setting curve for strategy ${req.params.strategyId}:`, error);
+    res.status(500).json({
+      error: 'Failed to update strategy curve',
+      message: error.message
+    });
+  }
+});
+
+// Remove a strategy's curve, reverting to its on-chain threshold and ratio
+router.delete('/strategies/:strategyId/curve', requireOperator, async (req, res) => {
+  try {
+    const { strategyId } = req.params;
+
+    if (!strategyId || isNaN(parseInt(strategyId))) {
+      return res.status(400).json({
+        error: 'Invalid strategy ID'
+      });
+    }
+
+    const deleted = await hedgingService.deleteCurve(parseInt(strategyId));
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Curve not found',
+        message: `Strategy ${strategyId} has no custom curve`
+      });
+    }
+
+    res.json({
+      message: 'Strategy curve removed successfully',
+      strategyId: parseInt(strategyId)
+    });
+
+  } catch (error) {
+    console.error(`Error removing curve for strategy ${req.params.strategyId}:`, error);
+    res.status(500).json({
+      error: 'Failed to remove strategy curve',
+      message: error.message
+    });
+  }
+});
+
+// Get the strategy hedging evaluation uses for a pool
+router.get('/pools/:poolId/strategy', async (req, res) => {
+  try {
+    if (!hedgingService.isInitialized) {
+      return res.status(503).json({
+        error: 'Service not initialized',
+        message: 'Hedging service is still initializing. Please try again later.'
+      });
+    }
+
+    const { poolId } = req.params;
+
+    if (!poolId || isNaN(parseInt(poolId))) {
+      return res.status(400).json({
+        error: 'Invalid pool ID'
+      });
+    }
+
+    const poolStrategy = await hedgingService.getPoolStrategy(parseInt(poolId));
+
+    res.json({
+      ...poolStrategy,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Error getting strategy for pool ${req.params.poolId}:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch pool strategy',
+      message: error.message
+    });
+  }
+});
+
+// Assign a strategy to a pool (admin only)
+router.put('/pools/:poolId/strategy', requireOperator, async (req, res) => {
+  try {
+    const { poolId } = req.params;
+    const { strategyId } = req.body || {};
+
+    if (!poolId || isNaN(parseInt(poolId))) {
+      return res.status(400).json({
+        error: 'Invalid pool ID'
+      });
+    }
+
+    if (!strategyId || isNaN(parseInt(strategyId))) {
+      return res.status(400).json({
+        error: 'Invalid strategy ID',
+        message: 'Strategy ID must be a valid number'
+      });
+    }
+
+    // HedgingManager only accepts active strategies for assignment
+    const strategy = hedgingService.getStrategy(parseInt(strategyId));
+    if (!strategy || !strategy.active) {
+      return res.status(400).json({
+        error: 'Invalid strategy',
+        message: `Strategy ${strategyId} does not exist or is not active`
+      });
+    }
+
+    const txHash = await hedgingService.assignStrategyToPool(parseInt(poolId), parseInt(strategyId));
+
+    res.json({
+      message: 'Strategy assigned successfully',
+      transactionHash: txHash,
+      poolId: parseInt(poolId),
+      strategy
+    });
+
+  } catch (error) {
+    console.error(`Error assigning strategy to pool ${req.params.poolId}:`, error);
+
+    if (error.message.includes('Signer required')) {
+      return res.status(403).json({
+        error: 'Unauthorized',
+        message: 'Administrative privileges required for strategy assignment'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to assign strategy',
+      message: error.message
+    });
+  }
+});
+
+// Cost-benefit check for an automatic hedge: the latest recorded one, or a fresh one for ?amount=
+router.get('/pools/:poolId/cost-benefit', async (req, res) => {
+  try {
+    if (!hedgingService.isInitialized) {
+      return res.status(503).json({
+        error: 'Service not initialized',
+        message: 'Hedging service is still initializing. Please try again later.'
+      });
+    }
+
+    const { poolId } = req.params;
+    const { amount } = req.query;
+
+    if (!poolId || isNaN(parseInt(poolId))) {
+      return res.status(400).json({
+        error: 'Invalid pool ID'
+      });
+    }
+
+    if (amount === undefined) {
+      const check = hedgingService.getCostBenefitCheck(parseInt(poolId));
+      if (!check) {
+        return res.status(404).json({
+          error: 'No cost-benefit check',
+          message: `No automatic hedge has been assessed for pool ${poolId} yet`
+        });
+      }
+      return res.json(check);
+    }
+
+    if (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+      return res.status(400).json({
+        error: 'Invalid amount',
+        message: 'Amount must be a positive number'
+      });
+    }
+
+    const assessment = await hedgingService.assessHedge(parseInt(poolId), ethers.utils.parseEther(amount.toString()));
+    res.json(assessment);
+
+  } catch (error) {
+    console.error(`Error assessing hedge for pool ${req.params.poolId}:`, error);
+    res.status(500).json({
+      error: 'Failed to assess hedge',
+      message: error.message
+    });
+  }
+});
+
+// Hedging engine decision log, most recent first
+router.get('/decisions', async (req, res) => {
+  try {
+    const { poolId, action, mode, from, to, limit = 100, offset = 0 } = req.query;
+
+    if (poolId !== undefined && isNaN(parseInt(poolId))) {
+      return res.status(400).json({
+        error: 'Invalid pool ID'
+      });
+    }
+
+    if (action !== undefined && !DECISION_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: 'Invalid action',
+        message: `Action must be one of: ${DECISION_ACTIONS.join(', ')}`
+      });
+    }
+
+    if (mode !== undefined && !['live', 'dry-run'].includes(mode)) {
+      return res.status(400).json({
+        error: 'Invalid mode',
+        message: 'Mode must be live or dry-run'
+      });
+    }
+
+    const range = {};
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value === undefined) continue;
+      range[name] = new Date(value).getTime();
+      if (isNaN(range[name])) {
+        return res.status(400).json({
+          error: `Invalid ${name}`,
+          message: `${name} must be a valid date`
+        });
+      }
+    }
+
+    const { decisions, total } = hedgingService.getDecisions({
+      poolId: poolId !== undefined ? parseInt(poolId) : undefined,
+      action,
+      mode,
+      ...range,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      decisions,
+      dryRun: hedgingService.isDryRun(),
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasNext: parseInt(offset) + parseInt(limit) < total,
+        hasPrev: parseInt(offset) > 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting hedging decisions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch hedging decisions',
+      message: error.message
+    });
+  }
+});
+
+// Circuit breaker status: kill switch, limits, and per-pool usage and tripped breakers
+router.get('/circuit-breakers', async (req, res) => {
+  try {
+    const { poolId } = req.query;
+
+    if (poolId !== undefined && isNaN(parseInt(poolId))) {
+      return res.status(400).json({
+        error: 'Invalid pool ID'
+      });
+    }
+
+    res.json({
+      ...circuitBreakerService.getStatus(poolId !== undefined ? parseInt(poolId) : null),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting circuit breaker status:', error);
+    res.status(500).json({
+      error: 'Failed to fetch circuit breaker status',
+      message: error.message
+    });
+  }
+});
+
+// Clear a pool's paused breakers (all of them, or `breaker` from the body)
+router.post('/circuit-breakers/:poolId/reset', requireOperator, async (req, res) => {
+  try {
+    const { poolId } = req.params;
+    const { breaker } = req.body || {};
+
+    if (!poolId || isNaN(parseInt(poolId))) {
+      return res.status(400).json({
+        error: 'Invalid pool ID'
+      });
+    }
+
+    if (breaker !== undefined && !PAUSE_BREAKERS.includes(breaker)) {
+      return res.status(400).json({
+        error: 'Invalid breaker',
+        message: `Breaker must be one of: ${PAUSE_BREAKERS.join(', ')}`
+      });
+    }
+
+    const reset = await circuitBreakerService.reset(parseInt(poolId), breaker || null);
+    if (!reset) {
+      return res.status(404).json({
+        error: 'Breaker not tripped',
+        message: `Pool ${poolId} has no ${breaker || 'tripped'} breaker to reset`
+      });
+    }
+
+    res.json({
+      message: 'Circuit breakers reset successfully',
+      ...circuitBreakerService.getStatus(parseInt(poolId))
+    });
+
+  } catch (error) {
+    console.error(`Error resetting circuit breakers for pool ${req.params.poolId}:`, error);
+    res.status(500).json({
+      error: 'Failed to reset circuit breakers',
+      message: error.message
+    });
+  }
+});
+
+// Engage or release the kill switch that stops all automatic hedging
+router.post('/kill-switch', requireOperator, async (req, res) => {
+  try {
+    const { engaged, reason } = req.body || {};
+
+    if (typeof engaged !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid kill switch state',
+        message: 'engaged must be true or false'
+      });
+    }
+
+    const killSwitch = await circuitBreakerService.setKillSwitch(engaged, reason);
+
+    res.json({
+      message: engaged ? 'Kill switch engaged' : 'Kill switch released',
+      killSwitch
+    });
+
+  } catch (error) {
+    console.error('Error updating kill switch:', error);
+    res.status(500).json({
+      error: 'Failed to update kill switch',
+      message: error.message
+    });
+  }
+});
+
 // Get hedging recommendations for a pool
 router.get('/recommendations/:poolId', async (req, res) => {
   try {
@@ -261,11 +729,121 @@ router.get('/positions', async (req, res) => {
   }
 });
 
+// Close a hedge position (operator only)
+router.post('/positions/:positionId/close', requireOperator, async (req, res) => {
+  try {
+    const { positionId } = req.params;
+
+    if (!positionId || isNaN(parseInt(positionId))) {
+      return res.status(400).json({
+        error: 'Invalid position ID',
+        message: 'Position ID must be a valid number'
+      });
+    }
+
+    const position = hedgingService.hedgePositions.get(String(parseInt(positionId)));
+    if (!position) {
+      return res.status(404).json({
+        error: 'Position not found',
+        message: `Hedge position ${positionId} does not exist`
+      });
+    }
+
+    if (!position.active) {
+      return res.status(400).json({
+        error: 'Position already closed',
+        message: `Hedge position ${positionId} is already closed`
+      });
+    }
+
+    const closed = await hedgingService.closePosition(String(parseInt(positionId)));
+
+    res.json({
+      message: closed.executed ? 'Hedge position closed' : 'Dry run: hedge position would be closed',
+      dryRun: !closed.executed,
+      position: closed,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Error closing hedge position ${req.params.positionId}:`, error);
+
+    if (error.message.includes('Not authorized')) {
+      return res.status(403).json({
+        error: 'Unauthorized',
+        message: 'Operator privileges required for closing hedge positions'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to close hedge position',
+      message: error.message
+    });
+  }
+});
+
+// Reduce a pool's hedge by closing whole positions (operator only)
+router.post('/pools/:poolId/reduce', requireOperator, async (req, res) => {
+  try {
+    const { poolId } = req.params;
+    const { amount } = req.body || {};
+
+    if (!poolId || isNaN(parseInt(poolId))) {
+      return res.status(400).json({
+        error: 'Invalid pool ID',
+        message: 'Pool ID must be a valid number'
+      });
+    }
+
+    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+      return res.status(400).json({
+        error: 'Invalid amount',
+        message: 'Amount must be a positive number'
+      });
+    }
+
+    const amountWei = ethers.utils.parseEther(amount.toString());
+    const result = await hedgingService.reducePoolHedge(parseInt(poolId), amountWei);
+
+    res.json({
+      message: result.closed.length === 0
+        ? 'No hedge position fits within the requested reduction'
+        : result.dryRun
+          ? `Dry run: ${result.closed.length} hedge position(s) would be closed`
+          : `Closed ${result.closed.length} hedge position(s)`,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Error reducing hedge for pool ${req.params.poolId}:`, error);
+
+    if (error.message.includes('Not authorized')) {
+      return res.status(403).json({
+        error: 'Unauthorized',
+        message: 'Operator privileges required for reducing hedges'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to reduce hedge',
+      message: error.message
+    });
+  }
+});
+
 // Get hedging analytics
 router.get('/analytics', async (req, res) => {
   try {
     const { timeframe = '7d' } = req.query;
 
+    if (!TIMEFRAMES[timeframe]) {
+      return res.status(400).json({
+        error: 'Invalid timeframe',
+        message: `Timeframe must be one of: ${Object.keys(TIMEFRAMES).join(', ')}`
+      });
+    }
+
     const analytics = await hedgingService.getHedgingAnalytics(timeframe);
     
     res.json({
@@ -284,9 +862,9 @@ router.get('/analytics', async (req, res) => {
 });
 
 // Execute hedging for a pool (operator only)
-router.post('/execute', async (req, res) => {
+router.post('/execute', requireOperator, async (req, res) => {
   try {
-    const { poolId, amount } = req.body;
+    const { poolId, amount } = req.body || {};
 
     // Validate input
     if (!poolId || isNaN(parseInt(poolId))) {
@@ -309,14 +887,15 @@ router.post('/execute', async (req, res) => {
     // Get hedging cost estimate
     const estimatedCost = await hedgingService.estimateHedgingCost(parseInt(poolId), amountWei);
 
-    // Execute hedging
-    await hedgingService.executeAutomaticHedge(parseInt(poolId), amountWei);
+    // Execute hedging (simulated only in dry run)
+    const decision = await hedgingService.executeAutomaticHedge(parseInt(poolId), amountWei);
 
     res.json({
-      message: 'Hedging execution initiated',
+      message: decision.executed ? 'Hedging executed' : `Hedging not executed (${decision.mode}, ${decision.action})`,
       poolId: parseInt(poolId),
       amount: amount.toString(),
       estimatedCost,
+      decision,
       timestamp: new Date().toISOString()
     });
 
@@ -404,10 +983,119 @@ router.get('/effectiveness/:poolId', async (req, res) => {
   }
 });
 
-// WebSocket event simulation endpoint (for testing)
-router.post('/simulate-event', async (req, res) => {
+// Backtest strategies against recorded or supplied prices
+router.post('/backtest', async (req, res) => {
+  try {
+    const { poolId, prices, strategies, from, to, initialDeposits, utilization, hedgingFee, rebalanceBand, gasPrice } = req.body || {};
+
+    if (poolId === undefined && !prices) {
+      return res.status(400).json({
+        error: 'Missing price source',
+        message: 'Provide a poolId to replay recorded prices, or a prices array'
+      });
+    }
+
+    if (poolId !== undefined && isNaN(parseInt(poolId))) {
+      return res.status(400).json({
+        error: 'Invalid pool ID',
+        message: 'Pool ID must be a valid number'
+      });
+    }
+
+    if (prices !== undefined && (!Array.isArray(prices) || prices.length < 2 || prices.length > MAX_BACKTEST_POINTS)) {
+      return res.status(400).json({
+        error: 'Invalid prices',
+        message: `prices must be an array of 2 to ${MAX_BACKTEST_POINTS} { timestamp, price } points`
+      });
+    }
+
+    if (strategies !== undefined) {
+      const invalid = !Array.isArray(strategies) || strategies.length === 0 || strategies.some(strategy =>
+        isNaN(parseInt(strategy.riskThreshold)) || parseInt(strategy.riskThreshold) < 0 || parseInt(strategy.riskThreshold) > 10000 ||
+        isNaN(parseInt(strategy.hedgeRatio)) || parseInt(strategy.hedgeRatio) < 0 || parseInt(strategy.hedgeRatio) > 10000
+      );
+      if (invalid) {
+        return res.status(400).json({
+          error: 'Invalid strategies',
+          message: 'Each strategy needs riskThreshold and hedgeRatio between 0 and 10000 (basis points)'
+        });
+      }
+
+      for (const strategy of strategies) {
+        if (strategy.curve === undefined) continue;
+        try {
+          validateCurve(strategy.curve);
+        } catch (error) {
+          return res.status(400).json({
+            error: 'Invalid strategy curve',
+            message: error.message
+          });
+        }
+      }
+    }
+
+    if (initialDeposits !== undefined && !(parseFloat(initialDeposits) > 0)) {
+      return res.status(400).json({
+        error: 'Invalid initial deposits',
+        message: 'initialDeposits must be a positive number'
+      });
+    }
+
+    for (const [name, value] of Object.entries({ utilization, hedgingFee, rebalanceBand })) {
+      if (value !== undefined && (isNaN(parseInt(value)) || parseInt(value) < 0 || parseInt(value) > 10000)) {
+        return res.status(400).json({
+          error: `Invalid ${name}`,
+          message: `${name} must be a number between 0 and 10000 (basis points)`
+        });
+      }
+    }
+
+    if (gasPrice !== undefined && !(parseFloat(gasPrice) >= 0)) {
+      return res.status(400).json({
+        error: 'Invalid gas price',
+        message: 'gasPrice must be a non-negative number of gwei'
+      });
+    }
+
+    if (!hedgingService.isInitialized && (poolId !== undefined || !strategies)) {
+      return res.status(503).json({
+        error: 'Service not initialized',
+        message: 'Hedging service is still initializing. Please try again later.'
+      });
+    }
+
+    const result = await backtestService.run({
+      ...(req.body || {}),
+      from: from !== undefined ? new Date(from).getTime() : undefined,
+      to: to !== undefined ? new Date(to).getTime() : undefined
+    });
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error running hedging backtest:', error);
+
+    if (error.message.includes('price points') || error.message.includes('does not exist')) {
+      return res.status(400).json({
+        error: 'Invalid backtest input',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to run backtest',
+      message: error.message
+    });
+  }
+});
+
+// WebSocket event simulation endpoint (for testing, operator only)
+router.post('/simulate-event', requireOperator, async (req, res) => {
   try {
-    const { eventType, data } = req.body;
+    const { eventType, data } = req.body || {};
 
     if (!eventType || !data) {
       return res.status(400).json({
@@ -442,6 +1130,8 @@ router.get('/health', (req, res) => {
       hedgingService: hedgingService.isInitialized,
       riskAnalyzer: riskAnalyzer.isInitialized,
       strategies: hedgingService.getStrategies().length,
+      killSwitch: circuitBreakerService.killSwitch.engaged,
+      dryRun: hedgingService.isDryRun(),
       cacheStats: {
         hedging: 'N/A', // hedgingService doesn't expose cache stats
         risk: riskAnalyzer.getCacheStats()
@@ -0,0 +1,105 @@
+const express = require('express');
+const { eventIndexer, EVENT_ABIS } = require('../services/eventIndexer');
+
+const router = express.Router();
+
+// Get indexer sync status
+router.get('/status', async (req, res) => {
+  try {
+    res.json({
+      status: eventIndexer.getStatus(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting indexer status:', error);
+    res.status(500).json({
+      error: 'Failed to fetch indexer status',
+      message: error.message
+    });
+  }
+});
+
+// Query indexed events
+router.get('/events', async (req, res) => {
+  try {
+    const {
+      contract,
+      event,
+      user,
+      poolId,
+      asset,
+      positionId,
+      vault,
+      fromBlock,
+      toBlock,
+      order = 'desc',
+      limit = 50,
+      offset = 0
+    } = req.query;
+
+    if (!eventIndexer.isInitialized) {
+      return res.status(503).json({
+        error: 'Service not initialized',
+        message: 'Event indexer is still initializing. Please try again later.'
+      });
+    }
+
+    if (contract && !EVENT_ABIS[contract]) {
+      return res.status(400).json({
+        error: 'Invalid contract',
+        message: `Contract must be one of: ${Object.keys(EVENT_ABIS).join(', ')}`
+      });
+    }
+
+    for (const address of [user, asset, vault]) {
+      if (address && !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+        return res.status(400).json({
+          error: 'Invalid address format',
+          message: `${address} is not a valid address`
+        });
+      }
+    }
+
+    let events = eventIndexer.getEvents({
+      contract,
+      events: event ? event.split(',') : undefined,
+      user,
+      poolId,
+      asset,
+      positionId,
+      vault,
+      fromBlock: fromBlock !== undefined ? parseInt(fromBlock) : undefined,
+      toBlock: toBlock !== undefined ? parseInt(toBlock) : undefined
+    });
+
+    if (order === 'desc') {
+      events = events.slice().reverse();
+    }
+
+    // Apply pagination
+    const startIndex = parseInt(offset);
+    const endIndex = startIndex + parseInt(limit);
+    const paginatedEvents = events.slice(startIndex, endIndex);
+
+    res.json({
+      events: paginatedEvents,
+      pagination: {
+        total: events.length,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasNext: endIndex < events.length,
+        hasPrev: startIndex > 0
+      },
+      cursor: eventIndexer.cursor
+    });
+
+  } catch (error) {
+    console.error('Error getting indexed events:', error);
+    res.status(500).json({
+      error: 'Failed to fetch indexed events',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -3,9 +3,13 @@ const { ethers } = require('ethers');
 const { hedgingService } = require('../services/hedgingService');
 const { riskAnalyzer } = require('../services/riskAnalyzer');
 const { eulerSwapService } = require('../services/eulerSwapService');
+const { VarService, parseVarOptions } = require('../services/varService');
+const { impermanentLossCurve, parseCurveOptions } = require('../services/impermanentLoss');
 
 const router = express.Router();
 
+const varService = new VarService();
+
 // Get all pools
 router.get('/', async (req, res) => {
   try {
@@ -71,7 +75,8 @@ router.get('/', async (req, res) => {
               score: riskAnalysis.currentRiskScore,
               components: riskAnalysis.components,
               utilization: riskAnalysis.utilization,
-              hedgeRatio: riskAnalysis.hedgeRatio
+              hedgeRatio: riskAnalysis.hedgeRatio,
+              volatility: riskAnalysis.volatility
             } : null,
             eulerPool: eulerPoolInfo ? {
               address: eulerPoolInfo.pool,
@@ -213,6 +218,158 @@ router.get('/:poolId/risk', async (req, res) => {
   }
 });
 
+// Get recorded pool risk history
+router.get('/:poolId/risk/history', async (req, res) => {
+  try {
+    const { poolId } = req.params;
+    const { timeframe = '7d' } = req.query;
+
+    if (poolId !== 'overview' && isNaN(parseInt(poolId))) {
+      return res.status(400).json({
+        error: 'Invalid pool ID',
+        message: 'Pool ID must be a valid number or "overview"'
+      });
+    }
+
+    const validTimeframes = ['24h', '7d', '30d', '90d'];
+    if (!validTimeframes.includes(timeframe)) {
+      return res.status(400).json({
+        error: 'Invalid timeframe',
+        message: 'Timeframe must be one of: 24h, 7d, 30d, 90d'
+      });
+    }
+
+    const history = riskAnalyzer.getRiskHistory(
+      poolId === 'overview' ? poolId : parseInt(poolId),
+      timeframe
+    );
+
+    res.json(history);
+
+  } catch (error) {
+    console.error(`Error getting risk history for pool ${req.params.poolId}:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch risk history',
+      message: error.message
+    });
+  }
+});
+
+// Get historical and Monte Carlo VaR/CVaR for a pool
+router.get('/:poolId/var', async (req, res) => {
+  try {
+    const { poolId } = req.params;
+
+    if (isNaN(parseInt(poolId))) {
+      return res.status(400).json({
+        error: 'Invalid pool ID',
+        message: 'Pool ID must be a valid number'
+      });
+    }
+
+    let options;
+    try {
+      options = parseVarOptions(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid VaR options',
+        message: error.message
+      });
+    }
+
+    if (!hedgingService.isInitialized) {
+      return res.status(503).json({
+        error: 'Service not initialized',
+        message: 'Hedging service is still initializing. Please try again later.'
+      });
+    }
+
+    const result = await varService.getPoolVaR(parseInt(poolId), options);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Pool not found',
+        message: `Pool with ID ${poolId} does not exist`
+      });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error(`Error calculating VaR for pool ${req.params.poolId}:`, error);
+    res.status(500).json({
+      error: 'Failed to calculate VaR',
+      message: error.message
+    });
+  }
+});
+
+// Get the impermanent loss curve for a pool, sized to its deposits and offset by fees and rewards earned
+router.get('/:poolId/impermanent-loss/curve', async (req, res) => {
+  try {
+    const { poolId } = req.params;
+
+    if (isNaN(parseInt(poolId))) {
+      return res.status(400).json({
+        error: 'Invalid pool ID',
+        message: 'Pool ID must be a valid number'
+      });
+    }
+
+    let options;
+    try {
+      options = parseCurveOptions(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid curve options',
+        message: error.message
+      });
+    }
+
+    if (!hedgingService.isInitialized || !riskAnalyzer.isInitialized) {
+      return res.status(503).json({
+        error: 'Service not initialized',
+        message: 'Risk services are still initializing. Please try again later.'
+      });
+    }
+
+    const pool = await hedgingService.getPoolInfo(parseInt(poolId));
+    if (!pool) {
+      return res.status(404).json({
+        error: 'Pool not found',
+        message: `Pool with ID ${poolId} does not exist`
+      });
+    }
+
+    const analysis = await riskAnalyzer.analyzeImpermanentLoss(parseInt(poolId), pool);
+    const recorded = analysis.source === 'recorded';
+    const value = recorded ? analysis.value : 1;
+    const offset = recorded ? (analysis.fees || 0) + analysis.rewards : 0;
+
+    res.json({
+      poolId: parseInt(poolId),
+      numeraire: analysis.numeraire || null,
+      value,
+      offset,
+      options,
+      current: recorded ? {
+        priceChange: (analysis.g0 - 1) * 100,
+        token1Change: (analysis.g1 - 1) * 100,
+        impermanentLossBps: analysis.impermanentLossBps,
+        impermanentLoss: analysis.impermanentLoss,
+        netImpermanentLoss: analysis.netImpermanentLoss
+      } : null,
+      points: impermanentLossCurve({ ...options, value, offset })
+    });
+
+  } catch (error) {
+    console.error(`Error getting impermanent loss curve for pool ${req.params.poolId}:`, error);
+    res.status(500).json({
+      error: 'Failed to build impermanent loss curve',
+      message: error.message
+    });
+  }
+});
+
 // Get pool statistics
 router.get('/:poolId/stats', async (req, res) => {
   try {
@@ -251,7 +408,8 @@ router.get('/:poolId/stats', async (req, res) => {
       performance: {
         // These would be calculated from historical data
         returns: 0,
-        volatility: riskAnalysis ? riskAnalysis.components.volatility / 100 : 0,
+        volatility: riskAnalysis ? riskAnalysis.components.volatility.volatility / 100 : 0,
+        tokenVolatility: riskAnalysis ? riskAnalysis.volatility : null,
         sharpeRatio: 0,
         maxDrawdown: 0
       }
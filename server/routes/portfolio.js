@@ -0,0 +1,60 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { hedgingService } = require('../services/hedgingService');
+const { VarService, parseVarOptions } = require('../services/varService');
+
+const router = express.Router();
+
+let varService = null;
+
+// Built on the vault instance index.js shares once it is initialized
+const getVarService = (req) => {
+  const { services } = req.app.locals;
+  if (!varService && services) {
+    varService = new VarService({ eulerVaultService: services.eulerVaultService });
+  }
+  return varService;
+};
+
+// Get historical and Monte Carlo VaR/CVaR across a user's pool deposits and vault positions
+router.get('/:address/var', async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!ethers.utils.isAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid address',
+        message: 'User address is not a valid Ethereum address'
+      });
+    }
+
+    let options;
+    try {
+      options = parseVarOptions(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid VaR options',
+        message: error.message
+      });
+    }
+
+    const service = getVarService(req);
+    if (!hedgingService.isInitialized || !service) {
+      return res.status(503).json({
+        error: 'Service not initialized',
+        message: 'Services are still initializing. Please try again later.'
+      });
+    }
+
+    res.json(await service.getPortfolioVaR(address, options));
+
+  } catch (error) {
+    console.error(`Error calculating portfolio VaR for ${req.params.address}:`, error);
+    res.status(500).json({
+      error: 'Failed to calculate portfolio VaR',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
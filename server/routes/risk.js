@@ -0,0 +1,104 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { hedgingService } = require('../services/hedgingService');
+const { CorrelationService } = require('../services/correlationService');
+const { parseCorrelationOptions } = require('../services/correlation');
+const { resolveToken } = require('../services/tokenMetadata');
+
+const router = express.Router();
+
+let correlationService = null;
+
+// Built on the vault instance index.js shares once it is initialized
+const getCorrelationService = (req) => {
+  const { services } = req.app.locals;
+  if (!correlationService && services) {
+    correlationService = new CorrelationService({ eulerVaultService: services.eulerVaultService });
+  }
+  return correlationService;
+};
+
+// Get correlation matrices across the tokens and positions of registered pools and vaults, or a user's
+router.get('/correlations', async (req, res) => {
+  try {
+    const { user } = req.query;
+
+    if (user !== undefined && !ethers.utils.isAddress(user)) {
+      return res.status(400).json({
+        error: 'Invalid address',
+        message: 'User address is not a valid Ethereum address'
+      });
+    }
+
+    let options;
+    try {
+      options = parseCorrelationOptions(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid correlation options',
+        message: error.message
+      });
+    }
+
+    const service = getCorrelationService(req);
+    if (!hedgingService.isInitialized || !service) {
+      return res.status(503).json({
+        error: 'Service not initialized',
+        message: 'Services are still initializing. Please try again later.'
+      });
+    }
+
+    res.json(await service.getCorrelationMatrix(options, user || null));
+
+  } catch (error) {
+    console.error('Error calculating correlations:', error);
+    res.status(500).json({
+      error: 'Failed to calculate correlations',
+      message: error.message
+    });
+  }
+});
+
+// Get the rolling correlation between two tokens (symbols or addresses)
+router.get('/correlations/:tokenA/:tokenB', async (req, res) => {
+  try {
+    const tokenA = resolveToken(req.params.tokenA);
+    const tokenB = resolveToken(req.params.tokenB);
+
+    if (!tokenA || !tokenB) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'Tokens must be known symbols or valid addresses'
+      });
+    }
+
+    let options;
+    try {
+      options = parseCorrelationOptions(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid correlation options',
+        message: error.message
+      });
+    }
+
+    const service = getCorrelationService(req);
+    if (!service) {
+      return res.status(503).json({
+        error: 'Service not initialized',
+        message: 'Services are still initializing. Please try again later.'
+      });
+    }
+
+    res.json(service.getRollingCorrelation(tokenA, tokenB, options));
+
+  } catch (error) {
+    console.error(`Error calculating correlation for ${req.params.tokenA}/${req.params.tokenB}:`, error);
+    res.status(500).json({
+      error: 'Failed to calculate correlation',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { stressTestService } = require('../services/stressTestService');
+const { requireOperator } = require('../services/requestAuth');
+
+const router = express.Router();
+
+router.use((req, res, next) => {
+  if (!stressTestService.isInitialized) {
+    return res.status(503).json({
+      error: 'Service not initialized',
+      message: 'Stress test service is still initializing. Please try again later.'
+    });
+  }
+  next();
+});
+
+const rejectBuiltIn = (req, res) => {
+  const scenario = stressTestService.getScenario(req.params.id);
+  if (scenario && scenario.builtIn) {
+    res.status(400).json({
+      error: 'Built-in scenario',
+      message: `Scenario ${req.params.id} ships with the server and cannot be changed`
+    });
+    return true;
+  }
+  return false;
+};
+
+// List built-in and saved scenarios
+router.get('/scenarios', (req, res) => {
+  const scenarios = stressTestService.getScenarios();
+  res.json({ scenarios, total: scenarios.length });
+});
+
+// Get a single scenario
+router.get('/scenarios/:id', (req, res) => {
+  const scenario = stressTestService.getScenario(req.params.id);
+
+  if (!scenario) {
+    return res.status(404).json({
+      error: 'Scenario not found',
+      message: `Stress scenario ${req.params.id} does not exist`
+    });
+  }
+
+  res.json(scenario);
+});
+
+// Save a named scenario. Saved scenarios are shared by every user, so only operators change them
+router.post('/scenarios', requireOperator, async (req, res) => {
+  try {
+    const scenario = await stressTestService.createScenario(req.body || {});
+    res.status(201).json({ success: true, scenario });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid scenario',
+      message: error.message
+    });
+  }
+});
+
+// Update a saved scenario's name, description or shocks
+router.put('/scenarios/:id', requireOperator, async (req, res) => {
+  if (rejectBuiltIn(req, res)) return;
+
+  try {
+    const scenario = await stressTestService.updateScenario(req.params.id, req.body || {});
+
+    if (!scenario) {
+      return res.status(404).json({
+        error: 'Scenario not found',
+        message: `Stress scenario ${req.params.id} does not exist`
+      });
+    }
+
+    res.json({ success: true, scenario });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid scenario',
+      message: error.message
+    });
+  }
+});
+
+// Delete a saved scenario
+router.delete('/scenarios/:id', requireOperator, async (req, res) => {
+  if (rejectBuiltIn(req, res)) return;
+
+  const deleted = await stressTestService.deleteScenario(req.params.id);
+
+  if (!deleted) {
+    return res.status(404).json({
+      error: 'Scenario not found',
+      message: `Stress scenario ${req.params.id} does not exist`
+    });
+  }
+
+  res.json({ success: true, id: req.params.id });
+});
+
+// Run a saved scenario (`scenarioId`) or ad hoc `shocks`, protocol-wide or for one `user`
+router.post('/run', async (req, res) => {
+  try {
+    const { scenarioId, shocks, user } = req.body || {};
+
+    if (!scenarioId && !shocks) {
+      return res.status(400).json({
+        error: 'Missing shocks',
+        message: 'Provide a scenarioId or shocks: [{ token, change }]'
+      });
+    }
+
+    if (user && !ethers.utils.isAddress(user)) {
+      return res.status(400).json({
+        error: 'Invalid user',
+        message: 'user must be a valid Ethereum address'
+      });
+    }
+
+    if (scenarioId) {
+      const result = await stressTestService.runScenario(scenarioId, { user });
+      if (!result) {
+        return res.status(404).json({
+          error: 'Scenario not found',
+          message: `Stress scenario ${scenarioId} does not exist`
+        });
+      }
+      return res.json(result);
+    }
+
+    let normalized;
+    try {
+      normalized = stressTestService.validateShocks(shocks);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid shocks',
+        message: error.message
+      });
+    }
+
+    res.json(await stressTestService.run(normalized, { user }));
+
+  } catch (error) {
+    console.error('Error running stress test:', error);
+    res.status(500).json({
+      error: 'Failed to run stress test',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
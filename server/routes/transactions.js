@@ -0,0 +1,142 @@
+const express = require('express');
+const { transactionManager } = require('../services/transactionManager');
+const { requireOperator } = require('../services/requestAuth');
+
+const router = express.Router();
+
+const requireSigner = (res) => {
+  if (!transactionManager.signer) {
+    res.status(503).json({
+      error: 'No signer configured',
+      message: 'Set KEYSTORE_PATH (or PRIVATE_KEY) to send server-side transactions'
+    });
+    return false;
+  }
+  return true;
+};
+
+// Operator signer, next nonce, and pending, stuck and recently settled transactions
+router.get('/', async (req, res) => {
+  try {
+    if (!transactionManager.isInitialized) {
+      return res.status(503).json({
+        error: 'Service not initialized',
+        message: 'Transaction manager is still initializing. Please try again later.'
+      });
+    }
+
+    res.json({
+      ...transactionManager.getQueue(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting transaction queue:', error);
+    res.status(500).json({
+      error: 'Failed to fetch transaction queue',
+      message: error.message
+    });
+  }
+});
+
+// Get a tracked transaction with every attempt sent under its nonce
+router.get('/:id', async (req, res) => {
+  try {
+    const transaction = transactionManager.getTransaction(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({
+        error: 'Transaction not found'
+      });
+    }
+
+    res.json(transaction);
+  } catch (error) {
+    console.error(`Error getting transaction ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch transaction',
+      message: error.message
+    });
+  }
+});
+
+// Re-send a pending transaction with bumped fees
+router.post('/:id/speed-up', requireOperator, async (req, res) => {
+  try {
+    if (!requireSigner(res)) return;
+
+    const transaction = await transactionManager.speedUp(req.params.id);
+
+    res.json({
+      message: 'Replacement transaction sent',
+      transaction
+    });
+  } catch (error) {
+    console.error(`Error speeding up transaction ${req.params.id}:`, error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Transaction not found',
+        message: error.message
+      });
+    }
+    if (error.message.includes('not pending')) {
+      return res.status(400).json({
+        error: 'Transaction not pending',
+        message: error.message
+      });
+    }
+    if (error.message.includes('replacement limit')) {
+      return res.status(400).json({
+        error: 'Replacement limit reached',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to speed up transaction',
+      message: error.message
+    });
+  }
+});
+
+// Replace a pending transaction with a zero-value transfer to the operator
+router.post('/:id/cancel', requireOperator, async (req, res) => {
+  try {
+    if (!requireSigner(res)) return;
+
+    const transaction = await transactionManager.cancel(req.params.id);
+
+    res.json({
+      message: 'Cancellation transaction sent',
+      transaction
+    });
+  } catch (error) {
+    console.error(`Error cancelling transaction ${req.params.id}:`, error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Transaction not found',
+        message: error.message
+      });
+    }
+    if (error.message.includes('not pending')) {
+      return res.status(400).json({
+        error: 'Transaction not pending',
+        message: error.message
+      });
+    }
+    if (error.message.includes('replacement limit')) {
+      return res.status(400).json({
+        error: 'Replacement limit reached',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to cancel transaction',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,176 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { eventIndexer } = require('../services/eventIndexer');
+const { activityService, ACTIVITY_TYPES } = require('../services/activityService');
+const { hedgingService } = require('../services/hedgingService');
+const { ExportService, EXPORT_SECTIONS } = require('../services/exportService');
+
+const router = express.Router();
+
+let exportService = null;
+
+// Built on the vault and EVC instances index.js shares once they are initialized
+const getExportService = (req) => {
+  const { services } = req.app.locals;
+  if (!exportService && services) {
+    exportService = new ExportService(services);
+  }
+  return exportService;
+};
+
+// Accepts epoch milliseconds or any date string Date.parse understands
+const parseDate = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const timestamp = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  return Number.isNaN(timestamp) ? null : timestamp;
+};
+
+// Get a user's transaction history
+router.get('/:address/activity', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { type, poolId, vault, from, to, limit = 50, offset = 0 } = req.query;
+
+    if (!ethers.utils.isAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid address',
+        message: 'User address is not a valid Ethereum address'
+      });
+    }
+
+    if (vault && !ethers.utils.isAddress(vault)) {
+      return res.status(400).json({
+        error: 'Invalid vault',
+        message: 'Vault filter is not a valid Ethereum address'
+      });
+    }
+
+    const types = type ? type.split(',') : undefined;
+    if (types && types.some(t => !ACTIVITY_TYPES.includes(t))) {
+      return res.status(400).json({
+        error: 'Invalid type',
+        message: `Type must be one of: ${ACTIVITY_TYPES.join(', ')}`
+      });
+    }
+
+    const fromTimestamp = parseDate(from);
+    const toTimestamp = parseDate(to);
+    if (fromTimestamp === null || toTimestamp === null) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: 'from and to must be ISO dates or epoch milliseconds'
+      });
+    }
+
+    if (!eventIndexer.isInitialized) {
+      return res.status(503).json({
+        error: 'Service not initialized',
+        message: 'Event indexer is still initializing. Please try again later.'
+      });
+    }
+
+    const activity = activityService.getUserActivity(address, {
+      types,
+      poolId: poolId !== undefined && poolId !== '' ? parseInt(poolId) : undefined,
+      vault,
+      from: fromTimestamp,
+      to: toTimestamp
+    });
+
+    // Apply pagination
+    const startIndex = parseInt(offset);
+    const endIndex = startIndex + parseInt(limit);
+    const paginatedActivity = activity.slice(startIndex, endIndex);
+
+    res.json({
+      user: address,
+      activity: paginatedActivity,
+      pagination: {
+        total: activity.length,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasNext: endIndex < activity.length,
+        hasPrev: startIndex > 0
+      },
+      indexedThrough: eventIndexer.cursor ? eventIndexer.cursor.blockNumber : null
+    });
+
+  } catch (error) {
+    console.error('Error getting user activity:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user activity',
+      message: error.message
+    });
+  }
+});
+
+// Export a user's positions and P&L for accounting
+router.get('/:address/export', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { format = 'json', section } = req.query;
+
+    if (!ethers.utils.isAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid address',
+        message: 'User address is not a valid Ethereum address'
+      });
+    }
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: 'Format must be json or csv'
+      });
+    }
+
+    if (section && !EXPORT_SECTIONS[section]) {
+      return res.status(400).json({
+        error: 'Invalid section',
+        message: `Section must be one of: ${Object.keys(EXPORT_SECTIONS).join(', ')}`
+      });
+    }
+
+    // Each CSV file holds a single table
+    if (format === 'csv' && !section) {
+      return res.status(400).json({
+        error: 'Section required',
+        message: `CSV exports need a section: ${Object.keys(EXPORT_SECTIONS).join(', ')}`
+      });
+    }
+
+    const service = getExportService(req);
+    if (!hedgingService.isInitialized || !eventIndexer.isInitialized || !service) {
+      return res.status(503).json({
+        error: 'Service not initialized',
+        message: 'Services are still initializing. Please try again later.'
+      });
+    }
+
+    const data = await service.buildUserExport(address);
+    const date = data.generatedAt.slice(0, 10);
+    const filename = `wedged-${section || 'portfolio'}-${address.toLowerCase()}-${date}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(service.toCSV(section, data.sections[section]));
+    }
+
+    const body = section
+      ? { ...data, sections: { [section]: data.sections[section] } }
+      : data;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.json(body);
+
+  } catch (error) {
+    console.error('Error exporting user data:', error);
+    res.status(500).json({
+      error: 'Failed to export user data',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
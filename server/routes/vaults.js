@@ -1,23 +1,25 @@
 const express = require('express');
 const router = express.Router();
 
-// In-memory cache for development (would use Redis in production)
-let eulerVaultService = null;
-
-// Initialize service when first route is called
-const initializeService = async () => {
-  if (!eulerVaultService) {
-    const EulerVaultService = require('../services/eulerVaultService');
-    eulerVaultService = new EulerVaultService();
-    await eulerVaultService.initialize();
+// The instance index.js initializes and shares, so routes do not start a second monitor
+const getService = (req, res) => {
+  const { services } = req.app.locals;
+  if (!services) {
+    res.status(503).json({
+      success: false,
+      error: 'Service not initialized',
+      message: 'Vault service is still initializing. Please try again later.'
+    });
+    return null;
   }
-  return eulerVaultService;
+  return services.eulerVaultService;
 };
 
 // Get all supported assets
 router.get('/assets', async (req, res) => {
   try {
-    const service = await initializeService();
+    const service = getService(req, res);
+    if (!service) return;
     const assets = await service.getAllSupportedAssets();
     
     res.json({
@@ -40,7 +42,8 @@ router.get('/assets', async (req, res) => {
 // Get all active vaults
 router.get('/active', async (req, res) => {
   try {
-    const service = await initializeService();
+    const service = getService(req, res);
+    if (!service) return;
     const vaults = await service.getAllActiveVaults();
     
     res.json({
@@ -72,7 +75,8 @@ router.get('/info/:asset', async (req, res) => {
       });
     }
 
-    const service = await initializeService();
+    const service = getService(req, res);
+    if (!service) return;
     const vaultInfo = await service.getVaultInfo(asset);
     const apy = await service.getVaultAPY(asset);
     const tvl = await service.getVaultTVL(asset);
@@ -116,7 +120,8 @@ router.get('/position/:user/:asset', async (req, res) => {
       });
     }
 
-    const service = await initializeService();
+    const service = getService(req, res);
+    if (!service) return;
     const position = await service.getUserPosition(user, asset);
     const yield_ = await service.getUserYield(user, asset);
     
@@ -149,7 +154,8 @@ router.get('/portfolio/:user', async (req, res) => {
       });
     }
 
-    const service = await initializeService();
+    const service = getService(req, res);
+    if (!service) return;
     const totalValue = await service.getUserTotalValue(user);
     const assets = await service.getAllSupportedAssets();
     
@@ -208,7 +214,8 @@ router.get('/gas/deposit/:asset/:amount', async (req, res) => {
       });
     }
 
-    const service = await initializeService();
+    const service = getService(req, res);
+    if (!service) return;
     const gasEstimate = await service.estimateDepositGas(asset, amount);
     
     res.json({
@@ -247,7 +254,8 @@ router.get('/gas/withdraw/:asset/:shares', async (req, res) => {
       });
     }
 
-    const service = await initializeService();
+    const service = getService(req, res);
+    if (!service) return;
     const gasEstimate = await service.estimateWithdrawGas(asset, shares);
     
     res.json({
@@ -280,18 +288,23 @@ router.get('/analytics/:asset', async (req, res) => {
       });
     }
 
-    const service = await initializeService();
+    const validTimeframes = ['24h', '7d', '30d', '90d'];
+    if (!validTimeframes.includes(timeframe)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid timeframe. Must be one of: 24h, 7d, 30d, 90d'
+      });
+    }
+
+    const service = getService(req, res);
+    if (!service) return;
     const vaultInfo = await service.getVaultInfo(asset);
     const apy = await service.getVaultAPY(asset);
     const tvl = await service.getVaultTVL(asset);
     const utilization = await service.getVaultUtilization(asset);
     
-    // Generate historical data (placeholder for now)
-    const historicalData = generateHistoricalData(timeframe, {
-      tvl: parseFloat(tvl) || 0,
-      apy: parseFloat(apy) || 0,
-      utilization: parseFloat(utilization) || 0
-    });
+    // Recorded snapshots from the history store; never synthesized
+    const history = service.getVaultHistory(asset, timeframe);
     
     res.json({
       success: true,
@@ -303,7 +316,9 @@ router.get('/analytics/:asset', async (req, res) => {
           totalShares: vaultInfo.totalShares,
           isActive: vaultInfo.isActive
         },
-        historical: historicalData,
+        historical: history.points,
+        source: history.source,
+        interval: history.interval,
         timeframe
       }
     });
@@ -357,36 +372,4 @@ router.get('/cache/stats', async (req, res) => {
   }
 });
 
-// Helper function to generate historical data
-function generateHistoricalData(timeframe, currentMetrics) {
-  const periods = {
-    '24h': { points: 24, interval: 'hour' },
-    '7d': { points: 7, interval: 'day' },
-    '30d': { points: 30, interval: 'day' },
-    '90d': { points: 90, interval: 'day' }
-  };
-
-  const config = periods[timeframe] || periods['7d'];
-  const data = [];
-  const now = Date.now();
-
-  for (let i = config.points - 1; i >= 0; i--) {
-    const timestamp = now - (i * (config.interval === 'hour' ? 3600000 : 86400000));
-    
-    // Generate realistic variations
-    const tvlVariation = 0.95 + (Math.random() * 0.1); // ±5% variation
-    const apyVariation = 0.9 + (Math.random() * 0.2); // ±10% variation
-    const utilizationVariation = 0.8 + (Math.random() * 0.4); // ±20% variation
-
-    data.push({
-      timestamp,
-      tvl: (currentMetrics.tvl * tvlVariation).toFixed(2),
-      apy: (currentMetrics.apy * apyVariation).toFixed(2),
-      utilization: Math.min(100, currentMetrics.utilization * utilizationVariation).toFixed(2)
-    });
-  }
-
-  return data;
-}
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,124 @@
+const { ethers } = require('ethers');
+const { eventIndexer } = require('./eventIndexer');
+
+const EMERGENCY_WITHDRAW_SELECTOR = ethers.utils.id('emergencyWithdraw(uint256)').slice(0, 10);
+
+// Indexed events that describe something a wallet did, keyed by contract and event name
+const ACTIVITY_EVENTS = {
+  wedgedPool: ['Deposit', 'Withdrawal'],
+  vaultManager: ['DepositMade', 'WithdrawalMade'],
+  evcIntegration: ['CrossVaultPositionCreated', 'CrossVaultPositionClosed']
+};
+
+const ACTIVITY_TYPES = [
+  'deposit',
+  'withdrawal',
+  'emergency-withdrawal',
+  'vault-deposit',
+  'vault-withdrawal',
+  'position-open',
+  'position-close'
+];
+
+class ActivityService {
+  constructor() {
+    this.indexer = eventIndexer;
+  }
+
+  toActivity(event) {
+    const { args } = event;
+    const base = {
+      id: event.id,
+      timestamp: event.timestamp,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      contract: event.contract
+    };
+
+    switch (event.event) {
+      case 'Deposit':
+        return { ...base, type: 'deposit', poolId: Number(args.poolId), amount: args.amount };
+
+      case 'Withdrawal':
+        return {
+          ...base,
+          type: event.selector === EMERGENCY_WITHDRAW_SELECTOR ? 'emergency-withdrawal' : 'withdrawal',
+          poolId: Number(args.poolId),
+          amount: args.amount
+        };
+
+      case 'DepositMade':
+        return { ...base, type: 'vault-deposit', asset: event.asset, amount: args.amount, shares: args.shares };
+
+      case 'WithdrawalMade':
+        return { ...base, type: 'vault-withdrawal', asset: event.asset, amount: args.amount, shares: args.shares };
+
+      case 'CrossVaultPositionCreated':
+        return {
+          ...base,
+          type: 'position-open',
+          positionId: Number(args.positionId),
+          vault: args.vault.toLowerCase(),
+          collateralVault: args.collateralVault.toLowerCase(),
+          collateralAmount: args.collateralAmount,
+          borrowAmount: args.borrowAmount
+        };
+
+      case 'CrossVaultPositionClosed':
+        return {
+          ...base,
+          type: 'position-close',
+          positionId: Number(args.positionId),
+          collateralReturned: args.collateralReturned,
+          borrowRepaid: args.borrowRepaid
+        };
+
+      default:
+        return null;
+    }
+  }
+
+  // Returns a user's activity, newest first. `vault` matches vault deposits by asset
+  // and cross-vault positions by either of their vaults.
+  getUserActivity(userAddress, filters = {}) {
+    const { types, poolId, vault, from, to } = filters;
+
+    const events = [];
+    for (const [contract, names] of Object.entries(ACTIVITY_EVENTS)) {
+      events.push(...this.indexer.getEvents({ contract, events: names, user: userAddress, from, to }));
+    }
+
+    // Closing events carry no vault, so match them through the position they close
+    const positionVaults = new Map();
+    for (const event of events) {
+      if (event.event === 'CrossVaultPositionCreated') {
+        positionVaults.set(event.positionId, [event.args.vault.toLowerCase(), event.args.collateralVault.toLowerCase()]);
+      }
+    }
+
+    const vaultFilter = vault ? vault.toLowerCase() : null;
+
+    return events
+      .map(event => this.toActivity(event))
+      .filter(activity => {
+        if (!activity) return false;
+        if (types && !types.includes(activity.type)) return false;
+        if (poolId !== undefined && activity.poolId !== Number(poolId)) return false;
+
+        if (vaultFilter) {
+          const vaults = activity.asset
+            ? [activity.asset]
+            : positionVaults.get(String(activity.positionId)) || [];
+          if (!vaults.includes(vaultFilter)) return false;
+        }
+
+        return true;
+      })
+      .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+  }
+}
+
+const activityService = new ActivityService();
+
+module.exports = { activityService, ActivityService, ACTIVITY_TYPES };
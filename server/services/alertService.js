@@ -0,0 +1,538 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { ethers } = require('ethers');
+const { EventEmitter } = require('events');
+const nodemailer = require('nodemailer');
+
+const MINUTE = 60 * 1000;
+
+// Rule types and how each is checked: value(subject) is compared against rule.threshold
+const ALERT_TYPES = {
+  'health-factor': {
+    target: 'positionId',
+    breached: (value, threshold) => value < threshold,
+    describe: (rule, value) =>
+      `Position ${rule.positionId} health factor ${value.toFixed(3)} is below ${rule.threshold}`
+  },
+  'pool-risk': {
+    target: 'poolId',
+    breached: (value, threshold) => value > threshold,
+    describe: (rule, value) =>
+      `Pool ${rule.poolId} risk score ${(value / 100).toFixed(2)}% is above ${(rule.threshold / 100).toFixed(2)}%`
+  },
+  'hedge-drift': {
+    target: 'poolId',
+    breached: (value, threshold) => value > threshold,
+    describe: (rule, value) =>
+      `Pool ${rule.poolId} hedge ratio is ${value.toFixed(2)} points from its strategy target (limit ${rule.threshold})`
+  }
+};
+
+const HISTORY_LIMIT = 500;
+
+// Webhooks may not reach into the server's own network: loopback, private, link-local,
+// carrier-grade NAT, benchmarking, multicast and reserved ranges are refused
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+const isEnabled = () => process.env.ALERTS_ENABLED === 'true';
+
+class AlertService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.rules = new Map();
+    this.alerts = [];
+    this.directory = options.directory || process.env.ALERTS_DIR || path.join(__dirname, '..', 'data', 'alerts');
+    this.defaultCooldown = (parseInt(process.env.ALERTS_DEFAULT_COOLDOWN_MINUTES) || 30) * MINUTE;
+    this.webhookTimeout = parseInt(process.env.ALERTS_WEBHOOK_TIMEOUT) || 5000;
+    this.webhookRetries = parseInt(process.env.ALERTS_WEBHOOK_RETRIES) || 2;
+    this.emailFrom = process.env.ALERTS_EMAIL_FROM || 'alerts@wedged.local';
+    this.transport = null;
+    this.services = {};
+    this.saving = Promise.resolve();
+    this.isInitialized = false;
+  }
+
+  get enabled() {
+    return isEnabled();
+  }
+
+  async initialize({ hedgingService, riskAnalyzer, evcService } = {}) {
+    if (this.isInitialized) return;
+
+    this.services = { hedgingService, riskAnalyzer, evcService };
+    await this.load();
+
+    if (process.env.SMTP_HOST) {
+      this.transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+
+    this.bindMonitoringTicks();
+    this.isInitialized = true;
+    console.log(`AlertService initialized with ${this.rules.size} rules`);
+  }
+
+  // Rules are evaluated whenever the service owning their data finishes a monitoring pass
+  bindMonitoringTicks() {
+    const { riskAnalyzer, evcService } = this.services;
+
+    if (riskAnalyzer) {
+      riskAnalyzer.on('risk-analysis-update', (analysis) => {
+        this.evaluatePool(analysis.poolId, analysis).catch(error => {
+          console.error(`Error evaluating alerts for pool ${analysis.poolId}:`, error);
+        });
+      });
+    }
+
+    if (evcService) {
+      evcService.on('metricsUpdated', () => {
+        this.evaluatePositions().catch(error => {
+          console.error('Error evaluating position health alerts:', error);
+        });
+      });
+    }
+  }
+
+  filePath() {
+    return path.join(this.directory, 'alerts.json');
+  }
+
+  async load() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath(), 'utf8'));
+      (data.rules || []).forEach(rule => this.rules.set(rule.id, rule));
+      this.alerts = data.alerts || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to load alert rules:', error.message);
+      }
+    }
+  }
+
+  // Writes are chained so overlapping saves cannot interleave on the temp file
+  save() {
+    this.saving = this.saving.then(async () => {
+      const target = this.filePath();
+      const temp = `${target}.tmp`;
+      const body = JSON.stringify({ rules: Array.from(this.rules.values()), alerts: this.alerts });
+      await fs.promises.writeFile(temp, body);
+      await fs.promises.rename(temp, target);
+    }).catch(error => {
+      console.error('Failed to save alert rules:', error);
+    });
+    return this.saving;
+  }
+
+  validateRule(input, existing = {}) {
+    const rule = { ...existing, ...input };
+    const definition = ALERT_TYPES[rule.type];
+
+    if (!definition) {
+      throw new Error(`Type must be one of: ${Object.keys(ALERT_TYPES).join(', ')}`);
+    }
+    if (!rule.owner || !ethers.utils.isAddress(rule.owner)) {
+      throw new Error('Owner must be a valid Ethereum address');
+    }
+    if (!/^\d+$/.test(String(rule[definition.target]))) {
+      throw new Error(`${definition.target} is required for ${rule.type} alerts`);
+    }
+    if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold) || rule.threshold < 0) {
+      throw new Error('Threshold must be a non-negative number');
+    }
+    if (rule.cooldownMinutes !== undefined && !(rule.cooldownMinutes >= 0)) {
+      throw new Error('cooldownMinutes must be a non-negative number');
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      throw new Error('enabled must be a boolean');
+    }
+
+    const channels = rule.channels || {};
+    if (!channels.webhook && !channels.email) {
+      throw new Error('At least one delivery channel (webhook or email) is required');
+    }
+    if (channels.webhook) {
+      let url;
+      try {
+        url = new URL(channels.webhook.url);
+      } catch (error) {
+        throw new Error('Webhook URL is invalid');
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error('Webhook URL must use http or https');
+      }
+    }
+    if (channels.email && !/^[^\s@]+@[^\s@]+$/.test(channels.email.to || '')) {
+      throw new Error('Email recipient is invalid');
+    }
+
+    return rule;
+  }
+
+  // Resolves the webhook host and throws unless every address it resolves to is public
+  async checkWebhookTarget(url) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = net.isIP(host)
+        ? [{ address: host, family: net.isIP(host) }]
+        : await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      throw new Error(`Webhook host ${host} does not resolve`);
+    }
+
+    if (addresses.some(({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+      throw new Error('Webhook URL must not point at a private, loopback or link-local address');
+    }
+  }
+
+  async createRule(input) {
+    const rule = this.validateRule({
+      type: input.type,
+      owner: input.owner,
+      poolId: input.poolId,
+      positionId: input.positionId,
+      threshold: input.threshold,
+      cooldownMinutes: input.cooldownMinutes,
+      channels: input.channels,
+      label: input.label
+    });
+    if (rule.channels.webhook) {
+      await this.checkWebhookTarget(rule.channels.webhook.url);
+    }
+    const { target } = ALERT_TYPES[rule.type];
+
+    const now = Date.now();
+    const created = {
+      id: crypto.randomUUID(),
+      type: rule.type,
+      owner: rule.owner.toLowerCase(),
+      [target]: Number(rule[target]),
+      threshold: rule.threshold,
+      cooldownMinutes: rule.cooldownMinutes ?? this.defaultCooldown / MINUTE,
+      label: rule.label || null,
+      channels: this.normalizeChannels(rule.channels),
+      enabled: true,
+      // Breach state drives de-duplication: one notification per breach
+      breached: false,
+      lastValue: null,
+      lastEvaluatedAt: null,
+      lastNotifiedAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.rules.set(created.id, created);
+    await this.save();
+    return created;
+  }
+
+  async updateRule(id, changes) {
+    const rule = this.rules.get(id);
+    if (!rule) return null;
+
+    const allowed = ['threshold', 'cooldownMinutes', 'channels', 'enabled', 'label'];
+    const updates = Object.fromEntries(
+      Object.entries(changes).filter(([key]) => allowed.includes(key))
+    );
+
+    const merged = this.validateRule(updates, rule);
+    if (updates.channels && updates.channels.webhook) {
+      await this.checkWebhookTarget(updates.channels.webhook.url);
+    }
+    if (updates.channels) {
+      merged.channels = this.normalizeChannels(updates.channels, rule.channels);
+    }
+    // A new threshold starts a fresh breach episode
+    if (updates.threshold !== undefined && updates.threshold !== rule.threshold) {
+      merged.breached = false;
+    }
+    merged.updatedAt = Date.now();
+
+    this.rules.set(id, merged);
+    await this.save();
+    return merged;
+  }
+
+  async deleteRule(id) {
+    const deleted = this.rules.delete(id);
+    if (deleted) await this.save();
+    return deleted;
+  }
+
+  // Webhook secrets are generated server-side unless supplied, and kept on re-save
+  normalizeChannels(channels, previous = {}) {
+    const normalized = {};
+    if (channels.webhook) {
+      normalized.webhook = {
+        url: channels.webhook.url,
+        secret: channels.webhook.secret
+          || (previous.webhook && previous.webhook.secret)
+          || crypto.randomBytes(32).toString('hex')
+      };
+    }
+    if (channels.email) {
+      normalized.email = { to: channels.email.to };
+    }
+    return normalized;
+  }
+
+  // Webhook secrets are only returned when a rule is created
+  toPublic(rule, { withSecret = false } = {}) {
+    if (!rule.channels.webhook || withSecret) return rule;
+    return {
+      ...rule,
+      channels: { ...rule.channels, webhook: { url: rule.channels.webhook.url } }
+    };
+  }
+
+  getRule(id) {
+    return this.rules.get(id) || null;
+  }
+
+  getRules(owner) {
+    const rules = Array.from(this.rules.values());
+    return owner ? rules.filter(rule => rule.owner === owner.toLowerCase()) : rules;
+  }
+
+  getAlerts({ owner, ruleId } = {}) {
+    return this.alerts.filter(alert =>
+      (!owner || alert.owner === owner.toLowerCase()) &&
+      (!ruleId || alert.ruleId === ruleId)
+    );
+  }
+
+  async evaluatePool(poolId, analysis) {
+    if (!this.enabled) return;
+
+    const rules = this.getRules().filter(rule =>
+      rule.enabled && rule.poolId === Number(poolId) && rule.type !== 'health-factor'
+    );
+    if (rules.length === 0) return;
+
+    let drift = null;
+    for (const rule of rules) {
+      if (rule.type === 'pool-risk') {
+        await this.evaluateRule(rule, analysis.currentRiskScore);
+      } else if (rule.type === 'hedge-drift') {
+        if (!drift) {
+          drift = await this.services.hedgingService.getHedgeRatioStatus(Number(poolId));
+        }
+        await this.evaluateRule(rule, drift.drift, drift);
+      }
+    }
+  }
+
+  async evaluatePositions() {
+    if (!this.enabled) return;
+
+    const positions = this.services.evcService.crossVaultPositions;
+    const rules = this.getRules().filter(rule => rule.enabled && rule.type === 'health-factor');
+
+    for (const rule of rules) {
+      const position = positions.get(String(rule.positionId));
+      // Closed positions and positions without a successful health read are skipped
+      if (!position || !position.isActive || position.healthFactor === undefined) continue;
+      await this.evaluateRule(rule, Number(position.healthFactor) / 10000, { user: position.user });
+    }
+  }
+
+  async evaluateRule(rule, value, context = {}) {
+    const definition = ALERT_TYPES[rule.type];
+    const breached = definition.breached(value, rule.threshold);
+    const now = Date.now();
+
+    rule.lastValue = value;
+    rule.lastEvaluatedAt = now;
+
+    if (!breached) {
+      if (rule.breached) {
+        rule.breached = false;
+        this.emit('alert-resolved', { ruleId: rule.id, owner: rule.owner, value, timestamp: now });
+        await this.save();
+      }
+      return null;
+    }
+
+    // Still in the same breach: already notified
+    if (rule.breached) return null;
+
+    rule.breached = true;
+
+    // A rule that flaps back into breach inside its cooldown stays quiet
+    const cooldown = rule.cooldownMinutes * MINUTE;
+    if (rule.lastNotifiedAt && now - rule.lastNotifiedAt < cooldown) {
+      await this.save();
+      return null;
+    }
+
+    rule.lastNotifiedAt = now;
+    return this.trigger(rule, value, context);
+  }
+
+  async trigger(rule, value, context = {}) {
+    const definition = ALERT_TYPES[rule.type];
+    const alert = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      owner: rule.owner,
+      type: rule.type,
+      label: rule.label,
+      [definition.target]: rule[definition.target],
+      value,
+      threshold: rule.threshold,
+      severity: rule.type === 'health-factor' && value < 1 ? 'critical' : 'warning',
+      message: definition.describe(rule, value),
+      context,
+      triggeredAt: new Date().toISOString(),
+      deliveries: []
+    };
+
+    this.alerts.unshift(alert);
+    this.alerts.length = Math.min(this.alerts.length, HISTORY_LIMIT);
+    this.emit('alert-triggered', alert);
+
+    alert.deliveries = await this.deliver(rule, alert);
+    await this.save();
+    return alert;
+  }
+
+  async deliver(rule, alert) {
+    const deliveries = [];
+
+    if (rule.channels.webhook) {
+      deliveries.push(await this.sendWebhook(rule.channels.webhook, alert));
+    }
+    if (rule.channels.email) {
+      deliveries.push(await this.sendEmail(rule.channels.email, alert));
+    }
+
+    return deliveries;
+  }
+
+  // Receivers verify HMAC-SHA256(secret, `${timestamp}.${body}`) against the v1 signature
+  signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  async sendWebhook(webhook, alert) {
+    const body = JSON.stringify({ event: 'alert.triggered', alert });
+    const delivery = { channel: 'webhook', status: 'failed', attempts: 0, error: null };
+
+    // Checked again on every delivery, since the host may have been re-pointed since the rule was saved
+    try {
+      await this.checkWebhookTarget(webhook.url);
+    } catch (error) {
+      delivery.error = error.message;
+      console.error(`Webhook delivery for alert ${alert.id} refused:`, error.message);
+      return delivery;
+    }
+
+    for (let attempt = 0; attempt <= this.webhookRetries; attempt++) {
+      delivery.attempts = attempt + 1;
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      try {
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Wedged-Delivery': alert.id,
+            'X-Wedged-Signature': `t=${timestamp},v1=${this.signPayload(webhook.secret, timestamp, body)}`
+          },
+          body,
+          // A redirect could lead anywhere, including addresses the check above refuses
+          redirect: 'manual',
+          signal: AbortSignal.timeout(this.webhookTimeout)
+        });
+
+        if (response.ok) {
+          delivery.status = 'delivered';
+          delivery.error = null;
+          return delivery;
+        }
+        delivery.error = `HTTP ${response.status}`;
+        // Client errors will not succeed on retry
+        if (response.status < 500) break;
+      } catch (error) {
+        delivery.error = error.message;
+      }
+
+      if (attempt < this.webhookRetries) {
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+      }
+    }
+
+    console.error(`Webhook delivery for alert ${alert.id} failed:`, delivery.error);
+    return delivery;
+  }
+
+  async sendEmail(email, alert) {
+    if (!this.transport) {
+      return { channel: 'email', status: 'skipped', attempts: 0, error: 'SMTP is not configured' };
+    }
+
+    try {
+      await this.transport.sendMail({
+        from: this.emailFrom,
+        to: email.to,
+        subject: `[Wedged] ${alert.severity === 'critical' ? 'CRITICAL: ' : ''}${alert.message}`,
+        text: [
+          alert.message,
+          '',
+          `Rule: ${alert.label || alert.ruleId}`,
+          `Value: ${alert.value}`,
+          `Threshold: ${alert.threshold}`,
+          `Triggered at: ${alert.triggeredAt}`
+        ].join('\n')
+      });
+      return { channel: 'email', status: 'delivered', attempts: 1, error: null };
+    } catch (error) {
+      console.error(`Email delivery for alert ${alert.id} failed:`, error.message);
+      return { channel: 'email', status: 'failed', attempts: 1, error: error.message };
+    }
+  }
+
+  // Sends a sample alert through the rule's channels without touching breach state
+  async sendTest(rule) {
+    const alert = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      owner: rule.owner,
+      type: rule.type,
+      label: rule.label,
+      value: rule.lastValue,
+      threshold: rule.threshold,
+      severity: 'test',
+      message: `Test notification for ${rule.type} alert ${rule.label || rule.id}`,
+      context: {},
+      triggeredAt: new Date().toISOString(),
+      test: true
+    };
+    return { alert, deliveries: await this.deliver(rule, alert) };
+  }
+}
+
+// Singleton instance
+const alertService = new AlertService();
+
+module.exports = { alertService, AlertService, ALERT_TYPES };
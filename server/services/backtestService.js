@@ -0,0 +1,364 @@
+const { ethers } = require('ethers');
+const { hedgingService, DEFAULT_HEDGE_GAS_LIMIT } = require('./hedgingService');
+const { riskAnalyzer } = require('./riskAnalyzer');
+const { historyStore } = require('./historyStore');
+const { defaultCurve, validateCurve, applyHysteresis } = require('./hedgeCurves');
+const { impermanentLossFactor, positionValues } = require('./impermanentLoss');
+const { estimateVolatility } = require('./volatilityModels');
+const { DEFAULT_OPTIONS: correlationDefaults, correlate, numeraireReturns, alignReturns } = require('./correlation');
+const { REFERENCE_TOKEN } = require('./varService');
+
+// Mirrors HedgingManager and RiskCalculator constants so simulated costs and scores match on-chain ones
+const SLIPPAGE_TOLERANCE = 500; // 5%
+const DEFAULT_RISK_WEIGHTS = {
+  volatility: 3000,
+  impermanentLoss: 4000,
+  correlation: 2000,
+  liquidity: 1000
+};
+const MAX_RISK_SCORE = 10000;
+const DEFAULT_CORRELATION = 5000; // RiskCalculator assumes 50% without data
+const DEFAULT_STRATEGY_ID = 1; // HedgingManager hedges pools without an assignment under strategy 1
+const DEFAULT_VOLATILITY_WINDOW = 30;
+const DEFAULT_REBALANCE_BAND = 100; // top-ups under 1% of deposits are not worth a transaction
+const MAX_TRADES_RETURNED = 500;
+
+class BacktestService {
+  constructor() {
+    this.hedgingService = hedgingService;
+    this.riskAnalyzer = riskAnalyzer;
+    this.historyStore = historyStore;
+  }
+
+  // Pool price (token0 in token1) from the per-token reference prices the risk analyzer records
+  loadRecordedPrices(token0, token1, { from = 0, to = Infinity } = {}) {
+    const prices0 = this.historyStore.query('prices', token0, { from, to });
+    const prices1 = this.historyStore.query('prices', token1, { from, to });
+
+    const series = [];
+    let j = 0;
+    for (const point of prices0) {
+      // Pair each token0 sample with the latest token1 sample at or before it
+      while (j + 1 < prices1.length && prices1[j + 1].timestamp <= point.timestamp) j++;
+      if (prices1.length === 0 || prices1[j].timestamp > point.timestamp) continue;
+
+      const price1 = parseFloat(prices1[j].price);
+      if (price1 > 0) {
+        series.push({ timestamp: point.timestamp, price: parseFloat(point.price) / price1 });
+      }
+    }
+
+    return { series, prices0, prices1 };
+  }
+
+  async resolveInputs(params) {
+    const inputs = {
+      poolId: params.poolId !== undefined ? parseInt(params.poolId) : null,
+      hedgingFee: params.hedgingFee !== undefined ? parseInt(params.hedgingFee) : null,
+      utilization: params.utilization !== undefined ? parseInt(params.utilization) : null,
+      initialDeposits: params.initialDeposits !== undefined ? parseFloat(params.initialDeposits) : null,
+      volatilityWindow: parseInt(params.volatilityWindow) || DEFAULT_VOLATILITY_WINDOW,
+      rebalanceBand: params.rebalanceBand !== undefined ? parseInt(params.rebalanceBand) : DEFAULT_REBALANCE_BAND,
+      gasPrice: params.gasPrice !== undefined ? parseFloat(params.gasPrice) : null,
+      weights: { ...DEFAULT_RISK_WEIGHTS, ...(params.weights || {}) },
+      strategies: params.strategies
+        ? params.strategies.map((strategy, index) => {
+          const normalized = {
+            id: strategy.id ?? index + 1,
+            name: strategy.name || `Strategy ${index + 1}`,
+            riskThreshold: parseInt(strategy.riskThreshold),
+            hedgeRatio: parseInt(strategy.hedgeRatio),
+            active: strategy.active !== false
+          };
+          normalized.curve = strategy.curve ? validateCurve(strategy.curve) : defaultCurve(normalized);
+          return normalized;
+        })
+        : this.hedgingService.getStrategies(),
+      source: params.prices ? 'supplied' : 'recorded',
+      series: [],
+      tokens: null,
+      range: { from: params.from, to: params.to },
+      volatilityModel: this.riskAnalyzer.volatilityConfig.model || 'simple',
+      assignedStrategyId: 0
+    };
+
+    let pool = null;
+    if (inputs.poolId !== null) {
+      pool = await this.hedgingService.getPoolInfo(inputs.poolId);
+      if (!pool) throw new Error(`Pool ${inputs.poolId} does not exist`);
+
+      inputs.volatilityModel = this.riskAnalyzer.getVolatilityModel(pool.token0) || 'simple';
+      inputs.assignedStrategyId = await this.hedgingService.getAssignedStrategyId(inputs.poolId).catch(() => 0);
+    }
+
+    if (params.prices) {
+      inputs.series = params.prices
+        .map(point => ({ timestamp: new Date(point.timestamp).getTime(), price: parseFloat(point.price) }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    } else {
+      const recorded = this.loadRecordedPrices(pool.token0, pool.token1, { from: params.from, to: params.to });
+      inputs.series = recorded.series;
+      inputs.tokens = [pool.token0, pool.token1];
+    }
+
+    if (inputs.hedgingFee === null) {
+      inputs.hedgingFee = await this.hedgingService.getHedgingFee();
+    }
+
+    // Gas defaults to the network's current price, in gwei, as assessHedge reads it
+    if (inputs.gasPrice === null) {
+      inputs.gasPrice = this.hedgingService.provider
+        ? await this.hedgingService.provider.getGasPrice()
+          .then(gasPrice => parseFloat(ethers.utils.formatUnits(gasPrice, 'gwei')))
+          .catch(() => 0)
+        : 0;
+    }
+
+    // Unspecified pool parameters default to the pool's current state
+    if (inputs.initialDeposits === null) {
+      inputs.initialDeposits = pool ? parseFloat(ethers.utils.formatEther(pool.totalDeposits)) : 100;
+    }
+    if (inputs.utilization === null) {
+      inputs.utilization = pool && !pool.totalDeposits.isZero()
+        ? pool.totalDeposits.sub(pool.availableLiquidity).mul(10000).div(pool.totalDeposits).toNumber()
+        : 0;
+    }
+
+    return inputs;
+  }
+
+  // Same arithmetic as HedgingManager.calculateHedgingCost, in floating point
+  calculateHedgingCost(amount, price, hedgingFee) {
+    const swapCost = amount * price;
+    const fee = (swapCost * hedgingFee) / 10000;
+    const slippageCost = (swapCost * SLIPPAGE_TOLERANCE) / 10000;
+
+    return { swapCost, fee, slippageCost, total: swapCost + fee + slippageCost };
+  }
+
+  /**
+   * Off-chain composite score using RiskCalculator's components and weights. Volatility is
+   * estimated the way RiskAnalyzer.calculateHistoricalVolatility does: the configured model
+   * over the last volatilityWindow samples, or buckets for parkinson.
+   */
+  calculateRisk(series, index, inputs, correlation) {
+    const model = inputs.volatilityModel;
+    const { params } = this.riskAnalyzer.volatilityConfig;
+    const window = model === 'parkinson'
+      ? series.slice(0, index + 1).filter(point => point.timestamp > series[index].timestamp - inputs.volatilityWindow * params.rangeInterval)
+      : series.slice(Math.max(0, index - inputs.volatilityWindow + 1), index + 1);
+
+    const estimate = estimateVolatility(window, model, params);
+    const volatility = estimate ? Math.min(Math.round(estimate.volatility * 10000), MAX_RISK_SCORE) : 0;
+
+    const ratio = series[index].price / series[0].price;
+    const impermanentLoss = Math.min(impermanentLossFactor(ratio) * 10000, MAX_RISK_SCORE);
+    const correlationRisk = MAX_RISK_SCORE - correlation;
+    const liquidityRisk = Math.min(inputs.utilization, MAX_RISK_SCORE);
+
+    const { weights } = inputs;
+    const compositeRisk = Math.min(
+      (volatility * weights.volatility +
+        impermanentLoss * weights.impermanentLoss +
+        correlationRisk * weights.correlation +
+        liquidityRisk * weights.liquidity) / 10000,
+      MAX_RISK_SCORE
+    );
+
+    return {
+      volatility: Math.round(volatility),
+      impermanentLoss: Math.round(impermanentLoss),
+      correlationRisk: Math.round(correlationRisk),
+      liquidityRisk,
+      compositeRisk: Math.round(compositeRisk)
+    };
+  }
+
+  // Same as RiskAnalyzer.calculateHistoricalCorrelation, over the last window of the replayed range
+  calculateCorrelation(inputs) {
+    if (!inputs.tokens) return DEFAULT_CORRELATION;
+
+    const { method, window } = correlationDefaults;
+    const pricesOf = token => this.historyStore.query('prices', token, inputs.range);
+    const returns0 = numeraireReturns(inputs.tokens[0], pricesOf, { reference: REFERENCE_TOKEN });
+    const returns1 = numeraireReturns(inputs.tokens[1], pricesOf, { reference: REFERENCE_TOKEN });
+    if (!returns0 || !returns1) return DEFAULT_CORRELATION;
+
+    const { x, y } = alignReturns(returns0, returns1);
+    const correlation = correlate(x.slice(-window), y.slice(-window), method);
+    if (correlation === null) return DEFAULT_CORRELATION;
+
+    return Math.max(0, Math.min(10000, (correlation + 1) * 5000));
+  }
+
+  // The strategy HedgingManager.executeHedging applies: the pool's assignment, else strategy 1
+  executingStrategy(inputs) {
+    const strategyId = inputs.assignedStrategyId || DEFAULT_STRATEGY_ID;
+    return inputs.strategies.find(strategy => strategy.id === strategyId) || null;
+  }
+
+  /**
+   * Replays a price series through HedgingService strategy selection and hedge sizing.
+   * The pool is modelled as a 50/50 LP position of initialDeposits token0; a hedge covering
+   * a fraction h of deposits offsets that fraction of each step's change in impermanent loss.
+   * As on-chain, HedgingManager hedges only its strategy's hedgeRatio of each amount sent.
+   * Top-ups smaller than rebalanceBand of deposits are not sent, and the rest must pass
+   * HedgingService's cost-benefit check with gas at gasPrice before they trade. Amounts are
+   * reported in token1 (the quote asset of the price series), with gas paid in token0.
+   */
+  async run(params) {
+    const inputs = await this.resolveInputs(params);
+    const { series } = inputs;
+
+    if (series.length < 2) {
+      throw new Error('At least two price points are required for a backtest');
+    }
+    if (series.some(point => !(point.price > 0) || Number.isNaN(point.timestamp))) {
+      throw new Error('Every price point needs a valid timestamp and a positive price');
+    }
+
+    const correlation = this.calculateCorrelation(inputs);
+    const executing = this.executingStrategy(inputs);
+    const initialValue = inputs.initialDeposits * series[0].price;
+    const deposits = inputs.initialDeposits;
+    const gasPerTrade = (inputs.gasPrice * DEFAULT_HEDGE_GAS_LIMIT) / 1e9;
+    const { enabled: costBenefitEnabled, minNetBenefit } = this.hedgingService.costBenefit;
+
+    let hedged = 0;
+    let target = null;
+    let targetStrategyId = null;
+    let hedgingCostPaid = 0;
+    let ilAvoided = 0;
+    let previousIl = 0;
+    let skippedBand = 0;
+    let skippedCostBenefit = 0;
+    let peak = initialValue;
+    let unhedgedPeak = initialValue;
+    let maxDrawdown = 0;
+    let unhedgedMaxDrawdown = 0;
+    const trades = [];
+    const equity = [];
+
+    for (let i = 0; i < series.length; i++) {
+      const { timestamp, price } = series[i];
+      const ratio = price / series[0].price;
+
+      // Value of the LP position and its shortfall against holding the initial tokens
+      const values = positionValues(initialValue, ratio);
+      const lpValue = values.lp;
+      const { impermanentLoss } = values;
+
+      // The hedge held over the last step offsets its share of the IL change
+      ilAvoided += (hedged / deposits) * (impermanentLoss - previousIl);
+      previousIl = impermanentLoss;
+
+      const risk = this.calculateRisk(series, i, inputs, correlation);
+      const strategy = this.hedgingService.findBestStrategy(risk.compositeRisk, inputs.strategies);
+
+      // Hedge sizing follows evaluateHedgingOpportunity: top up to the curve's target, never reduce
+      if (strategy) {
+        target = applyHysteresis(strategy.curve, risk.compositeRisk, targetStrategyId === strategy.id ? target : null);
+        targetStrategyId = strategy.id;
+      }
+
+      // HedgingManager declines below its strategy's threshold and hedges hedgeRatio of the amount
+      const executes = executing && executing.active && risk.compositeRisk >= executing.riskThreshold;
+      if (strategy && target > 0 && executes) {
+        const optimalHedge = (deposits * target) / 10000;
+        const amount = optimalHedge - hedged;
+        const hedgeAmount = (amount * executing.hedgeRatio) / 10000;
+
+        if (hedgeAmount > 0) {
+          const cost = this.calculateHedgingCost(hedgeAmount, price, inputs.hedgingFee);
+          // The swap notional is exchanged, not lost; fees, slippage and gas are the cost paid
+          const gasCost = gasPerTrade * price;
+          const paid = cost.fee + cost.slippageCost + gasCost;
+          // assessHedge's expected IL reduction on the hedged notional, net of every cost
+          const netBenefit = (cost.swapCost * risk.impermanentLoss) / 10000 - paid;
+
+          if (amount * 10000 < deposits * inputs.rebalanceBand) {
+            skippedBand++;
+          } else if (costBenefitEnabled && netBenefit < minNetBenefit * price) {
+            skippedCostBenefit++;
+          } else {
+            hedged += hedgeAmount;
+            hedgingCostPaid += paid;
+            trades.push({
+              timestamp: new Date(timestamp).toISOString(),
+              price,
+              compositeRisk: risk.compositeRisk,
+              strategy: strategy.name,
+              amount,
+              hedgedAmount: hedgeAmount,
+              hedgeRatio: target,
+              cost: paid,
+              gasCost,
+              netBenefit,
+              swapCost: cost.swapCost
+            });
+          }
+        }
+      }
+
+      const value = lpValue + ilAvoided - hedgingCostPaid;
+      peak = Math.max(peak, value);
+      unhedgedPeak = Math.max(unhedgedPeak, lpValue);
+      maxDrawdown = Math.max(maxDrawdown, peak > 0 ? (peak - value) / peak : 0);
+      unhedgedMaxDrawdown = Math.max(unhedgedMaxDrawdown, unhedgedPeak > 0 ? (unhedgedPeak - lpValue) / unhedgedPeak : 0);
+
+      equity.push({
+        timestamp: new Date(timestamp).toISOString(),
+        price,
+        compositeRisk: risk.compositeRisk,
+        hedgeRatio: Math.round((hedged / deposits) * 10000),
+        unhedgedValue: lpValue,
+        hedgedValue: value
+      });
+    }
+
+    return {
+      poolId: inputs.poolId,
+      source: inputs.source,
+      period: {
+        from: new Date(series[0].timestamp).toISOString(),
+        to: new Date(series[series.length - 1].timestamp).toISOString(),
+        points: series.length
+      },
+      parameters: {
+        initialDeposits: inputs.initialDeposits,
+        utilization: inputs.utilization,
+        hedgingFee: inputs.hedgingFee,
+        slippageTolerance: SLIPPAGE_TOLERANCE,
+        volatilityWindow: inputs.volatilityWindow,
+        volatilityModel: inputs.volatilityModel,
+        rebalanceBand: inputs.rebalanceBand,
+        gasPrice: inputs.gasPrice,
+        gasLimit: DEFAULT_HEDGE_GAS_LIMIT,
+        costBenefit: { enabled: costBenefitEnabled, minNetBenefit },
+        correlation,
+        executingStrategy: executing ? executing.name : null,
+        weights: inputs.weights,
+        strategies: inputs.strategies
+      },
+      summary: {
+        initialValue,
+        impermanentLoss: previousIl,
+        impermanentLossAvoided: ilAvoided,
+        hedgingCostPaid,
+        netPnl: ilAvoided - hedgingCostPaid,
+        rebalances: trades.length,
+        skippedRebalances: { belowBand: skippedBand, costBenefit: skippedCostBenefit },
+        finalHedgeRatio: Math.round((hedged / deposits) * 10000),
+        maxDrawdown,
+        unhedgedMaxDrawdown
+      },
+      trades: trades.slice(0, MAX_TRADES_RETURNED),
+      equity
+    };
+  }
+}
+
+// Singleton instance
+const backtestService = new BacktestService();
+
+module.exports = { backtestService, BacktestService };
@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const MINUTE = 60 * 1000;
+const WINDOWS = {
+  hour: 60 * MINUTE,
+  day: 24 * 60 * MINUTE
+};
+
+// Breakers that pause a pool until their cooldown ends or an operator resets them
+const PAUSE_BREAKERS = ['price-deviation', 'risk-fallback'];
+
+// Unset or zero volume and cost limits are disabled
+const readLimit = (name, fallback = 0) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+class CircuitBreakerService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.directory = options.directory || process.env.CIRCUIT_BREAKER_DIR || path.join(__dirname, '..', 'data', 'circuit-breakers');
+    this.limits = {
+      hour: {
+        volume: readLimit('HEDGE_MAX_VOLUME_PER_HOUR'),
+        cost: readLimit('HEDGE_MAX_COST_PER_HOUR'),
+        transactions: readLimit('HEDGE_MAX_TX_PER_HOUR', 5)
+      },
+      day: {
+        volume: readLimit('HEDGE_MAX_VOLUME_PER_DAY'),
+        cost: readLimit('HEDGE_MAX_COST_PER_DAY'),
+        transactions: readLimit('HEDGE_MAX_TX_PER_DAY', 20)
+      }
+    };
+    this.maxPriceDeviation = readLimit('HEDGE_MAX_PRICE_DEVIATION', 500); // basis points
+    this.cooldown = readLimit('HEDGE_BREAKER_COOLDOWN_MINUTES', 30) * MINUTE;
+    this.killSwitch = { engaged: false, reason: null, engagedAt: null };
+    this.trips = {}; // poolId -> { breaker: { reason, trippedAt, expiresAt } }
+    this.executions = []; // automatic hedges sent in the last day: { poolId, volume, cost, timestamp }
+    this.saving = Promise.resolve();
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    if (this.isInitialized) return;
+
+    await this.load();
+    this.isInitialized = true;
+
+    if (this.killSwitch.engaged) {
+      console.warn(`Hedging kill switch is engaged: ${this.killSwitch.reason}`);
+    }
+  }
+
+  filePath() {
+    return path.join(this.directory, 'state.json');
+  }
+
+  async load() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath(), 'utf8'));
+      this.killSwitch = { ...this.killSwitch, ...(data.killSwitch || {}) };
+      this.trips = data.trips || {};
+      this.executions = data.executions || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to load circuit breaker state:', error.message);
+      }
+    }
+  }
+
+  // Writes are chained so overlapping saves cannot interleave on the temp file
+  save() {
+    this.saving = this.saving.then(async () => {
+      const target = this.filePath();
+      const temp = `${target}.tmp`;
+      const body = JSON.stringify({ killSwitch: this.killSwitch, trips: this.trips, executions: this.executions });
+      await fs.promises.writeFile(temp, body);
+      await fs.promises.rename(temp, target);
+    }).catch(error => {
+      console.error('Failed to save circuit breaker state:', error);
+    });
+    return this.saving;
+  }
+
+  async setKillSwitch(engaged, reason = null) {
+    this.killSwitch = engaged
+      ? { engaged: true, reason: reason || 'Engaged by operator', engagedAt: Date.now() }
+      : { engaged: false, reason: null, engagedAt: null };
+
+    await this.save();
+    this.emit('kill-switch', this.killSwitch);
+    console.log(`Hedging kill switch ${engaged ? `engaged: ${this.killSwitch.reason}` : 'released'}`);
+    return this.killSwitch;
+  }
+
+  async trip(poolId, breaker, reason) {
+    const key = String(poolId);
+    const trippedAt = Date.now();
+    this.trips[key] = {
+      ...(this.trips[key] || {}),
+      [breaker]: { reason, trippedAt, expiresAt: trippedAt + this.cooldown }
+    };
+
+    await this.save();
+    this.emit('breaker-tripped', { poolId, breaker, reason });
+    console.warn(`Circuit breaker ${breaker} tripped for pool ${poolId}: ${reason}`);
+  }
+
+  // Clears one breaker, or every pause breaker on the pool when none is given
+  async reset(poolId, breaker = null) {
+    const key = String(poolId);
+    const trips = this.trips[key];
+    if (!trips || (breaker && !trips[breaker])) return false;
+
+    if (breaker) {
+      delete trips[breaker];
+    }
+    if (!breaker || Object.keys(trips).length === 0) {
+      delete this.trips[key];
+    }
+
+    await this.save();
+    return true;
+  }
+
+  activeTrips(poolId, now = Date.now()) {
+    const trips = this.trips[String(poolId)] || {};
+    return Object.entries(trips)
+      .filter(([, trip]) => trip.expiresAt > now)
+      .map(([breaker, trip]) => ({ breaker, ...trip }));
+  }
+
+  usage(poolId, now = Date.now()) {
+    const usage = {};
+    for (const [window, duration] of Object.entries(WINDOWS)) {
+      const executions = this.executions.filter(execution =>
+        execution.poolId === String(poolId) && execution.timestamp > now - duration
+      );
+      usage[window] = {
+        volume: executions.reduce((sum, execution) => sum + execution.volume, 0),
+        cost: executions.reduce((sum, execution) => sum + execution.cost, 0),
+        transactions: executions.length
+      };
+    }
+    return usage;
+  }
+
+  /**
+   * Decides whether an automatic hedge may be sent. `volume` and `cost` are floats in ETH,
+   * `riskMetrics` are the RiskAnalyzer components and `prices` the pool price from each
+   * source (null when a source has none). Sharp price disagreement and all-zero risk
+   * metrics pause the pool; spending limits only block hedges that would exceed them.
+   * An allowed hedge's spend is reserved before this returns; the caller must `commit` the
+   * reservation once the hedge is sent or `release` it if the hedge goes no further.
+   */
+  async check(poolId, { volume, cost, riskMetrics, prices }) {
+    const blocked = [];
+
+    if (this.killSwitch.engaged) {
+      blocked.push({ breaker: 'kill-switch', reason: this.killSwitch.reason });
+    }
+
+    if (riskMetrics && Object.values(riskMetrics).every(value => value === 0)) {
+      await this.trip(poolId, 'risk-fallback', 'Risk metrics fell back to zeros');
+    }
+
+    const [first, second] = Object.values(prices || {});
+    if (first > 0 && second > 0 && this.maxPriceDeviation > 0) {
+      const deviation = Math.round((Math.abs(first - second) / Math.min(first, second)) * 10000);
+      if (deviation > this.maxPriceDeviation) {
+        await this.trip(poolId, 'price-deviation',
+          `Price sources disagree by ${deviation} bps (limit ${this.maxPriceDeviation})`);
+      }
+    }
+
+    for (const trip of this.activeTrips(poolId)) {
+      blocked.push({ breaker: trip.breaker, reason: trip.reason, expiresAt: trip.expiresAt });
+    }
+
+    const usage = this.usage(poolId);
+    for (const [window, limits] of Object.entries(this.limits)) {
+      const next = {
+        volume: usage[window].volume + volume,
+        cost: usage[window].cost + cost,
+        transactions: usage[window].transactions + 1
+      };
+      for (const [measure, limit] of Object.entries(limits)) {
+        if (limit > 0 && next[measure] > limit) {
+          blocked.push({
+            breaker: `${window}-${measure}`,
+            reason: `Would bring ${measure} this ${window} to ${Number(next[measure].toFixed(6))} (limit ${limit})`
+          });
+        }
+      }
+    }
+
+    if (blocked.length > 0) {
+      return { allowed: false, blocked, reservation: null };
+    }
+
+    // Reserved in the same synchronous step as the limit check above, so evaluations that
+    // overlap while earlier hedges are still being simulated or sent count each other's spend
+    const now = Date.now();
+    const reservation = { poolId: String(poolId), volume, cost, timestamp: now };
+    this.executions = this.executions
+      .filter(execution => execution.timestamp > now - WINDOWS.day)
+      .concat(reservation);
+
+    return { allowed: true, blocked, reservation };
+  }
+
+  // Keeps a reservation once its hedge is sent, whether or not the transaction later succeeds
+  async commit(reservation) {
+    if (!reservation) return;
+    await this.save();
+  }
+
+  // Returns a reservation's spend when its hedge was not sent
+  release(reservation) {
+    if (!reservation) return;
+    this.executions = this.executions.filter(execution => execution !== reservation);
+  }
+
+  getStatus(poolId = null) {
+    const now = Date.now();
+    const poolIds = poolId !== null
+      ? [String(poolId)]
+      : Array.from(new Set([...Object.keys(this.trips), ...this.executions.map(execution => execution.poolId)]));
+
+    return {
+      killSwitch: this.killSwitch,
+      limits: this.limits,
+      maxPriceDeviation: this.maxPriceDeviation,
+      cooldownMinutes: this.cooldown / MINUTE,
+      pools: poolIds.map(id => {
+        const tripped = this.activeTrips(id, now);
+        return { poolId: id, paused: tripped.length > 0, tripped, usage: this.usage(id, now) };
+      })
+    };
+  }
+}
+
+const circuitBreakerService = new CircuitBreakerService();
+
+module.exports = { circuitBreakerService, CircuitBreakerService, PAUSE_BREAKERS };
@@ -0,0 +1,186 @@
+// Correlation of recorded price returns. Returns are log changes between hourly closes, the
+// same sampling VaR uses, and only consecutive hours form a return.
+
+const { resolveToken } = require('./tokenMetadata');
+
+const HOUR = 60 * 60 * 1000;
+
+const CORRELATION_METHODS = ['pearson', 'spearman'];
+
+// Fewer paired returns than this say nothing useful about co-movement
+const MIN_SAMPLES = 10;
+const MAX_WINDOW = 90 * 24; // Hourly returns in the 90 days of recorded prices
+
+const DEFAULT_OPTIONS = {
+  method: process.env.CORRELATION_METHOD || 'pearson',
+  window: parseInt(process.env.CORRELATION_WINDOW) || 7 * 24
+};
+
+// Prices are recorded against REFERENCE_TOKEN (WETH by default); returns are rebased onto a
+// stable token so the reference token has returns of its own. USDC is sampled with it already.
+let configuredNumeraire = null;
+
+// Resolves CORRELATION_NUMERAIRE; RiskAnalyzer.initialize calls it so a bad value fails startup
+const configureNumeraire = (env = process.env) => {
+  const resolved = resolveToken(env.CORRELATION_NUMERAIRE || env.USDC_ADDRESS || 'USDC');
+  if (!resolved) {
+    throw new Error(`Invalid CORRELATION_NUMERAIRE "${env.CORRELATION_NUMERAIRE}", expected a token symbol or address`);
+  }
+  configuredNumeraire = resolved;
+  return resolved;
+};
+
+const getNumeraire = () => configuredNumeraire || configureNumeraire();
+
+const pearsonCorrelation = (x, y) => {
+  const n = Math.min(x.length, y.length);
+  if (n < 2) return 0;
+
+  const xs = x.slice(-n);
+  const ys = y.slice(-n);
+  const meanX = xs.reduce((sum, value) => sum + value, 0) / n;
+  const meanY = ys.reduce((sum, value) => sum + value, 0) / n;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += Math.pow(xs[i] - meanX, 2);
+    varianceY += Math.pow(ys[i] - meanY, 2);
+  }
+
+  const denominator = Math.sqrt(varianceX * varianceY);
+  return denominator === 0 ? 0 : covariance / denominator;
+};
+
+// Ranks from 1, with tied values sharing the average of their ranks
+const ranks = (values) => {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) result[order[i].index] = rank;
+    start = end + 1;
+  }
+
+  return result;
+};
+
+// Pearson on ranks: picks up any monotonic co-movement and is not dominated by a few large moves
+const spearmanCorrelation = (x, y) => {
+  const n = Math.min(x.length, y.length);
+  return pearsonCorrelation(ranks(x.slice(-n)), ranks(y.slice(-n)));
+};
+
+// Correlation of two paired samples, or null when either side is flat or too short
+const correlate = (x, y, method = 'pearson') => {
+  if (x.length < MIN_SAMPLES || y.length < MIN_SAMPLES) return null;
+  const flat = (values) => values.every(value => value === values[0]);
+  if (flat(x) || flat(y)) return null;
+  return method === 'spearman' ? spearmanCorrelation(x, y) : pearsonCorrelation(x, y);
+};
+
+// Hourly log returns, keyed by hour index, from price points ({ timestamp, price })
+const hourlyReturns = (points) => {
+  const closes = new Map();
+  for (const point of points) {
+    const price = parseFloat(point.price);
+    if (price > 0) closes.set(Math.floor(point.timestamp / HOUR), price);
+  }
+
+  const returns = new Map();
+  for (const [hour, price] of closes) {
+    const previous = closes.get(hour - 1);
+    if (previous !== undefined) returns.set(hour, Math.log(price / previous));
+  }
+  return returns;
+};
+
+/**
+ * Hourly returns of `token` in numeraire units, from prices recorded in `reference` units.
+ * `pricesOf(token)` gives a token's recorded { timestamp, price } points. The reference token
+ * is priced at 1 throughout, so its return is the inverse of the numeraire's; the numeraire
+ * itself has none (null).
+ */
+const numeraireReturns = (token, pricesOf, { reference, numeraire = getNumeraire() }) => {
+  const address = token.toLowerCase();
+  if (numeraire === reference) {
+    return address === reference ? null : hourlyReturns(pricesOf(token));
+  }
+  if (address === numeraire) return null;
+
+  const base = hourlyReturns(pricesOf(numeraire));
+  if (address === reference) {
+    return new Map(Array.from(base, ([hour, value]) => [hour, -value]));
+  }
+
+  const returns = new Map();
+  for (const [hour, value] of hourlyReturns(pricesOf(token))) {
+    if (base.has(hour)) returns.set(hour, value - base.get(hour));
+  }
+  return returns;
+};
+
+// Returns of both series on the hours they share, oldest first
+const alignReturns = (a, b) => {
+  const hours = Array.from(a.keys()).filter(hour => b.has(hour)).sort((x, y) => x - y);
+  return {
+    hours,
+    x: hours.map(hour => a.get(hour)),
+    y: hours.map(hour => b.get(hour))
+  };
+};
+
+/**
+ * Correlation over each trailing window of `window` shared hourly returns. Windows that do not
+ * cover consecutive hours still count: a gap in the record drops those hours from both series.
+ */
+const rollingCorrelation = (a, b, { method = DEFAULT_OPTIONS.method, window = DEFAULT_OPTIONS.window } = {}) => {
+  const { hours, x, y } = alignReturns(a, b);
+  const points = [];
+
+  for (let end = window; end <= hours.length; end++) {
+    const correlation = correlate(x.slice(end - window, end), y.slice(end - window, end), method);
+    points.push({
+      timestamp: hours[end - 1] * HOUR,
+      correlation: correlation === null ? null : Number(correlation.toFixed(4))
+    });
+  }
+
+  return points;
+};
+
+// Validates correlation query parameters; throws with a message suitable for a 400
+const parseCorrelationOptions = (query = {}) => {
+  const method = (query.method || DEFAULT_OPTIONS.method).toLowerCase();
+  if (!CORRELATION_METHODS.includes(method)) {
+    throw new Error(`Method must be one of: ${CORRELATION_METHODS.join(', ')}`);
+  }
+
+  const window = query.window !== undefined ? parseInt(query.window) : DEFAULT_OPTIONS.window;
+  if (isNaN(window) || window < MIN_SAMPLES || window > MAX_WINDOW) {
+    throw new Error(`Window must be between ${MIN_SAMPLES} and ${MAX_WINDOW} hourly returns`);
+  }
+
+  return { method, window };
+};
+
+module.exports = {
+  HOUR,
+  CORRELATION_METHODS,
+  DEFAULT_OPTIONS,
+  configureNumeraire,
+  getNumeraire,
+  pearsonCorrelation,
+  spearmanCorrelation,
+  correlate,
+  hourlyReturns,
+  numeraireReturns,
+  alignReturns,
+  rollingCorrelation,
+  parseCorrelationOptions
+};
@@ -0,0 +1,160 @@
+const { historyStore } = require('./historyStore');
+const { hedgingService } = require('./hedgingService');
+const { getToken } = require('./tokenMetadata');
+const { VarService, REFERENCE_TOKEN } = require('./varService');
+const {
+  HOUR,
+  getNumeraire,
+  correlate,
+  numeraireReturns,
+  alignReturns,
+  rollingCorrelation
+} = require('./correlation');
+
+// Prices are kept for 90 days, so that is as far back as returns go
+const LOOKBACK = 90 * 24 * HOUR;
+
+// Each distinct pair's correlation, skipping the diagonal and pairs without one
+const pairCorrelations = (correlations) =>
+  correlations.flatMap((row, i) => row.filter((value, j) => j > i && value !== null));
+
+class CorrelationService {
+  constructor({ eulerVaultService } = {}) {
+    this.historyStore = historyStore;
+    this.hedgingService = hedgingService;
+    this.eulerVaultService = eulerVaultService;
+    // Exposures are built the way VaR builds them, so both see the same positions
+    this.varService = new VarService({ eulerVaultService });
+  }
+
+  // Hourly returns in numeraire units; null for the numeraire, which never moves against itself
+  tokenReturns(token, now = Date.now()) {
+    const pricesOf = address => this.historyStore.query('prices', address, { from: now - LOOKBACK, to: now });
+    return numeraireReturns(token, pricesOf, { reference: REFERENCE_TOKEN });
+  }
+
+  /**
+   * Hourly returns of a position. A 50/50 LP position's value moves with sqrt(g0 * g1), so its
+   * log return is the average of its tokens' log returns; a vault deposit moves with its asset.
+   */
+  exposureReturns(exposure, returnsOf) {
+    const series = exposure.tokens.map(returnsOf);
+    const moving = series.filter(Boolean);
+    if (moving.length === 0) return new Map();
+
+    const hours = Array.from(moving[0].keys()).filter(hour => moving.every(returns => returns.has(hour)));
+    return new Map(hours.map(hour => [
+      hour,
+      moving.reduce((sum, returns) => sum + returns.get(hour), 0) / exposure.tokens.length
+    ]));
+  }
+
+  // Pairwise correlations over each pair's last `window` shared hourly returns
+  matrix(seriesList, { method, window }) {
+    const n = seriesList.length;
+    const correlations = Array.from({ length: n }, () => new Array(n).fill(null));
+    const samples = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    for (let i = 0; i < n; i++) {
+      for (let j = i; j < n; j++) {
+        if (!seriesList[i] || !seriesList[j]) continue;
+
+        const { x, y } = alignReturns(seriesList[i], seriesList[j]);
+        const count = Math.min(x.length, window);
+        const correlation = correlate(x.slice(-window), y.slice(-window), method);
+        const value = correlation === null ? null : i === j ? 1 : Number(correlation.toFixed(4));
+
+        correlations[i][j] = correlations[j][i] = value;
+        samples[i][j] = samples[j][i] = count;
+      }
+    }
+
+    return { correlations, samples };
+  }
+
+  // Every registered pool and Euler vault, or only those a user holds
+  async getExposures(userAddress = null) {
+    if (userAddress) {
+      const poolIds = await this.hedgingService.getUserPools(userAddress);
+      const pools = await Promise.all(poolIds.map(poolId => this.varService.poolExposure(poolId, userAddress)));
+      const vaults = await this.varService.vaultExposures(userAddress);
+      return [...pools.filter(Boolean), ...vaults];
+    }
+
+    const pools = await this.hedgingService.getAllPools();
+    const poolExposures = await Promise.all(pools.map(pool => this.varService.poolExposure(pool.id)));
+
+    const assets = this.eulerVaultService
+      ? await this.eulerVaultService.getAllSupportedAssets().catch(() => [])
+      : [];
+    const vaultExposures = await Promise.all(assets.map(async (entry) => {
+      const asset = (entry.address || entry).toLowerCase();
+      const { symbol } = await getToken(asset, this.hedgingService.provider);
+      return { type: 'vault', asset, tokenSymbol: symbol, tokens: [asset], amount: null };
+    }));
+
+    return [...poolExposures.filter(Boolean), ...vaultExposures];
+  }
+
+  /**
+   * Correlation matrices of hourly returns across the tokens in registered pools and vaults
+   * (or a user's), and across the positions themselves, with the average pairwise position
+   * correlation as a diversification summary.
+   */
+  async getCorrelationMatrix(options, userAddress = null, now = Date.now()) {
+    const exposures = await this.getExposures(userAddress);
+    const tokens = Array.from(new Set(exposures.flatMap(exposure => exposure.tokens)));
+
+    const returns = new Map(tokens.map(token => [token, this.tokenReturns(token, now)]));
+    const returnsOf = token => returns.get(token);
+
+    const tokenMatrix = this.matrix(tokens.map(token => returns.get(token) || null), options);
+    const positionSeries = exposures.map(exposure => this.exposureReturns(exposure, returnsOf));
+    const positionMatrix = this.matrix(positionSeries.map(series => (series.size > 0 ? series : null)), options);
+
+    const pairs = pairCorrelations(positionMatrix.correlations);
+    const symbols = await Promise.all(tokens.map(token => getToken(token, this.hedgingService.provider)));
+
+    return {
+      user: userAddress,
+      method: options.method,
+      window: options.window,
+      interval: '1h',
+      numeraire: getNumeraire(),
+      source: pairs.length > 0 || pairCorrelations(tokenMatrix.correlations).length > 0 ? 'recorded' : 'insufficient-data',
+      tokens: tokens.map((address, index) => ({ address, symbol: symbols[index].symbol })),
+      correlations: tokenMatrix.correlations,
+      samples: tokenMatrix.samples,
+      positions: exposures.map(exposure => this.varService.describe(exposure)),
+      positionCorrelations: positionMatrix.correlations,
+      positionSamples: positionMatrix.samples,
+      diversification: {
+        pairs: pairs.length,
+        averageCorrelation: pairs.length > 0
+          ? Number((pairs.reduce((sum, value) => sum + value, 0) / pairs.length).toFixed(4))
+          : null
+      }
+    };
+  }
+
+  // Rolling correlation between two tokens' hourly returns over the recorded history
+  getRollingCorrelation(tokenA, tokenB, options, now = Date.now()) {
+    const a = this.tokenReturns(tokenA, now);
+    const b = this.tokenReturns(tokenB, now);
+    const points = a && b ? rollingCorrelation(a, b, options) : [];
+
+    return {
+      tokenA,
+      tokenB,
+      method: options.method,
+      window: options.window,
+      interval: '1h',
+      numeraire: getNumeraire(),
+      source: points.some(point => point.correlation !== null) ? 'recorded' : 'insufficient-data',
+      timestamps: points.map(point => point.timestamp),
+      correlations: points.map(point => point.correlation)
+    };
+  }
+}
+
+module.exports = { CorrelationService };
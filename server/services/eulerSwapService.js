@@ -1,5 +1,6 @@
 const { ethers } = require('ethers');
 const { EventEmitter } = require('events');
+const { transactionManager } = require('./transactionManager');
 
 class EulerSwapService extends EventEmitter {
   constructor() {
@@ -245,6 +246,24 @@ class EulerSwapService extends EventEmitter {
     }
   }
 
+  // Integration quote and reserve-derived price side by side, uncached, so they can be cross-checked
+  async getPriceSources(token0, token1) {
+    let contract = ethers.BigNumber.from(0);
+    if (this.contracts.eulerSwapIntegration) {
+      try {
+        contract = await this.contracts.eulerSwapIntegration.getPrice(token0, token1);
+      } catch (error) {
+        console.warn(`Contract price fetch failed for ${token0}/${token1}:`, error.message);
+      }
+    }
+    const pool = await this.calculatePriceFromPool(token0, token1);
+
+    return {
+      contract: contract.isZero() ? null : contract,
+      pool: pool.isZero() ? null : pool
+    };
+  }
+
   async calculatePriceFromPool(token0, token1) {
     try {
       const poolKey = this.getPoolKey(token0, token1);
@@ -527,7 +546,11 @@ class EulerSwapService extends EventEmitter {
         throw new Error('EulerSwap integration contract not available');
       }
 
-      const poolAddress = await this.contracts.eulerSwapIntegration.createPool(token0, token1);
+      // The pool address is a return value, which a sent transaction does not expose
+      await transactionManager.send(this.contracts.eulerSwapIntegration, 'createPool', [token0, token1], {
+        label: `Create EulerSwap pool ${token0}/${token1}`
+      });
+      const poolAddress = await this.contracts.eulerSwapIntegration.getPool(token0, token1);
       await this.registerPool(poolAddress);
       
       return poolAddress;
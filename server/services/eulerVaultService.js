@@ -1,5 +1,6 @@
 const { EventEmitter } = require('events');
 const { ethers } = require('ethers');
+const { historyStore } = require('./historyStore');
 
 class EulerVaultService extends EventEmitter {
   constructor() {
@@ -11,6 +12,7 @@ class EulerVaultService extends EventEmitter {
     this.cacheTimeout = 30000; // 30 seconds
     this.supportedAssets = new Map();
     this.activeVaults = new Map();
+    this.historyStore = historyStore;
   }
 
   async initialize() {
@@ -22,6 +24,7 @@ class EulerVaultService extends EventEmitter {
         process.env.RPC_URL || 'http://localhost:8545'
       );
 
+      await this.historyStore.initialize();
       await this.initializeContracts();
       await this.loadSupportedAssets();
       await this.loadActiveVaults();
@@ -131,6 +134,8 @@ class EulerVaultService extends EventEmitter {
           lastUpdate: Date.now()
         });
 
+        await this.recordVaultMetrics(assetAddress, vaultInfo);
+
         this.emit('vaultUpdated', assetAddress, vaultInfo);
       } catch (error) {
         console.error(`Error updating vault metrics for ${assetAddress}:`, error);
@@ -138,6 +143,41 @@ class EulerVaultService extends EventEmitter {
     }
   }
 
+  async recordVaultMetrics(assetAddress, vaultInfo) {
+    try {
+      const [apy, utilization] = await Promise.all([
+        this.getVaultAPY(assetAddress),
+        this.getVaultUtilization(assetAddress)
+      ]);
+
+      await this.historyStore.record('vault-metrics', assetAddress, {
+        tvl: vaultInfo.totalDeposited.toString(),
+        totalShares: vaultInfo.totalShares.toString(),
+        apy,
+        utilization,
+        isActive: vaultInfo.isActive
+      });
+    } catch (error) {
+      console.warn(`Failed to record vault metrics for ${assetAddress}:`, error.message);
+    }
+  }
+
+  getVaultHistory(assetAddress, timeframe = '7d') {
+    const history = this.historyStore.bucketize('vault-metrics', assetAddress, timeframe);
+
+    return {
+      source: history.source,
+      interval: history.interval,
+      points: history.points.map(point => ({
+        timestamp: point.timestamp,
+        tvl: point.tvl,
+        apy: point.apy,
+        utilization: point.utilization,
+        samples: point.samples
+      }))
+    };
+  }
+
   async getVaultInfo(assetAddress) {
     const cacheKey = `vault_info_${assetAddress.toLowerCase()}`;
     const cached = this.cache.get(cacheKey);
@@ -308,7 +348,8 @@ class EulerVaultService extends EventEmitter {
     return {
       size: this.cache.size,
       supportedAssets: this.supportedAssets.size,
-      activeVaults: this.activeVaults.size
+      activeVaults: this.activeVaults.size,
+      history: this.historyStore.getStats()
     };
   }
 }
@@ -1,5 +1,7 @@
 const { EventEmitter } = require('events');
 const { ethers } = require('ethers');
+const { historyStore } = require('./historyStore');
+const { eventIndexer } = require('./eventIndexer');
 
 class EVCService extends EventEmitter {
   constructor() {
@@ -11,6 +13,7 @@ class EVCService extends EventEmitter {
     this.cacheTimeout = 30000; // 30 seconds
     this.crossVaultPositions = new Map();
     this.liquidityBridges = new Map();
+    this.historyStore = historyStore;
   }
 
   async initialize() {
@@ -22,6 +25,8 @@ class EVCService extends EventEmitter {
         process.env.RPC_URL || 'http://localhost:8545'
       );
 
+      await this.historyStore.initialize();
+      await eventIndexer.initialize();
       await this.initializeContracts();
       await this.loadCrossVaultPositions();
       await this.loadLiquidityBridges();
@@ -71,11 +76,16 @@ class EVCService extends EventEmitter {
 
   async loadCrossVaultPositions() {
     try {
-      // In a real implementation, this would query the blockchain for all positions
-      // For now, we'll use mock data structure
+      // Positions are rebuilt from indexed EVCIntegration events
       this.crossVaultPositions.clear();
+
+      const events = eventIndexer.getEvents({
+        contract: 'evcIntegration',
+        events: ['CrossVaultPositionCreated', 'CrossVaultPositionClosed']
+      });
+      events.forEach(event => this.applyIndexedEvent(event));
       
-      console.log('Cross-vault positions loaded');
+      console.log(`Loaded ${this.crossVaultPositions.size} cross-vault positions`);
     } catch (error) {
       console.error('Error loading cross-vault positions:', error);
     }
@@ -85,17 +95,12 @@ class EVCService extends EventEmitter {
     try {
       // Load active liquidity bridges
       this.liquidityBridges.clear();
-      
-      // Mock data for demonstration
-      this.liquidityBridges.set('bridge_1', {
-        id: 'bridge_1',
-        sourceVault: '0x1234567890123456789012345678901234567890',
-        targetPool: '0x0987654321098765432109876543210987654321',
-        bridgedAmount: '1000000000000000000', // 1 ETH
-        shares: '1000000000000000000',
-        isActive: true,
-        createdAt: Date.now()
+
+      const events = eventIndexer.getEvents({
+        contract: 'evcIntegration',
+        events: ['LiquidityBridgeCreated', 'LiquidityBridgeRemoved']
       });
+      events.forEach(event => this.applyIndexedEvent(event));
       
       console.log(`Loaded ${this.liquidityBridges.size} liquidity bridges`);
     } catch (error) {
@@ -103,7 +108,73 @@ class EVCService extends EventEmitter {
     }
   }
 
+  applyIndexedEvent(event) {
+    const { args } = event;
+
+    switch (event.event) {
+      case 'CrossVaultPositionCreated':
+        this.crossVaultPositions.set(args.positionId, {
+          id: Number(args.positionId),
+          user: event.user,
+          vault: args.vault,
+          collateralVault: args.collateralVault,
+          collateralAmount: args.collateralAmount,
+          borrowAmount: args.borrowAmount,
+          isActive: true,
+          createdAt: event.timestamp,
+          lastUpdateTime: event.timestamp
+        });
+        this.cache.delete(`cross_vault_positions_${event.user}`);
+        break;
+
+      case 'CrossVaultPositionClosed': {
+        const position = this.crossVaultPositions.get(args.positionId);
+        if (position) {
+          position.isActive = false;
+          position.lastUpdateTime = event.timestamp;
+        }
+        this.cache.delete(`cross_vault_positions_${event.user}`);
+        break;
+      }
+
+      case 'LiquidityBridgeCreated': {
+        const id = `${event.vault}-${args.pool.toLowerCase()}`;
+        const existing = this.liquidityBridges.get(id);
+        const bridgedAmount = (existing && existing.isActive ? BigInt(existing.bridgedAmount) : 0n) + BigInt(args.amount);
+
+        this.liquidityBridges.set(id, {
+          id,
+          sourceVault: args.vault,
+          targetPool: args.pool,
+          bridgedAmount: bridgedAmount.toString(),
+          isActive: true,
+          createdAt: existing && existing.isActive ? existing.createdAt : event.timestamp
+        });
+        break;
+      }
+
+      case 'LiquidityBridgeRemoved': {
+        const bridge = this.liquidityBridges.get(`${event.vault}-${args.pool.toLowerCase()}`);
+        if (bridge) {
+          const remaining = BigInt(bridge.bridgedAmount) - BigInt(args.amount);
+          bridge.bridgedAmount = (remaining > 0n ? remaining : 0n).toString();
+          bridge.isActive = remaining > 0n;
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
   startMonitoring() {
+    eventIndexer.on('indexed-event', (event) => {
+      if (event.contract === 'evcIntegration') {
+        this.applyIndexedEvent(event);
+      }
+    });
+
     // Monitor EVC events every 30 seconds
     setInterval(async () => {
       try {
@@ -116,13 +187,95 @@ class EVCService extends EventEmitter {
 
   async updateCrossVaultMetrics() {
     try {
+      await this.recordPositionHealth();
+
       // Update cross-vault position metrics
-      this.emit('metricsUpdated');
+      const snapshot = this.calculateCrossVaultSnapshot();
+      await this.historyStore.record('cross-vault-metrics', 'protocol', snapshot);
+
+      this.emit('metricsUpdated', snapshot);
     } catch (error) {
       console.error('Error updating cross-vault metrics:', error);
     }
   }
 
+  async recordPositionHealth() {
+    const active = Array.from(this.crossVaultPositions.values()).filter(position => position.isActive);
+
+    for (const position of active) {
+      try {
+        // Query directly so a failed call is skipped instead of recorded as zero health
+        const health = await this.queryPositionHealth(position.user, position.id);
+        const previousHealthFactor = position.healthFactor;
+        position.healthFactor = health.healthFactor;
+        await this.historyStore.record('position-health', position.id, {
+          healthFactor: health.healthFactor,
+          isHealthy: health.isHealthy
+        });
+
+        if (previousHealthFactor !== health.healthFactor) {
+          this.emit('positionHealthChanged', {
+            positionId: position.id,
+            user: position.user,
+            healthFactor: health.healthFactor,
+            previousHealthFactor: previousHealthFactor || null,
+            isHealthy: health.isHealthy
+          });
+        }
+      } catch (error) {
+        console.error(`Error recording health for position ${position.id}:`, error);
+      }
+    }
+  }
+
+  getPositionHealthHistory(positionId, options = {}) {
+    return this.historyStore.query('position-health', positionId, options);
+  }
+
+  calculateCrossVaultSnapshot() {
+    const active = Array.from(this.crossVaultPositions.values()).filter(position => position.isActive);
+
+    let totalCollateral = 0n;
+    let totalBorrowed = 0n;
+    let healthFactorSum = 0;
+    let healthFactorCount = 0;
+
+    for (const position of active) {
+      totalCollateral += BigInt(position.collateralAmount || 0);
+      totalBorrowed += BigInt(position.borrowAmount || 0);
+      if (position.healthFactor !== undefined) {
+        healthFactorSum += Number(position.healthFactor) / 10000;
+        healthFactorCount++;
+      }
+    }
+
+    return {
+      totalValueLocked: ethers.formatEther(totalCollateral),
+      totalPositions: active.length,
+      averageHealthFactor: healthFactorCount > 0 ? (healthFactorSum / healthFactorCount).toFixed(2) : null,
+      utilizationRate: totalCollateral > 0n
+        ? (Number((totalBorrowed * 10000n) / totalCollateral) / 10000).toFixed(2)
+        : '0.00'
+    };
+  }
+
+  getCrossVaultHistory(timeframe = '7d') {
+    const history = this.historyStore.bucketize('cross-vault-metrics', 'protocol', timeframe);
+
+    return {
+      source: history.source,
+      interval: history.interval,
+      points: history.points.map(point => ({
+        timestamp: point.timestamp,
+        totalValueLocked: point.totalValueLocked,
+        totalPositions: point.totalPositions,
+        averageHealthFactor: point.averageHealthFactor,
+        utilizationRate: point.utilizationRate,
+        samples: point.samples
+      }))
+    };
+  }
+
   async getUserCrossVaultPositions(userAddress) {
     const cacheKey = `cross_vault_positions_${userAddress.toLowerCase()}`;
     const cached = this.cache.get(cacheKey);
@@ -132,33 +285,35 @@ class EVCService extends EventEmitter {
     }
 
     try {
-      // Mock data for demonstration - in reality would query from contract
-      const mockPositions = [
-        {
-          id: 1,
-          vault: '0x1234567890123456789012345678901234567890',
-          collateralVault: '0x0987654321098765432109876543210987654321',
-          collateralAmount: '2000000000000000000', // 2 ETH
-          borrowAmount: '1000000000000000000', // 1 ETH
-          poolId: 1,
-          isActive: true,
-          lastUpdateTime: Date.now(),
-          healthFactor: '15000' // 1.5 in basis points
-        }
-      ];
+      const user = userAddress.toLowerCase();
+      const positions = Array.from(this.crossVaultPositions.values())
+        .filter(position => position.user === user);
 
       this.cache.set(cacheKey, {
-        data: mockPositions,
+        data: positions,
         timestamp: Date.now()
       });
 
-      return mockPositions;
+      return positions;
     } catch (error) {
       console.error('Error getting user cross-vault positions:', error);
       return [];
     }
   }
 
+  async queryPositionHealth(userAddress, positionId) {
+    const healthFactor = await this.evcIntegration.getPositionHealth(userAddress, positionId);
+    const position = this.crossVaultPositions.get(String(positionId));
+
+    return {
+      healthFactor: healthFactor.toString(),
+      collateralValue: position ? position.collateralAmount : '0',
+      borrowValue: position ? position.borrowAmount : '0',
+      liquidationThreshold: '10000', // 1.0 in basis points
+      isHealthy: healthFactor >= 10000n
+    };
+  }
+
   async getPositionHealth(userAddress, positionId) {
     const cacheKey = `position_health_${userAddress.toLowerCase()}_${positionId}`;
     const cached = this.cache.get(cacheKey);
@@ -168,14 +323,7 @@ class EVCService extends EventEmitter {
     }
 
     try {
-      // Mock health calculation - in reality would query from contract
-      const healthData = {
-        healthFactor: '15000', // 1.5 in basis points
-        collateralValue: '2000000000000000000',
-        borrowValue: '1000000000000000000',
-        liquidationThreshold: '10000', // 1.0 in basis points
-        isHealthy: true
-      };
+      const healthData = await this.queryPositionHealth(userAddress, positionId);
 
       this.cache.set(cacheKey, {
         data: healthData,
@@ -309,6 +457,7 @@ class EVCService extends EventEmitter {
     }
   }
 
+  // Current figures come from the tracked positions; nothing is filled in when they are missing
   async getCrossVaultAnalytics(timeframe = '7d') {
     const cacheKey = `cross_vault_analytics_${timeframe}`;
     const cached = this.cache.get(cacheKey);
@@ -318,22 +467,22 @@ class EVCService extends EventEmitter {
     }
 
     try {
-      // Generate mock analytics data
+      const history = this.getCrossVaultHistory(timeframe);
+      const snapshot = this.calculateCrossVaultSnapshot();
+      const hasPositions = snapshot.totalPositions > 0;
+
       const analytics = {
-        totalPositions: this.crossVaultPositions.size || 1,
-        totalValueLocked: '5000000000000000000', // 5 ETH
-        averageHealthFactor: '15000',
-        liquidationRate: '0.05',
-        utilizationRate: '0.65',
-        historical: this.generateHistoricalData(timeframe),
-        topVaults: [
-          {
-            vault: '0x1234567890123456789012345678901234567890',
-            tvl: '2000000000000000000',
-            positions: 5,
-            apy: '5.25'
-          }
-        ]
+        totalPositions: snapshot.totalPositions,
+        totalValueLocked: hasPositions ? snapshot.totalValueLocked : null,
+        averageHealthFactor: snapshot.averageHealthFactor,
+        // Liquidations are not indexed, so there is no rate to report
+        liquidationRate: null,
+        utilizationRate: hasPositions ? snapshot.utilizationRate : null,
+        current: hasPositions ? 'recorded' : 'insufficient-data',
+        historical: history.points,
+        source: history.source,
+        interval: history.interval,
+        topVaults: this.getTopVaults()
       };
 
       this.cache.set(cacheKey, {
@@ -346,16 +495,42 @@ class EVCService extends EventEmitter {
       console.error('Error getting cross-vault analytics:', error);
       return {
         totalPositions: 0,
-        totalValueLocked: '0',
-        averageHealthFactor: '0',
-        liquidationRate: '0',
-        utilizationRate: '0',
+        totalValueLocked: null,
+        averageHealthFactor: null,
+        liquidationRate: null,
+        utilizationRate: null,
+        current: 'insufficient-data',
         historical: [],
+        source: 'insufficient-data',
         topVaults: []
       };
     }
   }
 
+  // Collateral vaults ranked by the collateral active positions hold in them
+  getTopVaults(limit = 5) {
+    const vaults = new Map();
+
+    for (const position of this.crossVaultPositions.values()) {
+      if (!position.isActive) continue;
+
+      const vault = position.collateralVault.toLowerCase();
+      const entry = vaults.get(vault) || { vault, collateral: 0n, positions: 0 };
+      entry.collateral += BigInt(position.collateralAmount || 0);
+      entry.positions++;
+      vaults.set(vault, entry);
+    }
+
+    return Array.from(vaults.values())
+      .sort((a, b) => (b.collateral > a.collateral ? 1 : b.collateral < a.collateral ? -1 : 0))
+      .slice(0, limit)
+      .map(({ vault, collateral, positions }) => ({
+        vault,
+        tvl: ethers.formatEther(collateral),
+        positions
+      }));
+  }
+
   async getLiquidationOpportunities() {
     try {
       // Mock liquidation opportunities
@@ -375,33 +550,6 @@ class EVCService extends EventEmitter {
     }
   }
 
-  generateHistoricalData(timeframe) {
-    const periods = {
-      '24h': { points: 24, interval: 'hour' },
-      '7d': { points: 7, interval: 'day' },
-      '30d': { points: 30, interval: 'day' },
-      '90d': { points: 90, interval: 'day' }
-    };
-
-    const config = periods[timeframe] || periods['7d'];
-    const data = [];
-    const now = Date.now();
-
-    for (let i = config.points - 1; i >= 0; i--) {
-      const timestamp = now - (i * (config.interval === 'hour' ? 3600000 : 86400000));
-      
-      data.push({
-        timestamp,
-        totalValueLocked: (5 + Math.random() * 2).toFixed(4), // 5-7 ETH
-        totalPositions: Math.floor(1 + Math.random() * 5),
-        averageHealthFactor: (1.3 + Math.random() * 0.4).toFixed(2), // 1.3-1.7
-        utilizationRate: (0.6 + Math.random() * 0.2).toFixed(2) // 60-80%
-      });
-    }
-
-    return data;
-  }
-
   clearCache() {
     this.cache.clear();
   }
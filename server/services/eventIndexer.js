@@ -0,0 +1,365 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { EventEmitter } = require('events');
+const { FileBackend, MemoryBackend } = require('./historyStore');
+
+// Events indexed per contract. Field names here become the keys of each stored event's args.
+const EVENT_ABIS = {
+  wedgedPool: [
+    'event PoolCreated(uint256 indexed poolId, address token0, address token1)',
+    'event Deposit(uint256 indexed poolId, address indexed user, uint256 amount)',
+    'event Withdrawal(uint256 indexed poolId, address indexed user, uint256 amount)',
+    'event HedgingExecuted(uint256 indexed poolId, uint256 amount, uint256 cost)',
+    'event RewardsDistributed(uint256 indexed poolId, uint256 totalRewards)'
+  ],
+  hedgingManager: [
+    'event HedgePositionCreated(uint256 indexed positionId, uint256 indexed poolId, uint256 amount)',
+    'event HedgeExecuted(uint256 indexed positionId, uint256 hedgedAmount, uint256 cost)',
+    'event HedgePositionClosed(uint256 indexed positionId, uint256 pnl)',
+    'event StrategyCreated(uint256 indexed strategyId, string name, uint256 riskThreshold)',
+    'event StrategyUpdated(uint256 indexed strategyId, uint256 riskThreshold, uint256 hedgeRatio)'
+  ],
+  vaultManager: [
+    'event DepositMade(address indexed user, address indexed asset, uint256 amount, uint256 shares)',
+    'event WithdrawalMade(address indexed user, address indexed asset, uint256 amount, uint256 shares)'
+  ],
+  evcIntegration: [
+    'event CrossVaultPositionCreated(address indexed user, uint256 indexed positionId, address vault, address collateralVault, uint256 collateralAmount, uint256 borrowAmount)',
+    'event CrossVaultPositionClosed(address indexed user, uint256 indexed positionId, uint256 collateralReturned, uint256 borrowRepaid)',
+    'event LiquidityBridgeCreated(address indexed vault, address indexed pool, uint256 amount)',
+    'event LiquidityBridgeRemoved(address indexed vault, address indexed pool, uint256 amount)'
+  ]
+};
+
+// Events whose meaning depends on which function emitted them; the calling
+// transaction's selector is stored with these (emergencyWithdraw also emits Withdrawal)
+const SELECTOR_EVENTS = {
+  wedgedPool: ['Withdrawal']
+};
+
+// Args that are lifted onto the event so queries can filter without knowing each event's shape
+const INDEXED_FIELDS = ['user', 'poolId', 'asset', 'positionId', 'vault'];
+
+class EventIndexer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.provider = null;
+    this.sources = [];
+    this.events = [];
+    this.eventIds = new Set();
+    this.cursor = null;
+    this.backendName = options.backend || process.env.INDEXER_BACKEND || 'file';
+    this.directory = options.directory || process.env.INDEXER_DIR || path.join(__dirname, '..', 'data', 'indexer');
+    this.startBlock = parseInt(process.env.INDEXER_START_BLOCK) || 0;
+    this.confirmations = parseInt(process.env.INDEXER_CONFIRMATIONS) || 12;
+    this.batchSize = parseInt(process.env.INDEXER_BATCH_SIZE) || 2000;
+    this.pollInterval = parseInt(process.env.INDEXER_POLL_INTERVAL) || 15000;
+    this.backend = null;
+    this.pollTimer = null;
+    this.syncing = false;
+    this.caughtUp = false;
+    this.lastError = null;
+    this.initializing = null;
+    this.isInitialized = false;
+  }
+
+  initialize() {
+    // Services initialize the indexer independently, so it only starts once
+    if (!this.initializing) {
+      this.initializing = this.load();
+    }
+    return this.initializing;
+  }
+
+  async load() {
+    try {
+      const rpcUrl = process.env.RPC_URL || 'http://localhost:8545';
+      this.provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+
+      this.initializeSources();
+
+      this.backend = this.backendName === 'memory'
+        ? new MemoryBackend()
+        : new FileBackend(this.directory);
+
+      const records = await this.backend.load();
+      for (const { series, ...event } of records) {
+        if (series === 'events') this.insertEvent(event);
+      }
+
+      this.cursor = await this.loadCursor();
+
+      this.startPolling();
+
+      this.isInitialized = true;
+      console.log(`EventIndexer initialized with ${this.events.length} events, resuming after block ${this.cursor.blockNumber}`);
+    } catch (error) {
+      console.error('Failed to initialize EventIndexer:', error);
+      this.initializing = null;
+      throw error;
+    }
+  }
+
+  initializeSources() {
+    const contractAddresses = {
+      wedgedPool: process.env.WEDGED_POOL_ADDRESS,
+      hedgingManager: process.env.HEDGING_MANAGER_ADDRESS,
+      vaultManager: process.env.VAULT_MANAGER_ADDRESS,
+      evcIntegration: process.env.EVC_INTEGRATION_ADDRESS
+    };
+
+    this.sources = [];
+    for (const [name, address] of Object.entries(contractAddresses)) {
+      if (address && EVENT_ABIS[name]) {
+        this.sources.push({
+          name,
+          address,
+          iface: new ethers.utils.Interface(EVENT_ABIS[name])
+        });
+      }
+    }
+  }
+
+  cursorPath() {
+    return path.join(this.directory, 'cursor.json');
+  }
+
+  async loadCursor() {
+    const initial = { blockNumber: this.startBlock - 1, blockHash: null };
+    if (this.backendName === 'memory') return initial;
+
+    try {
+      const cursor = JSON.parse(await fs.promises.readFile(this.cursorPath(), 'utf8'));
+      // A start block moved past the saved cursor means the operator wants to skip ahead
+      return cursor.blockNumber >= initial.blockNumber ? cursor : initial;
+    } catch (error) {
+      return initial;
+    }
+  }
+
+  async saveCursor() {
+    if (this.backendName === 'memory') return;
+
+    const target = this.cursorPath();
+    const temp = `${target}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(this.cursor));
+    await fs.promises.rename(temp, target);
+  }
+
+  startPolling() {
+    if (this.pollTimer || this.sources.length === 0) return;
+
+    const poll = async () => {
+      try {
+        await this.sync();
+        this.lastError = null;
+      } catch (error) {
+        this.lastError = error.message;
+        console.error('Error syncing event indexer:', error.message);
+      }
+    };
+
+    poll();
+    this.pollTimer = setInterval(poll, this.pollInterval);
+  }
+
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  async sync() {
+    if (this.syncing) return;
+    this.syncing = true;
+
+    try {
+      const head = await this.provider.getBlockNumber();
+      const target = head - this.confirmations;
+
+      await this.checkReorg();
+
+      while (this.cursor.blockNumber < target) {
+        const fromBlock = this.cursor.blockNumber + 1;
+        const toBlock = Math.min(fromBlock + this.batchSize - 1, target);
+        await this.indexRange(fromBlock, toBlock);
+      }
+
+      if (!this.caughtUp) {
+        this.caughtUp = true;
+        this.emit('caught-up', { blockNumber: this.cursor.blockNumber });
+      }
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  async checkReorg() {
+    if (!this.cursor.blockHash) return;
+
+    const block = await this.provider.getBlock(this.cursor.blockNumber);
+    if (block && block.hash === this.cursor.blockHash) return;
+
+    // The block we stopped at is no longer canonical; drop everything inside the confirmation window
+    const rewindTo = Math.max(this.startBlock - 1, this.cursor.blockNumber - this.confirmations);
+    const removed = this.events.filter(event => event.blockNumber > rewindTo);
+
+    this.events = this.events.filter(event => event.blockNumber <= rewindTo);
+    this.eventIds = new Set(this.events.map(event => event.id));
+    await this.backend.rewrite('events', this.events);
+
+    const rewindBlock = rewindTo >= 0 ? await this.provider.getBlock(rewindTo) : null;
+    this.cursor = { blockNumber: rewindTo, blockHash: rewindBlock ? rewindBlock.hash : null };
+    await this.saveCursor();
+
+    console.warn(`Reorg detected, rewound indexer to block ${rewindTo} (${removed.length} events removed)`);
+    this.emit('reorg', { rewindTo, removed });
+  }
+
+  async indexRange(fromBlock, toBlock) {
+    const decoded = [];
+
+    for (const source of this.sources) {
+      const logs = await this.provider.getLogs({ address: source.address, fromBlock, toBlock });
+
+      for (const log of logs) {
+        const event = this.decodeLog(source, log);
+        if (event) decoded.push(event);
+      }
+    }
+
+    decoded.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    const blockTimestamps = new Map();
+    const selectors = new Map();
+    for (const event of decoded) {
+      if (this.eventIds.has(event.id)) continue;
+
+      if (!blockTimestamps.has(event.blockNumber)) {
+        const block = await this.provider.getBlock(event.blockNumber);
+        blockTimestamps.set(event.blockNumber, block.timestamp * 1000);
+      }
+      event.timestamp = blockTimestamps.get(event.blockNumber);
+
+      if ((SELECTOR_EVENTS[event.contract] || []).includes(event.event)) {
+        if (!selectors.has(event.transactionHash)) {
+          const transaction = await this.provider.getTransaction(event.transactionHash);
+          selectors.set(event.transactionHash, transaction ? transaction.data.slice(0, 10) : null);
+        }
+        event.selector = selectors.get(event.transactionHash);
+      }
+
+      this.insertEvent(event);
+      await this.backend.append('events', event);
+
+      this.emit('indexed-event', { ...event, live: this.caughtUp });
+    }
+
+    const lastBlock = await this.provider.getBlock(toBlock);
+    this.cursor = { blockNumber: toBlock, blockHash: lastBlock ? lastBlock.hash : null };
+    await this.saveCursor();
+  }
+
+  decodeLog(source, log) {
+    let parsed;
+    try {
+      parsed = source.iface.parseLog(log);
+    } catch (error) {
+      // Logs for events we do not index
+      return null;
+    }
+
+    const args = {};
+    parsed.eventFragment.inputs.forEach((input, index) => {
+      const value = parsed.args[index];
+      args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+    });
+
+    const event = {
+      id: `${log.transactionHash}-${log.logIndex}`,
+      contract: source.name,
+      address: source.address,
+      event: parsed.name,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+      args
+    };
+
+    for (const field of INDEXED_FIELDS) {
+      if (args[field] !== undefined) {
+        event[field] = typeof args[field] === 'string' && args[field].startsWith('0x')
+          ? args[field].toLowerCase()
+          : args[field];
+      }
+    }
+
+    return event;
+  }
+
+  insertEvent(event) {
+    if (this.eventIds.has(event.id)) return;
+    this.eventIds.add(event.id);
+    this.events.push(event);
+  }
+
+  getEvents(filters = {}) {
+    const {
+      contract,
+      events,
+      user,
+      poolId,
+      asset,
+      positionId,
+      vault,
+      fromBlock,
+      toBlock,
+      from,
+      to
+    } = filters;
+
+    const eventNames = events ? [].concat(events) : null;
+
+    return this.events.filter(event =>
+      (!contract || event.contract === contract) &&
+      (!eventNames || eventNames.includes(event.event)) &&
+      (!user || event.user === user.toLowerCase()) &&
+      (poolId === undefined || event.poolId === String(poolId)) &&
+      (!asset || event.asset === asset.toLowerCase()) &&
+      (positionId === undefined || event.positionId === String(positionId)) &&
+      (!vault || event.vault === vault.toLowerCase()) &&
+      (fromBlock === undefined || event.blockNumber >= fromBlock) &&
+      (toBlock === undefined || event.blockNumber <= toBlock) &&
+      (from === undefined || event.timestamp >= from) &&
+      (to === undefined || event.timestamp <= to)
+    );
+  }
+
+  getStatus() {
+    return {
+      initialized: this.isInitialized,
+      caughtUp: this.caughtUp,
+      syncing: this.syncing,
+      cursor: this.cursor,
+      startBlock: this.startBlock,
+      confirmations: this.confirmations,
+      contracts: this.sources.map(source => ({ name: source.name, address: source.address })),
+      totalEvents: this.events.length,
+      lastError: this.lastError
+    };
+  }
+
+  async close() {
+    this.stopPolling();
+    if (this.backend) {
+      await this.backend.close();
+    }
+  }
+}
+
+const eventIndexer = new EventIndexer();
+
+module.exports = { eventIndexer, EventIndexer, EVENT_ABIS };
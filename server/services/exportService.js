@@ -0,0 +1,312 @@
+const { ethers } = require('ethers');
+const { hedgingService } = require('./hedgingService');
+const { eventIndexer } = require('./eventIndexer');
+const { getToken } = require('./tokenMetadata');
+
+// Column order for each section; CSV headers and JSON keys use the same names
+const EXPORT_SECTIONS = {
+  pools: [
+    'poolId', 'token', 'tokenSymbol', 'totalDeposited', 'totalWithdrawn', 'currentDeposit',
+    'pendingRewards', 'realizedPnl', 'unrealizedPnl', 'firstActivityAt', 'lastActivityAt'
+  ],
+  vaults: [
+    'asset', 'tokenSymbol', 'shares', 'costBasis', 'accruedYield', 'totalDeposited',
+    'totalWithdrawn', 'realizedPnl', 'unrealizedPnl', 'firstActivityAt', 'lastActivityAt'
+  ],
+  'cross-vault': [
+    'positionId', 'vault', 'collateralVault', 'status', 'collateralAmount', 'borrowAmount',
+    'collateralReturned', 'borrowRepaid', 'latestHealthFactor', 'minHealthFactor',
+    'realizedPnl', 'unrealizedPnl', 'openedAt', 'closedAt'
+  ],
+  'position-health': ['positionId', 'timestamp', 'healthFactor', 'isHealthy'],
+  'hedging-positions': [
+    'positionId', 'poolId', 'token', 'tokenSymbol', 'status', 'originalAmount', 'hedgedAmount',
+    'quoteToken', 'quoteSymbol', 'totalCost', 'realizedPnl', 'unrealizedPnl', 'openedAt', 'closedAt'
+  ],
+  'hedging-analytics': [
+    'generatedAt', 'totalPositions', 'activePositions', 'totalHedgedValue', 'averageHedgeRatio'
+  ]
+};
+
+const toUTC = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+const sum = (values) => values.reduce((total, value) => total.add(value), ethers.BigNumber.from(0));
+
+const escapeCSV = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class ExportService {
+  constructor({ eulerVaultService, evcService } = {}) {
+    this.hedgingService = hedgingService;
+    this.eulerVaultService = eulerVaultService;
+    this.evcService = evcService;
+  }
+
+  getToken(address) {
+    return getToken(address, this.hedgingService.provider);
+  }
+
+  // HedgingService keeps amounts as 18-decimal strings; rescale them to the pool token
+  rescaleEther(value, decimals) {
+    if (value === undefined || value === null) return null;
+    return ethers.utils.formatUnits(ethers.utils.parseEther(value), decimals);
+  }
+
+  // Same rescaling for figures already computed as floats; toLocaleString never uses exponents
+  rescaleNumber(value, decimals) {
+    if (value === undefined || value === null) return null;
+    return (value * Math.pow(10, 18 - decimals))
+      .toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: decimals });
+  }
+
+  async buildPoolRows(userAddress) {
+    const events = eventIndexer.getEvents({
+      contract: 'wedgedPool',
+      events: ['Deposit', 'Withdrawal'],
+      user: userAddress
+    });
+
+    const currentPools = await this.hedgingService.getUserPools(userAddress);
+    const poolIds = new Set([...currentPools, ...events.map(event => Number(event.poolId))]);
+
+    const rows = [];
+    for (const poolId of Array.from(poolIds).sort((a, b) => a - b)) {
+      const poolEvents = events.filter(event => Number(event.poolId) === poolId);
+      const [pool, currentDeposit, pendingRewards] = await Promise.all([
+        this.hedgingService.getPoolInfo(poolId),
+        this.hedgingService.getUserDeposit(poolId, userAddress),
+        this.hedgingService.getUserRewards(poolId, userAddress)
+      ]);
+      const token = await this.getToken(pool && pool.token0);
+
+      const deposited = sum(poolEvents.filter(e => e.event === 'Deposit').map(e => e.args.amount));
+      const withdrawn = sum(poolEvents.filter(e => e.event === 'Withdrawal').map(e => e.args.amount));
+
+      // Withdrawal amounts include paid-out rewards; principal withdrawn is what left the deposit balance
+      const principalWithdrawn = deposited.sub(currentDeposit);
+      const realized = withdrawn.sub(principalWithdrawn);
+
+      rows.push({
+        poolId,
+        token: pool ? pool.token0 : null,
+        tokenSymbol: token.symbol,
+        totalDeposited: ethers.utils.formatUnits(deposited, token.decimals),
+        totalWithdrawn: ethers.utils.formatUnits(withdrawn, token.decimals),
+        currentDeposit: ethers.utils.formatUnits(currentDeposit, token.decimals),
+        pendingRewards: ethers.utils.formatUnits(pendingRewards, token.decimals),
+        realizedPnl: ethers.utils.formatUnits(realized, token.decimals),
+        // Deposits are carried at face value; rewards not yet claimed are in pendingRewards
+        unrealizedPnl: null,
+        firstActivityAt: toUTC(poolEvents.length > 0 ? poolEvents[0].timestamp : null),
+        lastActivityAt: toUTC(poolEvents.length > 0 ? poolEvents[poolEvents.length - 1].timestamp : null)
+      });
+    }
+
+    return rows;
+  }
+
+  async buildVaultRows(userAddress) {
+    if (!this.eulerVaultService) return [];
+
+    const events = eventIndexer.getEvents({
+      contract: 'vaultManager',
+      events: ['DepositMade', 'WithdrawalMade'],
+      user: userAddress
+    });
+
+    const supportedAssets = await this.eulerVaultService.getAllSupportedAssets().catch(() => []);
+    const assets = new Set([
+      ...supportedAssets.map(asset => (asset.address || asset).toLowerCase()),
+      ...events.map(event => event.asset)
+    ]);
+
+    const rows = [];
+    for (const asset of assets) {
+      const assetEvents = events.filter(event => event.asset === asset);
+      const position = await this.eulerVaultService.getUserPosition(userAddress, asset).catch(() => null);
+      if (assetEvents.length === 0 && (!position || position.shares === '0')) continue;
+
+      const token = await this.getToken(asset);
+      const accruedYield = await this.eulerVaultService.getUserYield(userAddress, asset);
+
+      // Replay with the vault manager's average-cost accounting to split out realized P&L
+      let shares = ethers.BigNumber.from(0);
+      let cost = ethers.BigNumber.from(0);
+      let realized = ethers.BigNumber.from(0);
+      let deposited = ethers.BigNumber.from(0);
+      let withdrawn = ethers.BigNumber.from(0);
+
+      for (const event of assetEvents) {
+        if (event.event === 'DepositMade') {
+          shares = shares.add(event.args.shares);
+          cost = cost.add(event.args.amount);
+          deposited = deposited.add(event.args.amount);
+        } else {
+          const withdrawnCost = shares.isZero() ? ethers.BigNumber.from(0) : cost.mul(event.args.shares).div(shares);
+          shares = shares.sub(event.args.shares);
+          cost = cost.sub(withdrawnCost);
+          realized = realized.add(ethers.BigNumber.from(event.args.amount).sub(withdrawnCost));
+          withdrawn = withdrawn.add(event.args.amount);
+        }
+      }
+
+      rows.push({
+        asset,
+        tokenSymbol: token.symbol,
+        shares: ethers.utils.formatUnits(position ? position.shares : shares, token.decimals),
+        costBasis: ethers.utils.formatUnits(position ? position.depositedAmount : cost, token.decimals),
+        accruedYield: ethers.utils.formatUnits(accruedYield, token.decimals),
+        totalDeposited: ethers.utils.formatUnits(deposited, token.decimals),
+        totalWithdrawn: ethers.utils.formatUnits(withdrawn, token.decimals),
+        realizedPnl: ethers.utils.formatUnits(realized, token.decimals),
+        unrealizedPnl: ethers.utils.formatUnits(accruedYield, token.decimals),
+        firstActivityAt: toUTC(assetEvents.length > 0 ? assetEvents[0].timestamp : null),
+        lastActivityAt: toUTC(assetEvents.length > 0 ? assetEvents[assetEvents.length - 1].timestamp : null)
+      });
+    }
+
+    return rows;
+  }
+
+  async buildCrossVaultRows(userAddress) {
+    if (!this.evcService) return { positions: [], health: [] };
+
+    const closures = new Map(
+      eventIndexer.getEvents({
+        contract: 'evcIntegration',
+        events: ['CrossVaultPositionClosed'],
+        user: userAddress
+      }).map(event => [Number(event.positionId), event])
+    );
+
+    const positions = await this.evcService.getUserCrossVaultPositions(userAddress);
+    const positionRows = [];
+    const healthRows = [];
+
+    for (const position of positions) {
+      const history = this.evcService.getPositionHealthHistory(position.id);
+      const closure = closures.get(position.id);
+      const format = (value) => (value === undefined || value === null ? null : ethers.utils.formatEther(value));
+
+      for (const point of history) {
+        healthRows.push({
+          positionId: position.id,
+          timestamp: toUTC(point.timestamp),
+          healthFactor: (Number(point.healthFactor) / 10000).toFixed(4),
+          isHealthy: point.isHealthy
+        });
+      }
+
+      const healthFactors = history.map(point => Number(point.healthFactor));
+
+      // Realized on close: collateral gained minus interest paid on the borrow
+      let realized = null;
+      if (closure) {
+        realized = ethers.BigNumber.from(closure.args.collateralReturned).sub(position.collateralAmount)
+          .sub(ethers.BigNumber.from(closure.args.borrowRepaid).sub(position.borrowAmount));
+      }
+
+      positionRows.push({
+        positionId: position.id,
+        vault: position.vault,
+        collateralVault: position.collateralVault,
+        status: position.isActive ? 'open' : 'closed',
+        collateralAmount: format(position.collateralAmount),
+        borrowAmount: format(position.borrowAmount),
+        collateralReturned: closure ? format(closure.args.collateralReturned) : null,
+        borrowRepaid: closure ? format(closure.args.borrowRepaid) : null,
+        latestHealthFactor: healthFactors.length > 0 ? (healthFactors[healthFactors.length - 1] / 10000).toFixed(4) : null,
+        minHealthFactor: healthFactors.length > 0 ? (Math.min(...healthFactors) / 10000).toFixed(4) : null,
+        realizedPnl: realized ? format(realized) : null,
+        // Open positions have no on-chain valuation to mark against yet
+        unrealizedPnl: null,
+        openedAt: toUTC(position.createdAt),
+        closedAt: closure ? toUTC(closure.timestamp) : null
+      });
+    }
+
+    return { positions: positionRows, health: healthRows };
+  }
+
+  async buildHedgingRows(poolIds) {
+    const rows = [];
+    const prices = new Map();
+
+    for (const [positionId, position] of this.hedgingService.hedgePositions) {
+      if (!poolIds.includes(position.poolId)) continue;
+
+      const pool = await this.hedgingService.getPoolInfo(position.poolId);
+      const token = await this.getToken(pool && pool.token0);
+      // Hedges sell token0 for token1, so cost and P&L are in token1
+      const quote = await this.getToken(pool && pool.token1);
+      const valuation = position.active
+        ? await this.hedgingService.valuePosition(positionId, prices)
+        : null;
+
+      rows.push({
+        positionId: Number(positionId),
+        poolId: position.poolId,
+        token: pool ? pool.token0 : null,
+        tokenSymbol: token.symbol,
+        status: position.active ? 'open' : 'closed',
+        originalAmount: this.rescaleEther(position.originalAmount, token.decimals),
+        hedgedAmount: this.rescaleEther(position.hedgedAmount, token.decimals),
+        quoteToken: pool ? pool.token1 : null,
+        quoteSymbol: quote.symbol,
+        totalCost: this.rescaleEther(position.totalCost, quote.decimals),
+        realizedPnl: this.rescaleEther(position.realizedPnl, quote.decimals),
+        // Open hedges are marked to the current EulerSwap price; closed ones have none
+        unrealizedPnl: valuation ? this.rescaleNumber(valuation.unrealizedPnl, quote.decimals) : null,
+        openedAt: toUTC(position.timestamp),
+        closedAt: toUTC(position.closedAt)
+      });
+    }
+
+    return rows.sort((a, b) => a.positionId - b.positionId);
+  }
+
+  async buildUserExport(userAddress) {
+    const pools = await this.buildPoolRows(userAddress);
+    const vaults = await this.buildVaultRows(userAddress);
+    const crossVault = await this.buildCrossVaultRows(userAddress);
+    const hedgingPositions = await this.buildHedgingRows(pools.map(row => row.poolId));
+    const analytics = await this.hedgingService.getHedgingAnalytics();
+    const generatedAt = new Date().toISOString();
+
+    return {
+      user: userAddress,
+      generatedAt,
+      indexedThrough: eventIndexer.cursor ? eventIndexer.cursor.blockNumber : null,
+      sections: {
+        pools,
+        vaults,
+        'cross-vault': crossVault.positions,
+        'position-health': crossVault.health,
+        'hedging-positions': hedgingPositions,
+        'hedging-analytics': [{
+          generatedAt,
+          totalPositions: analytics.totalPositions,
+          activePositions: analytics.activePositions,
+          totalHedgedValue: analytics.totalHedgedValue,
+          averageHedgeRatio: analytics.averageHedgeRatio
+        }]
+      }
+    };
+  }
+
+  toCSV(section, rows) {
+    const columns = EXPORT_SECTIONS[section];
+    const lines = [columns.join(',')];
+
+    for (const row of rows) {
+      lines.push(columns.map(column => escapeCSV(row[column])).join(','));
+    }
+
+    return `${lines.join('\r\n')}\r\n`;
+  }
+}
+
+module.exports = { ExportService, EXPORT_SECTIONS };
@@ -0,0 +1,103 @@
+// Off-chain hedge ratio curves: map a composite risk score (bps) to a target hedge ratio (bps).
+// A strategy without a curve behaves like HedgingManager: nothing below its threshold,
+// its fixed hedge ratio at or above it.
+
+const MAX_BPS = 10000;
+
+const CURVE_TYPES = ['step', 'linear', 'custom'];
+
+const DEFAULT_HYSTERESIS = {
+  riskBand: 0, // risk must fall this far below a breakpoint before the ratio steps down
+  minRatioChange: 0 // target changes smaller than this keep the previous target
+};
+
+const isBps = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_BPS;
+
+const defaultCurve = (strategy) => ({
+  type: 'step',
+  points: [{ risk: strategy.riskThreshold, ratio: strategy.hedgeRatio }],
+  hysteresis: { ...DEFAULT_HYSTERESIS }
+});
+
+// Returns a normalized copy of the curve, or throws with a message suitable for a 400 response
+const validateCurve = (input) => {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Curve must be an object');
+  }
+  if (!CURVE_TYPES.includes(input.type)) {
+    throw new Error(`Curve type must be one of: ${CURVE_TYPES.join(', ')}`);
+  }
+
+  const points = (input.points || []).map(point => ({
+    risk: Number(point.risk),
+    ratio: Number(point.ratio)
+  }));
+  const expected = input.type === 'linear' ? 2 : null;
+
+  if (points.length === 0 || (expected && points.length !== expected)) {
+    throw new Error(input.type === 'linear'
+      ? 'A linear curve needs exactly two points: where hedging starts and where it reaches its maximum'
+      : 'A curve needs at least one point');
+  }
+  if (points.some(point => !isBps(point.risk) || !isBps(point.ratio))) {
+    throw new Error('Curve points need risk and ratio as whole numbers between 0 and 10000 (basis points)');
+  }
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].risk <= points[i - 1].risk) {
+      throw new Error('Curve points must be in increasing order of risk');
+    }
+  }
+
+  const hysteresis = { ...DEFAULT_HYSTERESIS, ...(input.hysteresis || {}) };
+  hysteresis.riskBand = Number(hysteresis.riskBand);
+  hysteresis.minRatioChange = Number(hysteresis.minRatioChange);
+  if (!isBps(hysteresis.riskBand) || !isBps(hysteresis.minRatioChange)) {
+    throw new Error('Hysteresis riskBand and minRatioChange must be whole numbers between 0 and 10000 (basis points)');
+  }
+
+  return { type: input.type, points, hysteresis };
+};
+
+/**
+ * Hedge ratio for a risk score. Below the first point the pool is not hedged.
+ * - step: the ratio of the last point at or below the risk
+ * - linear / custom: interpolated between neighbouring points, flat after the last
+ */
+const evaluateCurve = (curve, risk) => {
+  const { points } = curve;
+  if (risk < points[0].risk) return 0;
+
+  for (let i = points.length - 1; i >= 0; i--) {
+    const point = points[i];
+    if (risk < point.risk) continue;
+
+    const next = points[i + 1];
+    if (curve.type === 'step' || !next) return point.ratio;
+
+    const progress = (risk - point.risk) / (next.risk - point.risk);
+    return Math.round(point.ratio + (next.ratio - point.ratio) * progress);
+  }
+
+  return 0;
+};
+
+/**
+ * Next target given the previous one. Increases follow the curve at the current risk; the
+ * target only falls once the curve still sits below it at risk + riskBand, so risk hovering
+ * around a breakpoint does not flip the hedge back and forth.
+ */
+const applyHysteresis = (curve, risk, previous) => {
+  const raw = evaluateCurve(curve, risk);
+  if (previous === undefined || previous === null) return raw;
+
+  const { riskBand, minRatioChange } = curve.hysteresis;
+  const target = raw >= previous
+    ? raw
+    : Math.max(raw, Math.min(previous, evaluateCurve(curve, Math.min(risk + riskBand, MAX_BPS))));
+
+  // Leaving the curve entirely is never held back by the minimum change
+  if (target !== 0 && Math.abs(target - previous) < minRatioChange) return previous;
+  return target;
+};
+
+module.exports = { CURVE_TYPES, defaultCurve, validateCurve, evaluateCurve, applyHysteresis };
@@ -1,5 +1,37 @@
+const fs = require('fs');
+const path = require('path');
 const { ethers } = require('ethers');
 const { EventEmitter } = require('events');
+const { eventIndexer } = require('./eventIndexer');
+const { eulerSwapService } = require('./eulerSwapService');
+const { riskAnalyzer } = require('./riskAnalyzer');
+const { circuitBreakerService } = require('./circuitBreakerService');
+const { transactionManager } = require('./transactionManager');
+const { historyStore, TIMEFRAMES } = require('./historyStore');
+const { defaultCurve, validateCurve, applyHysteresis } = require('./hedgeCurves');
+const { positionValues } = require('./impermanentLoss');
+
+// HedgingManager constants used to split a hedge's cost into swap notional and fees
+const DEFAULT_HEDGING_FEE = 50; // 0.5% in basis points
+const SLIPPAGE_TOLERANCE = 500; // 5%
+// executeHedging falls back to strategy 1 for pools without an assignment
+const DEFAULT_STRATEGY_ID = 1;
+// Used when executeHedging gas cannot be estimated (no signer, or the estimate reverts)
+const DEFAULT_HEDGE_GAS_LIMIT = 300000;
+const DECISION_SERIES = 'hedge-decisions';
+const VALUATION_SERIES = 'hedge-valuations';
+
+// Decimal string for 18-decimal amounts; toFixed and String switch to exponents at the extremes
+const toDecimalString = (value) =>
+  value.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 18 });
+
+const formatRiskMetrics = (metrics) => ({
+  volatility: metrics.volatility.toNumber(),
+  impermanentLoss: metrics.impermanentLoss.toNumber(),
+  correlationRisk: metrics.correlationRisk.toNumber(),
+  liquidityRisk: metrics.liquidityRisk.toNumber(),
+  compositeRisk: metrics.compositeRisk.toNumber()
+});
 
 class HedgingService extends EventEmitter {
   constructor() {
@@ -9,6 +41,18 @@ class HedgingService extends EventEmitter {
     this.contracts = {};
     this.hedgePositions = new Map();
     this.strategies = new Map();
+    this.curves = new Map(); // strategyId -> off-chain hedge ratio curve
+    this.hedgeTargets = new Map(); // poolId -> last committed target ratio, for hysteresis
+    this.hedgingFee = DEFAULT_HEDGING_FEE; // last HedgingManager.hedgingFee read, in basis points
+    this.costBenefitChecks = new Map(); // poolId -> latest automatic hedge assessment
+    this.costBenefit = {
+      enabled: process.env.HEDGE_COST_BENEFIT_ENABLED !== 'false',
+      minNetBenefit: parseFloat(process.env.HEDGE_MIN_NET_BENEFIT || '0')
+    };
+    // Dry run evaluates, checks and simulates every hedge but never sends it; always on without a signer
+    this.dryRun = process.env.HEDGING_DRY_RUN === 'true';
+    this.directory = process.env.STRATEGY_DIR || path.join(__dirname, '..', 'data', 'strategies');
+    this.saving = Promise.resolve();
     this.isInitialized = false;
   }
 
@@ -18,16 +62,19 @@ class HedgingService extends EventEmitter {
       const rpcUrl = process.env.RPC_URL || 'http://localhost:8545';
       this.provider = new ethers.providers.JsonRpcProvider(rpcUrl);
       
-      // Initialize signer if private key is provided
-      if (process.env.PRIVATE_KEY) {
-        this.signer = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
-      }
+      // Writes go through the shared operator signer, loaded from a keystore or PRIVATE_KEY
+      await transactionManager.initialize();
+      this.signer = transactionManager.signer;
 
       // Initialize contracts
       await this.initializeContracts();
+      await eventIndexer.initialize();
+      await circuitBreakerService.initialize();
       
       // Load existing strategies and positions
+      await this.loadCurves();
       await this.loadStrategies();
+      await this.getHedgingFee();
       await this.loadActivePositions();
       
       // Start monitoring
@@ -56,12 +103,24 @@ class HedgingService extends EventEmitter {
       wedgedPool: [
         'function getPoolInfo(uint256 poolId) external view returns (tuple(uint256 id, address token0, address token1, uint256 totalDeposits, uint256 availableLiquidity, uint256 hedgedAmount, uint256 riskScore, bool active))',
         'function totalPools() external view returns (uint256)',
+        'function getUserDeposit(uint256 poolId, address user) external view returns (uint256)',
+        'function getUserRewards(uint256 poolId, address user) external view returns (uint256)',
+        'function getUserPools(address user) external view returns (uint256[])',
         'event Deposit(uint256 indexed poolId, address indexed user, uint256 amount)',
         'event Withdrawal(uint256 indexed poolId, address indexed user, uint256 amount)'
       ],
       hedgingManager: [
         'function executeHedging(uint256 poolId, uint256 amount) external returns (bool)',
         'function calculateHedgingCost(uint256 poolId, uint256 amount) external view returns (uint256)',
+        'function hedgingFee() external view returns (uint256)',
+        'function owner() external view returns (address)',
+        'function nextStrategyId() external view returns (uint256)',
+        'function createStrategy(string name, uint256 riskThreshold, uint256 hedgeRatio) external returns (uint256)',
+        'function updateStrategy(uint256 strategyId, uint256 riskThreshold, uint256 hedgeRatio) external',
+        'function deactivateStrategy(uint256 strategyId) external',
+        'function assignStrategyToPool(uint256 poolId, uint256 strategyId) external',
+        'function poolToStrategy(uint256 poolId) external view returns (uint256)',
+        'function closeHedgePosition(uint256 positionId) external',
         'function getStrategy(uint256 strategyId) external view returns (tuple(uint256 id, string name, uint256 riskThreshold, uint256 hedgeRatio, bool active))',
         'function getHedgePosition(uint256 positionId) external view returns (tuple(uint256 poolId, address token0, address token1, uint256 originalAmount, uint256 hedgedAmount, uint256 timestamp, bool active))',
         'event HedgePositionCreated(uint256 indexed positionId, uint256 indexed poolId, uint256 amount)',
@@ -85,23 +144,18 @@ class HedgingService extends EventEmitter {
     try {
       if (!this.contracts.hedgingManager) return;
 
-      // Load strategies from contract
-      for (let i = 1; i <= 10; i++) {
-        try {
-          const strategy = await this.contracts.hedgingManager.getStrategy(i);
-          if (strategy.active) {
-            this.strategies.set(i, {
-              id: i,
-              name: strategy.name,
-              riskThreshold: strategy.riskThreshold.toNumber(),
-              hedgeRatio: strategy.hedgeRatio.toNumber(),
-              active: strategy.active
-            });
-          }
-        } catch (error) {
-          // Strategy doesn't exist, break
-          break;
-        }
+      // Load every strategy from the contract. Deactivated ones are kept, flagged inactive,
+      // so they survive a restart the same way they do in the local cache.
+      const nextStrategyId = (await this.contracts.hedgingManager.nextStrategyId()).toNumber();
+      for (let i = 1; i < nextStrategyId; i++) {
+        const strategy = await this.contracts.hedgingManager.getStrategy(i);
+        this.strategies.set(i, {
+          id: i,
+          name: strategy.name,
+          riskThreshold: strategy.riskThreshold.toNumber(),
+          hedgeRatio: strategy.hedgeRatio.toNumber(),
+          active: strategy.active
+        });
       }
 
       console.log(`Loaded ${this.strategies.size} hedging strategies`);
@@ -114,38 +168,134 @@ class HedgingService extends EventEmitter {
     try {
       if (!this.contracts.hedgingManager) return;
 
-      // Load active positions from contract
-      // This would need to be implemented based on actual contract events/methods
-      console.log('Loaded active hedge positions');
+      // Rebuild positions from indexed HedgingManager events
+      const events = eventIndexer.getEvents({ contract: 'hedgingManager' });
+      for (const event of events) {
+        this.applyHedgeEvent(event);
+      }
+
+      const active = Array.from(this.hedgePositions.values()).filter(p => p.active).length;
+      console.log(`Loaded ${active} active hedge positions`);
     } catch (error) {
       console.error('Error loading active positions:', error);
     }
   }
 
-  startMonitoring() {
-    if (!this.contracts.wedgedPool) return;
+  // What this service recorded about a position (entry fee, close valuation), merged oldest first
+  recordedValuation(positionId) {
+    return historyStore.query(VALUATION_SERIES, positionId)
+      .reduce((merged, { timestamp, ...entry }) => ({ ...merged, ...entry }), {});
+  }
 
-    // Monitor pool deposits for hedging opportunities
-    this.contracts.wedgedPool.on('Deposit', async (poolId, user, amount, event) => {
-      try {
-        await this.evaluateHedgingOpportunity(poolId.toNumber());
-      } catch (error) {
-        console.error('Error evaluating hedging opportunity:', error);
+  async recordValuation(positionId, entry) {
+    try {
+      await historyStore.record(VALUATION_SERIES, positionId, entry);
+    } catch (error) {
+      console.error(`Failed to record valuation for hedge position ${positionId}:`, error);
+    }
+  }
+
+  applyHedgeEvent(event) {
+    const { args } = event;
+
+    switch (event.event) {
+      case 'HedgePositionCreated':
+        this.hedgePositions.set(args.positionId, {
+          poolId: Number(args.poolId),
+          originalAmount: ethers.utils.formatEther(args.amount),
+          hedgedAmount: '0',
+          totalCost: '0',
+          hedgingFee: this.recordedValuation(args.positionId).hedgingFee ?? null,
+          timestamp: event.timestamp,
+          transactionHash: event.transactionHash,
+          active: true
+        });
+        break;
+
+      case 'HedgeExecuted': {
+        const position = this.hedgePositions.get(args.positionId);
+        if (!position) break;
+
+        const hedged = ethers.utils.parseEther(position.hedgedAmount).add(args.hedgedAmount);
+        const cost = ethers.utils.parseEther(position.totalCost).add(args.cost);
+        position.hedgedAmount = ethers.utils.formatEther(hedged);
+        position.totalCost = ethers.utils.formatEther(cost);
+
+        // The fee charged is not in the event, so the rate in force when it arrives is kept
+        if (position.hedgingFee === null) {
+          position.hedgingFee = this.hedgingFee;
+          if (event.live) this.recordValuation(args.positionId, { hedgingFee: this.hedgingFee });
+        }
+        break;
+      }
+
+      case 'HedgePositionClosed': {
+        const position = this.hedgePositions.get(args.positionId);
+        if (!position) break;
+
+        position.active = false;
+        position.closedAt = event.timestamp;
+        // HedgingManager always reports zero pnl, so only a valuation this service marked
+        // at close time counts; positions closed elsewhere have no known P&L
+        if (position.realizedPnl === undefined) {
+          const recorded = this.recordedValuation(args.positionId);
+          position.realizedPnl = recorded.realizedPnl ?? null;
+          position.exitPrice = recorded.exitPrice ?? null;
+          position.impermanentLossOffset = recorded.impermanentLossOffset ?? null;
+        }
+        break;
       }
-    });
 
-    // Monitor withdrawals
-    this.contracts.wedgedPool.on('Withdrawal', async (poolId, user, amount, event) => {
+      default:
+        break;
+    }
+  }
+
+  startMonitoring() {
+    // Pool activity arrives through the indexer so only confirmed blocks trigger hedging
+    eventIndexer.on('indexed-event', async (event) => {
       try {
-        await this.evaluatePositionAdjustment(poolId.toNumber());
+        if (event.contract === 'hedgingManager') {
+          this.applyHedgeEvent(event);
+          return;
+        }
+
+        // Historical events replayed during catch-up are not actionable
+        if (!event.live || event.contract !== 'wedgedPool') return;
+
+        if (event.event === 'Deposit') {
+          await this.evaluateHedgingOpportunity(Number(event.poolId));
+        } else if (event.event === 'Withdrawal') {
+          await this.evaluatePositionAdjustment(Number(event.poolId));
+        }
       } catch (error) {
-        console.error('Error evaluating position adjustment:', error);
+        console.error(`Error handling indexed ${event.event} event:`, error);
       }
     });
 
     console.log('Started monitoring blockchain events');
   }
 
+  isDryRun() {
+    return this.dryRun || !this.signer;
+  }
+
+  // Pool state as recorded in decisions; hedgedAmount is what open positions still hold
+  describePool(poolInfo, poolId) {
+    return {
+      totalDeposits: ethers.utils.formatEther(poolInfo.totalDeposits),
+      availableLiquidity: ethers.utils.formatEther(poolInfo.availableLiquidity),
+      hedgedAmount: ethers.utils.formatEther(this.getActiveHedgedAmount(poolId)),
+      riskScore: poolInfo.riskScore.toNumber()
+    };
+  }
+
+  describeStrategy(strategy) {
+    return strategy
+      ? { id: strategy.id, name: strategy.name, riskThreshold: strategy.riskThreshold, hedgeRatio: strategy.hedgeRatio }
+      : null;
+  }
+
   async evaluateHedgingOpportunity(poolId) {
     try {
       if (!this.isInitialized) return;
@@ -159,26 +309,44 @@ class HedgingService extends EventEmitter {
       const currentRisk = riskMetrics.compositeRisk.toNumber();
 
       // Find appropriate strategy
-      const strategy = this.findBestStrategy(currentRisk);
-      if (!strategy) return;
+      const strategy = await this.resolveStrategy(poolId, currentRisk);
+      const inputs = {
+        riskMetrics: formatRiskMetrics(riskMetrics),
+        strategy: this.describeStrategy(strategy),
+        pool: this.describePool(poolInfo, poolId)
+      };
+      const decide = (fields) => this.recordDecision({ poolId, trigger: 'deposit', inputs, ...fields });
+
+      if (!strategy) {
+        await decide({ action: 'none', reason: 'No active strategy applies at the current risk' });
+        return;
+      }
 
       // Check if hedging is needed
-      if (currentRisk < strategy.riskThreshold) return;
+      const targetRatio = this.getTargetHedgeRatio(poolId, strategy, currentRisk, { commit: true });
+      inputs.targetRatio = targetRatio;
+      if (targetRatio === 0) {
+        await decide({ action: 'none', reason: 'Strategy curve targets no hedge at the current risk' });
+        return;
+      }
 
       // Calculate optimal hedge amount
       const totalDeposits = poolInfo.totalDeposits;
-      const currentHedged = poolInfo.hedgedAmount;
-      const optimalHedge = totalDeposits.mul(strategy.hedgeRatio).div(10000);
+      const currentHedged = this.getActiveHedgedAmount(poolId);
+      const optimalHedge = totalDeposits.mul(targetRatio).div(10000);
 
       if (optimalHedge.gt(currentHedged)) {
         const additionalHedge = optimalHedge.sub(currentHedged);
-        await this.executeAutomaticHedge(poolId, additionalHedge);
+        await this.executeAutomaticHedge(poolId, additionalHedge, { trigger: 'deposit', inputs });
+      } else {
+        await decide({ action: 'none', reason: 'Open hedge already covers the target ratio' });
       }
 
       this.emit('hedging-evaluated', {
         poolId,
         currentRisk,
         strategy: strategy.name,
+        targetRatio,
         action: 'hedging-recommended'
       });
 
@@ -192,56 +360,383 @@ class HedgingService extends EventEmitter {
     try {
       // Similar logic to evaluate if hedging positions need adjustment
       const poolInfo = await this.contracts.wedgedPool.getPoolInfo(poolId);
+      const riskMetrics = await this.contracts.riskCalculator.getPoolRiskMetrics(poolId);
       const totalDeposits = poolInfo.totalDeposits;
-      const currentHedged = poolInfo.hedgedAmount;
-
-      // If pool shrunk significantly, consider reducing hedging
-      const optimalHedgeRatio = 0.5; // This would come from strategy
-      const optimalHedge = totalDeposits.mul(optimalHedgeRatio * 10000).div(10000);
-
-      if (currentHedged.gt(optimalHedge.mul(120).div(100))) { // 20% buffer
-        console.log(`Pool ${poolId}: Consider reducing hedge position`);
-        this.emit('position-adjustment', {
-          poolId,
-          currentHedged: ethers.utils.formatEther(currentHedged),
-          optimalHedge: ethers.utils.formatEther(optimalHedge),
-          action: 'reduce-hedge'
+      const currentHedged = this.getActiveHedgedAmount(poolId);
+
+      const currentRisk = riskMetrics.compositeRisk.toNumber();
+      const strategy = await this.resolveStrategy(poolId, currentRisk);
+      if (!strategy) return;
+
+      // If pool shrunk significantly, unwind back towards the strategy's ratio
+      const targetRatio = this.getTargetHedgeRatio(poolId, strategy, currentRisk, { commit: true });
+      const optimalHedge = totalDeposits.mul(targetRatio).div(10000);
+      const decision = {
+        poolId,
+        trigger: 'withdrawal',
+        inputs: {
+          riskMetrics: formatRiskMetrics(riskMetrics),
+          strategy: this.describeStrategy(strategy),
+          targetRatio,
+          pool: this.describePool(poolInfo, poolId)
+        }
+      };
+
+      if (!currentHedged.gt(optimalHedge.mul(120).div(100))) { // 20% buffer
+        await this.recordDecision({ ...decision, action: 'none', reason: 'Open hedge is within 20% of the target' });
+        return;
+      }
+
+      const excess = currentHedged.sub(optimalHedge);
+      this.emit('position-adjustment', {
+        poolId,
+        currentHedged: ethers.utils.formatEther(currentHedged),
+        optimalHedge: ethers.utils.formatEther(optimalHedge),
+        strategy: strategy.name,
+        action: 'reduce-hedge'
+      });
+
+      decision.amount = ethers.utils.formatEther(excess);
+      if (circuitBreakerService.killSwitch.engaged) {
+        console.log(`Kill switch engaged, not reducing hedge for pool ${poolId}`);
+        await this.recordDecision({ ...decision, action: 'blocked', reason: 'Kill switch engaged' });
+        return;
+      }
+
+      // Closing the smallest position that covers the excess beats leaving the pool over-hedged
+      const planned = this.selectPositionsToClose(poolId, excess, { coverExcess: true });
+      if (planned.length === 0) {
+        await this.recordDecision({ ...decision, action: 'skipped', reason: 'No open hedge position to close' });
+        return;
+      }
+
+      if (this.isDryRun()) {
+        console.log(`Would reduce hedge for pool ${poolId} by ${ethers.utils.formatEther(excess)} ETH`);
+        await this.recordDecision({
+          ...decision,
+          action: 'reduce',
+          executed: false,
+          simulation: { positions: planned.map(({ positionId }) => positionId) }
         });
+        return;
       }
 
+      const result = await this.reducePoolHedge(poolId, excess, 'automatic', { coverExcess: true });
+      await this.recordDecision({
+        ...decision,
+        action: 'reduce',
+        executed: result.closed.length > 0,
+        result: { reduced: result.reduced, positions: result.closed.map(({ positionId }) => positionId) }
+      });
+
     } catch (error) {
       console.error('Error evaluating position adjustment:', error);
     }
   }
 
-  async executeAutomaticHedge(poolId, amount) {
+  // Hedge held through open positions. WedgedPool.hedgedAmount is not reduced when
+  // positions close, so it overstates what is left to unwind.
+  getActiveHedgedAmount(poolId) {
+    let total = ethers.BigNumber.from(0);
+    for (const position of this.hedgePositions.values()) {
+      if (position.active && position.poolId === poolId) {
+        total = total.add(ethers.utils.parseEther(position.hedgedAmount));
+      }
+    }
+    return total;
+  }
+
+  async closePosition(positionId, reason = 'manual') {
+    const position = this.hedgePositions.get(positionId);
+    if (!position || !position.active) {
+      throw new Error(`Hedge position ${positionId} is not active`);
+    }
+
+    // In dry run the position is only reported as the one that would be closed
+    if (this.isDryRun()) {
+      console.log(`Would close hedge position ${positionId} (${reason})`);
+      return {
+        positionId,
+        poolId: position.poolId,
+        hedgedAmount: position.hedgedAmount,
+        totalCost: position.totalCost,
+        reason,
+        executed: false
+      };
+    }
+
     try {
-      if (!this.signer) {
-        console.log(`Would execute hedge for pool ${poolId}: ${ethers.utils.formatEther(amount)} ETH`);
-        return;
+      // HedgingManager reports zero P&L on close, so the position is marked before unwinding
+      const valuation = await this.valuePosition(positionId);
+
+      const receipt = await transactionManager.send(this.contracts.hedgingManager, 'closeHedgePosition', [positionId], {
+        label: `Close hedge position ${positionId}`
+      });
+
+      position.active = false;
+      position.closedAt = Date.now();
+      // Without a price the P&L is unknown and stays null rather than zero
+      const priced = valuation.unrealizedPnl !== null;
+      position.realizedPnl = priced ? toDecimalString(valuation.unrealizedPnl) : null;
+      position.exitPrice = priced ? valuation.currentPrice : null;
+      position.impermanentLossOffset = priced ? valuation.impermanentLossOffset : null;
+      await this.recordValuation(positionId, {
+        realizedPnl: position.realizedPnl,
+        exitPrice: position.exitPrice,
+        impermanentLossOffset: position.impermanentLossOffset,
+        closeReason: reason
+      });
+
+      console.log(`Hedge position ${positionId} closed (${reason}). TX: ${receipt.transactionHash}`);
+
+      const closed = {
+        positionId,
+        poolId: position.poolId,
+        hedgedAmount: position.hedgedAmount,
+        totalCost: position.totalCost,
+        realizedPnl: position.realizedPnl ?? null,
+        reason,
+        executed: true,
+        txHash: receipt.transactionHash
+      };
+      this.emit('hedge-closed', closed);
+
+      return closed;
+    } catch (error) {
+      console.error(`Error closing hedge position ${positionId}:`, error);
+      throw error;
+    }
+  }
+
+  // Largest positions first, skipping any larger than what is left to reduce. With
+  // coverExcess, a pool where no position fits closes its smallest position instead.
+  selectPositionsToClose(poolId, amount, { coverExcess = false } = {}) {
+    const candidates = Array.from(this.hedgePositions.entries())
+      .filter(([, position]) => position.active && position.poolId === poolId)
+      .map(([positionId, position]) => ({ positionId, hedged: ethers.utils.parseEther(position.hedgedAmount) }))
+      .sort((a, b) => (b.hedged.gt(a.hedged) ? 1 : b.hedged.lt(a.hedged) ? -1 : 0));
+
+    let remaining = amount;
+    const selected = [];
+    for (const candidate of candidates) {
+      if (candidate.hedged.isZero() || candidate.hedged.gt(remaining)) continue;
+      selected.push(candidate);
+      remaining = remaining.sub(candidate.hedged);
+    }
+
+    const smallest = candidates.filter(candidate => !candidate.hedged.isZero()).pop();
+    if (coverExcess && selected.length === 0 && smallest) {
+      selected.push(smallest);
+    }
+    return selected;
+  }
+
+  /**
+   * Reduces a pool's hedge by up to `amount` (BigNumber, wei). HedgingManager can only
+   * close whole positions, so the largest positions that fit in the remaining amount are
+   * closed first and the pool is never unwound past the requested reduction, unless
+   * coverExcess lets the smallest position close when none fits. In dry run nothing is
+   * sent and `closed` lists the positions that would be.
+   */
+  async reducePoolHedge(poolId, amount, reason = 'manual', { coverExcess = false } = {}) {
+    const closed = [];
+    let reduced = ethers.BigNumber.from(0);
+    for (const { positionId, hedged } of this.selectPositionsToClose(poolId, amount, { coverExcess })) {
+      closed.push(await this.closePosition(positionId, reason));
+      reduced = reduced.add(hedged);
+    }
+
+    if (closed.length === 0) {
+      console.log(`Pool ${poolId}: no hedge position fits within a ${ethers.utils.formatEther(amount)} ETH reduction`);
+    }
+
+    return {
+      poolId,
+      dryRun: this.isDryRun(),
+      requested: ethers.utils.formatEther(amount),
+      reduced: ethers.utils.formatEther(reduced),
+      remainingHedged: ethers.utils.formatEther(this.getActiveHedgedAmount(poolId)),
+      closed
+    };
+  }
+
+  /**
+   * Expected value of hedging `amount` (BigNumber, wei) now. The hedge is worth the
+   * impermanent loss it is expected to offset on its share of the pool, RiskAnalyzer's IL
+   * estimate applied to the swap notional, and costs the on-chain fee and slippage plus gas.
+   * Amounts are floats in the same units as calculateHedgingCost.
+   */
+  async assessHedge(poolId, amount, riskMetrics = null) {
+    const hedgingManager = this.signer
+      ? this.contracts.hedgingManager.connect(this.signer)
+      : this.contracts.hedgingManager;
+
+    const [cost, fee, metrics, gasPrice] = await Promise.all([
+      this.contracts.hedgingManager.calculateHedgingCost(poolId, amount),
+      this.getHedgingFee(),
+      riskMetrics || riskAnalyzer.getRiskMetrics(poolId),
+      this.provider.getGasPrice()
+    ]);
+
+    let gasLimit = ethers.BigNumber.from(DEFAULT_HEDGE_GAS_LIMIT);
+    let gasEstimated = false;
+    if (this.signer) {
+      try {
+        gasLimit = await hedgingManager.estimateGas.executeHedging(poolId, amount);
+        gasEstimated = true;
+      } catch (error) {
+        console.warn(`Gas estimate for pool ${poolId} hedge failed, using ${DEFAULT_HEDGE_GAS_LIMIT}:`, error.message);
+      }
+    }
+
+    const totalCost = parseFloat(ethers.utils.formatEther(cost));
+    const notional = totalCost / (1 + (fee + SLIPPAGE_TOLERANCE) / 10000);
+    const hedgingCost = totalCost - notional;
+    const gasCost = parseFloat(ethers.utils.formatEther(gasPrice.mul(gasLimit)));
+    const expectedIlReduction = notional * metrics.impermanentLoss / 10000;
+    const netBenefit = expectedIlReduction - hedgingCost - gasCost;
+    const { enabled, minNetBenefit } = this.costBenefit;
+    const approved = !enabled || netBenefit >= minNetBenefit;
+
+    let reason;
+    if (!enabled) {
+      reason = 'Cost-benefit check disabled';
+    } else if (approved) {
+      reason = `Expected IL reduction ${expectedIlReduction.toFixed(6)} covers costs of ${(hedgingCost + gasCost).toFixed(6)}`;
+    } else if (metrics.impermanentLoss === 0) {
+      reason = 'No impermanent loss expected, so the hedge cannot recover its costs';
+    } else {
+      reason = `Net benefit ${netBenefit.toFixed(6)} is below the minimum of ${minNetBenefit}`;
+    }
+
+    return {
+      poolId,
+      amount: ethers.utils.formatEther(amount),
+      totalCost: ethers.utils.formatEther(cost),
+      impermanentLoss: metrics.impermanentLoss,
+      compositeRisk: metrics.compositeRisk,
+      notional,
+      hedgingCost,
+      gasPrice: ethers.utils.formatUnits(gasPrice, 'gwei'),
+      gasLimit: gasLimit.toNumber(),
+      gasEstimated,
+      gasCost,
+      expectedIlReduction,
+      netBenefit,
+      minNetBenefit,
+      approved,
+      reason,
+      timestamp: Date.now()
+    };
+  }
+
+  // Pool price from the EulerSwap integration and from pool reserves, as floats (null when missing)
+  async getPoolPriceSources(poolId) {
+    const pool = await this.getPoolInfo(poolId);
+    if (!pool) return { contract: null, pool: null };
+
+    const sources = await eulerSwapService.getPriceSources(pool.token0, pool.token1);
+    return Object.fromEntries(Object.entries(sources).map(([source, price]) =>
+      [source, price ? parseFloat(ethers.utils.formatEther(price)) : null]
+    ));
+  }
+
+  getCostBenefitCheck(poolId) {
+    return this.costBenefitChecks.get(String(poolId)) || null;
+  }
+
+  // Runs executeHedging as a static call against current state. HedgingManager only lets
+  // operators hedge, so the call is made from the signer or HEDGING_OPERATOR_ADDRESS.
+  async simulateHedge(poolId, amount) {
+    const from = this.signer ? await this.signer.getAddress() : process.env.HEDGING_OPERATOR_ADDRESS || null;
+
+    try {
+      const hedged = await this.contracts.hedgingManager.callStatic.executeHedging(poolId, amount, from ? { from } : {});
+      return {
+        success: true,
+        from,
+        hedged,
+        // executeHedging returns false when the pool is below its on-chain strategy threshold
+        reason: hedged ? null : 'HedgingManager would not hedge: pool risk is below its strategy threshold'
+      };
+    } catch (error) {
+      return { success: false, from, hedged: false, reason: error.reason || error.message };
+    }
+  }
+
+  /**
+   * Takes a hedge of `amount` (BigNumber, wei) through circuit breakers, the cost-benefit
+   * check and a static-call simulation before sending it. In dry run the path stops after
+   * simulation. Every outcome is recorded as a decision and returned.
+   */
+  async executeAutomaticHedge(poolId, amount, { trigger = 'manual', inputs = {} } = {}) {
+    const decision = { poolId, trigger, inputs, action: 'hedge', amount: ethers.utils.formatEther(amount), executed: false };
+    let reservation = null;
+    let sent = false;
+
+    try {
+      const [riskMetrics, prices] = await Promise.all([
+        riskAnalyzer.getRiskMetrics(poolId),
+        this.getPoolPriceSources(poolId)
+      ]);
+      decision.inputs = { ...inputs, riskMetrics, prices };
+
+      const assessment = await this.assessHedge(poolId, amount, riskMetrics);
+      this.costBenefitChecks.set(String(poolId), assessment);
+      this.emit('hedge-assessed', assessment);
+      decision.estimatedCost = assessment.totalCost;
+      decision.costBenefit = assessment;
+
+      const spend = { volume: parseFloat(assessment.amount), cost: assessment.hedgingCost + assessment.gasCost };
+      const guard = await circuitBreakerService.check(poolId, { ...spend, riskMetrics, prices });
+      reservation = guard.reservation;
+      if (!guard.allowed) {
+        console.log(`Circuit breakers blocked hedge for pool ${poolId}: ${guard.blocked.map(b => b.reason).join('; ')}`);
+        this.emit('hedge-blocked', { poolId, amount: assessment.amount, blocked: guard.blocked });
+        return this.recordDecision({ ...decision, action: 'blocked', breakers: guard.blocked, reason: 'Circuit breakers tripped' });
+      }
+
+      if (!assessment.approved) {
+        console.log(`Skipping hedge for pool ${poolId}: ${assessment.reason}`);
+        return this.recordDecision({ ...decision, action: 'skipped', reason: assessment.reason });
+      }
+
+      const simulation = await this.simulateHedge(poolId, amount);
+      decision.simulation = simulation;
+
+      if (this.isDryRun()) {
+        console.log(`Would execute hedge for pool ${poolId}: ${ethers.utils.formatEther(amount)} ETH (simulation ${simulation.success ? 'succeeded' : `failed: ${simulation.reason}`})`);
+        return this.recordDecision({ ...decision, reason: assessment.reason });
+      }
+
+      if (!simulation.success || !simulation.hedged) {
+        console.log(`Skipping hedge for pool ${poolId}: ${simulation.reason}`);
+        return this.recordDecision({ ...decision, action: 'skipped', reason: simulation.reason });
       }
 
-      // Calculate hedging cost
-      const cost = await this.contracts.hedgingManager.calculateHedgingCost(poolId, amount);
-      
       console.log(`Executing automatic hedge for pool ${poolId}`);
       console.log(`Amount: ${ethers.utils.formatEther(amount)} ETH`);
-      console.log(`Cost: ${ethers.utils.formatEther(cost)} ETH`);
+      console.log(`Cost: ${assessment.totalCost} ETH (expected net benefit ${assessment.netBenefit.toFixed(6)})`);
 
       // Execute hedge (this would be done by an authorized operator)
-      const hedgingManagerWithSigner = this.contracts.hedgingManager.connect(this.signer);
-      const tx = await hedgingManagerWithSigner.executeHedging(poolId, amount);
-      const receipt = await tx.wait();
+      sent = true;
+      await circuitBreakerService.commit(reservation);
+      const receipt = await transactionManager.send(this.contracts.hedgingManager, 'executeHedging', [poolId, amount], {
+        label: `Hedge pool ${poolId}`
+      });
 
       console.log(`Hedge executed successfully. TX: ${receipt.transactionHash}`);
 
       this.emit('hedge-executed', {
         poolId,
         amount: ethers.utils.formatEther(amount),
-        cost: ethers.utils.formatEther(cost),
+        cost: assessment.totalCost,
+        netBenefit: assessment.netBenefit,
         txHash: receipt.transactionHash
       });
 
+      return this.recordDecision({ ...decision, executed: true, reason: assessment.reason, txHash: receipt.transactionHash });
+
     } catch (error) {
       console.error('Error executing automatic hedge:', error);
       this.emit('hedge-execution-failed', {
@@ -249,15 +744,50 @@ class HedgingService extends EventEmitter {
         amount: ethers.utils.formatEther(amount),
         error: error.message
       });
+      return this.recordDecision({ ...decision, action: 'failed', reason: error.message });
+    } finally {
+      // Hedges that were skipped, only simulated, or failed before sending give their spend back
+      if (!sent) circuitBreakerService.release(reservation);
     }
   }
 
-  findBestStrategy(currentRisk) {
+  // Decisions are an audit trail, so a failed write is logged rather than blocking hedging
+  async recordDecision(decision) {
+    const entry = { mode: this.isDryRun() ? 'dry-run' : 'live', ...decision, poolId: Number(decision.poolId) };
+    const timestamp = Date.now();
+
+    try {
+      await historyStore.record(DECISION_SERIES, entry.poolId, entry, timestamp);
+    } catch (error) {
+      console.error(`Failed to record hedging decision for pool ${entry.poolId}:`, error);
+    }
+
+    const recorded = { timestamp, ...entry };
+    this.emit('hedge-decision', recorded);
+    return recorded;
+  }
+
+  // Most recent first, across pools unless poolId is given
+  getDecisions({ poolId, action, mode, from, to, limit = 100, offset = 0 } = {}) {
+    const keys = poolId !== undefined ? [String(poolId)] : historyStore.getKeys(DECISION_SERIES);
+    const decisions = keys
+      .flatMap(key => historyStore.query(DECISION_SERIES, key, { from, to }))
+      .filter(decision => (!action || decision.action === action) && (!mode || decision.mode === mode))
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    return {
+      decisions: decisions.slice(offset, offset + limit),
+      total: decisions.length
+    };
+  }
+
+  // Backtests pass their own candidate strategies through the same selection
+  findBestStrategy(currentRisk, strategies = this.strategies.values()) {
     // Find the most appropriate strategy based on current risk
     let bestStrategy = null;
     let minThresholdDiff = Infinity;
 
-    for (const strategy of this.strategies.values()) {
+    for (const strategy of strategies) {
       if (strategy.active && currentRisk >= strategy.riskThreshold) {
         const diff = currentRisk - strategy.riskThreshold;
         if (diff < minThresholdDiff) {
@@ -270,20 +800,177 @@ class HedgingService extends EventEmitter {
     return bestStrategy;
   }
 
+  // HedgingManager.poolToStrategy; 0 means the pool has no assigned strategy
+  async getAssignedStrategyId(poolId) {
+    const strategyId = await this.contracts.hedgingManager.poolToStrategy(poolId);
+    return strategyId.toNumber();
+  }
+
+  // A pool's assigned strategy wins while it is active; otherwise fall back to selection by risk
+  async resolveStrategy(poolId, currentRisk) {
+    const assigned = this.getStrategy(await this.getAssignedStrategyId(poolId));
+    if (assigned && assigned.active) {
+      return assigned;
+    }
+    return this.findBestStrategy(currentRisk);
+  }
+
+  getCurve(strategy) {
+    return this.curves.get(strategy.id) || defaultCurve(strategy);
+  }
+
+  /**
+   * Target hedge ratio (bps) for a pool under a strategy's curve. Only evaluation passes
+   * commit the result; recommendations and status checks read it without moving the
+   * hysteresis state.
+   */
+  getTargetHedgeRatio(poolId, strategy, currentRisk, { commit = false } = {}) {
+    const key = String(poolId);
+    const state = this.hedgeTargets.get(key);
+    // A pool that switched strategies starts fresh on the new curve
+    const previous = state && state.strategyId === strategy.id ? state.ratio : undefined;
+    const ratio = applyHysteresis(this.getCurve(strategy), currentRisk, previous);
+
+    if (commit) {
+      const changed = !state || state.strategyId !== strategy.id || state.ratio !== ratio;
+      this.hedgeTargets.set(key, { strategyId: strategy.id, ratio, risk: currentRisk, updatedAt: Date.now() });
+      // Kept across restarts, or the first evaluation after one would skip the hysteresis band
+      if (changed) this.saveHedgeTargets();
+    }
+    return ratio;
+  }
+
+  curvesPath() {
+    return path.join(this.directory, 'curves.json');
+  }
+
+  hedgeTargetsPath() {
+    return path.join(this.directory, 'hedge-targets.json');
+  }
+
+  async loadCurves() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.curvesPath(), 'utf8'));
+      for (const [strategyId, curve] of Object.entries(data)) {
+        this.curves.set(Number(strategyId), validateCurve(curve));
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to load hedge curves:', error.message);
+      }
+    }
+
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.hedgeTargetsPath(), 'utf8'));
+      for (const [poolId, state] of Object.entries(data)) {
+        this.hedgeTargets.set(poolId, state);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to load hedge targets:', error.message);
+      }
+    }
+  }
+
+  // Writes are chained so overlapping saves cannot interleave on a temp file
+  writeState(target, read, label) {
+    this.saving = this.saving.then(async () => {
+      const temp = `${target}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify(read()));
+      await fs.promises.rename(temp, target);
+    }).catch(error => {
+      console.error(`Failed to save ${label}:`, error);
+    });
+    return this.saving;
+  }
+
+  saveCurves() {
+    return this.writeState(this.curvesPath(), () => Object.fromEntries(this.curves), 'hedge curves');
+  }
+
+  saveHedgeTargets() {
+    return this.writeState(this.hedgeTargetsPath(), () => Object.fromEntries(this.hedgeTargets), 'hedge targets');
+  }
+
+  async setCurve(strategyId, input) {
+    const curve = validateCurve(input);
+    this.curves.set(strategyId, curve);
+    await this.saveCurves();
+    return curve;
+  }
+
+  async deleteCurve(strategyId) {
+    const deleted = this.curves.delete(strategyId);
+    if (deleted) await this.saveCurves();
+    return deleted;
+  }
+
+  async getPoolStrategy(poolId) {
+    const riskMetrics = await this.contracts.riskCalculator.getPoolRiskMetrics(poolId);
+    const currentRisk = riskMetrics.compositeRisk.toNumber();
+    const assignedStrategyId = await this.getAssignedStrategyId(poolId);
+    const assigned = this.getStrategy(assignedStrategyId);
+    const strategy = await this.resolveStrategy(poolId, currentRisk);
+    const targetRatio = strategy ? this.getTargetHedgeRatio(poolId, strategy, currentRisk) : 0;
+
+    return {
+      poolId,
+      assignedStrategyId: assignedStrategyId || null,
+      assignedStrategy: assigned,
+      strategy,
+      source: assigned && assigned.active ? 'assigned' : strategy ? 'global' : null,
+      currentRisk,
+      curve: strategy ? this.getCurve(strategy) : null,
+      targetRatio,
+      // Hedging triggers once the strategy's curve asks for a non-zero hedge
+      triggered: targetRatio > 0
+    };
+  }
+
+  // Current vs. strategy-target hedge ratio, both in basis points of total deposits
+  async getHedgeRatioStatus(poolId) {
+    const [poolInfo, riskMetrics] = await Promise.all([
+      this.contracts.wedgedPool.getPoolInfo(poolId),
+      this.contracts.riskCalculator.getPoolRiskMetrics(poolId)
+    ]);
+
+    const currentRisk = riskMetrics.compositeRisk.toNumber();
+    // Open positions only, measured the way evaluation measures them
+    const currentRatio = poolInfo.totalDeposits.isZero()
+      ? 0
+      : this.getActiveHedgedAmount(poolId).mul(10000).div(poolInfo.totalDeposits).toNumber();
+    const strategy = await this.resolveStrategy(poolId, currentRisk);
+    const targetRatio = strategy ? this.getTargetHedgeRatio(poolId, strategy, currentRisk) : 0;
+
+    return {
+      poolId,
+      currentRisk,
+      currentRatio,
+      targetRatio,
+      strategy: strategy ? strategy.name : null,
+      // Drift in percentage points of deposits
+      drift: Math.abs(currentRatio - targetRatio) / 100
+    };
+  }
+
   async getHedgingRecommendations(poolId) {
     try {
       const poolInfo = await this.contracts.wedgedPool.getPoolInfo(poolId);
       const riskMetrics = await this.contracts.riskCalculator.getPoolRiskMetrics(poolId);
       
       const currentRisk = riskMetrics.compositeRisk.toNumber();
-      const currentHedgeRatio = poolInfo.hedgedAmount.mul(10000).div(poolInfo.totalDeposits).toNumber();
+      const currentHedgeRatio = poolInfo.totalDeposits.isZero()
+        ? 0
+        : this.getActiveHedgedAmount(poolId).mul(10000).div(poolInfo.totalDeposits).toNumber();
       
-      const strategy = this.findBestStrategy(currentRisk);
+      const strategy = await this.resolveStrategy(poolId, currentRisk);
       
       const recommendations = [];
       
       if (strategy) {
-        const optimalHedgeRatio = strategy.hedgeRatio;
+        const optimalHedgeRatio = this.getTargetHedgeRatio(poolId, strategy, currentRisk);
         
         if (currentHedgeRatio < optimalHedgeRatio * 0.8) {
           recommendations.push({
@@ -335,14 +1022,67 @@ class HedgingService extends EventEmitter {
     }
   }
 
+  async getPoolInfo(poolId) {
+    try {
+      if (!this.contracts.wedgedPool) return null;
+
+      const pool = await this.contracts.wedgedPool.getPoolInfo(poolId);
+      return {
+        id: pool.id.toNumber(),
+        token0: pool.token0,
+        token1: pool.token1,
+        totalDeposits: pool.totalDeposits,
+        availableLiquidity: pool.availableLiquidity,
+        hedgedAmount: pool.hedgedAmount,
+        riskScore: pool.riskScore.toNumber(),
+        active: pool.active
+      };
+    } catch (error) {
+      // getPoolInfo reverts for unknown pools
+      return null;
+    }
+  }
+
+  async getAllPools() {
+    if (!this.contracts.wedgedPool) return [];
+
+    // Pool IDs start at 1
+    const totalPools = (await this.contracts.wedgedPool.totalPools()).toNumber();
+    const pools = await Promise.all(
+      Array.from({ length: totalPools }, (_, index) => this.getPoolInfo(index + 1))
+    );
+    return pools.filter(Boolean);
+  }
+
+  async getUserPools(userAddress) {
+    if (!this.contracts.wedgedPool) return [];
+
+    const poolIds = await this.contracts.wedgedPool.getUserPools(userAddress);
+    // A pool is pushed again when a user re-enters it after withdrawing everything
+    return Array.from(new Set(poolIds.map(poolId => poolId.toNumber())));
+  }
+
+  async getUserDeposit(poolId, userAddress) {
+    if (!this.contracts.wedgedPool) return ethers.BigNumber.from(0);
+    return this.contracts.wedgedPool.getUserDeposit(poolId, userAddress);
+  }
+
+  async getUserRewards(poolId, userAddress) {
+    if (!this.contracts.wedgedPool) return ethers.BigNumber.from(0);
+    return this.contracts.wedgedPool.getUserRewards(poolId, userAddress);
+  }
+
   async getActivePositions() {
+    const prices = new Map();
     const positions = [];
     for (const [positionId, position] of this.hedgePositions) {
       if (position.active) {
+        const valuation = await this.valuePosition(positionId, prices);
         positions.push({
           id: positionId,
           ...position,
-          pnl: await this.calculatePositionPnL(positionId)
+          valuation,
+          pnl: valuation.unrealizedPnl
         });
       }
     }
@@ -350,51 +1090,179 @@ class HedgingService extends EventEmitter {
   }
 
   async calculatePositionPnL(positionId) {
-    // Simplified P&L calculation
-    // In production, this would involve complex calculations based on price movements
-    return Math.random() * 1000 - 500; // Mock P&L between -500 and +500
+    const valuation = await this.valuePosition(positionId);
+    if (!valuation) return null;
+    return valuation.active ? valuation.unrealizedPnl : valuation.realizedPnl;
   }
 
-  async getHedgingAnalytics(timeframe = '7d') {
+  // Also refreshes the cached rate valuations use, so they need no RPC per position
+  async getHedgingFee() {
     try {
-      const analytics = {
-        totalPositions: this.hedgePositions.size,
-        activePositions: Array.from(this.hedgePositions.values()).filter(p => p.active).length,
-        totalHedgedValue: '0',
-        averageHedgeRatio: 0,
-        successRate: 0,
-        costEfficiency: 0,
-        riskReduction: 0
-      };
+      const fee = await this.contracts.hedgingManager.hedgingFee();
+      this.hedgingFee = fee.toNumber();
+    } catch (error) {
+      // Keep the last rate read, which starts as HedgingManager's default
+    }
+    return this.hedgingFee;
+  }
 
-      // Calculate metrics from active positions
-      const activePositions = Array.from(this.hedgePositions.values()).filter(p => p.active);
-      
-      if (activePositions.length > 0) {
-        const totalValue = activePositions.reduce((sum, pos) => sum + parseFloat(pos.hedgedAmount || 0), 0);
-        analytics.totalHedgedValue = totalValue.toFixed(4);
-        
-        analytics.averageHedgeRatio = activePositions.reduce((sum, pos) => sum + (pos.hedgeRatio || 0), 0) / activePositions.length;
-        
-        // Mock success metrics
-        analytics.successRate = Math.random() * 0.3 + 0.7; // 70-100%
-        analytics.costEfficiency = Math.random() * 0.2 + 0.8; // 80-100%
-        analytics.riskReduction = Math.random() * 0.3 + 0.6; // 60-90%
+  // Strategy administration is restricted to the HedgingManager owner on-chain
+  async getHedgingManagerOwner() {
+    if (!this.contracts.hedgingManager) return null;
+    return this.contracts.hedgingManager.owner();
+  }
+
+  // Pool price (token0 in token1) from EulerSwap, or null when no price is available
+  async getPoolPrice(poolId) {
+    const pool = await this.getPoolInfo(poolId);
+    if (!pool) return null;
+
+    const price = await eulerSwapService.getPrice(pool.token0, pool.token1);
+    return price.isZero() ? null : parseFloat(ethers.utils.formatEther(price));
+  }
+
+  /**
+   * Marks a hedge position to market. A hedge sells hedgedAmount of token0 for token1 at
+   * the entry price, so it gains as token0 falls; that gain offsets the impermanent loss a
+   * 50/50 LP position of the same notional suffers over the same move. Amounts are in token1.
+   * `prices` caches pool prices across calls (poolId -> price).
+   */
+  async valuePosition(positionId, prices = new Map()) {
+    const position = this.hedgePositions.get(positionId);
+    if (!position) return null;
+
+    const hedgedAmount = parseFloat(position.hedgedAmount);
+    const totalCost = parseFloat(position.totalCost);
+    const feeRate = (position.hedgingFee ?? this.hedgingFee) / 10000;
+
+    // HedgeExecuted cost is the swap notional with the fee and the slippage buffer added on
+    // top. The buffer only bounds the swap's minimum output, so only the fee counts as paid.
+    const notional = totalCost / (1 + feeRate + SLIPPAGE_TOLERANCE / 10000);
+    const valuation = {
+      positionId,
+      poolId: position.poolId,
+      active: position.active,
+      hedgedAmount,
+      entryPrice: hedgedAmount > 0 ? notional / hedgedAmount : null,
+      currentPrice: null,
+      notional,
+      currentValue: null,
+      hedgingCost: notional * feeRate,
+      realizedPnl: position.realizedPnl != null ? parseFloat(position.realizedPnl) : null,
+      unrealizedPnl: null,
+      impermanentLossOffset: position.impermanentLossOffset ?? null
+    };
+
+    if (!position.active) {
+      valuation.currentPrice = position.exitPrice ?? null;
+      return valuation;
+    }
+
+    if (!prices.has(position.poolId)) {
+      prices.set(position.poolId, await this.getPoolPrice(position.poolId));
+    }
+    const currentPrice = prices.get(position.poolId);
+    if (currentPrice === null || valuation.entryPrice === null) return valuation;
+
+    const ratio = currentPrice / valuation.entryPrice;
+    valuation.currentPrice = currentPrice;
+    valuation.currentValue = hedgedAmount * currentPrice;
+    valuation.unrealizedPnl = hedgedAmount * (valuation.entryPrice - currentPrice) - valuation.hedgingCost;
+    valuation.impermanentLossOffset = positionValues(notional, ratio).impermanentLoss;
+
+    return valuation;
+  }
+
+  /**
+   * Performance of positions open at any point in the timeframe: still active, or closed
+   * within it. P&L runs from each position's entry. Strategy attribution follows the pool's
+   * current HedgingManager assignment, as executeHedging does.
+   */
+  async getHedgingAnalytics(timeframe = '7d') {
+    const config = TIMEFRAMES[timeframe];
+    if (!config) {
+      throw new Error(`Invalid timeframe. Must be one of: ${Object.keys(TIMEFRAMES).join(', ')}`);
+    }
+
+    const from = Date.now() - config.span;
+    const prices = new Map();
+    const poolStrategies = new Map();
+    const byPool = new Map();
+    const byStrategy = new Map();
+
+    const summarize = () => ({
+      positions: 0,
+      activePositions: 0,
+      hedgedAmount: 0,
+      hedgingCost: 0,
+      realizedPnl: 0,
+      unrealizedPnl: 0,
+      netPnl: 0,
+      impermanentLossOffset: 0
+    });
+    const add = (summary, valuation) => {
+      summary.positions++;
+      summary.hedgingCost += valuation.hedgingCost;
+      summary.impermanentLossOffset += valuation.impermanentLossOffset || 0;
+      if (valuation.active) {
+        summary.activePositions++;
+        summary.hedgedAmount += valuation.hedgedAmount;
+        summary.unrealizedPnl += valuation.unrealizedPnl || 0;
+      } else {
+        summary.realizedPnl += valuation.realizedPnl || 0;
       }
+      summary.netPnl = summary.realizedPnl + summary.unrealizedPnl;
+    };
 
-      return analytics;
-    } catch (error) {
-      console.error('Error getting hedging analytics:', error);
-      return {
-        totalPositions: 0,
-        activePositions: 0,
-        totalHedgedValue: '0',
-        averageHedgeRatio: 0,
-        successRate: 0,
-        costEfficiency: 0,
-        riskReduction: 0
-      };
+    const totals = summarize();
+    let hedgeRatioSum = 0;
+
+    for (const [positionId, position] of this.hedgePositions) {
+      if (!position.active && !(position.closedAt >= from)) continue;
+
+      const valuation = await this.valuePosition(positionId, prices);
+
+      if (!poolStrategies.has(position.poolId)) {
+        let strategyId = DEFAULT_STRATEGY_ID;
+        try {
+          strategyId = (await this.getAssignedStrategyId(position.poolId)) || DEFAULT_STRATEGY_ID;
+        } catch (error) {
+          // Unassigned pools hedge with the default strategy
+        }
+        poolStrategies.set(position.poolId, strategyId);
+      }
+      const strategyId = poolStrategies.get(position.poolId);
+
+      if (!byPool.has(position.poolId)) byPool.set(position.poolId, { poolId: position.poolId, ...summarize() });
+      if (!byStrategy.has(strategyId)) {
+        const strategy = this.getStrategy(strategyId);
+        byStrategy.set(strategyId, { strategyId, name: strategy ? strategy.name : null, ...summarize() });
+      }
+
+      add(totals, valuation);
+      add(byPool.get(position.poolId), valuation);
+      add(byStrategy.get(strategyId), valuation);
+
+      const original = parseFloat(position.originalAmount);
+      if (original > 0) hedgeRatioSum += (valuation.hedgedAmount / original) * 10000;
     }
+
+    return {
+      timeframe,
+      from: new Date(from).toISOString(),
+      totalPositions: totals.positions,
+      activePositions: totals.activePositions,
+      totalHedgedValue: totals.hedgedAmount.toFixed(4),
+      // Hedged share of each position's requested amount, in basis points
+      averageHedgeRatio: totals.positions > 0 ? Math.round(hedgeRatioSum / totals.positions) : 0,
+      hedgingCost: totals.hedgingCost,
+      realizedPnl: totals.realizedPnl,
+      unrealizedPnl: totals.unrealizedPnl,
+      netPnl: totals.netPnl,
+      impermanentLossOffset: totals.impermanentLossOffset,
+      byPool: Array.from(byPool.values()),
+      byStrategy: Array.from(byStrategy.values())
+    };
   }
 
   // Administrative functions
@@ -404,9 +1272,9 @@ class HedgingService extends EventEmitter {
     }
 
     try {
-      const hedgingManagerWithSigner = this.contracts.hedgingManager.connect(this.signer);
-      const tx = await hedgingManagerWithSigner.createStrategy(name, riskThreshold, hedgeRatio);
-      const receipt = await tx.wait();
+      const receipt = await transactionManager.send(this.contracts.hedgingManager, 'createStrategy', [name, riskThreshold, hedgeRatio], {
+        label: `Create strategy ${name}`
+      });
 
       console.log(`Strategy "${name}" created successfully. TX: ${receipt.transactionHash}`);
       
@@ -426,9 +1294,9 @@ class HedgingService extends EventEmitter {
     }
 
     try {
-      const hedgingManagerWithSigner = this.contracts.hedgingManager.connect(this.signer);
-      const tx = await hedgingManagerWithSigner.updateStrategy(strategyId, riskThreshold, hedgeRatio);
-      const receipt = await tx.wait();
+      const receipt = await transactionManager.send(this.contracts.hedgingManager, 'updateStrategy', [strategyId, riskThreshold, hedgeRatio], {
+        label: `Update strategy ${strategyId}`
+      });
 
       console.log(`Strategy ${strategyId} updated successfully. TX: ${receipt.transactionHash}`);
       
@@ -445,15 +1313,62 @@ class HedgingService extends EventEmitter {
     }
   }
 
+  async deactivateStrategy(strategyId) {
+    if (!this.signer) {
+      throw new Error('Signer required for strategy deactivation');
+    }
+
+    try {
+      const receipt = await transactionManager.send(this.contracts.hedgingManager, 'deactivateStrategy', [strategyId], {
+        label: `Deactivate strategy ${strategyId}`
+      });
+
+      console.log(`Strategy ${strategyId} deactivated. TX: ${receipt.transactionHash}`);
+
+      if (this.strategies.has(strategyId)) {
+        this.strategies.get(strategyId).active = false;
+      }
+
+      return receipt.transactionHash;
+    } catch (error) {
+      console.error('Error deactivating strategy:', error);
+      throw error;
+    }
+  }
+
+  async assignStrategyToPool(poolId, strategyId) {
+    if (!this.signer) {
+      throw new Error('Signer required for strategy assignment');
+    }
+
+    try {
+      const receipt = await transactionManager.send(this.contracts.hedgingManager, 'assignStrategyToPool', [poolId, strategyId], {
+        label: `Assign strategy ${strategyId} to pool ${poolId}`
+      });
+
+      console.log(`Strategy ${strategyId} assigned to pool ${poolId}. TX: ${receipt.transactionHash}`);
+
+      return receipt.transactionHash;
+    } catch (error) {
+      console.error('Error assigning strategy to pool:', error);
+      throw error;
+    }
+  }
+
+  withCurve(strategy) {
+    return { ...strategy, curve: this.getCurve(strategy), customCurve: this.curves.has(strategy.id) };
+  }
+
   getStrategies() {
-    return Array.from(this.strategies.values());
+    return Array.from(this.strategies.values(), strategy => this.withCurve(strategy));
   }
 
   getStrategy(strategyId) {
-    return this.strategies.get(strategyId) || null;
+    const strategy = this.strategies.get(strategyId);
+    return strategy ? this.withCurve(strategy) : null;
   }
 }
 
 const hedgingService = new HedgingService();
 
-module.exports = { hedgingService, HedgingService };
+module.exports = { hedgingService, HedgingService, DEFAULT_HEDGE_GAS_LIMIT };
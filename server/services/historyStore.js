@@ -0,0 +1,434 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Retention policy per series: points older than maxAge are dropped, and
+// points older than each downsample threshold are thinned to one per interval.
+const DEFAULT_RETENTION = {
+  prices: {
+    maxAge: 90 * DAY,
+    downsample: [
+      { olderThan: DAY, interval: 5 * MINUTE },
+      { olderThan: 7 * DAY, interval: HOUR }
+    ]
+  },
+  'pool-risk': {
+    maxAge: 90 * DAY,
+    downsample: [
+      { olderThan: DAY, interval: 15 * MINUTE },
+      { olderThan: 7 * DAY, interval: HOUR }
+    ]
+  },
+  'vault-metrics': {
+    maxAge: 90 * DAY,
+    downsample: [
+      { olderThan: DAY, interval: 15 * MINUTE },
+      { olderThan: 7 * DAY, interval: HOUR }
+    ]
+  },
+  'position-health': {
+    maxAge: 90 * DAY,
+    downsample: [
+      { olderThan: DAY, interval: 15 * MINUTE },
+      { olderThan: 7 * DAY, interval: HOUR }
+    ]
+  },
+  'cross-vault-metrics': {
+    maxAge: 90 * DAY,
+    downsample: [
+      { olderThan: DAY, interval: 15 * MINUTE },
+      { olderThan: 7 * DAY, interval: HOUR }
+    ]
+  },
+  // Kept for a year so impermanent loss can still be measured from a pool's first deposit
+  'pool-reserves': {
+    maxAge: 365 * DAY,
+    downsample: [
+      { olderThan: DAY, interval: 15 * MINUTE },
+      { olderThan: 7 * DAY, interval: HOUR },
+      { olderThan: 30 * DAY, interval: DAY }
+    ]
+  },
+  // An audit trail of hedging engine decisions, so never thinned
+  'hedge-decisions': {
+    maxAge: 90 * DAY,
+    downsample: []
+  },
+  // Entry fees and close valuations replayed with hedge positions, which are never pruned either
+  'hedge-valuations': {
+    maxAge: Infinity,
+    downsample: []
+  }
+};
+
+// Bucket sizes used when serving history for a timeframe
+const TIMEFRAMES = {
+  '24h': { span: DAY, interval: HOUR },
+  '7d': { span: 7 * DAY, interval: 6 * HOUR },
+  '30d': { span: 30 * DAY, interval: DAY },
+  '90d': { span: 90 * DAY, interval: DAY }
+};
+
+// Fewer populated buckets than this cannot be drawn as a series
+const MIN_RECORDED_BUCKETS = 2;
+
+const FALLBACK_RETENTION = {
+  maxAge: 90 * DAY,
+  downsample: []
+};
+
+// Keeps everything in process memory; used for tests and when persistence is disabled
+class MemoryBackend {
+  async load() {
+    return [];
+  }
+
+  async append(series, entry) {}
+
+  async rewrite(series, entries) {}
+
+  async close() {}
+}
+
+// Append-only JSON lines, one file per series. Compaction rewrites the file atomically.
+class FileBackend {
+  constructor(directory) {
+    this.directory = directory;
+    this.streams = new Map();
+    this.queues = new Map();
+  }
+
+  // Appends and rewrites of a series run one at a time, so an append cannot reopen the old
+  // file while a rewrite is replacing it
+  enqueue(series, task) {
+    const next = (this.queues.get(series) || Promise.resolve()).then(task);
+    this.queues.set(series, next.catch(() => {}));
+    return next;
+  }
+
+  filePath(series) {
+    return path.join(this.directory, `${series}.jsonl`);
+  }
+
+  async load() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const files = await fs.promises.readdir(this.directory);
+    const records = [];
+
+    for (const file of files) {
+      if (!file.endsWith('.jsonl')) continue;
+
+      const series = file.slice(0, -'.jsonl'.length);
+      const contents = await fs.promises.readFile(path.join(this.directory, file), 'utf8');
+
+      for (const line of contents.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          records.push({ series, ...JSON.parse(line) });
+        } catch (error) {
+          // A torn write at the end of the file is expected after a crash
+          console.warn(`Skipping malformed history line in ${file}`);
+        }
+      }
+    }
+
+    return records;
+  }
+
+  getStream(series) {
+    if (!this.streams.has(series)) {
+      this.streams.set(series, fs.createWriteStream(this.filePath(series), { flags: 'a' }));
+    }
+    return this.streams.get(series);
+  }
+
+  append(series, entry) {
+    return this.enqueue(series, () => {
+      this.getStream(series).write(`${JSON.stringify(entry)}\n`);
+    });
+  }
+
+  rewrite(series, entries) {
+    return this.enqueue(series, async () => {
+      await this.closeStream(series);
+
+      const target = this.filePath(series);
+      const temp = `${target}.tmp`;
+      const body = entries.map(entry => JSON.stringify(entry)).join('\n');
+
+      await fs.promises.writeFile(temp, body ? `${body}\n` : '');
+      await fs.promises.rename(temp, target);
+    });
+  }
+
+  closeStream(series) {
+    const stream = this.streams.get(series);
+    if (!stream) return Promise.resolve();
+
+    this.streams.delete(series);
+    return new Promise(resolve => stream.end(resolve));
+  }
+
+  async close() {
+    await Promise.all(Array.from(this.queues.values()));
+    await Promise.all(Array.from(this.streams.keys()).map(series => this.closeStream(series)));
+  }
+}
+
+class HistoryStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.backendName = options.backend || process.env.HISTORY_BACKEND || 'file';
+    this.directory = options.directory || process.env.HISTORY_DIR || path.join(__dirname, '..', 'data', 'history');
+    this.retention = { ...DEFAULT_RETENTION, ...(options.retention || {}) };
+    this.compactionInterval = options.compactionInterval || HOUR;
+    this.series = new Map();
+    this.backend = null;
+    this.compactionTimer = null;
+    this.initializing = null;
+    this.isInitialized = false;
+  }
+
+  initialize() {
+    // Several services share the store, so initialization is idempotent
+    if (!this.initializing) {
+      this.initializing = this.load();
+    }
+    return this.initializing;
+  }
+
+  async load() {
+    try {
+      this.backend = this.createBackend(this.backendName);
+
+      const records = await this.backend.load();
+      for (const { series, k, t, d } of records) {
+        this.insert(series, { k, t, d });
+      }
+
+      await this.compact();
+      this.startCompaction();
+
+      this.isInitialized = true;
+      console.log(`HistoryStore initialized (${this.backendName}) with ${records.length} records`);
+    } catch (error) {
+      console.error('Failed to initialize HistoryStore:', error);
+      this.initializing = null;
+      throw error;
+    }
+  }
+
+  createBackend(name) {
+    switch (name) {
+      case 'file':
+        return new FileBackend(this.directory);
+      case 'memory':
+        return new MemoryBackend();
+      default:
+        throw new Error(`Unknown history backend: ${name}`);
+    }
+  }
+
+  startCompaction() {
+    if (this.compactionTimer) return;
+
+    this.compactionTimer = setInterval(async () => {
+      try {
+        await this.compact();
+      } catch (error) {
+        console.error('Error compacting history store:', error);
+      }
+    }, this.compactionInterval);
+
+    // Compaction alone should not keep the process alive
+    if (this.compactionTimer.unref) this.compactionTimer.unref();
+  }
+
+  getEntries(series, key) {
+    if (!this.series.has(series)) {
+      this.series.set(series, new Map());
+    }
+
+    const keys = this.series.get(series);
+    const normalizedKey = String(key).toLowerCase();
+
+    if (!keys.has(normalizedKey)) {
+      keys.set(normalizedKey, []);
+    }
+    return keys.get(normalizedKey);
+  }
+
+  insert(series, entry) {
+    const entries = this.getEntries(series, entry.k);
+
+    // Samples normally arrive in order, so only out-of-order writes pay for a splice
+    if (entries.length === 0 || entries[entries.length - 1].t <= entry.t) {
+      entries.push(entry);
+    } else {
+      const index = entries.findIndex(existing => existing.t > entry.t);
+      entries.splice(index, 0, entry);
+    }
+  }
+
+  async record(series, key, data, timestamp = Date.now()) {
+    if (!this.backend) {
+      throw new Error('History store not initialized');
+    }
+
+    const entry = { k: String(key).toLowerCase(), t: timestamp, d: data };
+    this.insert(series, entry);
+    await this.backend.append(series, entry);
+
+    this.emit('recorded', { series, key: entry.k, timestamp, data });
+    return entry;
+  }
+
+  query(series, key, { from = 0, to = Infinity, limit } = {}) {
+    const keys = this.series.get(series);
+    const entries = keys ? keys.get(String(key).toLowerCase()) || [] : [];
+
+    let points = entries
+      .filter(entry => entry.t >= from && entry.t <= to)
+      .map(entry => ({ timestamp: entry.t, ...entry.d }));
+
+    // A limit keeps the most recent points
+    if (limit !== undefined && points.length > limit) {
+      points = points.slice(points.length - limit);
+    }
+
+    return points;
+  }
+
+  latest(series, key) {
+    const points = this.query(series, key, { limit: 1 });
+    return points.length > 0 ? points[0] : null;
+  }
+
+  // Groups a key's history into timeframe buckets, keeping the last observation in each.
+  // Empty buckets are omitted rather than filled with invented values.
+  bucketize(series, key, timeframe = '7d', now = Date.now()) {
+    const config = TIMEFRAMES[timeframe];
+    if (!config) {
+      throw new Error(`Invalid timeframe. Must be one of: ${Object.keys(TIMEFRAMES).join(', ')}`);
+    }
+
+    const from = now - config.span;
+    const buckets = new Map();
+
+    for (const point of this.query(series, key, { from, to: now })) {
+      const bucketStart = Math.floor(point.timestamp / config.interval) * config.interval;
+      const existing = buckets.get(bucketStart);
+      buckets.set(bucketStart, {
+        ...point,
+        timestamp: bucketStart,
+        sampledAt: point.timestamp,
+        samples: existing ? existing.samples + 1 : 1
+      });
+    }
+
+    const points = Array.from(buckets.values()).sort((a, b) => a.timestamp - b.timestamp);
+
+    return {
+      timeframe,
+      interval: config.interval,
+      from,
+      to: now,
+      source: points.length >= MIN_RECORDED_BUCKETS ? 'recorded' : 'insufficient-data',
+      points
+    };
+  }
+
+  getKeys(series) {
+    const keys = this.series.get(series);
+    return keys ? Array.from(keys.keys()) : [];
+  }
+
+  applyRetention(entries, policy, now) {
+    const kept = [];
+    const thresholds = [...policy.downsample].sort((a, b) => b.olderThan - a.olderThan);
+    const lastInBucket = new Map();
+
+    for (const entry of entries) {
+      const age = now - entry.t;
+      if (age > policy.maxAge) continue;
+
+      const rule = thresholds.find(threshold => age > threshold.olderThan);
+      if (!rule) {
+        kept.push(entry);
+        continue;
+      }
+
+      // Keep the last sample in each bucket so downsampled points stay real observations
+      const bucket = `${rule.interval}:${Math.floor(entry.t / rule.interval)}`;
+      if (lastInBucket.has(bucket)) {
+        kept[lastInBucket.get(bucket)] = entry;
+      } else {
+        lastInBucket.set(bucket, kept.length);
+        kept.push(entry);
+      }
+    }
+
+    return kept;
+  }
+
+  async compact(now = Date.now()) {
+    for (const [series, keys] of this.series) {
+      const policy = this.retention[series] || FALLBACK_RETENTION;
+      const all = [];
+      let changed = false;
+
+      for (const [key, entries] of keys) {
+        const kept = this.applyRetention(entries, policy, now);
+        if (kept.length !== entries.length) changed = true;
+
+        if (kept.length === 0) {
+          keys.delete(key);
+        } else {
+          keys.set(key, kept);
+          all.push(...kept);
+        }
+      }
+
+      if (changed) {
+        all.sort((a, b) => a.t - b.t);
+        await this.backend.rewrite(series, all);
+      }
+    }
+  }
+
+  getStats() {
+    const stats = {
+      backend: this.backendName,
+      series: {}
+    };
+
+    for (const [series, keys] of this.series) {
+      let points = 0;
+      for (const entries of keys.values()) {
+        points += entries.length;
+      }
+      stats.series[series] = { keys: keys.size, points };
+    }
+
+    return stats;
+  }
+
+  async close() {
+    if (this.compactionTimer) {
+      clearInterval(this.compactionTimer);
+      this.compactionTimer = null;
+    }
+    if (this.backend) {
+      await this.backend.close();
+    }
+  }
+}
+
+const historyStore = new HistoryStore();
+
+module.exports = { historyStore, HistoryStore, MemoryBackend, FileBackend, TIMEFRAMES };
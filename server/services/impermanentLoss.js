@@ -0,0 +1,178 @@
+// Impermanent loss of a 50/50 constant-product LP position against holding the tokens it
+// was entered with. Price moves are gross changes (current / entry) of each token against
+// a common numeraire; with token1 as the numeraire, g1 is 1 and g0 is the pool price ratio.
+
+const MAX_BPS = 10000;
+const MAX_CURVE_STEPS = 500;
+const MAX_CURVE_CHANGE = 1000;
+
+// Fraction of the held value the LP position gives up: 1 - 2 * sqrt(g0 * g1) / (g0 + g1)
+const impermanentLossFactor = (g0, g1 = 1) => {
+  if (!(g0 > 0) || !(g1 > 0)) return 0;
+  return Math.max(0, 1 - (2 * Math.sqrt(g0 * g1)) / (g0 + g1));
+};
+
+/**
+ * Values of a position entered with `value` (numeraire units, split evenly between the
+ * tokens) after each token's price moved by g0 and g1: what holding would be worth, what
+ * the LP position is worth before fees, and the difference.
+ */
+const positionValues = (value, g0, g1 = 1) => {
+  const held = value * (g0 + g1) / 2;
+  const lp = value * Math.sqrt(g0 * g1);
+  return { held, lp, impermanentLoss: held - lp };
+};
+
+// Pool price (token0 in token1) implied by reserves
+const reservePrice = ({ reserve0, reserve1 }) => (reserve0 > 0 ? reserve1 / reserve0 : null);
+
+/**
+ * Growth of sqrt(reserve0 * reserve1) per LP token between two snapshots, minus one. Swap
+ * fees stay in the reserves, so this is what each LP token has earned. Unknown (null)
+ * without the LP token supply at both snapshots.
+ */
+const feeGrowth = (entry, current) => {
+  if (!(entry.totalSupply > 0) || !(current.totalSupply > 0)) return null;
+  const entryLiquidity = Math.sqrt(entry.reserve0 * entry.reserve1) / entry.totalSupply;
+  const currentLiquidity = Math.sqrt(current.reserve0 * current.reserve1) / current.totalSupply;
+  return entryLiquidity > 0 ? currentLiquidity / entryLiquidity - 1 : null;
+};
+
+/**
+ * IL of a position worth `value` at entry, from entry and current reserves, in numeraire
+ * units. `numeraire` gives each token's price move against it (g0, g1) when known; without
+ * it token1 is the numeraire and only the reserve price moves. Accrued swap fees and
+ * `rewards` (numeraire units) are netted off, so a negative net means fees and rewards
+ * more than paid for the IL.
+ */
+const impermanentLossFromReserves = ({ value, entry, current, numeraire = null, rewards = 0 }) => {
+  const entryPrice = reservePrice(entry);
+  const currentPrice = reservePrice(current);
+  if (entryPrice === null || currentPrice === null) return null;
+
+  const priceRatio = currentPrice / entryPrice;
+  const g0 = numeraire ? numeraire.g0 : priceRatio;
+  const g1 = numeraire ? numeraire.g1 : 1;
+  const { held, lp, impermanentLoss } = positionValues(value, g0, g1);
+
+  const growth = feeGrowth(entry, current);
+  const fees = growth === null ? null : lp * growth;
+  const net = impermanentLoss - (fees || 0) - rewards;
+
+  return {
+    value,
+    entryPrice,
+    currentPrice,
+    priceRatio,
+    g0,
+    g1,
+    heldValue: held,
+    lpValue: lp,
+    impermanentLoss,
+    impermanentLossBps: Math.round(impermanentLossFactor(g0, g1) * MAX_BPS),
+    feeGrowth: growth,
+    fees,
+    rewards,
+    netImpermanentLoss: net,
+    netImpermanentLossBps: held > 0 ? Math.round((net / held) * MAX_BPS) : null
+  };
+};
+
+/**
+ * Sums impermanentLossFromReserves results for positions entered at different times into one
+ * position, netting `rewards` (numeraire units) once. Prices and moves are value-weighted
+ * averages, which reproduce the combined held value exactly. Null if any part is unknown.
+ */
+const combineImpermanentLoss = (results, rewards = 0) => {
+  if (results.length === 0 || results.some(result => result === null)) return null;
+
+  const total = (field) => results.reduce((sum, result) => sum + result[field], 0);
+  const value = total('value');
+  const weighted = (field) => (value > 0
+    ? results.reduce((sum, result) => sum + result[field] * result.value, 0) / value
+    : results[results.length - 1][field]);
+
+  const held = total('heldValue');
+  const lp = total('lpValue');
+  const impermanentLoss = total('impermanentLoss');
+  const fees = results.some(result => result.fees === null) ? null : total('fees');
+  const entryPrice = weighted('entryPrice');
+  const currentPrice = results[0].currentPrice;
+  const net = impermanentLoss - (fees || 0) - rewards;
+
+  return {
+    value,
+    entryPrice,
+    currentPrice,
+    priceRatio: currentPrice / entryPrice,
+    g0: weighted('g0'),
+    g1: weighted('g1'),
+    heldValue: held,
+    lpValue: lp,
+    impermanentLoss,
+    impermanentLossBps: held > 0 ? Math.round((impermanentLoss / held) * MAX_BPS) : 0,
+    feeGrowth: fees === null || !(lp > 0) ? null : fees / lp,
+    fees,
+    rewards,
+    netImpermanentLoss: net,
+    netImpermanentLossBps: held > 0 ? Math.round((net / held) * MAX_BPS) : null
+  };
+};
+
+/**
+ * IL across a range of token0 price changes (percent), for charting. token1Change moves
+ * token1 against the numeraire by a fixed percentage; `value` sizes the loss and `offset`
+ * (fees and rewards earned so far) shifts the net curve.
+ */
+const impermanentLossCurve = ({ min = -90, max = 400, steps = 100, token1Change = 0, value = 1, offset = 0 } = {}) => {
+  const g1 = 1 + token1Change / 100;
+  const points = [];
+
+  for (let i = 0; i <= steps; i++) {
+    const change = min + ((max - min) * i) / steps;
+    const g0 = 1 + change / 100;
+    const { held, impermanentLoss } = positionValues(value, g0, g1);
+    points.push({
+      priceChange: Number(change.toFixed(4)),
+      priceRatio: g0 / g1,
+      impermanentLossBps: Math.round(impermanentLossFactor(g0, g1) * MAX_BPS),
+      impermanentLoss,
+      netImpermanentLoss: impermanentLoss - offset,
+      heldValue: held
+    });
+  }
+
+  return points;
+};
+
+// Validates curve query parameters; throws with a message suitable for a 400
+const parseCurveOptions = (query = {}) => {
+  const number = (name, fallback) => (query[name] !== undefined ? Number(query[name]) : fallback);
+  const min = number('min', -90);
+  const max = number('max', 400);
+  const steps = query.steps !== undefined ? parseInt(query.steps) : 100;
+  const token1Change = number('token1Change', 0);
+
+  if (!(min > -100) || !(max <= MAX_CURVE_CHANGE) || !(min < max)) {
+    throw new Error(`Price changes must satisfy -100 < min < max <= ${MAX_CURVE_CHANGE} (percent)`);
+  }
+  if (isNaN(steps) || steps < 1 || steps > MAX_CURVE_STEPS) {
+    throw new Error(`Steps must be between 1 and ${MAX_CURVE_STEPS}`);
+  }
+  if (!(token1Change > -100) || !(token1Change <= MAX_CURVE_CHANGE)) {
+    throw new Error(`token1Change must be above -100 and at most ${MAX_CURVE_CHANGE} (percent)`);
+  }
+
+  return { min, max, steps, token1Change };
+};
+
+module.exports = {
+  impermanentLossFactor,
+  positionValues,
+  reservePrice,
+  feeGrowth,
+  impermanentLossFromReserves,
+  combineImpermanentLoss,
+  impermanentLossCurve,
+  parseCurveOptions
+};
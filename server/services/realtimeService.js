@@ -0,0 +1,305 @@
+const { ethers } = require('ethers');
+const { activityService } = require('./activityService');
+const { historyStore } = require('./historyStore');
+const { verifySignature } = require('./requestAuth');
+
+// Socket.io event name per room type. Every payload is { type, key, data, timestamp },
+// where key is the normalized room key it was sent to.
+const ROOM_EVENTS = {
+  pool: 'pool-update',
+  portfolio: 'portfolio-update',
+  vault: 'vault-update',
+  position: 'position-update'
+};
+
+const SNAPSHOT_ACTIVITY_LIMIT = 20;
+
+const isAddress = (value) => typeof value === 'string' && ethers.utils.isAddress(value);
+const isId = (value) => /^\d+$/.test(String(value));
+
+/**
+ * Portfolio rooms carry a wallet's balances and alerts, so joining one takes a signature of
+ * "subscribe-portfolio <address>" (see Authentication in the README) sent as
+ * { address, timestamp, signature }. The signature may be reused until it expires so a
+ * client can rejoin after a reconnect. Returns the signing address, which is the room key.
+ */
+const authenticatePortfolio = ({ address, timestamp, signature } = {}) => verifySignature({
+  action: `subscribe-portfolio ${String(address).toLowerCase()}`,
+  body: {},
+  address,
+  timestamp,
+  signature
+}, { singleUse: false });
+
+class RealtimeService {
+  constructor(io, { hedgingService, riskAnalyzer, eulerVaultService, evcService, eventIndexer, alertService }) {
+    this.io = io;
+    this.hedgingService = hedgingService;
+    this.riskAnalyzer = riskAnalyzer;
+    this.eulerVaultService = eulerVaultService;
+    this.evcService = evcService;
+    this.eventIndexer = eventIndexer;
+    this.alertService = alertService;
+    this.portfolioPools = new Map(); // portfolio room key -> ids of the pools the wallet holds
+  }
+
+  // Room keys are normalized so 0xABC and 0xabc share a room
+  roomName(type, key) {
+    return `${type}-${String(key).toLowerCase()}`;
+  }
+
+  broadcast(type, key, payloadType, data) {
+    this.io.to(this.roomName(type, key)).emit(ROOM_EVENTS[type], {
+      type: payloadType,
+      key: String(key).toLowerCase(),
+      data,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  attach() {
+    this.io.on('connection', (socket) => {
+      console.log('Client connected:', socket.id);
+
+      this.registerRoom(socket, 'pool', 'subscribe-pool', 'unsubscribe-pool', isId);
+      this.registerRoom(socket, 'portfolio', 'subscribe-portfolio', 'unsubscribe-portfolio', isAddress, authenticatePortfolio);
+      this.registerRoom(socket, 'vault', 'subscribe-vault', 'unsubscribe-vault', isAddress);
+      this.registerRoom(socket, 'position', 'subscribe-position', 'unsubscribe-position', isId);
+
+      socket.on('disconnect', () => {
+        console.log('Client disconnected:', socket.id);
+      });
+    });
+
+    this.bindServiceEvents();
+  }
+
+  // `authenticate`, when given, turns the subscribe payload into the room key or throws
+  registerRoom(socket, type, subscribeEvent, unsubscribeEvent, validate, authenticate = null) {
+    socket.on(subscribeEvent, async (payload) => {
+      let key = payload;
+      if (authenticate) {
+        try {
+          key = authenticate(payload);
+        } catch (error) {
+          socket.emit('subscription-error', { type, key: payload && payload.address, message: error.message });
+          return;
+        }
+      }
+
+      if (!validate(key)) {
+        socket.emit('subscription-error', { type, key, message: `Invalid ${type} identifier` });
+        return;
+      }
+
+      socket.join(this.roomName(type, key));
+      console.log(`Client ${socket.id} subscribed to ${type} ${key}`);
+
+      // New subscribers get current state immediately instead of waiting for the next change
+      try {
+        const snapshot = await this.getSnapshot(type, key);
+        socket.emit(ROOM_EVENTS[type], {
+          type: `${type}-snapshot`,
+          key: String(key).toLowerCase(),
+          data: snapshot,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error(`Error building ${type} snapshot for ${key}:`, error);
+        socket.emit('subscription-error', { type, key, message: error.message });
+      }
+    });
+
+    socket.on(unsubscribeEvent, (key) => {
+      socket.leave(this.roomName(type, key));
+      console.log(`Client ${socket.id} unsubscribed from ${type} ${key}`);
+    });
+  }
+
+  async getSnapshot(type, key) {
+    switch (type) {
+      case 'pool':
+        return this.getPoolSnapshot(Number(key));
+      case 'portfolio':
+        return this.getPortfolioSnapshot(key);
+      case 'vault':
+        return this.getVaultSnapshot(key);
+      case 'position':
+        return this.getPositionSnapshot(key);
+      default:
+        return null;
+    }
+  }
+
+  async getPoolSnapshot(poolId) {
+    const pool = await this.hedgingService.getPoolInfo(poolId);
+
+    return {
+      poolId,
+      pool: pool ? {
+        ...pool,
+        totalDeposits: ethers.utils.formatEther(pool.totalDeposits),
+        availableLiquidity: ethers.utils.formatEther(pool.availableLiquidity),
+        hedgedAmount: ethers.utils.formatEther(pool.hedgedAmount)
+      } : null,
+      risk: historyStore.latest('pool-risk', poolId),
+      hedgePositions: await this.getPoolHedgePositions(poolId)
+    };
+  }
+
+  async getPoolHedgePositions(poolId) {
+    const positions = await this.hedgingService.getActivePositions();
+    return positions.filter(position => position.poolId === poolId);
+  }
+
+  // Remembers the pools a subscribed wallet holds, so pool events can reach its portfolio room
+  async trackPortfolioPools(userAddress) {
+    const poolIds = await this.hedgingService.getUserPools(userAddress).catch(() => []);
+    this.portfolioPools.set(userAddress.toLowerCase(), new Set(poolIds));
+    return poolIds;
+  }
+
+  // Sends a pool event to the portfolio room of every subscribed wallet holding the pool
+  broadcastToHolders(poolId, payloadType, data) {
+    for (const [user, poolIds] of this.portfolioPools) {
+      if (!this.io.sockets.adapter.rooms.has(this.roomName('portfolio', user))) {
+        this.portfolioPools.delete(user);
+      } else if (poolIds.has(Number(poolId))) {
+        this.broadcast('portfolio', user, payloadType, data);
+      }
+    }
+  }
+
+  async getPortfolioSnapshot(userAddress) {
+    const poolIds = await this.trackPortfolioPools(userAddress);
+
+    const pools = await Promise.all(poolIds.map(async (poolId) => {
+      const [deposit, rewards] = await Promise.all([
+        this.hedgingService.getUserDeposit(poolId, userAddress),
+        this.hedgingService.getUserRewards(poolId, userAddress)
+      ]);
+      return {
+        poolId,
+        userDeposit: ethers.utils.formatEther(deposit),
+        userRewards: ethers.utils.formatEther(rewards)
+      };
+    }));
+
+    return {
+      user: userAddress.toLowerCase(),
+      pools,
+      crossVaultPositions: this.evcService
+        ? await this.evcService.getUserCrossVaultPositions(userAddress)
+        : [],
+      recentActivity: activityService.getUserActivity(userAddress).slice(0, SNAPSHOT_ACTIVITY_LIMIT)
+    };
+  }
+
+  async getVaultSnapshot(assetAddress) {
+    return {
+      asset: assetAddress.toLowerCase(),
+      vault: this.eulerVaultService ? await this.eulerVaultService.getVaultInfo(assetAddress) : null,
+      metrics: historyStore.latest('vault-metrics', assetAddress)
+    };
+  }
+
+  async getPositionSnapshot(positionId) {
+    const position = this.evcService
+      ? this.evcService.crossVaultPositions.get(String(positionId)) || null
+      : null;
+
+    return {
+      positionId: Number(positionId),
+      position,
+      health: historyStore.latest('position-health', positionId)
+    };
+  }
+
+  bindServiceEvents() {
+    this.riskAnalyzer.on('risk-analysis-update', (analysis) => {
+      const risk = {
+        poolId: analysis.poolId,
+        riskScore: analysis.currentRiskScore,
+        riskLevel: analysis.riskLevel,
+        components: analysis.components,
+        utilization: analysis.utilization,
+        hedgeRatio: analysis.hedgeRatio,
+        recommendations: analysis.recommendations
+      };
+      this.broadcast('pool', analysis.poolId, 'pool-risk', risk);
+      this.broadcastToHolders(analysis.poolId, 'pool-risk', risk);
+    });
+
+    this.hedgingService.on('hedge-executed', (hedge) => {
+      this.broadcast('pool', hedge.poolId, 'hedge-executed', hedge);
+      this.broadcastToHolders(hedge.poolId, 'hedge-executed', hedge);
+    });
+
+    this.hedgingService.on('hedge-closed', (closed) => {
+      this.broadcast('pool', closed.poolId, 'hedge-closed', closed);
+      this.broadcastToHolders(closed.poolId, 'hedge-closed', closed);
+    });
+
+    this.hedgingService.on('hedge-assessed', (assessment) => {
+      this.broadcast('pool', assessment.poolId, 'hedge-assessed', assessment);
+    });
+
+    this.hedgingService.on('hedge-blocked', (blocked) => {
+      this.broadcast('pool', blocked.poolId, 'hedge-blocked', blocked);
+    });
+
+    this.hedgingService.on('hedge-decision', (decision) => {
+      this.broadcast('pool', decision.poolId, 'hedge-decision', decision);
+    });
+
+    this.hedgingService.on('position-adjustment', (adjustment) => {
+      this.broadcast('pool', adjustment.poolId, 'position-adjustment', adjustment);
+    });
+
+    if (this.eulerVaultService) {
+      this.eulerVaultService.on('vaultUpdated', (assetAddress) => {
+        this.broadcast('vault', assetAddress, 'vault-metrics', {
+          asset: assetAddress.toLowerCase(),
+          ...historyStore.latest('vault-metrics', assetAddress)
+        });
+      });
+    }
+
+    if (this.evcService) {
+      this.evcService.on('positionHealthChanged', (change) => {
+        this.broadcast('position', change.positionId, 'position-health', change);
+        this.broadcast('portfolio', change.user, 'position-health', change);
+      });
+    }
+
+    if (this.alertService) {
+      this.alertService.on('alert-triggered', (alert) => {
+        this.broadcast('portfolio', alert.owner, 'alert', alert);
+      });
+    }
+
+    // Confirmed on-chain activity goes to the acting wallet and the pool it touched
+    this.eventIndexer.on('indexed-event', (event) => {
+      if (!event.live) return;
+
+      const activity = activityService.toActivity(event);
+      if (!activity) return;
+
+      if (event.user) {
+        this.broadcast('portfolio', event.user, 'activity', activity);
+        // Deposits and withdrawals change which pools the wallet holds
+        if (activity.poolId !== undefined && this.portfolioPools.has(event.user.toLowerCase())) {
+          this.trackPortfolioPools(event.user);
+        }
+      }
+      if (activity.poolId !== undefined) {
+        this.broadcast('pool', activity.poolId, 'pool-activity', activity);
+      }
+      if (activity.positionId !== undefined) {
+        this.broadcast('position', activity.positionId, 'position-activity', activity);
+      }
+    });
+  }
+}
+
+module.exports = { RealtimeService, ROOM_EVENTS };
@@ -0,0 +1,121 @@
+const { ethers } = require('ethers');
+const { hedgingService } = require('./hedgingService');
+
+// Signatures older (or further in the future) than this are rejected
+const MAX_AGE = (parseInt(process.env.AUTH_MAX_AGE) || 300) * 1000;
+
+const AUTH_HEADERS = {
+  address: 'x-wedged-address',
+  timestamp: 'x-wedged-timestamp',
+  signature: 'x-wedged-signature'
+};
+
+const usedSignatures = new Map(); // signature -> time it expires
+
+/**
+ * The EIP-191 message a wallet signs to authorize one action, e.g. "POST /api/hedging/kill-switch".
+ * The body hash binds the signature to the payload it was made for; `timestamp` is epoch ms.
+ */
+const buildAuthMessage = ({ action, timestamp, body = {} }) => [
+  'Wedged request',
+  `Action: ${action}`,
+  `Body: ${ethers.utils.id(JSON.stringify(body))}`,
+  `Timestamp: ${timestamp}`
+].join('\n');
+
+/**
+ * Returns the lowercased address that signed `action`, or throws with a message suitable for
+ * a 401. Single-use signatures (the default) cannot be replayed while they are still fresh.
+ */
+const verifySignature = ({ action, body, address, timestamp, signature }, { singleUse = true } = {}) => {
+  if (!address || !ethers.utils.isAddress(address) || !signature) {
+    throw new Error('Request must be signed by the acting wallet');
+  }
+
+  const now = Date.now();
+  const signedAt = Number(timestamp);
+  if (!Number.isFinite(signedAt) || Math.abs(now - signedAt) > MAX_AGE) {
+    throw new Error('Signature timestamp is missing or expired');
+  }
+
+  for (const [used, expiresAt] of usedSignatures) {
+    if (expiresAt < now) usedSignatures.delete(used);
+  }
+  if (singleUse && usedSignatures.has(signature)) {
+    throw new Error('Signature has already been used');
+  }
+
+  let signer;
+  try {
+    signer = ethers.utils.verifyMessage(buildAuthMessage({ action, timestamp, body }), signature);
+  } catch (error) {
+    throw new Error('Signature is malformed');
+  }
+  if (signer.toLowerCase() !== address.toLowerCase()) {
+    throw new Error('Signature does not match address');
+  }
+
+  if (singleUse) usedSignatures.set(signature, signedAt + MAX_AGE);
+  return signer.toLowerCase();
+};
+
+// Verifies the request's signature headers and sets req.signer to the signing address
+const requireSignature = (req, res, next) => {
+  try {
+    req.signer = verifySignature({
+      action: `${req.method} ${req.baseUrl}${req.path}`,
+      body: req.body || {},
+      address: req.get(AUTH_HEADERS.address),
+      timestamp: req.get(AUTH_HEADERS.timestamp),
+      signature: req.get(AUTH_HEADERS.signature)
+    });
+    next();
+  } catch (error) {
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: error.message
+    });
+  }
+};
+
+// Operators are the HedgingManager owner plus any addresses in OPERATOR_ADDRESSES
+const getOperators = async () => {
+  const operators = (process.env.OPERATOR_ADDRESSES || '')
+    .split(',')
+    .map(address => address.trim().toLowerCase())
+    .filter(address => ethers.utils.isAddress(address));
+
+  const owner = await hedgingService.getHedgingManagerOwner().catch(() => null);
+  return owner ? [...operators, owner.toLowerCase()] : operators;
+};
+
+// Signed requests from an operator only
+const requireOperator = (req, res, next) => {
+  requireSignature(req, res, async () => {
+    try {
+      const operators = await getOperators();
+      if (!operators.includes(req.signer)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Operator privileges required'
+        });
+      }
+      next();
+    } catch (error) {
+      console.error('Error checking operator privileges:', error);
+      res.status(500).json({
+        error: 'Failed to check operator privileges',
+        message: error.message
+      });
+    }
+  });
+};
+
+module.exports = {
+  AUTH_HEADERS,
+  buildAuthMessage,
+  verifySignature,
+  requireSignature,
+  requireOperator,
+  getOperators
+};
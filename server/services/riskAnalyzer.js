@@ -1,5 +1,20 @@
 const { ethers } = require('ethers');
 const { EventEmitter } = require('events');
+const { historyStore } = require('./historyStore');
+const { eventIndexer } = require('./eventIndexer');
+const { getToken } = require('./tokenMetadata');
+const { impermanentLossFactor, impermanentLossFromReserves, combineImpermanentLoss } = require('./impermanentLoss');
+const { estimateVolatility, parseVolatilityConfig } = require('./volatilityModels');
+const {
+  DEFAULT_OPTIONS: correlationDefaults,
+  configureNumeraire,
+  pearsonCorrelation,
+  correlate,
+  numeraireReturns,
+  alignReturns
+} = require('./correlation');
+
+const HOUR = 60 * 60 * 1000;
 
 class RiskAnalyzer extends EventEmitter {
   constructor() {
@@ -11,6 +26,9 @@ class RiskAnalyzer extends EventEmitter {
     this.correlationCache = new Map();
     this.riskCache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this.priceWindow = parseInt(process.env.PRICE_HISTORY_WINDOW) || 30; // Samples used for volatility/correlation
+    this.volatilityConfig = parseVolatilityConfig({});
+    this.historyStore = historyStore;
     this.isInitialized = false;
   }
 
@@ -20,6 +38,12 @@ class RiskAnalyzer extends EventEmitter {
       const rpcUrl = process.env.RPC_URL || 'http://localhost:8545';
       this.provider = new ethers.providers.JsonRpcProvider(rpcUrl);
       
+      this.volatilityConfig = parseVolatilityConfig(process.env);
+      configureNumeraire(process.env);
+
+      // Price and risk history survive restarts through the shared store
+      await this.historyStore.initialize();
+
       // Initialize contracts
       await this.initializeContracts();
       
@@ -130,11 +154,23 @@ class RiskAnalyzer extends EventEmitter {
         timestamp: Date.now(),
         currentRiskScore: poolInfo.riskScore.toNumber(),
         riskLevel: this.getRiskLevel(poolInfo.riskScore.toNumber()),
-        components: riskMetrics,
+        // The pool's volatility component comes from RiskCalculator, reported like calculateVolatility's contract figure
+        components: {
+          ...riskMetrics,
+          volatility: { volatility: riskMetrics.volatility, model: 'contract', samples: null, period: null }
+        },
         utilization: this.calculateUtilization(poolInfo),
         hedgeRatio: this.calculateHedgeRatio(poolInfo),
         liquidityDepth: this.calculateLiquidityDepth(poolInfo),
         concentrationRisk: await this.calculateConcentrationRisk(poolInfo),
+        volatility: {
+          token0: await this.calculateVolatility(poolInfo.token0),
+          token1: await this.calculateVolatility(poolInfo.token1)
+        },
+        impermanentLoss: await this.analyzeImpermanentLoss(poolId, poolInfo).catch(error => ({
+          source: 'unavailable',
+          message: error.message
+        })),
         recommendations: await this.generateRiskRecommendations(poolInfo, riskMetrics)
       };
 
@@ -144,6 +180,8 @@ class RiskAnalyzer extends EventEmitter {
         timestamp: Date.now()
       });
 
+      await this.recordRiskSnapshot(analysis);
+
       // Emit risk update event
       this.emit('risk-analysis-update', analysis);
 
@@ -182,7 +220,16 @@ class RiskAnalyzer extends EventEmitter {
     }
   }
 
+  // Per-token model, then the global one; null when neither is configured
+  getVolatilityModel(tokenAddress) {
+    return this.volatilityConfig.tokens.get(tokenAddress.toLowerCase()) || this.volatilityConfig.model;
+  }
+
+  // Volatility in basis points, with the model and sample count behind it.
+  // Without a configured model the contract's figure is preferred, as before.
   async calculateVolatility(tokenAddress) {
+    const model = this.getVolatilityModel(tokenAddress);
+
     try {
       const cacheKey = `volatility-${tokenAddress}`;
       const cached = this.volatilityCache.get(cacheKey);
@@ -191,18 +238,19 @@ class RiskAnalyzer extends EventEmitter {
         return cached.data;
       }
 
-      let volatility = 0;
+      let volatility = null;
       
-      if (this.contracts.riskCalculator) {
+      if (!model && this.contracts.riskCalculator) {
         try {
           const vol = await this.contracts.riskCalculator.calculateVolatility(tokenAddress);
-          volatility = vol.toNumber();
+          volatility = { token: tokenAddress.toLowerCase(), volatility: vol.toNumber(), model: 'contract', samples: null, period: null };
         } catch (error) {
           console.warn(`Contract volatility calculation failed for ${tokenAddress}:`, error.message);
-          volatility = await this.calculateHistoricalVolatility(tokenAddress);
         }
-      } else {
-        volatility = await this.calculateHistoricalVolatility(tokenAddress);
+      }
+
+      if (!volatility) {
+        volatility = await this.calculateHistoricalVolatility(tokenAddress, model || 'simple');
       }
 
       this.volatilityCache.set(cacheKey, {
@@ -213,69 +261,44 @@ class RiskAnalyzer extends EventEmitter {
       return volatility;
     } catch (error) {
       console.error(`Error calculating volatility for ${tokenAddress}:`, error);
-      return 0;
+      return { token: tokenAddress.toLowerCase(), volatility: 0, model: model || 'simple', samples: 0, period: null };
     }
   }
 
-  async calculateHistoricalVolatility(tokenAddress) {
-    try {
-      // This would typically fetch historical price data from an external API
-      // For now, we'll use a simplified calculation based on recent price movements
-      
-      if (!this.contracts.eulerSwapIntegration) {
-        return 0;
-      }
-
-      // Get current price against a reference token (e.g., WETH)
-      const referenceToken = process.env.REFERENCE_TOKEN || '0xC02aaA39b223FE8dCcE9d7b542fFC25BeF35a6f8';
-      
-      try {
-        const currentPrice = await this.contracts.eulerSwapIntegration.getPrice(tokenAddress, referenceToken);
-        
-        // Store price for historical comparison
-        const priceKey = `price-${tokenAddress}`;
-        const historicalPrices = this.priceFeeds.get(priceKey) || [];
-        
-        historicalPrices.push({
-          price: currentPrice.toString(),
-          timestamp: Date.now()
-        });
-
-        // Keep only last 30 data points
-        if (historicalPrices.length > 30) {
-          historicalPrices.shift();
-        }
+  async calculateHistoricalVolatility(tokenAddress, model = this.getVolatilityModel(tokenAddress) || 'simple') {
+    const { params } = this.volatilityConfig;
 
-        this.priceFeeds.set(priceKey, historicalPrices);
+    // Prices are sampled by updateVolatilityMetrics and persisted in the history store.
+    // Return models use the last priceWindow samples; parkinson the last priceWindow buckets.
+    const historicalPrices = model === 'parkinson'
+      ? this.getPriceHistory(tokenAddress, Infinity, Date.now() - this.priceWindow * params.rangeInterval)
+      : this.getPriceHistory(tokenAddress);
 
-        // Calculate volatility from price returns
-        if (historicalPrices.length < 2) return 0;
+    const estimate = estimateVolatility(historicalPrices, model, params);
 
-        const returns = [];
-        for (let i = 1; i < historicalPrices.length; i++) {
-          const current = parseFloat(historicalPrices[i].price);
-          const previous = parseFloat(historicalPrices[i - 1].price);
-          
-          if (previous > 0) {
-            returns.push(Math.log(current / previous));
-          }
-        }
+    return {
+      token: tokenAddress.toLowerCase(),
+      // Annualized, in basis points, capped at 100%
+      volatility: estimate ? Math.min(Math.round(estimate.volatility * 10000), 10000) : 0,
+      model,
+      samples: estimate ? estimate.samples : 0,
+      period: estimate ? estimate.period : null
+    };
+  }
 
-        if (returns.length === 0) return 0;
+  async samplePrice(tokenAddress) {
+    if (!this.contracts.eulerSwapIntegration) return null;
 
-        // Calculate standard deviation of returns
-        const mean = returns.reduce((sum, ret) => sum + ret, 0) / returns.length;
-        const variance = returns.reduce((sum, ret) => sum + Math.pow(ret - mean, 2), 0) / returns.length;
-        const volatility = Math.sqrt(variance) * Math.sqrt(365) * 100; // Annualized volatility in %
+    // Get current price against a reference token (e.g., WETH)
+    const referenceToken = process.env.REFERENCE_TOKEN || '0xC02aaA39b223FE8dCcE9d7b542fFC25BeF35a6f8';
 
-        return Math.min(volatility * 100, 10000); // Convert to basis points, cap at 100%
-      } catch (error) {
-        console.warn(`Price fetch failed for ${tokenAddress}:`, error.message);
-        return 0;
-      }
+    try {
+      const currentPrice = await this.contracts.eulerSwapIntegration.getPrice(tokenAddress, referenceToken);
+      await this.recordPrice(tokenAddress, currentPrice.toString());
+      return currentPrice;
     } catch (error) {
-      console.error(`Error calculating historical volatility for ${tokenAddress}:`, error);
-      return 0;
+      console.warn(`Price fetch failed for ${tokenAddress}:`, error.message);
+      return null;
     }
   }
 
@@ -314,28 +337,25 @@ class RiskAnalyzer extends EventEmitter {
     }
   }
 
+  // Correlation of the tokens' shared hourly returns over the trailing correlation window
   async calculateHistoricalCorrelation(token0, token1) {
     try {
-      const priceKey0 = `price-${token0}`;
-      const priceKey1 = `price-${token1}`;
-      
-      const prices0 = this.priceFeeds.get(priceKey0) || [];
-      const prices1 = this.priceFeeds.get(priceKey1) || [];
-
-      if (prices0.length < 10 || prices1.length < 10) {
-        return 5000; // Default correlation if insufficient data
+      const { method, window } = correlationDefaults;
+      const from = Date.now() - (window + 1) * HOUR;
+      const reference = (process.env.REFERENCE_TOKEN || '0xC02aaA39b223FE8dCcE9d7b542fFC25BeF35a6f8').toLowerCase();
+      const pricesOf = token => this.getPriceHistory(token, Infinity, from);
+      const returns0 = numeraireReturns(token0, pricesOf, { reference });
+      const returns1 = numeraireReturns(token1, pricesOf, { reference });
+      if (!returns0 || !returns1) {
+        return 5000; // The numeraire has no returns of its own to correlate
       }
 
-      // Calculate returns for both tokens
-      const returns0 = this.calculateReturns(prices0);
-      const returns1 = this.calculateReturns(prices1);
+      const { x, y } = alignReturns(returns0, returns1);
 
-      if (returns0.length === 0 || returns1.length === 0) {
-        return 5000;
+      const correlation = correlate(x.slice(-window), y.slice(-window), method);
+      if (correlation === null) {
+        return 5000; // Default correlation if insufficient data
       }
-
-      // Calculate correlation coefficient
-      const correlation = this.pearsonCorrelation(returns0, returns1);
       
       // Convert to basis points (0-10000)
       return Math.max(0, Math.min(10000, (correlation + 1) * 5000));
@@ -345,6 +365,139 @@ class RiskAnalyzer extends EventEmitter {
     }
   }
 
+  async recordPrice(tokenAddress, price, timestamp = Date.now()) {
+    try {
+      await this.historyStore.record('prices', tokenAddress, { price: price.toString() }, timestamp);
+    } catch (error) {
+      console.warn(`Failed to record price for ${tokenAddress}:`, error.message);
+    }
+
+    // Keep a small in-memory window for callers that only need recent samples
+    const priceKey = `price-${tokenAddress}`;
+    const recentPrices = this.priceFeeds.get(priceKey) || [];
+    recentPrices.push({ price: price.toString(), timestamp });
+    if (recentPrices.length > this.priceWindow) {
+      recentPrices.shift();
+    }
+    this.priceFeeds.set(priceKey, recentPrices);
+  }
+
+  getPriceHistory(tokenAddress, limit = this.priceWindow, from = 0) {
+    if (this.historyStore.isInitialized) {
+      return this.historyStore.query('prices', tokenAddress, { from, limit });
+    }
+    return (this.priceFeeds.get(`price-${tokenAddress}`) || [])
+      .filter(point => point.timestamp >= from)
+      .slice(-limit);
+  }
+
+  async recordRiskSnapshot(analysis) {
+    try {
+      await this.historyStore.record('pool-risk', analysis.poolId, {
+        riskScore: analysis.currentRiskScore,
+        riskLevel: analysis.riskLevel,
+        // Components stay plain numbers in the series, which getRiskHistory averages
+        components: { ...analysis.components, volatility: analysis.components.volatility.volatility },
+        utilization: analysis.utilization,
+        hedgeRatio: analysis.hedgeRatio,
+        liquidityDepth: analysis.liquidityDepth,
+        concentrationRisk: analysis.concentrationRisk
+      }, analysis.timestamp);
+    } catch (error) {
+      console.warn(`Failed to record risk snapshot for pool ${analysis.poolId}:`, error.message);
+    }
+  }
+
+  // Bucketed risk history in the column layout the risk charts consume.
+  // 'overview' averages every recorded pool per bucket.
+  getRiskHistory(poolId, timeframe = '7d') {
+    const poolKeys = poolId === 'overview'
+      ? this.historyStore.getKeys('pool-risk')
+      : [poolId];
+
+    const buckets = new Map();
+    let interval = null;
+
+    for (const key of poolKeys) {
+      const history = this.historyStore.bucketize('pool-risk', key, timeframe);
+      interval = history.interval;
+
+      for (const point of history.points) {
+        const bucket = buckets.get(point.timestamp) || [];
+        bucket.push(point);
+        buckets.set(point.timestamp, bucket);
+      }
+    }
+
+    const average = (points, select) => points.reduce((sum, point) => sum + (select(point) || 0), 0) / points.length;
+    const timestamps = Array.from(buckets.keys()).sort((a, b) => a - b);
+
+    const data = {
+      poolId,
+      timeframe,
+      interval,
+      source: timestamps.length >= 2 ? 'recorded' : 'insufficient-data',
+      timestamps,
+      riskScores: [],
+      volatility: [],
+      impermanentLoss: [],
+      correlationRisk: [],
+      liquidityRisk: []
+    };
+
+    for (const timestamp of timestamps) {
+      const points = buckets.get(timestamp);
+      data.riskScores.push(average(points, point => point.riskScore));
+      data.volatility.push(average(points, point => point.components && point.components.volatility));
+      data.impermanentLoss.push(average(points, point => point.components && point.components.impermanentLoss));
+      data.correlationRisk.push(average(points, point => point.components && point.components.correlationRisk));
+      data.liquidityRisk.push(average(points, point => point.components && point.components.liquidityRisk));
+    }
+
+    return data;
+  }
+
+  // How much of the recorded impermanent-loss risk the pool's hedge ratio covered over time
+  analyzeHedgingEffectiveness(poolId, timeframe = '30d') {
+    const history = this.historyStore.bucketize('pool-risk', poolId, timeframe);
+    const points = history.points;
+
+    const data = {
+      poolId,
+      timeframe,
+      interval: history.interval,
+      source: points.length >= 2 ? 'recorded' : 'insufficient-data',
+      timestamps: points.map(point => point.timestamp),
+      hedgeRatios: points.map(point => point.hedgeRatio || 0),
+      riskScores: points.map(point => point.riskScore || 0),
+      impermanentLoss: [],
+      residualImpermanentLoss: [],
+      summary: null
+    };
+
+    for (const point of points) {
+      const il = (point.components && point.components.impermanentLoss) || 0;
+      const hedged = Math.min(point.hedgeRatio || 0, 100) / 100;
+      data.impermanentLoss.push(il);
+      data.residualImpermanentLoss.push(il * (1 - hedged));
+    }
+
+    if (points.length > 0) {
+      const sum = values => values.reduce((total, value) => total + value, 0);
+      const totalIl = sum(data.impermanentLoss);
+
+      data.summary = {
+        averageHedgeRatio: sum(data.hedgeRatios) / points.length,
+        averageRiskScore: sum(data.riskScores) / points.length,
+        // Share of IL risk offset by hedges, weighted by how much IL risk each period carried
+        impermanentLossCoverage: totalIl > 0 ? 1 - sum(data.residualImpermanentLoss) / totalIl : null,
+        riskScoreChange: data.riskScores[data.riskScores.length - 1] - data.riskScores[0]
+      };
+    }
+
+    return data;
+  }
+
   calculateReturns(priceHistory) {
     const returns = [];
     for (let i = 1; i < priceHistory.length; i++) {
@@ -359,23 +512,7 @@ class RiskAnalyzer extends EventEmitter {
   }
 
   pearsonCorrelation(x, y) {
-    const minLength = Math.min(x.length, y.length);
-    if (minLength < 2) return 0;
-
-    const xSlice = x.slice(-minLength);
-    const ySlice = y.slice(-minLength);
-
-    const sumX = xSlice.reduce((sum, val) => sum + val, 0);
-    const sumY = ySlice.reduce((sum, val) => sum + val, 0);
-    const sumXY = xSlice.reduce((sum, val, i) => sum + val * ySlice[i], 0);
-    const sumX2 = xSlice.reduce((sum, val) => sum + val * val, 0);
-    const sumY2 = ySlice.reduce((sum, val) => sum + val * val, 0);
-
-    const n = minLength;
-    const numerator = n * sumXY - sumX * sumY;
-    const denominator = Math.sqrt((n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY));
-
-    return denominator === 0 ? 0 : numerator / denominator;
+    return pearsonCorrelation(x, y);
   }
 
   async calculateImpermanentLoss(poolInfo, priceChangePercent = 0) {
@@ -398,11 +535,142 @@ class RiskAnalyzer extends EventEmitter {
     }
   }
 
+  // IL in basis points for a move in token0's price against token1
   estimateImpermanentLoss(priceChangePercent) {
-    // Simplified IL calculation: IL = 2 * sqrt(ratio) / (1 + ratio) - 1
-    const ratio = (100 + priceChangePercent) / 100;
-    const il = 2 * Math.sqrt(ratio) / (1 + ratio) - 1;
-    return Math.max(0, il * 10000); // Convert to basis points
+    return Math.round(impermanentLossFactor(1 + priceChangePercent / 100) * 10000);
+  }
+
+  // EulerSwap reserves for a pool, oriented to the WedgedPool's token order and scaled by decimals
+  async getPoolReserves(poolInfo) {
+    if (!this.contracts.eulerSwapIntegration) return null;
+
+    try {
+      const info = await this.contracts.eulerSwapIntegration.getPoolInfo(poolInfo.token0, poolInfo.token1);
+      const [token0, token1] = await Promise.all([
+        getToken(poolInfo.token0, this.provider),
+        getToken(poolInfo.token1, this.provider)
+      ]);
+      const flipped = info.token0.toLowerCase() !== poolInfo.token0.toLowerCase();
+      const [raw0, raw1] = flipped ? [info.reserve1, info.reserve0] : [info.reserve0, info.reserve1];
+
+      return {
+        reserve0: parseFloat(ethers.utils.formatUnits(raw0, token0.decimals)),
+        reserve1: parseFloat(ethers.utils.formatUnits(raw1, token1.decimals)),
+        totalSupply: parseFloat(ethers.utils.formatEther(info.totalSupply))
+      };
+    } catch (error) {
+      console.warn(`Reserve fetch failed for ${poolInfo.token0}/${poolInfo.token1}:`, error.message);
+      return null;
+    }
+  }
+
+  // Recorded price in reference-token units closest to a time, preferring the last one before it
+  priceAt(tokenAddress, timestamp) {
+    const before = this.historyStore.query('prices', tokenAddress, { to: timestamp, limit: 1 });
+    const point = before[0] || this.historyStore.query('prices', tokenAddress, { from: timestamp })[0];
+    return point ? parseFloat(point.price) / 1e18 : null;
+  }
+
+  /**
+   * Outstanding deposits by the time they entered, in token0 units. Each Deposit opens an
+   * entry and each Withdrawal shrinks the open entries pro rata, since withdrawals are paid
+   * out of the pooled position rather than from any one deposit.
+   */
+  depositEntries(poolId, decimals) {
+    let entries = [];
+    for (const event of eventIndexer.getEvents({ contract: 'wedgedPool', events: ['Deposit', 'Withdrawal'], poolId })) {
+      const amount = parseFloat(ethers.utils.formatUnits(event.args.amount, decimals));
+      if (event.event === 'Deposit') {
+        entries.push({ timestamp: event.timestamp, amount });
+        continue;
+      }
+
+      const open = entries.reduce((sum, entry) => sum + entry.amount, 0);
+      const kept = open > 0 ? Math.max(0, 1 - amount / open) : 0;
+      entries = entries.map(entry => ({ ...entry, amount: entry.amount * kept })).filter(entry => entry.amount > 0);
+    }
+    return entries;
+  }
+
+  /**
+   * Impermanent loss of the pool's outstanding deposits, each measured from the EulerSwap
+   * reserves recorded when it entered to now, net of swap fees earned by the LP tokens and
+   * WedgedPool rewards distributed since the first deposit. Deposits older than the indexed
+   * events are taken to enter at the earliest recorded reserves. Valued against
+   * REFERENCE_TOKEN when both tokens have recorded prices, otherwise in token1.
+   */
+  async analyzeImpermanentLoss(poolId, poolInfo) {
+    const current = await this.getPoolReserves(poolInfo);
+    if (!current) {
+      return { source: 'unavailable', message: 'No EulerSwap reserves for this pool' };
+    }
+
+    const now = Date.now();
+    await this.historyStore.record('pool-reserves', poolId, {
+      reserve0: current.reserve0,
+      reserve1: current.reserve1,
+      totalSupply: current.totalSupply
+    }, now).catch(error => {
+      console.warn(`Failed to record reserves for pool ${poolId}:`, error.message);
+    });
+
+    const token0 = await getToken(poolInfo.token0, this.provider);
+    const deposits = parseFloat(ethers.utils.formatUnits(poolInfo.totalDeposits, token0.decimals));
+
+    // Deposits made before the indexer's first event are the part it cannot account for
+    const entries = this.depositEntries(poolId, token0.decimals);
+    const indexed = entries.reduce((sum, entry) => sum + entry.amount, 0);
+    if (deposits - indexed > deposits * 1e-9 || entries.length === 0) {
+      entries.unshift({ timestamp: 0, amount: Math.max(0, deposits - indexed), unindexed: true });
+    } else if (indexed > deposits) {
+      entries.forEach(entry => { entry.amount *= deposits / indexed; });
+    }
+
+    const reservesAt = (timestamp) =>
+      this.historyStore.query('pool-reserves', poolId, { from: timestamp })[0] || { timestamp: now, ...current };
+    const tranches = entries.map(entry => ({ ...entry, reserves: reservesAt(entry.timestamp) }));
+    const enteredAt = tranches.reduce((earliest, tranche) => Math.min(earliest, tranche.reserves.timestamp), now);
+
+    const rewards = eventIndexer.getEvents({ contract: 'wedgedPool', events: ['RewardsDistributed'], poolId, from: enteredAt })
+      .reduce((sum, event) => sum + parseFloat(ethers.utils.formatUnits(event.args.totalRewards, token0.decimals)), 0);
+
+    const referenceToken = process.env.REFERENCE_TOKEN || '0xC02aaA39b223FE8dCcE9d7b542fFC25BeF35a6f8';
+    const priceOf = (token, timestamp) =>
+      token.toLowerCase() === referenceToken.toLowerCase() ? 1 : this.priceAt(token, timestamp);
+    const current0 = priceOf(poolInfo.token0, now);
+    const current1 = priceOf(poolInfo.token1, now);
+    tranches.forEach(tranche => {
+      tranche.price0 = priceOf(poolInfo.token0, tranche.reserves.timestamp);
+      tranche.price1 = priceOf(poolInfo.token1, tranche.reserves.timestamp);
+    });
+    const inReference = [current0, current1, ...tranches.flatMap(tranche => [tranche.price0, tranche.price1])]
+      .every(price => price > 0);
+
+    // Without reference prices, token1 is the numeraire and token0 is priced off the reserves
+    const result = combineImpermanentLoss(tranches.map(({ amount, reserves, price0, price1 }) => impermanentLossFromReserves({
+      value: amount * (inReference ? price0 : reserves.reserve1 / reserves.reserve0),
+      entry: reserves,
+      current,
+      numeraire: inReference ? { g0: current0 / price0, g1: current1 / price1 } : null
+    })), rewards * (inReference ? current0 : current.reserve1 / current.reserve0));
+
+    return {
+      source: result ? 'recorded' : 'unavailable',
+      numeraire: inReference ? referenceToken.toLowerCase() : poolInfo.token1.toLowerCase(),
+      deposits,
+      rewardsDistributed: rewards,
+      entries: tranches.map(({ timestamp, amount, reserves, unindexed }) => ({
+        depositedAt: unindexed ? null : timestamp,
+        amount,
+        timestamp: reserves.timestamp,
+        reserve0: reserves.reserve0,
+        reserve1: reserves.reserve1,
+        // Deposited before the indexed events, or reserves were first recorded well after the deposit
+        approximate: Boolean(unindexed) || reserves.timestamp - timestamp > HOUR
+      })),
+      current: { timestamp: now, reserve0: current.reserve0, reserve1: current.reserve1 },
+      ...result
+    };
   }
 
   calculateUtilization(poolInfo) {
@@ -546,6 +814,7 @@ class RiskAnalyzer extends EventEmitter {
 
       for (const token of commonTokens) {
         if (token && ethers.utils.isAddress(token)) {
+          await this.samplePrice(token);
           await this.calculateVolatility(token);
         }
       }
@@ -557,7 +826,7 @@ class RiskAnalyzer extends EventEmitter {
   async getMarketConditions() {
     try {
       // Analyze overall market conditions based on volatility and correlation data
-      const volatilities = Array.from(this.volatilityCache.values()).map(v => v.data);
+      const volatilities = Array.from(this.volatilityCache.values()).map(v => v.data.volatility);
       const correlations = Array.from(this.correlationCache.values()).map(c => c.data);
 
       const avgVolatility = volatilities.length > 0 
@@ -574,6 +843,7 @@ class RiskAnalyzer extends EventEmitter {
 
       return {
         volatilityIndex: avgVolatility / 100, // Convert to percentage
+        volatilities: Array.from(this.volatilityCache.values()).map(v => v.data),
         correlationIndex: avgCorrelation / 100,
         sentiment,
         timestamp: Date.now(),
@@ -583,6 +853,7 @@ class RiskAnalyzer extends EventEmitter {
       console.error('Error getting market conditions:', error);
       return {
         volatilityIndex: 0,
+        volatilities: [],
         correlationIndex: 50,
         sentiment: 'unknown',
         timestamp: Date.now(),
@@ -617,7 +888,8 @@ class RiskAnalyzer extends EventEmitter {
       riskCacheSize: this.riskCache.size,
       volatilityCacheSize: this.volatilityCache.size,
       correlationCacheSize: this.correlationCache.size,
-      priceFeedsSize: this.priceFeeds.size
+      priceFeedsSize: this.priceFeeds.size,
+      history: this.historyStore.getStats()
     };
   }
 }
@@ -0,0 +1,443 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { hedgingService } = require('./hedgingService');
+const { historyStore } = require('./historyStore');
+const { getToken, resolveToken } = require('./tokenMetadata');
+const { VarService, REFERENCE_TOKEN } = require('./varService');
+const { positionValues } = require('./impermanentLoss');
+
+// EVCIntegration health factors are in basis points; below 1.0 a position can be liquidated
+const LIQUIDATION_THRESHOLD = 10000;
+
+// Shipped with the server and always available; saved scenarios cannot replace them
+const BUILT_IN_SCENARIOS = [
+  {
+    id: 'eth-crash-usdc-depeg',
+    name: 'ETH -30%, USDC depeg',
+    description: 'ETH drops 30% while USDC loses its peg by 3%',
+    shocks: [{ token: 'WETH', change: -30 }, { token: 'USDC', change: -3 }]
+  },
+  {
+    id: 'eth-crash-severe',
+    name: 'ETH -50%',
+    description: 'ETH halves with stablecoins holding their peg',
+    shocks: [{ token: 'WETH', change: -50 }]
+  },
+  {
+    id: 'stablecoin-depeg',
+    name: 'Stablecoin depeg',
+    description: 'USDC and USDT fall 10% and DAI 5% against ETH-denominated assets',
+    shocks: [{ token: 'USDC', change: -10 }, { token: 'USDT', change: -10 }, { token: 'DAI', change: -5 }]
+  },
+  {
+    id: 'eth-rally',
+    name: 'ETH +30%',
+    description: 'ETH rallies 30%, the mirror of a crash for hedged pools',
+    shocks: [{ token: 'WETH', change: 30 }]
+  }
+];
+
+const formatAmount = (value, decimals) => parseFloat(ethers.utils.formatUnits(value, decimals));
+
+class StressTestService {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.STRESS_SCENARIO_DIR || path.join(__dirname, '..', 'data', 'stress-scenarios');
+    this.scenarios = new Map();
+    this.hedgingService = hedgingService;
+    this.historyStore = historyStore;
+    this.eulerVaultService = null;
+    this.evcService = null;
+    this.varService = null;
+    this.saving = Promise.resolve();
+    this.isInitialized = false;
+  }
+
+  async initialize({ eulerVaultService, evcService } = {}) {
+    if (this.isInitialized) return;
+
+    this.eulerVaultService = eulerVaultService;
+    this.evcService = evcService;
+    this.varService = new VarService({ eulerVaultService });
+    await this.load();
+
+    this.isInitialized = true;
+    console.log(`StressTestService initialized with ${this.scenarios.size} saved scenarios`);
+  }
+
+  filePath() {
+    return path.join(this.directory, 'scenarios.json');
+  }
+
+  async load() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath(), 'utf8'));
+      (data.scenarios || []).forEach(scenario => this.scenarios.set(scenario.id, scenario));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to load stress scenarios:', error.message);
+      }
+    }
+  }
+
+  // Writes are chained so overlapping saves cannot interleave on the temp file
+  save() {
+    this.saving = this.saving.then(async () => {
+      const target = this.filePath();
+      const temp = `${target}.tmp`;
+      const body = JSON.stringify({ scenarios: Array.from(this.scenarios.values()) });
+      await fs.promises.writeFile(temp, body);
+      await fs.promises.rename(temp, target);
+    }).catch(error => {
+      console.error('Failed to save stress scenarios:', error);
+    });
+    return this.saving;
+  }
+
+  /**
+   * Normalizes a list of shocks, or throws with a message suitable for a 400 response.
+   * Tokens are tokens.json symbols or addresses; change is a percentage price move.
+   */
+  validateShocks(shocks) {
+    if (!Array.isArray(shocks) || shocks.length === 0) {
+      throw new Error('Shocks must be a non-empty array of { token, change }');
+    }
+
+    const seen = new Set();
+    return shocks.map(shock => {
+      const address = resolveToken(shock && shock.token);
+      if (!address) {
+        throw new Error(`Unknown token ${shock && shock.token}: use a symbol from tokens.json or an address`);
+      }
+      if (seen.has(address)) {
+        throw new Error(`Token ${shock.token} is shocked more than once`);
+      }
+      seen.add(address);
+
+      const change = Number(shock.change);
+      if (!Number.isFinite(change) || change <= -100 || change > 1000) {
+        throw new Error('Shock change must be a percentage above -100 and at most 1000');
+      }
+      return { token: shock.token, address, change };
+    });
+  }
+
+  validateScenario(input, existing = {}) {
+    const scenario = { ...existing, ...input };
+
+    if (typeof scenario.name !== 'string' || !scenario.name.trim()) {
+      throw new Error('Scenario name is required');
+    }
+    if (scenario.description !== undefined && scenario.description !== null && typeof scenario.description !== 'string') {
+      throw new Error('Description must be a string');
+    }
+
+    return {
+      name: scenario.name.trim(),
+      description: scenario.description || null,
+      shocks: this.validateShocks(scenario.shocks)
+    };
+  }
+
+  getScenarios() {
+    const builtIn = BUILT_IN_SCENARIOS.map(scenario => this.getScenario(scenario.id));
+    const saved = Array.from(this.scenarios.values()).sort((a, b) => a.createdAt - b.createdAt);
+    return [...builtIn, ...saved];
+  }
+
+  getScenario(id) {
+    const builtIn = BUILT_IN_SCENARIOS.find(scenario => scenario.id === id);
+    if (builtIn) {
+      return { ...builtIn, shocks: this.validateShocks(builtIn.shocks), builtIn: true };
+    }
+    return this.scenarios.get(id) || null;
+  }
+
+  async createScenario(input) {
+    const scenario = this.validateScenario({
+      name: input.name,
+      description: input.description,
+      shocks: input.shocks
+    });
+
+    const now = Date.now();
+    const created = {
+      id: crypto.randomUUID(),
+      ...scenario,
+      builtIn: false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.scenarios.set(created.id, created);
+    await this.save();
+    return created;
+  }
+
+  async updateScenario(id, changes) {
+    const existing = this.scenarios.get(id);
+    if (!existing) return null;
+
+    const allowed = ['name', 'description', 'shocks'];
+    const updates = Object.fromEntries(
+      Object.entries(changes).filter(([key]) => allowed.includes(key))
+    );
+
+    const updated = {
+      ...existing,
+      ...this.validateScenario(updates, existing),
+      updatedAt: Date.now()
+    };
+
+    this.scenarios.set(id, updated);
+    await this.save();
+    return updated;
+  }
+
+  async deleteScenario(id) {
+    const deleted = this.scenarios.delete(id);
+    if (deleted) await this.save();
+    return deleted;
+  }
+
+  // Latest recorded price in reference-token units, or null when the token was never sampled
+  getPrice(token) {
+    if (token === REFERENCE_TOKEN) return 1;
+    const latest = this.historyStore.latest('prices', token);
+    return latest ? parseFloat(latest.price) / 1e18 : null;
+  }
+
+  /**
+   * Pools as 50/50 LP positions in token0 and token1 plus their open hedges, as in
+   * VarService. The loss splits into the move in the tokens held, the impermanent loss
+   * against simply holding them, and what the hedges (token0 sold for token1) win back.
+   */
+  stressPool(exposure, growthOf) {
+    const [token0, token1] = exposure.tokens;
+    const g0 = growthOf(token0);
+    const g1 = growthOf(token1);
+    const p0 = this.getPrice(token0);
+    const result = { ...this.varService.describe(exposure), value: null, loss: null };
+
+    if (p0 === null) return { ...result, unpriced: [token0] };
+
+    const value = exposure.deposits * p0;
+    const { held, impermanentLoss } = positionValues(value, g0, g1);
+    const holdingChange = held - value;
+    const hedgeOffset = exposure.hedged * p0 * (g1 - g0);
+    const unhedgedLoss = impermanentLoss - holdingChange;
+
+    return {
+      ...result,
+      value,
+      loss: unhedgedLoss - hedgeOffset,
+      unhedgedLoss,
+      impermanentLoss,
+      hedgeOffset
+    };
+  }
+
+  stressHolding(entry, growthOf) {
+    const price = this.getPrice(entry.asset);
+    if (price === null) return { ...entry, value: null, loss: null, unpriced: [entry.asset] };
+
+    const value = entry.amount * price;
+    return { ...entry, value, loss: value * (1 - growthOf(entry.asset)) };
+  }
+
+  // Vault deposits across the protocol, or one user's positions
+  async vaultHoldings(userAddress) {
+    if (userAddress) {
+      const exposures = await this.varService.vaultExposures(userAddress);
+      return exposures.map(exposure => this.varService.describe(exposure));
+    }
+    if (!this.eulerVaultService) return [];
+
+    const assets = await this.eulerVaultService.getAllSupportedAssets().catch(() => []);
+    const holdings = [];
+    for (const asset of assets) {
+      if (!asset.totalDeposited || asset.totalDeposited === '0') continue;
+      const { symbol, decimals } = await getToken(asset.address, this.hedgingService.provider);
+      holdings.push({
+        type: 'vault',
+        asset: asset.address.toLowerCase(),
+        tokenSymbol: symbol,
+        amount: formatAmount(asset.totalDeposited, decimals)
+      });
+    }
+    return holdings;
+  }
+
+  vaultAsset(vault) {
+    const assets = this.eulerVaultService ? Array.from(this.eulerVaultService.supportedAssets.values()) : [];
+    const match = assets.find(asset => asset.vault && asset.vault.toLowerCase() === String(vault).toLowerCase());
+    return match ? match.address.toLowerCase() : null;
+  }
+
+  /**
+   * Cross-vault positions under the shocks. EVCIntegration's health factor is collateral
+   * assets over borrowed assets, so it scales with the collateral asset's price change over
+   * the borrowed asset's. Losses need both assets priced; health factors do not.
+   */
+  async stressCrossVaultPosition(position, growthOf) {
+    let healthFactor = position.healthFactor;
+    if (healthFactor === undefined) {
+      try {
+        healthFactor = (await this.evcService.queryPositionHealth(position.user, position.id)).healthFactor;
+      } catch (error) {
+        healthFactor = null;
+      }
+    }
+
+    const collateralAsset = this.vaultAsset(position.collateralVault);
+    const borrowAsset = this.vaultAsset(position.vault);
+    const result = {
+      type: 'cross-vault',
+      positionId: position.id,
+      user: position.user,
+      vault: position.vault,
+      collateralVault: position.collateralVault,
+      collateralAsset,
+      borrowAsset,
+      healthFactor: null,
+      stressedHealthFactor: null,
+      liquidatable: false,
+      newlyLiquidatable: false,
+      value: null,
+      loss: null
+    };
+
+    const borrowAmount = ethers.BigNumber.from(String(position.borrowAmount || 0));
+    if (borrowAmount.isZero() || healthFactor === null || !collateralAsset || !borrowAsset) {
+      return result;
+    }
+
+    const current = Number(healthFactor);
+    const stressed = current * growthOf(collateralAsset) / growthOf(borrowAsset);
+    Object.assign(result, {
+      healthFactor: current / 10000,
+      stressedHealthFactor: stressed / 10000,
+      liquidatable: stressed < LIQUIDATION_THRESHOLD,
+      newlyLiquidatable: current >= LIQUIDATION_THRESHOLD && stressed < LIQUIDATION_THRESHOLD
+    });
+
+    const collateralPrice = this.getPrice(collateralAsset);
+    const borrowPrice = this.getPrice(borrowAsset);
+    const unpriced = [[collateralAsset, collateralPrice], [borrowAsset, borrowPrice]]
+      .filter(([, price]) => price === null)
+      .map(([asset]) => asset);
+    if (unpriced.length > 0) return { ...result, unpriced };
+
+    const collateralToken = await getToken(collateralAsset, this.hedgingService.provider);
+    const borrowToken = await getToken(borrowAsset, this.hedgingService.provider);
+    const debt = formatAmount(borrowAmount, borrowToken.decimals);
+    const collateral = formatAmount(borrowAmount.mul(String(healthFactor)).div(LIQUIDATION_THRESHOLD), collateralToken.decimals);
+
+    const collateralValue = collateral * collateralPrice;
+    const debtValue = debt * borrowPrice;
+    const stressedCollateral = collateralValue * growthOf(collateralAsset);
+    const stressedDebt = debtValue * growthOf(borrowAsset);
+
+    return {
+      ...result,
+      value: collateralValue - debtValue,
+      loss: (collateralValue - debtValue) - (stressedCollateral - stressedDebt),
+      collateralValue,
+      debtValue,
+      shortfall: Math.max(0, stressedDebt - stressedCollateral)
+    };
+  }
+
+  /**
+   * Revalues pools, vault deposits and cross-vault positions under a set of price shocks,
+   * protocol-wide or for one user. Values and losses are in REFERENCE_TOKEN at current
+   * prices, so a shock to the reference token itself still shows up as a loss.
+   */
+  async run(shocks, { user = null } = {}) {
+    const normalized = this.validateShocks(shocks);
+    const changes = new Map(normalized.map(shock => [shock.address, shock.change]));
+    const growthOf = (token) => 1 + (changes.get(token) || 0) / 100;
+
+    const poolIds = user
+      ? await this.hedgingService.getUserPools(user)
+      : (await this.hedgingService.getAllPools()).map(pool => pool.id);
+    const exposures = await Promise.all(poolIds.map(poolId => this.varService.poolExposure(poolId, user)));
+    const pools = exposures.filter(Boolean).map(exposure => this.stressPool(exposure, growthOf));
+
+    const holdings = await this.vaultHoldings(user);
+    const vaults = holdings.map(holding => this.stressHolding(holding, growthOf));
+
+    const positions = this.evcService
+      ? Array.from(this.evcService.crossVaultPositions.values())
+        .filter(position => position.isActive && (!user || position.user === user.toLowerCase()))
+      : [];
+    const crossVault = [];
+    for (const position of positions) {
+      crossVault.push(await this.stressCrossVaultPosition(position, growthOf));
+    }
+
+    const total = (entries, field) => entries.reduce((sum, entry) => sum + (entry[field] || 0), 0);
+    const summarize = (entries) => ({
+      positions: entries.length,
+      value: total(entries, 'value'),
+      loss: total(entries, 'loss')
+    });
+    const liquidatable = crossVault.filter(position => position.liquidatable);
+
+    const totals = {
+      pools: {
+        ...summarize(pools),
+        unhedgedLoss: total(pools, 'unhedgedLoss'),
+        impermanentLoss: total(pools, 'impermanentLoss'),
+        hedgeOffset: total(pools, 'hedgeOffset')
+      },
+      vaults: summarize(vaults),
+      crossVault: {
+        ...summarize(crossVault),
+        liquidatable: liquidatable.length,
+        newlyLiquidatable: crossVault.filter(position => position.newlyLiquidatable).length,
+        collateralAtRisk: total(liquidatable, 'collateralValue'),
+        shortfall: total(crossVault, 'shortfall')
+      }
+    };
+    totals.value = totals.pools.value + totals.vaults.value + totals.crossVault.value;
+    totals.loss = totals.pools.loss + totals.vaults.loss + totals.crossVault.loss;
+    totals.lossBps = totals.value > 0 ? Math.round((totals.loss / totals.value) * 10000) : null;
+
+    const unpriced = Array.from(new Set(
+      [...pools, ...vaults, ...crossVault].flatMap(entry => entry.unpriced || [])
+    ));
+
+    return {
+      currency: REFERENCE_TOKEN,
+      user: user ? user.toLowerCase() : null,
+      shocks: normalized,
+      pools,
+      vaults,
+      crossVault,
+      liquidatable: liquidatable.map(position => ({
+        positionId: position.positionId,
+        user: position.user,
+        stressedHealthFactor: position.stressedHealthFactor
+      })),
+      totals,
+      unpriced,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async runScenario(id, options = {}) {
+    const scenario = this.getScenario(id);
+    if (!scenario) return null;
+
+    const result = await this.run(scenario.shocks, options);
+    return { scenario: { id: scenario.id, name: scenario.name, description: scenario.description }, ...result };
+  }
+}
+
+const stressTestService = new StressTestService();
+
+module.exports = { stressTestService, StressTestService, BUILT_IN_SCENARIOS };
@@ -0,0 +1,46 @@
+const { ethers } = require('ethers');
+const TOKENS = require('../../src/utils/tokens.json');
+
+// Shared with the frontend's TOKEN_METADATA so server amounts match what the UI shows
+const TOKEN_METADATA = new Map(
+  Object.values(TOKENS).map(({ address, ...metadata }) => [address.toLowerCase(), metadata])
+);
+
+const ERC20_DECIMALS_ABI = ['function decimals() external view returns (uint8)'];
+
+const SYMBOLS = new Map(
+  Object.values(TOKENS).map(({ address, symbol }) => [symbol.toUpperCase(), address.toLowerCase()])
+);
+
+const decimalsCache = new Map();
+
+// Lowercased address for a tokens.json symbol or any valid address, otherwise null
+const resolveToken = (value) => {
+  if (typeof value !== 'string') return null;
+  if (ethers.utils.isAddress(value)) return value.toLowerCase();
+  return SYMBOLS.get(value.toUpperCase()) || null;
+};
+
+// Tokens missing from tokens.json fall back to the chain, then to 18 decimals
+const getToken = async (address, provider) => {
+  if (!address) return { symbol: null, decimals: 18 };
+
+  const key = address.toLowerCase();
+  const metadata = TOKEN_METADATA.get(key);
+  if (metadata) return metadata;
+
+  if (!decimalsCache.has(key)) {
+    let decimals = 18;
+    try {
+      const token = new ethers.Contract(address, ERC20_DECIMALS_ABI, provider);
+      decimals = await token.decimals();
+    } catch (error) {
+      console.warn(`Could not read decimals for ${address}, assuming 18`);
+    }
+    decimalsCache.set(key, decimals);
+  }
+
+  return { symbol: null, decimals: decimalsCache.get(key) };
+};
+
+module.exports = { TOKEN_METADATA, getToken, resolveToken };
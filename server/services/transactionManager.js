@@ -0,0 +1,417 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { EventEmitter } = require('events');
+
+const SECOND = 1000;
+const HISTORY_LIMIT = 200;
+// Nodes reject a replacement unless it raises fees by at least 10%
+const MIN_FEE_BUMP_PERCENT = 10;
+const CANCEL_GAS_LIMIT = 21000;
+
+// Stuck transactions still hold their nonce, so they stay tracked until something is mined
+const ACTIVE_STATUSES = ['queued', 'pending', 'cancelling', 'stuck'];
+const MONITORED_STATUSES = ['pending', 'cancelling', 'stuck'];
+
+const bump = (value, percent) => value.mul(100 + percent).div(100);
+const maxOf = (a, b) => (a.gt(b) ? a : b);
+
+/**
+ * Sends every server-side write from one operator signer. Nonces are assigned one send at
+ * a time so concurrent callers cannot collide, and a monitor re-sends transactions that stay
+ * unmined past TX_STUCK_TIMEOUT_SECONDS with bumped EIP-1559 (or legacy) fees. Each tracked
+ * transaction keeps every attempt sent under its nonce, so replacements and cancellations
+ * show up in the queue state. Once the last allowed replacement also times out the
+ * transaction is marked stuck and its sender is told it failed.
+ */
+class TransactionManager extends EventEmitter {
+  constructor() {
+    super();
+    this.provider = null;
+    this.signer = null;
+    this.address = null;
+    this.keySource = null;
+    this.nextNonce = null;
+    this.transactions = new Map(); // id -> tracked transaction, oldest first
+    this.sending = Promise.resolve();
+    this.checking = false;
+    this.monitorTimer = null;
+    this.monitorInterval = (parseInt(process.env.TX_MONITOR_INTERVAL_SECONDS) || 15) * SECOND;
+    this.stuckTimeout = (parseInt(process.env.TX_STUCK_TIMEOUT_SECONDS) || 180) * SECOND;
+    this.feeBumpPercent = Math.max(MIN_FEE_BUMP_PERCENT, parseInt(process.env.TX_FEE_BUMP_PERCENT) || 20);
+    this.maxReplacements = parseInt(process.env.TX_MAX_REPLACEMENTS) || 5;
+    this.maxFee = process.env.TX_MAX_FEE_GWEI ? ethers.utils.parseUnits(process.env.TX_MAX_FEE_GWEI, 'gwei') : null;
+    this.initializing = null;
+    this.isInitialized = false;
+  }
+
+  initialize() {
+    // Every writer shares the manager, so initialization is idempotent
+    if (!this.initializing) {
+      this.initializing = this.load();
+    }
+    return this.initializing;
+  }
+
+  async load() {
+    try {
+      const rpcUrl = process.env.RPC_URL || 'http://localhost:8545';
+      this.provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+
+      const wallet = await this.loadWallet();
+      // Replacements bump fees on their own, so a live signer must have a ceiling
+      if (wallet && !this.maxFee) {
+        throw new Error('TX_MAX_FEE_GWEI is required when an operator signer is configured');
+      }
+      if (wallet) {
+        this.signer = wallet.connect(this.provider);
+        this.address = await this.signer.getAddress();
+        this.nextNonce = await this.provider.getTransactionCount(this.address, 'pending');
+        this.startMonitoring();
+        console.log(`TransactionManager initialized for ${this.address} (${this.keySource}) at nonce ${this.nextNonce}`);
+      } else {
+        console.log('TransactionManager initialized without a signer; server-side writes are disabled');
+      }
+
+      this.isInitialized = true;
+    } catch (error) {
+      console.error('Failed to initialize TransactionManager:', error);
+      this.initializing = null;
+      throw error;
+    }
+  }
+
+  // An encrypted JSON keystore is preferred; a raw PRIVATE_KEY is still accepted for development
+  async loadWallet() {
+    if (process.env.KEYSTORE_PATH) {
+      const password = process.env.KEYSTORE_PASSWORD_FILE
+        ? (await fs.promises.readFile(process.env.KEYSTORE_PASSWORD_FILE, 'utf8')).trim()
+        : process.env.KEYSTORE_PASSWORD;
+      if (password === undefined) {
+        throw new Error('KEYSTORE_PASSWORD or KEYSTORE_PASSWORD_FILE is required with KEYSTORE_PATH');
+      }
+
+      const json = await fs.promises.readFile(process.env.KEYSTORE_PATH, 'utf8');
+      this.keySource = 'keystore';
+      return ethers.Wallet.fromEncryptedJson(json, password);
+    }
+
+    if (process.env.PRIVATE_KEY) {
+      console.warn('Operator key loaded from PRIVATE_KEY; use KEYSTORE_PATH outside development');
+      this.keySource = 'env';
+      return new ethers.Wallet(process.env.PRIVATE_KEY);
+    }
+
+    return null;
+  }
+
+  startMonitoring() {
+    this.monitorTimer = setInterval(() => {
+      this.checkPending().catch(error => {
+        console.error('Error checking pending transactions:', error);
+      });
+    }, this.monitorInterval);
+
+    // Monitoring alone should not keep the process alive
+    if (this.monitorTimer.unref) this.monitorTimer.unref();
+  }
+
+  /**
+   * Sends contract.method(...args) and resolves with the receipt of whichever attempt is
+   * mined, or rejects if it reverts, is cancelled, is dropped or gets stuck. Throws straight away when
+   * the first send fails, e.g. because gas estimation reverts.
+   */
+  async send(contract, method, args = [], { label } = {}) {
+    if (!this.signer) {
+      throw new Error('Signer required for sending transactions');
+    }
+
+    const record = {
+      id: crypto.randomUUID(),
+      label: label || method,
+      method,
+      to: contract.address,
+      status: 'queued',
+      nonce: null,
+      attempts: [],
+      transactionHash: null,
+      blockNumber: null,
+      replacements: 0,
+      error: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    const request = await contract.populateTransaction[method](...args);
+    const settled = new Promise((resolve, reject) => {
+      // Kept off the record so queue state stays serializable
+      Object.defineProperty(record, 'internal', { value: { request, resolve, reject }, enumerable: false });
+    });
+    this.transactions.set(record.id, record);
+
+    const broadcast = this.sending.then(() => this.broadcast(record));
+    this.sending = broadcast.catch(() => {});
+    await broadcast;
+
+    return settled;
+  }
+
+  async broadcast(record) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const fees = await this.currentFees();
+        const response = await this.signer.sendTransaction({ ...record.internal.request, nonce: this.nextNonce, ...fees });
+
+        this.nextNonce += 1;
+        record.nonce = response.nonce;
+        record.internal.request.gasLimit = response.gasLimit;
+        record.status = 'pending';
+        this.addAttempt(record, response.hash, fees, 'original');
+        this.emit('transaction-sent', this.describe(record));
+        return;
+      } catch (error) {
+        // The key may have been used elsewhere, or the send failed before using the nonce
+        this.nextNonce = await this.provider.getTransactionCount(this.address, 'pending');
+        if (error.code === 'NONCE_EXPIRED' && attempt === 0) continue;
+
+        record.status = 'failed';
+        record.error = error.reason || error.message;
+        this.finish(record);
+        throw error;
+      }
+    }
+  }
+
+  capFee(value) {
+    return this.maxFee && value.gt(this.maxFee) ? this.maxFee : value;
+  }
+
+  async currentFees() {
+    const feeData = await this.provider.getFeeData();
+
+    if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
+      const maxFeePerGas = this.capFee(feeData.maxFeePerGas);
+      const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas.gt(maxFeePerGas) ? maxFeePerGas : feeData.maxPriorityFeePerGas;
+      return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+    }
+    return { gasPrice: this.capFee(feeData.gasPrice) };
+  }
+
+  // At least feeBumpPercent over the last attempt, and never below what the network asks now
+  async bumpedFees(previous) {
+    const current = await this.currentFees();
+
+    if (previous.gasPrice) {
+      const gasPrice = bump(ethers.BigNumber.from(previous.gasPrice), this.feeBumpPercent);
+      return { gasPrice: this.capFee(maxOf(gasPrice, current.gasPrice || current.maxFeePerGas)) };
+    }
+
+    const maxPriorityFeePerGas = maxOf(
+      bump(ethers.BigNumber.from(previous.maxPriorityFeePerGas), this.feeBumpPercent),
+      current.maxPriorityFeePerGas || current.gasPrice
+    );
+    const maxFeePerGas = this.capFee(maxOf(
+      bump(ethers.BigNumber.from(previous.maxFeePerGas), this.feeBumpPercent),
+      (current.maxFeePerGas || current.gasPrice).add(maxPriorityFeePerGas)
+    ));
+    return {
+      type: 2,
+      maxFeePerGas,
+      maxPriorityFeePerGas: maxPriorityFeePerGas.gt(maxFeePerGas) ? maxFeePerGas : maxPriorityFeePerGas
+    };
+  }
+
+  addAttempt(record, hash, fees, kind) {
+    record.attempts.push({
+      hash,
+      kind,
+      maxFeePerGas: fees.maxFeePerGas ? fees.maxFeePerGas.toString() : null,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas ? fees.maxPriorityFeePerGas.toString() : null,
+      gasPrice: fees.gasPrice ? fees.gasPrice.toString() : null,
+      sentAt: Date.now()
+    });
+    record.updatedAt = Date.now();
+  }
+
+  // Re-sends under the same nonce: the original call with higher fees, or a zero-value
+  // transfer to the operator itself when cancelling
+  async replace(record, kind) {
+    if (record.replacements >= this.maxReplacements) {
+      throw new Error(`Transaction ${record.id} reached the replacement limit of ${this.maxReplacements}`);
+    }
+
+    const previous = record.attempts[record.attempts.length - 1];
+    const fees = await this.bumpedFees(previous);
+    const request = kind === 'cancel'
+      ? { to: this.address, value: 0, data: '0x', gasLimit: CANCEL_GAS_LIMIT }
+      : record.internal.request;
+
+    try {
+      const response = await this.signer.sendTransaction({ ...request, nonce: record.nonce, ...fees });
+      record.replacements += 1;
+      record.error = null;
+      this.addAttempt(record, response.hash, fees, kind);
+      this.emit('transaction-replaced', this.describe(record));
+      console.log(`Transaction ${record.id} (nonce ${record.nonce}) re-sent as ${kind}: ${response.hash}`);
+    } catch (error) {
+      // Usually the previous attempt was mined in the meantime, or the fee cap blocks the bump
+      record.error = error.reason || error.message;
+      record.updatedAt = Date.now();
+      console.warn(`Replacing transaction ${record.id} (nonce ${record.nonce}) failed:`, record.error);
+      throw error;
+    }
+  }
+
+  async findReceipt(record) {
+    for (const attempt of [...record.attempts].reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+      if (receipt) return { receipt, attempt };
+    }
+    return null;
+  }
+
+  async checkPending() {
+    // A slow RPC must not let two checks bump the same transaction
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      const minedNonce = await this.provider.getTransactionCount(this.address, 'latest');
+
+      for (const record of this.transactions.values()) {
+        if (!MONITORED_STATUSES.includes(record.status)) continue;
+
+        const mined = await this.findReceipt(record);
+        if (mined) {
+          this.settle(record, mined);
+          continue;
+        }
+
+        // The nonce was used by a transaction this manager did not send
+        if (minedNonce > record.nonce) {
+          record.status = 'dropped';
+          record.error = `Nonce ${record.nonce} was used by another transaction`;
+          record.internal.reject(new Error(record.error));
+          this.finish(record);
+          continue;
+        }
+
+        const last = record.attempts[record.attempts.length - 1];
+        if (Date.now() - last.sentAt < this.stuckTimeout || record.status === 'stuck') continue;
+
+        if (record.replacements >= this.maxReplacements) {
+          this.markStuck(record);
+          continue;
+        }
+
+        await this.replace(record, record.status === 'cancelling' ? 'cancel' : 'speed-up').catch(() => {});
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  // Still watched in case an attempt lands later, but the sender stops waiting now
+  markStuck(record) {
+    record.status = 'stuck';
+    record.error = `No attempt mined after ${record.replacements} replacements`;
+    record.updatedAt = Date.now();
+    record.internal.reject(new Error(`Transaction ${record.label} is stuck at nonce ${record.nonce}: ${record.error}`));
+    this.emit('transaction-stuck', this.describe(record));
+    console.warn(`Transaction ${record.id} (nonce ${record.nonce}) is stuck after ${record.replacements} replacements`);
+  }
+
+  settle(record, { receipt, attempt }) {
+    record.transactionHash = receipt.transactionHash;
+    record.blockNumber = receipt.blockNumber;
+    record.replaced = attempt !== record.attempts[0];
+
+    if (attempt.kind === 'cancel') {
+      record.status = 'cancelled';
+      record.internal.reject(new Error(`Transaction ${record.label} was cancelled`));
+    } else if (receipt.status === 0) {
+      record.status = 'failed';
+      record.error = 'Transaction reverted';
+      record.internal.reject(new Error(`Transaction ${receipt.transactionHash} reverted`));
+    } else {
+      record.status = 'confirmed';
+      record.error = null;
+      record.internal.resolve(receipt);
+    }
+
+    this.finish(record);
+  }
+
+  finish(record) {
+    record.updatedAt = Date.now();
+    this.emit('transaction-settled', this.describe(record));
+
+    // Keep a bounded history of settled transactions
+    const settled = Array.from(this.transactions.values()).filter(tx => !ACTIVE_STATUSES.includes(tx.status));
+    for (const old of settled.slice(0, Math.max(0, settled.length - HISTORY_LIMIT))) {
+      this.transactions.delete(old.id);
+    }
+  }
+
+  getPendingRecord(id) {
+    const record = this.transactions.get(id);
+    if (!record) {
+      throw new Error(`Transaction ${id} not found`);
+    }
+    if (record.status !== 'pending' && record.status !== 'cancelling') {
+      throw new Error(`Transaction ${id} is ${record.status}, not pending`);
+    }
+    return record;
+  }
+
+  async speedUp(id) {
+    const record = this.getPendingRecord(id);
+    await this.replace(record, record.status === 'cancelling' ? 'cancel' : 'speed-up');
+    return this.describe(record);
+  }
+
+  async cancel(id) {
+    const record = this.getPendingRecord(id);
+    const previousStatus = record.status;
+
+    record.status = 'cancelling';
+    try {
+      await this.replace(record, 'cancel');
+    } catch (error) {
+      record.status = previousStatus;
+      throw error;
+    }
+    return this.describe(record);
+  }
+
+  describe(record) {
+    return { ...record, attempts: record.attempts.map(attempt => ({ ...attempt })) };
+  }
+
+  getTransaction(id) {
+    const record = this.transactions.get(id);
+    return record ? this.describe(record) : null;
+  }
+
+  getQueue() {
+    const transactions = Array.from(this.transactions.values()).map(record => this.describe(record)).reverse();
+
+    return {
+      signer: this.address,
+      keySource: this.keySource,
+      nextNonce: this.nextNonce,
+      settings: {
+        stuckTimeoutSeconds: this.stuckTimeout / SECOND,
+        feeBumpPercent: this.feeBumpPercent,
+        maxReplacements: this.maxReplacements,
+        maxFeeGwei: this.maxFee ? ethers.utils.formatUnits(this.maxFee, 'gwei') : null
+      },
+      pending: transactions.filter(tx => ACTIVE_STATUSES.includes(tx.status) && tx.status !== 'stuck'),
+      stuck: transactions.filter(tx => tx.status === 'stuck'),
+      recent: transactions.filter(tx => !ACTIVE_STATUSES.includes(tx.status))
+    };
+  }
+}
+
+const transactionManager = new TransactionManager();
+
+module.exports = { transactionManager, TransactionManager };
@@ -0,0 +1,440 @@
+const { ethers } = require('ethers');
+const { hedgingService } = require('./hedgingService');
+const { historyStore } = require('./historyStore');
+const { getToken } = require('./tokenMetadata');
+const { positionValues } = require('./impermanentLoss');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Prices are thinned to hourly after a week, so returns are taken between hourly closes
+const STEP = HOUR;
+const LOOKBACK = 90 * DAY;
+const MAX_HORIZON = 30 * DAY;
+
+// Fewer scenarios than this cannot support a tail estimate
+const MIN_SCENARIOS = 30;
+
+const DEFAULT_OPTIONS = {
+  confidence: 0.95,
+  horizon: '1d',
+  simulations: 10000
+};
+const MAX_SIMULATIONS = 100000;
+
+const REFERENCE_TOKEN = (process.env.REFERENCE_TOKEN || '0xC02aaA39b223FE8dCcE9d7b542fFC25BeF35a6f8').toLowerCase();
+
+const parseHorizon = (value) => {
+  const match = /^(\d+)([hd])$/.exec(String(value));
+  const duration = match ? parseInt(match[1]) * (match[2] === 'd' ? DAY : HOUR) : 0;
+  if (duration < STEP || duration > MAX_HORIZON) {
+    throw new Error('Horizon must be a whole number of hours or days, e.g. 4h or 1d, up to 30d');
+  }
+  return duration;
+};
+
+// Returns normalized options, or throws with a message suitable for a 400 response
+const parseVarOptions = (query = {}) => {
+  const confidence = query.confidence !== undefined ? Number(query.confidence) : DEFAULT_OPTIONS.confidence;
+  if (!(confidence >= 0.5 && confidence < 1)) {
+    throw new Error('Confidence must be between 0.5 and 1, e.g. 0.95 or 0.99');
+  }
+
+  const horizon = query.horizon || DEFAULT_OPTIONS.horizon;
+  parseHorizon(horizon);
+
+  const simulations = query.simulations !== undefined ? parseInt(query.simulations) : DEFAULT_OPTIONS.simulations;
+  if (isNaN(simulations) || simulations < MIN_SCENARIOS || simulations > MAX_SIMULATIONS) {
+    throw new Error(`Simulations must be between ${MIN_SCENARIOS} and ${MAX_SIMULATIONS}`);
+  }
+
+  const seed = query.seed !== undefined ? parseInt(query.seed) : Math.floor(Math.random() * 0xffffffff);
+  if (isNaN(seed)) {
+    throw new Error('Seed must be an integer');
+  }
+
+  return { confidence, horizon, simulations, seed: seed >>> 0 };
+};
+
+// mulberry32: small, fast and seedable, so a Monte Carlo run can be reproduced
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal draws by Box-Muller
+const createNormal = (random) => () => {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Lower-triangular factor of a covariance matrix. Tokens whose prices never moved (or that
+// move in lockstep with others) leave the matrix semi-definite; their extra factors are zero.
+const cholesky = (matrix) => {
+  const n = matrix.length;
+  const lower = matrix.map(() => new Array(n).fill(0));
+
+  for (let j = 0; j < n; j++) {
+    let diagonal = matrix[j][j];
+    for (let k = 0; k < j; k++) diagonal -= lower[j][k] * lower[j][k];
+    lower[j][j] = diagonal > 1e-18 ? Math.sqrt(diagonal) : 0;
+
+    for (let i = j + 1; i < n; i++) {
+      if (lower[j][j] === 0) continue;
+      let value = matrix[i][j];
+      for (let k = 0; k < j; k++) value -= lower[i][k] * lower[j][k];
+      lower[i][j] = value / lower[j][j];
+    }
+  }
+
+  return lower;
+};
+
+/**
+ * VaR and CVaR (expected shortfall) of a P&L distribution, as positive losses. VaR is the
+ * loss exceeded in (1 - confidence) of scenarios and CVaR the average loss in that tail.
+ */
+const tailRisk = (pnls, confidence) => {
+  const sorted = Float64Array.from(pnls).sort();
+  const tail = Math.max(1, Math.floor(sorted.length * (1 - confidence)));
+  let tailSum = 0;
+  for (let i = 0; i < tail; i++) tailSum += sorted[i];
+
+  return {
+    var: -sorted[tail - 1],
+    cvar: -tailSum / tail
+  };
+};
+
+class VarService {
+  constructor({ eulerVaultService } = {}) {
+    this.hedgingService = hedgingService;
+    this.historyStore = historyStore;
+    this.eulerVaultService = eulerVaultService;
+  }
+
+  /**
+   * Hourly closes for each token over the lookback, in reference-token units, aligned on the
+   * hours every token has a price for. The reference token is priced at 1 throughout.
+   */
+  loadMarket(tokens, now = Date.now()) {
+    const from = now - LOOKBACK;
+    const closes = new Map();
+    const missing = [];
+
+    for (const token of tokens) {
+      if (token === REFERENCE_TOKEN) continue;
+
+      const buckets = new Map();
+      for (const point of this.historyStore.query('prices', token, { from, to: now })) {
+        const price = parseFloat(point.price) / 1e18;
+        if (price > 0) buckets.set(Math.floor(point.timestamp / STEP), price);
+      }
+
+      if (buckets.size < 2) {
+        missing.push(token);
+      } else {
+        closes.set(token, buckets);
+      }
+    }
+
+    const priced = tokens.filter(token => token === REFERENCE_TOKEN || closes.has(token));
+    const series = Array.from(closes.values());
+    const hours = series.length === 0
+      ? []
+      : Array.from(series[0].keys())
+        .filter(hour => series.every(buckets => buckets.has(hour)))
+        .sort((a, b) => a - b);
+    const priceAt = (token, hour) => (token === REFERENCE_TOKEN ? 1 : closes.get(token).get(hour));
+
+    // A gap in the record breaks the chain; returns only span consecutive hours
+    const steps = [];
+    for (let i = 1; i < hours.length; i++) {
+      if (hours[i] !== hours[i - 1] + 1) continue;
+      steps.push({
+        hour: hours[i],
+        returns: priced.map(token => Math.log(priceAt(token, hours[i]) / priceAt(token, hours[i - 1])))
+      });
+    }
+
+    const last = hours[hours.length - 1];
+    return {
+      tokens: priced,
+      missing,
+      prices: priced.map(token => (last !== undefined ? priceAt(token, last) : token === REFERENCE_TOKEN ? 1 : null)),
+      steps,
+      from: hours.length > 0 ? hours[0] * STEP : null,
+      to: hours.length > 0 ? last * STEP : null
+    };
+  }
+
+  /**
+   * Joint log returns over the horizon from overlapping windows of consecutive hours. With too
+   * few windows, hourly returns are scaled by the square root of the horizon instead.
+   */
+  historicalScenarios(market, horizonSteps) {
+    const { steps } = market;
+    const scenarios = [];
+
+    for (let end = horizonSteps - 1; end < steps.length; end++) {
+      const start = end - horizonSteps + 1;
+      if (steps[end].hour - steps[start].hour !== horizonSteps - 1) continue;
+
+      const total = new Array(market.tokens.length).fill(0);
+      for (let i = start; i <= end; i++) {
+        steps[i].returns.forEach((value, index) => { total[index] += value; });
+      }
+      scenarios.push(total);
+    }
+
+    if (scenarios.length >= MIN_SCENARIOS || horizonSteps === 1) {
+      return { scaling: 'overlapping', scenarios };
+    }
+
+    const scale = Math.sqrt(horizonSteps);
+    return {
+      scaling: 'sqrt-time',
+      scenarios: steps.map(step => step.returns.map(value => value * scale))
+    };
+  }
+
+  // Mean and covariance of hourly log returns
+  estimateMoments(market) {
+    const n = market.tokens.length;
+    const returns = market.steps.map(step => step.returns);
+    const means = Array.from({ length: n }, (_, index) => mean(returns.map(values => values[index])));
+    const covariance = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) =>
+      returns.reduce((sum, values) => sum + (values[i] - means[i]) * (values[j] - means[j]), 0) / (returns.length - 1)
+    ));
+    return { means, covariance };
+  }
+
+  // Correlations between the tokens' hourly returns, as used by both methods
+  correlationMatrix(covariance) {
+    return covariance.map((row, i) => row.map((value, j) => {
+      const denominator = Math.sqrt(covariance[i][i] * covariance[j][j]);
+      return denominator === 0 ? (i === j ? 1 : 0) : Number((value / denominator).toFixed(4));
+    }));
+  }
+
+  /**
+   * Multivariate normal log returns over the horizon: hourly mean and covariance scaled by the
+   * number of hours, correlated through the covariance's Cholesky factor.
+   */
+  simulateScenarios(moments, horizonSteps, simulations, seed) {
+    const n = moments.means.length;
+    const lower = cholesky(moments.covariance.map(row => row.map(value => value * horizonSteps)));
+    const drift = moments.means.map(value => value * horizonSteps);
+    const normal = createNormal(createRandom(seed));
+
+    const scenarios = [];
+    for (let s = 0; s < simulations; s++) {
+      const shocks = Array.from({ length: n }, normal);
+      scenarios.push(drift.map((value, i) => {
+        let total = value;
+        for (let k = 0; k <= i; k++) total += lower[i][k] * shocks[k];
+        return total;
+      }));
+    }
+    return scenarios;
+  }
+
+  /**
+   * A pool share as a 50/50 constant-product LP of `deposits` token0, whose value moves with
+   * sqrt(g0 * g1) for gross price changes g, plus its open hedges: token0 sold against token1,
+   * which gain hedged * p0 * (g1 - g0) in reference terms. Users carry hedges pro rata.
+   */
+  async poolExposure(poolId, userAddress = null) {
+    const pool = await this.hedgingService.getPoolInfo(poolId);
+    if (!pool) return null;
+
+    const { decimals } = await getToken(pool.token0, this.hedgingService.provider);
+    const totalDeposits = parseFloat(ethers.utils.formatUnits(pool.totalDeposits, decimals));
+    const hedged = parseFloat(ethers.utils.formatUnits(this.hedgingService.getActiveHedgedAmount(poolId), decimals));
+
+    let deposits = totalDeposits;
+    if (userAddress) {
+      const deposit = await this.hedgingService.getUserDeposit(poolId, userAddress);
+      deposits = parseFloat(ethers.utils.formatUnits(deposit, decimals));
+    }
+    if (userAddress && deposits === 0) return null;
+
+    return {
+      type: 'pool',
+      poolId,
+      tokens: [pool.token0.toLowerCase(), pool.token1.toLowerCase()],
+      deposits,
+      hedged: totalDeposits > 0 ? hedged * (deposits / totalDeposits) : 0
+    };
+  }
+
+  // Vault deposits are valued at their deposited amount of the asset
+  async vaultExposures(userAddress) {
+    if (!this.eulerVaultService) return [];
+
+    const assets = await this.eulerVaultService.getAllSupportedAssets().catch(() => []);
+    const exposures = [];
+
+    for (const asset of assets.map(entry => (entry.address || entry).toLowerCase())) {
+      const position = await this.eulerVaultService.getUserPosition(userAddress, asset).catch(() => null);
+      if (!position || position.depositedAmount === '0') continue;
+
+      const { symbol, decimals } = await getToken(asset, this.hedgingService.provider);
+      exposures.push({
+        type: 'vault',
+        asset,
+        tokenSymbol: symbol,
+        tokens: [asset],
+        amount: parseFloat(ethers.utils.formatUnits(position.depositedAmount, decimals))
+      });
+    }
+
+    return exposures;
+  }
+
+  // Current value and a P&L function of gross price changes, in reference-token units
+  price(exposure, market) {
+    const indexes = exposure.tokens.map(token => market.tokens.indexOf(token));
+    const [p0] = indexes.map(index => market.prices[index]);
+
+    if (exposure.type === 'vault') {
+      const value = exposure.amount * p0;
+      return { value, pnl: (growth) => { const change = value * (growth[indexes[0]] - 1); return [change, change]; } };
+    }
+
+    const value = exposure.deposits * p0;
+    const hedgeSize = exposure.hedged * p0;
+    return {
+      value,
+      pnl: (growth) => {
+        const g0 = growth[indexes[0]];
+        const g1 = growth[indexes[1]];
+        const unhedged = positionValues(value, g0, g1).lp - value;
+        return [unhedged + hedgeSize * (g1 - g0), unhedged];
+      }
+    };
+  }
+
+  // Hedged exposures also report the figures their open hedges would leave without them
+  summarize(value, pnls, unhedgedPnls, confidence, hedged) {
+    const measure = (values) => {
+      const risk = tailRisk(values, confidence);
+      return {
+        ...risk,
+        varBps: value > 0 ? Math.round((risk.var / value) * 10000) : null,
+        cvarBps: value > 0 ? Math.round((risk.cvar / value) * 10000) : null
+      };
+    };
+
+    const summary = measure(pnls);
+    if (hedged) summary.unhedged = measure(unhedgedPnls);
+    return summary;
+  }
+
+  /**
+   * Historical and Monte Carlo VaR/CVaR of a set of exposures, each on its own and combined.
+   * Both methods revalue every exposure under the same joint scenarios, so the total reflects
+   * the correlation between tokens rather than summing standalone figures.
+   */
+  assess(exposures, options, now = Date.now()) {
+    const { confidence, horizon, simulations, seed } = options;
+    const horizonSteps = parseHorizon(horizon) / STEP;
+    const tokens = Array.from(new Set(exposures.flatMap(exposure => exposure.tokens)));
+    const market = this.loadMarket(tokens, now);
+
+    const covered = exposures.filter(exposure => exposure.tokens.every(token => market.tokens.includes(token)));
+    const excluded = exposures.filter(exposure => !covered.includes(exposure));
+    const priced = covered.map(exposure => this.price(exposure, market));
+    const value = priced.reduce((sum, entry) => sum + entry.value, 0);
+
+    const result = {
+      currency: REFERENCE_TOKEN,
+      confidence,
+      horizon,
+      value,
+      source: market.steps.length >= MIN_SCENARIOS ? 'recorded' : 'insufficient-data',
+      data: {
+        from: market.from,
+        to: market.to,
+        hourlyReturns: market.steps.length,
+        tokens: market.tokens,
+        missingPrices: market.missing,
+        correlations: null
+      },
+      historical: null,
+      monteCarlo: null,
+      positions: covered.map((exposure, index) => ({ ...this.describe(exposure), value: priced[index].value })),
+      excluded: excluded.map(exposure => this.describe(exposure))
+    };
+
+    if (result.source !== 'recorded' || covered.length === 0) return result;
+
+    const moments = this.estimateMoments(market);
+    result.data.correlations = this.correlationMatrix(moments.covariance);
+
+    const historical = this.historicalScenarios(market, horizonSteps);
+    const methods = {
+      historical: { scenarios: historical.scenarios, details: { scenarios: historical.scenarios.length, scaling: historical.scaling } },
+      monteCarlo: { scenarios: this.simulateScenarios(moments, horizonSteps, simulations, seed), details: { simulations, seed } }
+    };
+
+    for (const [method, { scenarios, details }] of Object.entries(methods)) {
+      const pnls = priced.map(() => new Float64Array(scenarios.length));
+      const unhedgedPnls = priced.map(() => new Float64Array(scenarios.length));
+      const totals = new Float64Array(scenarios.length);
+      const unhedgedTotals = new Float64Array(scenarios.length);
+
+      scenarios.forEach((returns, s) => {
+        const growth = returns.map(Math.exp);
+        priced.forEach((entry, index) => {
+          const [pnl, unhedged] = entry.pnl(growth);
+          pnls[index][s] = pnl;
+          unhedgedPnls[index][s] = unhedged;
+          totals[s] += pnl;
+          unhedgedTotals[s] += unhedged;
+        });
+      });
+
+      const hedged = covered.some(exposure => exposure.hedged > 0);
+      result[method] = { ...details, ...this.summarize(value, totals, unhedgedTotals, confidence, hedged) };
+      result.positions.forEach((position, index) => {
+        position[method] = this.summarize(priced[index].value, pnls[index], unhedgedPnls[index], confidence, covered[index].hedged > 0);
+      });
+    }
+
+    return result;
+  }
+
+  describe(exposure) {
+    return exposure.type === 'pool'
+      ? { type: 'pool', poolId: exposure.poolId, token0: exposure.tokens[0], token1: exposure.tokens[1], deposits: exposure.deposits, hedged: exposure.hedged }
+      : { type: 'vault', asset: exposure.asset, tokenSymbol: exposure.tokenSymbol, amount: exposure.amount };
+  }
+
+  async getPoolVaR(poolId, options) {
+    const exposure = await this.poolExposure(poolId);
+    if (!exposure) return null;
+
+    const { positions, excluded, ...result } = this.assess([exposure], options);
+    return { poolId, ...result, position: this.describe(exposure) };
+  }
+
+  // A user's pool deposits and Euler vault positions, assessed together
+  async getPortfolioVaR(userAddress, options) {
+    const poolIds = await this.hedgingService.getUserPools(userAddress);
+    const pools = await Promise.all(poolIds.map(poolId => this.poolExposure(poolId, userAddress)));
+    const vaults = await this.vaultExposures(userAddress);
+
+    return { address: userAddress, ...this.assess([...pools.filter(Boolean), ...vaults], options) };
+  }
+}
+
+module.exports = { VarService, parseVarOptions, REFERENCE_TOKEN };
@@ -0,0 +1,167 @@
+// Volatility estimators over recorded price samples ({ timestamp, price }, oldest first).
+// Each returns the per-period variance it estimates and the period length, so every model
+// is annualized the same way: by how many of its periods fit in a year.
+
+const { resolveToken } = require('./tokenMetadata');
+
+const MINUTE = 60 * 1000;
+const YEAR = 365 * 24 * 60 * MINUTE;
+
+const DEFAULT_PARAMS = {
+  lambda: 0.94, // RiskMetrics daily decay
+  alpha: 0.1,
+  beta: 0.85,
+  rangeInterval: 60 * MINUTE
+};
+
+const logReturns = (points) => {
+  const returns = [];
+  const spacings = [];
+  for (let i = 1; i < points.length; i++) {
+    const current = parseFloat(points[i].price);
+    const previous = parseFloat(points[i - 1].price);
+    if (previous > 0 && current > 0) {
+      returns.push(Math.log(current / previous));
+      spacings.push(points[i].timestamp - points[i - 1].timestamp);
+    }
+  }
+  return { returns, spacings };
+};
+
+// Median sample spacing, so a gap in sampling does not stretch every period
+const medianSpacing = (spacings) => {
+  const sorted = spacings.filter(spacing => spacing > 0).sort((a, b) => a - b);
+  return sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : null;
+};
+
+const meanSquare = (returns) => returns.reduce((sum, r) => sum + r * r, 0) / returns.length;
+
+// Returns-based models share sampling and period handling
+const fromReturns = (estimate) => (points, params) => {
+  const { returns, spacings } = logReturns(points);
+  const period = medianSpacing(spacings);
+  if (returns.length < 2 || !period) return null;
+  return { variance: estimate(returns, params), samples: returns.length, period };
+};
+
+const MODELS = {
+  // Equally weighted sample variance of log returns
+  simple: fromReturns((returns) => {
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    return returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / returns.length;
+  }),
+
+  // Exponentially weighted, zero-mean: variance = lambda * variance + (1 - lambda) * r^2
+  ewma: fromReturns((returns, { lambda }) => {
+    let variance = meanSquare(returns);
+    for (const r of returns) {
+      variance = lambda * variance + (1 - lambda) * r * r;
+    }
+    return variance;
+  }),
+
+  // GARCH(1,1) with variance targeting: omega is set so the long-run variance is the sample's,
+  // and the figure is the one-period-ahead forecast after the last return
+  garch: fromReturns((returns, { alpha, beta }) => {
+    const longRun = meanSquare(returns);
+    const omega = longRun * (1 - alpha - beta);
+    let variance = longRun;
+    for (const r of returns) {
+      variance = omega + alpha * r * r + beta * variance;
+    }
+    return variance;
+  }),
+
+  // Parkinson range estimator on the high and low of each rangeInterval bucket.
+  // Buckets with a single sample have no range and are skipped.
+  parkinson: (points, { rangeInterval }) => {
+    const buckets = new Map();
+    for (const point of points) {
+      const price = parseFloat(point.price);
+      if (!(price > 0)) continue;
+      const start = Math.floor(point.timestamp / rangeInterval);
+      const bucket = buckets.get(start) || { high: price, low: price, count: 0 };
+      bucket.high = Math.max(bucket.high, price);
+      bucket.low = Math.min(bucket.low, price);
+      bucket.count++;
+      buckets.set(start, bucket);
+    }
+
+    const ranges = Array.from(buckets.values()).filter(bucket => bucket.count >= 2);
+    if (ranges.length === 0) return null;
+
+    const sum = ranges.reduce((total, { high, low }) => total + Math.pow(Math.log(high / low), 2), 0);
+    return { variance: sum / (4 * Math.LN2 * ranges.length), samples: ranges.length, period: rangeInterval };
+  }
+};
+
+const VOLATILITY_MODELS = Object.keys(MODELS);
+
+const validateParams = ({ lambda, alpha, beta, rangeInterval }) => {
+  if (!(lambda > 0 && lambda < 1)) throw new Error('EWMA lambda must be between 0 and 1');
+  if (!(alpha >= 0) || !(beta >= 0) || !(alpha + beta < 1)) {
+    throw new Error('GARCH alpha and beta must be non-negative and sum to less than 1');
+  }
+  if (!(rangeInterval >= MINUTE)) throw new Error('Range interval must be at least one minute');
+};
+
+/**
+ * Annualized volatility of `points` under `model`, or null when there are too few samples.
+ * `volatility` is a fraction (0.6 = 60%); `samples` counts returns, or buckets for parkinson.
+ */
+const estimateVolatility = (points, model = 'simple', params = {}) => {
+  const estimator = MODELS[model];
+  if (!estimator) {
+    throw new Error(`Unknown volatility model "${model}". Must be one of: ${VOLATILITY_MODELS.join(', ')}`);
+  }
+
+  const result = estimator(points, { ...DEFAULT_PARAMS, ...params });
+  if (!result) return null;
+
+  return {
+    volatility: Math.sqrt(result.variance * (YEAR / result.period)),
+    samples: result.samples,
+    period: result.period
+  };
+};
+
+/**
+ * Model selection from the environment. VOLATILITY_MODEL sets the global model and
+ * VOLATILITY_MODELS overrides it per token as comma-separated token:model pairs, where a
+ * token is a tokens.json symbol or an address (e.g. "WETH:garch,USDC:ewma").
+ */
+const parseVolatilityConfig = (env = process.env) => {
+  const number = (value, fallback) => (value !== undefined && value !== '' ? Number(value) : fallback);
+  const params = {
+    lambda: number(env.EWMA_LAMBDA, DEFAULT_PARAMS.lambda),
+    alpha: number(env.GARCH_ALPHA, DEFAULT_PARAMS.alpha),
+    beta: number(env.GARCH_BETA, DEFAULT_PARAMS.beta),
+    rangeInterval: number(env.PARKINSON_INTERVAL, DEFAULT_PARAMS.rangeInterval / MINUTE) * MINUTE
+  };
+  validateParams(params);
+
+  const checkModel = (model) => {
+    if (!MODELS[model]) {
+      throw new Error(`Unknown volatility model "${model}". Must be one of: ${VOLATILITY_MODELS.join(', ')}`);
+    }
+    return model;
+  };
+
+  const tokens = new Map();
+  for (const entry of (env.VOLATILITY_MODELS || '').split(',').map(value => value.trim()).filter(Boolean)) {
+    const [token, model] = entry.split(':').map(value => value.trim());
+    const address = resolveToken(token);
+    if (!address || !model) {
+      throw new Error(`Invalid VOLATILITY_MODELS entry "${entry}", expected token:model`);
+    }
+    tokens.set(address, checkModel(model.toLowerCase()));
+  }
+
+  return {
+    model: env.VOLATILITY_MODEL ? checkModel(env.VOLATILITY_MODEL.toLowerCase()) : null,
+    tokens,
+    params
+  };
+};
+
+module.exports = { VOLATILITY_MODELS, estimateVolatility, parseVolatilityConfig };
@@ -5,11 +5,19 @@ import PoolDashboard from './components/PoolDashboard';
 import PoolList from './components/PoolList';
 import DepositForm from './components/DepositForm';
 import RiskChart from './components/RiskChart';
+import CorrelationHeatmap from './components/CorrelationHeatmap';
+import ImpermanentLossChart from './components/ImpermanentLossChart';
 import VaultDashboard from './components/VaultDashboard';
 import CrossVaultDashboard from './components/CrossVaultDashboard';
+import ActivityFeed from './components/ActivityFeed';
+import HedgingDashboard from './components/HedgingDashboard';
+import StrategyManager from './components/StrategyManager';
+import NotificationCenter from './components/NotificationCenter';
 import useWeb3 from './hooks/useWeb3';
+import useRealtime from './hooks/useRealtime';
 import { contractService } from './services/contractService';
 import { riskService } from './services/riskService';
+import { notificationService } from './services/notificationService';
 
 function App() {
   const {
@@ -94,41 +102,117 @@ function App() {
     }
   };
 
+  // Merge a partial update into the pool wherever it appears in pool state
+  const applyPoolChanges = (poolId, changes) => {
+    const update = pool => (pool.id.toString() === String(poolId) ? { ...pool, ...changes } : pool);
+    setPools(prev => prev.map(update));
+    setUserPools(prev => prev.map(update));
+  };
+
+  const refreshPool = async (poolId) => {
+    try {
+      const pool = await contractService.getPoolInfo(poolId);
+      applyPoolChanges(poolId, pool);
+    } catch (err) {
+      console.error(`Error refreshing pool ${poolId}:`, err);
+    }
+  };
+
+  const handlePoolUpdate = ({ type, key, data }) => {
+    switch (type) {
+      case 'pool-snapshot':
+        if (data.pool) {
+          applyPoolChanges(key, {
+            totalDeposits: ethers.parseEther(data.pool.totalDeposits),
+            availableLiquidity: ethers.parseEther(data.pool.availableLiquidity),
+            hedgedAmount: ethers.parseEther(data.pool.hedgedAmount),
+            riskScore: data.pool.riskScore,
+            active: data.pool.active
+          });
+        }
+        break;
+      case 'pool-risk':
+        applyPoolChanges(key, { riskScore: data.riskScore });
+        break;
+      default:
+        // Hedges, adjustments and deposits move pool balances
+        refreshPool(key);
+    }
+  };
+
+  const handlePortfolioUpdate = ({ type, data }) => {
+    if (type === 'portfolio-snapshot') {
+      data.pools.forEach(({ poolId, userDeposit, userRewards }) => {
+        setUserPools(prev => prev.map(pool =>
+          pool.id.toString() === String(poolId) ? { ...pool, userDeposit, userRewards } : pool
+        ));
+      });
+    } else if (type === 'activity' && data.poolId !== undefined) {
+      loadUserPools();
+    }
+  };
+
+  const { status: realtimeStatus } = useRealtime({
+    account,
+    signer,
+    pools: pools.map(pool => pool.id),
+    onPoolUpdate: handlePoolUpdate,
+    onPortfolioUpdate: handlePortfolioUpdate
+  });
+
+  // Transaction outcomes are kept in the notification center after the banner is dismissed
+  const notifyTransaction = (title, message, severity, transactionHash) => {
+    notificationService.notify(account, {
+      id: transactionHash ? `tx-${transactionHash}` : undefined,
+      category: 'transaction',
+      title,
+      message,
+      severity,
+      data: { transactionHash }
+    });
+  };
+
   const handleDeposit = async (poolId, amount, tokenAddress) => {
+    let tx;
     try {
       setLoading(true);
       setError('');
       setSuccess('');
       
-      const tx = await contractService.deposit(poolId, amount, tokenAddress);
+      tx = await contractService.deposit(poolId, amount, tokenAddress);
       await tx.wait();
       
       setSuccess('Deposit successful!');
+      notifyTransaction('Deposit confirmed', `Deposited ${amount} into pool #${poolId}`, 'success', tx.hash);
       await loadPools();
       await loadUserPools();
     } catch (err) {
       console.error('Deposit error:', err);
       setError('Deposit failed: ' + err.message);
+      notifyTransaction('Deposit failed', `Deposit into pool #${poolId} failed: ${err.message}`, 'error', tx && tx.hash);
     } finally {
       setLoading(false);
     }
   };
 
   const handleWithdraw = async (poolId, amount) => {
+    let tx;
     try {
       setLoading(true);
       setError('');
       setSuccess('');
       
-      const tx = await contractService.withdraw(poolId, amount);
+      tx = await contractService.withdraw(poolId, amount);
       await tx.wait();
       
       setSuccess('Withdrawal successful!');
+      notifyTransaction('Withdrawal confirmed', `Withdrew ${amount} from pool #${poolId}`, 'success', tx.hash);
       await loadPools();
       await loadUserPools();
     } catch (err) {
       console.error('Withdrawal error:', err);
       setError('Withdrawal failed: ' + err.message);
+      notifyTransaction('Withdrawal failed', `Withdrawal from pool #${poolId} failed: ${err.message}`, 'error', tx && tx.hash);
     } finally {
       setLoading(false);
     }
@@ -217,6 +301,22 @@ function App() {
                 <span className="nav-icon">📈</span>
                 <span className="nav-label">Risk Analytics</span>
               </button>
+              <button
+                className={`nav-item ${currentView === 'hedging' ? 'active' : ''}`}
+                onClick={() => handleNavigation('hedging')}
+                type="button"
+              >
+                <span className="nav-icon">🛡️</span>
+                <span className="nav-label">Hedging</span>
+              </button>
+              <button
+                className={`nav-item ${currentView === 'strategies' ? 'active' : ''}`}
+                onClick={() => handleNavigation('strategies')}
+                type="button"
+              >
+                <span className="nav-icon">🎯</span>
+                <span className="nav-label">Strategies</span>
+              </button>
               <button
                 className={`nav-item ${currentView === 'vaults' ? 'active' : ''}`}
                 onClick={() => handleNavigation('vaults')}
@@ -233,6 +333,14 @@ function App() {
                 <span className="nav-icon">🔗</span>
                 <span className="nav-label">Cross-Vault</span>
               </button>
+              <button
+                className={`nav-item ${currentView === 'activity' ? 'active' : ''}`}
+                onClick={() => handleNavigation('activity')}
+                type="button"
+              >
+                <span className="nav-icon">🧾</span>
+                <span className="nav-label">Activity</span>
+              </button>
             </nav>
             <div className="wallet-section">
               {account ? (
@@ -240,6 +348,14 @@ function App() {
                   <div className="network-badge">
                     {getNetworkName(chainId)}
                   </div>
+                  <NotificationCenter
+                    account={account}
+                    signer={signer}
+                  />
+                  <div className={`realtime-badge ${realtimeStatus}`} title={`Live updates ${realtimeStatus}`}>
+                    <span className="realtime-dot"></span>
+                    {realtimeStatus === 'connected' ? 'Live' : realtimeStatus === 'reconnecting' ? 'Reconnecting' : 'Offline'}
+                  </div>
                   <div className="account-info">
                     <span className="account-address">{formatAddress(account)}</span>
                     <button onClick={disconnect} className="disconnect-btn">
@@ -346,6 +462,14 @@ function App() {
                 />
               )}
 
+              {currentView === 'hedging' && (
+                <HedgingDashboard pools={pools} />
+              )}
+
+              {currentView === 'strategies' && (
+                <StrategyManager account={account} pools={pools} />
+              )}
+
               {currentView === 'vaults' && (
                 <VaultDashboard />
               )}
@@ -354,6 +478,10 @@ function App() {
                 <CrossVaultDashboard />
               )}
 
+              {currentView === 'activity' && (
+                <ActivityFeed account={account} />
+              )}
+
               {currentView === 'analytics' && (
                 <div className="analytics-view">
                   <div className="analytics-header">
@@ -406,6 +534,11 @@ function App() {
                       <h3>Portfolio Performance</h3>
                       <RiskChart poolId="overview" />
                     </div>
+
+                    <div className="analytics-card full-width">
+                      <h3>Diversification</h3>
+                      <CorrelationHeatmap userAddress={account} />
+                    </div>
                   </div>
                 </div>
               )}
@@ -461,6 +594,10 @@ function App() {
                       <RiskChart poolId={selectedPool.id} />
                     </div>
 
+                    <div className="risk-chart-section">
+                      <ImpermanentLossChart poolId={selectedPool.id} />
+                    </div>
+
                     {selectedPool.userDeposit && parseFloat(selectedPool.userDeposit) > 0 && (
                       <div className="user-position-section">
                         <h3>Your Position</h3>
@@ -0,0 +1,303 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { activityService } from '../services/activityService';
+import { exportService, EXPORT_SECTIONS } from '../services/exportService';
+import { APP_CONFIG, formatAddress, formatNumber, getTokenMetadata } from '../utils/constants';
+
+const ACTIVITY_TYPES = {
+  'deposit': { label: 'Pool Deposit', icon: '💰' },
+  'withdrawal': { label: 'Pool Withdrawal', icon: '💸' },
+  'emergency-withdrawal': { label: 'Emergency Withdrawal', icon: '🚨' },
+  'vault-deposit': { label: 'Vault Deposit', icon: '🏦' },
+  'vault-withdrawal': { label: 'Vault Withdrawal', icon: '🏧' },
+  'position-open': { label: 'Position Opened', icon: '🔗' },
+  'position-close': { label: 'Position Closed', icon: '✂️' }
+};
+
+const EMPTY_FILTERS = {
+  type: '',
+  poolId: '',
+  vault: '',
+  from: '',
+  to: ''
+};
+
+const ActivityFeed = ({ account }) => {
+  const [activity, setActivity] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [exportSection, setExportSection] = useState('pools');
+  const [exporting, setExporting] = useState(false);
+
+  const pageSize = APP_CONFIG.TRANSACTIONS_PER_PAGE;
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+
+  useEffect(() => {
+    if (account) {
+      loadActivity();
+    }
+  }, [account, page, appliedFilters]);
+
+  const loadActivity = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const result = await activityService.getUserActivity(account, {
+        type: appliedFilters.type ? [appliedFilters.type] : undefined,
+        poolId: appliedFilters.poolId,
+        vault: appliedFilters.vault,
+        // Date inputs are local calendar days; send the whole day as UTC bounds
+        from: appliedFilters.from ? new Date(`${appliedFilters.from}T00:00:00`).toISOString() : undefined,
+        to: appliedFilters.to ? new Date(`${appliedFilters.to}T23:59:59.999`).toISOString() : undefined,
+        limit: pageSize,
+        offset: page * pageSize
+      });
+
+      setActivity(result.activity);
+      setTotal(result.pagination.total);
+    } catch (err) {
+      console.error('Error loading activity:', err);
+      setError('Failed to load activity: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    if (filters.vault && !ethers.isAddress(filters.vault)) {
+      setError('Vault filter must be a valid address');
+      return;
+    }
+    setPage(0);
+    setAppliedFilters(filters);
+  };
+
+  const resetFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(0);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  const handleExport = async (format, section) => {
+    try {
+      setExporting(true);
+      setError('');
+      await exportService.downloadExport(account, format, section);
+    } catch (err) {
+      console.error('Error exporting data:', err);
+      setError('Export failed: ' + err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Vault amounts use the asset's decimals; pool and position amounts are 18-decimal
+  const formatAmount = (value, asset) => {
+    if (value === undefined || value === null) return '-';
+    const metadata = getTokenMetadata(asset);
+    const amount = formatNumber(ethers.formatUnits(value, metadata ? metadata.decimals : 18));
+    return metadata ? `${amount} ${metadata.symbol}` : amount;
+  };
+
+  const describeActivity = (item) => {
+    switch (item.type) {
+      case 'deposit':
+      case 'withdrawal':
+      case 'emergency-withdrawal':
+        return { target: `Pool #${item.poolId}`, amount: formatAmount(item.amount) };
+      case 'vault-deposit':
+      case 'vault-withdrawal':
+        return {
+          target: getTokenMetadata(item.asset)?.symbol || formatAddress(item.asset),
+          amount: formatAmount(item.amount, item.asset)
+        };
+      case 'position-open':
+        return {
+          target: `Position #${item.positionId}`,
+          amount: `${formatAmount(item.collateralAmount)} collateral / ${formatAmount(item.borrowAmount)} borrowed`
+        };
+      case 'position-close':
+        return {
+          target: `Position #${item.positionId}`,
+          amount: `${formatAmount(item.collateralReturned)} returned / ${formatAmount(item.borrowRepaid)} repaid`
+        };
+      default:
+        return { target: '-', amount: '-' };
+    }
+  };
+
+  if (!account) {
+    return (
+      <div className="activity-feed">
+        <div className="connect-wallet-prompt">
+          <h3>Connect Your Wallet</h3>
+          <p>Connect your wallet to see your transaction history.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="activity-feed">
+      <div className="dashboard-header">
+        <h2>Activity</h2>
+        <p>Deposits, withdrawals and position changes for {formatAddress(account)}</p>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      <div className="export-panel">
+        <div className="form-group">
+          <label>Export for accounting</label>
+          <select value={exportSection} onChange={(e) => setExportSection(e.target.value)}>
+            {Object.entries(EXPORT_SECTIONS).map(([section, label]) => (
+              <option key={section} value={section}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="activity-filter-actions">
+          <button
+            type="button"
+            className="apply-filters-btn"
+            onClick={() => handleExport('csv', exportSection)}
+            disabled={exporting}
+          >
+            CSV
+          </button>
+          <button
+            type="button"
+            className="reset-filters-btn"
+            onClick={() => handleExport('json', exportSection)}
+            disabled={exporting}
+          >
+            JSON
+          </button>
+          <button
+            type="button"
+            className="reset-filters-btn"
+            onClick={() => handleExport('json')}
+            disabled={exporting}
+          >
+            Full JSON
+          </button>
+        </div>
+      </div>
+
+      <form className="activity-filters" onSubmit={applyFilters}>
+        <div className="form-group">
+          <label>Type</label>
+          <select value={filters.type} onChange={(e) => handleFilterChange('type', e.target.value)}>
+            <option value="">All activity</option>
+            {Object.entries(ACTIVITY_TYPES).map(([type, { label }]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Pool ID</label>
+          <input
+            type="number"
+            min="0"
+            value={filters.poolId}
+            onChange={(e) => handleFilterChange('poolId', e.target.value)}
+            placeholder="Any"
+          />
+        </div>
+        <div className="form-group">
+          <label>Vault / Asset</label>
+          <input
+            type="text"
+            value={filters.vault}
+            onChange={(e) => handleFilterChange('vault', e.target.value)}
+            placeholder="0x..."
+          />
+        </div>
+        <div className="form-group">
+          <label>From</label>
+          <input type="date" value={filters.from} onChange={(e) => handleFilterChange('from', e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label>To</label>
+          <input type="date" value={filters.to} onChange={(e) => handleFilterChange('to', e.target.value)} />
+        </div>
+        <div className="activity-filter-actions">
+          <button type="submit" className="apply-filters-btn">Apply</button>
+          <button type="button" className="reset-filters-btn" onClick={resetFilters}>Reset</button>
+        </div>
+      </form>
+
+      <div className="activity-list">
+        {loading ? (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading activity...</p>
+          </div>
+        ) : activity.length === 0 ? (
+          <div className="empty-state">
+            <h4>No activity found</h4>
+            <p>Nothing matches these filters yet.</p>
+          </div>
+        ) : (
+          activity.map(item => {
+            const typeInfo = ACTIVITY_TYPES[item.type] || { label: item.type, icon: '•' };
+            const { target, amount } = describeActivity(item);
+
+            return (
+              <div key={item.id} className={`activity-item ${item.type}`}>
+                <span className="activity-icon">{typeInfo.icon}</span>
+                <div className="activity-details">
+                  <span className="activity-type">{typeInfo.label}</span>
+                  <span className="activity-target">{target}</span>
+                </div>
+                <span className="activity-amount">{amount}</span>
+                <div className="activity-meta">
+                  <span>{new Date(item.timestamp).toLocaleString()}</span>
+                  <span className="address-short" title={item.transactionHash}>
+                    {formatAddress(item.transactionHash, 6)}
+                  </span>
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+
+      {total > pageSize && (
+        <div className="activity-pagination">
+          <button
+            className="page-btn"
+            onClick={() => setPage(page - 1)}
+            disabled={page === 0 || loading}
+          >
+            Previous
+          </button>
+          <span>Page {page + 1} of {totalPages}</span>
+          <button
+            className="page-btn"
+            onClick={() => setPage(page + 1)}
+            disabled={page + 1 >= totalPages || loading}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActivityFeed;
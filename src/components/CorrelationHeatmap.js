@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import { riskService } from '../services/riskService';
+
+const formatAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Red for assets that move together, green for ones that offset each other
+const cellColor = (value) => {
+  if (value === null) return 'transparent';
+  const alpha = Math.min(Math.abs(value), 1) * 0.8;
+  return value >= 0 ? `rgba(255, 71, 87, ${alpha})` : `rgba(46, 213, 115, ${alpha})`;
+};
+
+// Closely correlated positions offer little diversification
+const diversificationColor = (averageCorrelation) => {
+  if (averageCorrelation > 0.7) return '#ff4757';
+  if (averageCorrelation > 0.3) return '#ffa502';
+  return '#2ed573';
+};
+
+const CorrelationHeatmap = ({ userAddress }) => {
+  const [data, setData] = useState(null);
+  const [view, setView] = useState('positions');
+  const [method, setMethod] = useState('pearson');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadCorrelations();
+  }, [userAddress, method]);
+
+  const loadCorrelations = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const result = await riskService.getCorrelations({ user: userAddress, method });
+      setData(result);
+    } catch (err) {
+      console.error('Error loading correlations:', err);
+      setError('Failed to load correlations');
+      setData(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const symbolOf = (address) => {
+    const token = data.tokens.find(entry => entry.address === address.toLowerCase());
+    return token && token.symbol ? token.symbol : formatAddress(address);
+  };
+
+  const positionLabel = (position) => (position.type === 'pool'
+    ? `Pool ${position.poolId} (${symbolOf(position.token0)}/${symbolOf(position.token1)})`
+    : `${position.tokenSymbol || formatAddress(position.asset)} vault`);
+
+  const controls = (
+    <div className="chart-controls">
+      <div className="timeframe-selector">
+        {['positions', 'tokens'].map(option => (
+          <button
+            key={option}
+            onClick={() => setView(option)}
+            className={`timeframe-btn ${view === option ? 'active' : ''}`}
+          >
+            {option === 'positions' ? 'Positions' : 'Tokens'}
+          </button>
+        ))}
+      </div>
+      <div className="timeframe-selector">
+        {['pearson', 'spearman'].map(option => (
+          <button
+            key={option}
+            onClick={() => setMethod(option)}
+            className={`timeframe-btn ${method === option ? 'active' : ''}`}
+          >
+            {option === 'pearson' ? 'Pearson' : 'Spearman'}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="risk-chart-container">
+        <div className="chart-header">
+          <h3>Correlations</h3>
+        </div>
+        <div className="loading-chart">
+          <div className="loading-spinner"></div>
+          <p>Loading correlations...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="risk-chart-container">
+        <div className="chart-header">
+          <h3>Correlations</h3>
+        </div>
+        <div className="error-chart">
+          <p>❌ {error}</p>
+          <button onClick={loadCorrelations} className="retry-btn">
+            Retry
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!data || data.source !== 'recorded') {
+    return (
+      <div className="risk-chart-container">
+        <div className="chart-header">
+          <h3>Correlations</h3>
+          {controls}
+        </div>
+        <div className="error-chart">
+          <p>Not enough recorded price history to correlate these positions yet.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const labels = view === 'positions'
+    ? data.positions.map(positionLabel)
+    : data.tokens.map(token => token.symbol || formatAddress(token.address));
+  const matrix = view === 'positions' ? data.positionCorrelations : data.correlations;
+  const samples = view === 'positions' ? data.positionSamples : data.samples;
+  const { averageCorrelation } = data.diversification;
+
+  return (
+    <div className="risk-chart-container">
+      <div className="chart-header">
+        <h3>Correlations</h3>
+        {controls}
+      </div>
+
+      {averageCorrelation !== null && (
+        <div className="current-risk-summary">
+          <div className="risk-metric">
+            <span className="metric-label">Average Position Correlation:</span>
+            <span className="metric-value" style={{ color: diversificationColor(averageCorrelation) }}>
+              {averageCorrelation.toFixed(2)}
+            </span>
+          </div>
+        </div>
+      )}
+
+      <div className="correlation-heatmap">
+        <table>
+          <thead>
+            <tr>
+              <th></th>
+              {labels.map((label, index) => <th key={index}>{label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {matrix.map((row, i) => (
+              <tr key={i}>
+                <th>{labels[i]}</th>
+                {row.map((value, j) => (
+                  <td
+                    key={j}
+                    style={{ backgroundColor: cellColor(value) }}
+                    title={`${labels[i]} / ${labels[j]}: ${samples[i][j]} hourly returns`}
+                  >
+                    {value === null ? '–' : value.toFixed(2)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="correlation-note">
+        {method === 'pearson' ? 'Pearson' : 'Spearman'} correlation of hourly returns over the last {data.window} hours, priced in {symbolOf(data.numeraire)}.
+        {view === 'tokens' && ` ${symbolOf(data.numeraire)} has no returns against itself, so its row is empty.`}
+      </p>
+    </div>
+  );
+};
+
+export default CorrelationHeatmap;
@@ -2,10 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { evcService } from '../services/evcService';
 import { vaultService } from '../services/vaultService';
 import useWeb3 from '../hooks/useWeb3';
+import useRealtime from '../hooks/useRealtime';
 import { formatNumber, formatPercentage, formatCurrency } from '../utils/constants';
 
 const CrossVaultDashboard = () => {
-  const { address, provider, signer } = useWeb3();
+  const { account: address, provider, signer } = useWeb3();
   const [crossVaultPositions, setCrossVaultPositions] = useState([]);
   const [availableVaults, setAvailableVaults] = useState([]);
   const [liquidityBridges, setLiquidityBridges] = useState([]);
@@ -88,6 +89,39 @@ const CrossVaultDashboard = () => {
     }
   };
 
+  const applyHealth = (positionId, healthFactor) => {
+    setCrossVaultPositions(prev => prev.map(position =>
+      String(position.id) === String(positionId) ? { ...position, healthFactor } : position
+    ));
+  };
+
+  const handlePositionUpdate = ({ type, key, data }) => {
+    if (type === 'position-snapshot' && data.health) {
+      applyHealth(key, data.health.healthFactor);
+    } else if (type === 'position-health') {
+      applyHealth(key, data.healthFactor);
+    } else if (type === 'position-activity') {
+      evcService.invalidateUserCache(address);
+      loadUserSpecificData();
+    }
+  };
+
+  // Opened positions have no room yet, so new ones arrive through the portfolio
+  const handlePortfolioUpdate = ({ type, data }) => {
+    if (type === 'activity' && data.type === 'position-open') {
+      evcService.invalidateUserCache(address);
+      loadUserSpecificData();
+    }
+  };
+
+  useRealtime({
+    account: address,
+    signer,
+    positions: crossVaultPositions.map(position => position.id),
+    onPositionUpdate: handlePositionUpdate,
+    onPortfolioUpdate: handlePortfolioUpdate
+  });
+
   const handleCreatePosition = async () => {
     if (!signer || !newPosition.collateralVault || !newPosition.borrowVault) return;
 
@@ -0,0 +1,455 @@
+import React, { useState, useEffect, useRef } from 'react';
+import Chart from 'chart.js/auto';
+import { hedgingService } from '../services/hedgingService';
+import useRealtime from '../hooks/useRealtime';
+import { CHART_COLORS, formatNumber, formatAddress, getTokenMetadata, getRiskColor, isValidAmount } from '../utils/constants';
+
+const PRIORITY_ICONS = {
+  high: '🔴',
+  medium: '🟠',
+  low: '🟢'
+};
+
+const HedgingDashboard = ({ pools = [] }) => {
+  const chartRef = useRef(null);
+  const chartInstance = useRef(null);
+  const [selectedPoolId, setSelectedPoolId] = useState(null);
+  const [positions, setPositions] = useState([]);
+  const [recommendations, setRecommendations] = useState([]);
+  const [effectiveness, setEffectiveness] = useState(null);
+  const [timeframe, setTimeframe] = useState('30d');
+  const [loading, setLoading] = useState(false);
+  const [chartLoading, setChartLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [estimateAmount, setEstimateAmount] = useState('');
+  const [estimate, setEstimate] = useState(null);
+  const [estimating, setEstimating] = useState(false);
+  const [estimateError, setEstimateError] = useState('');
+
+  const selectedPool = pools.find(pool => pool.id === selectedPoolId);
+
+  useEffect(() => {
+    if (selectedPoolId === null && pools.length > 0) {
+      setSelectedPoolId(pools[0].id);
+    }
+  }, [pools, selectedPoolId]);
+
+  useEffect(() => {
+    if (selectedPoolId !== null) {
+      loadPoolHedging();
+      setEstimate(null);
+      setEstimateError('');
+    }
+  }, [selectedPoolId]);
+
+  useEffect(() => {
+    if (selectedPoolId !== null) {
+      loadEffectiveness();
+    }
+  }, [selectedPoolId, timeframe]);
+
+  useEffect(() => {
+    if (effectiveness && effectiveness.source === 'recorded' && chartRef.current) {
+      renderChart();
+    }
+
+    return () => {
+      if (chartInstance.current) {
+        chartInstance.current.destroy();
+        chartInstance.current = null;
+      }
+    };
+  }, [effectiveness]);
+
+  // Opened and closed hedges change both the position list and the recommendation for the pool
+  useRealtime({
+    pools: selectedPoolId !== null ? [selectedPoolId] : [],
+    onPoolUpdate: ({ type }) => {
+      if (type === 'hedge-executed' || type === 'hedge-closed') {
+        loadPoolHedging();
+      }
+    }
+  });
+
+  const loadPoolHedging = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const [positionResult, poolRecommendations] = await Promise.all([
+        hedgingService.getPositions({ poolId: selectedPoolId }),
+        hedgingService.getRecommendations(selectedPoolId)
+      ]);
+
+      setPositions(positionResult.positions);
+      setRecommendations(poolRecommendations);
+    } catch (err) {
+      console.error('Error loading hedging data:', err);
+      setError('Failed to load hedging data: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadEffectiveness = async () => {
+    try {
+      setChartLoading(true);
+      const data = await hedgingService.getEffectiveness(selectedPoolId, timeframe);
+      setEffectiveness(data);
+    } catch (err) {
+      console.error('Error loading hedging effectiveness:', err);
+      setEffectiveness(null);
+    } finally {
+      setChartLoading(false);
+    }
+  };
+
+  const handleEstimate = async (e) => {
+    e.preventDefault();
+
+    if (!isValidAmount(estimateAmount)) {
+      setEstimateError('Enter a positive amount');
+      return;
+    }
+
+    try {
+      setEstimating(true);
+      setEstimateError('');
+      const result = await hedgingService.estimateCost(selectedPoolId, estimateAmount);
+      setEstimate(result);
+    } catch (err) {
+      console.error('Error estimating hedging cost:', err);
+      setEstimateError('Failed to estimate cost: ' + err.message);
+      setEstimate(null);
+    } finally {
+      setEstimating(false);
+    }
+  };
+
+  const renderChart = () => {
+    if (chartInstance.current) {
+      chartInstance.current.destroy();
+    }
+
+    const labels = effectiveness.timestamps.map(timestamp => {
+      const date = new Date(timestamp);
+      if (timeframe === '24h') {
+        return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+      }
+      return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    });
+
+    chartInstance.current = new Chart(chartRef.current.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [
+          {
+            label: 'Hedge Ratio',
+            data: effectiveness.hedgeRatios,
+            borderColor: CHART_COLORS.PRIMARY,
+            backgroundColor: 'rgba(83, 82, 237, 0.1)',
+            borderWidth: 3,
+            fill: true,
+            tension: 0.4
+          },
+          {
+            label: 'Impermanent Loss Risk',
+            data: effectiveness.impermanentLoss.map(il => il / 100),
+            borderColor: CHART_COLORS.WARNING,
+            borderWidth: 2,
+            borderDash: [10, 5],
+            fill: false,
+            tension: 0.4
+          },
+          {
+            label: 'Unhedged IL Risk',
+            data: effectiveness.residualImpermanentLoss.map(il => il / 100),
+            borderColor: CHART_COLORS.DANGER,
+            borderWidth: 2,
+            fill: false,
+            tension: 0.4
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+          intersect: false,
+          mode: 'index'
+        },
+        plugins: {
+          legend: {
+            position: 'top',
+            labels: { usePointStyle: true, padding: 20 }
+          },
+          tooltip: {
+            callbacks: {
+              label: (context) => `${context.dataset.label}: ${context.parsed.y.toFixed(2)}%`
+            }
+          }
+        },
+        scales: {
+          y: {
+            beginAtZero: true,
+            max: 100,
+            ticks: { callback: (value) => value + '%' }
+          }
+        }
+      }
+    });
+  };
+
+  const getPoolLabel = (pool) => {
+    const symbol0 = getTokenMetadata(pool.token0)?.symbol || formatAddress(pool.token0);
+    const symbol1 = getTokenMetadata(pool.token1)?.symbol || formatAddress(pool.token1);
+    return `Pool #${pool.id} · ${symbol0}/${symbol1}`;
+  };
+
+  const totals = positions.reduce((acc, position) => ({
+    hedged: acc.hedged + parseFloat(position.hedgedAmount || 0),
+    cost: acc.cost + position.valuation.hedgingCost,
+    pnl: acc.pnl + (position.pnl ?? 0)
+  }), { hedged: 0, cost: 0, pnl: 0 });
+
+  // P&L is null while EulerSwap has no price for the pool
+  const formatPnl = (pnl) => (pnl === null ? '-' : `${pnl >= 0 ? '+' : ''}${pnl.toFixed(4)}`);
+
+  if (pools.length === 0) {
+    return (
+      <div className="hedging-dashboard">
+        <div className="empty-state">
+          <h4>No pools available</h4>
+          <p>Hedging becomes available once a liquidity pool is created.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="hedging-dashboard">
+      <div className="dashboard-header">
+        <h2>Hedging</h2>
+        <p>Active hedge positions, recommendations and hedge effectiveness per pool</p>
+      </div>
+
+      <div className="hedging-pool-selector">
+        <label htmlFor="hedging-pool">Pool</label>
+        <select
+          id="hedging-pool"
+          value={selectedPoolId ?? ''}
+          onChange={(e) => setSelectedPoolId(e.target.value)}
+        >
+          {pools.map(pool => (
+            <option key={pool.id} value={pool.id}>{getPoolLabel(pool)}</option>
+          ))}
+        </select>
+        {selectedPool && (
+          <span className="hedging-pool-risk" style={{ color: getRiskColor(selectedPool.riskScore) }}>
+            Risk {(selectedPool.riskScore / 100).toFixed(2)}%
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      <div className="stats-grid">
+        <div className="stat-card">
+          <div className="stat-icon">🛡️</div>
+          <div className="stat-content">
+            <h3>Active Positions</h3>
+            <p className="stat-value">{positions.length}</p>
+          </div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-icon">💰</div>
+          <div className="stat-content">
+            <h3>Total Hedged</h3>
+            <p className="stat-value">{formatNumber(totals.hedged)} ETH</p>
+          </div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-icon">💸</div>
+          <div className="stat-content">
+            <h3>Hedging Cost</h3>
+            <p className="stat-value">{formatNumber(totals.cost)} ETH</p>
+          </div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-icon">📈</div>
+          <div className="stat-content">
+            <h3>Net P&L</h3>
+            <p className={`stat-value ${totals.pnl >= 0 ? 'positive' : 'negative'}`}>
+              {formatPnl(totals.pnl)} ETH
+            </p>
+          </div>
+        </div>
+      </div>
+
+      <div className="hedging-grid">
+        <div className="hedging-card hedging-positions">
+          <h3>Active Hedge Positions</h3>
+          {loading ? (
+            <div className="loading-container">
+              <div className="loading-spinner"></div>
+              <p>Loading positions...</p>
+            </div>
+          ) : positions.length === 0 ? (
+            <div className="empty-state">
+              <h4>No active hedges</h4>
+              <p>This pool has no open hedge positions.</p>
+            </div>
+          ) : (
+            <table className="hedging-table">
+              <thead>
+                <tr>
+                  <th>Position</th>
+                  <th>Opened</th>
+                  <th>Original</th>
+                  <th>Hedged</th>
+                  <th>Entry / Mark</th>
+                  <th>Cost</th>
+                  <th>IL Offset</th>
+                  <th>P&L</th>
+                </tr>
+              </thead>
+              <tbody>
+                {positions.map(position => (
+                  <tr key={position.id}>
+                    <td>#{position.id}</td>
+                    <td>{new Date(position.timestamp).toLocaleDateString()}</td>
+                    <td>{formatNumber(position.originalAmount)} ETH</td>
+                    <td>{formatNumber(position.hedgedAmount)} ETH</td>
+                    <td>
+                      {position.valuation.entryPrice === null ? '-' : formatNumber(position.valuation.entryPrice)}
+                      {' / '}
+                      {position.valuation.currentPrice === null ? '-' : formatNumber(position.valuation.currentPrice)}
+                    </td>
+                    <td>{formatNumber(position.valuation.hedgingCost)} ETH</td>
+                    <td>
+                      {position.valuation.impermanentLossOffset === null
+                        ? '-'
+                        : `${formatNumber(position.valuation.impermanentLossOffset)} ETH`}
+                    </td>
+                    <td className={position.pnl === null ? '' : position.pnl >= 0 ? 'positive' : 'negative'}>
+                      {formatPnl(position.pnl)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="hedging-card">
+          <h3>Recommendations</h3>
+          {recommendations.length === 0 ? (
+            <p className="hedging-muted">No action needed for this pool right now.</p>
+          ) : (
+            <ul className="hedging-recommendations">
+              {recommendations.map((recommendation, index) => (
+                <li key={index} className={`hedging-recommendation ${recommendation.priority}`}>
+                  <span className="recommendation-icon">{PRIORITY_ICONS[recommendation.priority] || '•'}</span>
+                  <div>
+                    <p>{recommendation.message}</p>
+                    {recommendation.expectedCost && (
+                      <span className="hedging-muted">
+                        Expected cost: {formatNumber(recommendation.expectedCost)} ETH
+                      </span>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <h3>Cost Estimator</h3>
+          <form className="hedging-estimator" onSubmit={handleEstimate}>
+            <div className="form-group">
+              <label htmlFor="hedge-amount">Amount to hedge (ETH)</label>
+              <input
+                id="hedge-amount"
+                type="number"
+                min="0"
+                step="any"
+                value={estimateAmount}
+                onChange={(e) => setEstimateAmount(e.target.value)}
+                placeholder="0.0"
+              />
+            </div>
+            <button type="submit" className="apply-filters-btn" disabled={estimating}>
+              {estimating ? 'Estimating...' : 'Estimate'}
+            </button>
+          </form>
+          {estimateError && <p className="hedging-error">{estimateError}</p>}
+          {estimate && (
+            <div className="hedging-estimate">
+              <span>Estimated cost</span>
+              <strong>{formatNumber(estimate.estimatedCost)} ETH</strong>
+              <span className="hedging-muted">{estimate.costPercentage.toFixed(2)}% of amount</span>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="hedging-card hedging-effectiveness">
+        <div className="chart-header">
+          <h3>Hedge Effectiveness</h3>
+          <div className="timeframe-selector">
+            {['24h', '7d', '30d', '90d'].map(tf => (
+              <button
+                key={tf}
+                onClick={() => setTimeframe(tf)}
+                className={`timeframe-btn ${timeframe === tf ? 'active' : ''}`}
+              >
+                {tf}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {chartLoading ? (
+          <div className="loading-chart">
+            <div className="loading-spinner"></div>
+            <p>Loading effectiveness...</p>
+          </div>
+        ) : !effectiveness || effectiveness.source !== 'recorded' ? (
+          <div className="error-chart">
+            <p>Not enough recorded risk history for this timeframe yet.</p>
+          </div>
+        ) : (
+          <>
+            <div className="hedging-effectiveness-summary">
+              <span>Average hedge ratio: <strong>{effectiveness.summary.averageHedgeRatio.toFixed(1)}%</strong></span>
+              <span>
+                IL risk covered:{' '}
+                <strong>
+                  {effectiveness.summary.impermanentLossCoverage === null
+                    ? '-'
+                    : `${(effectiveness.summary.impermanentLossCoverage * 100).toFixed(1)}%`}
+                </strong>
+              </span>
+              <span>
+                Risk change:{' '}
+                <strong className={effectiveness.summary.riskScoreChange <= 0 ? 'positive' : 'negative'}>
+                  {(effectiveness.summary.riskScoreChange / 100).toFixed(2)}%
+                </strong>
+              </span>
+            </div>
+            <div className="chart-wrapper">
+              <canvas ref={chartRef} width="800" height="300"></canvas>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HedgingDashboard;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useRef } from 'react';
+import Chart from 'chart.js/auto';
+import { riskService } from '../services/riskService';
+
+const formatValue = (value) => value.toLocaleString('en-US', { maximumFractionDigits: 4 });
+
+// Net IL above zero is a loss the pool's fees and rewards have not yet paid for
+const netColor = (netImpermanentLoss) => (netImpermanentLoss > 0 ? '#ff4757' : '#2ed573');
+
+const ImpermanentLossChart = ({ poolId }) => {
+  const chartRef = useRef(null);
+  const chartInstance = useRef(null);
+  const [curve, setCurve] = useState(null);
+  const [token1Change, setToken1Change] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadCurve();
+
+    return () => {
+      if (chartInstance.current) {
+        chartInstance.current.destroy();
+        chartInstance.current = null;
+      }
+    };
+  }, [poolId, token1Change]);
+
+  useEffect(() => {
+    if (curve && chartRef.current) {
+      renderChart();
+    }
+  }, [curve]);
+
+  const loadCurve = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const result = await riskService.getImpermanentLossCurve(poolId, { token1Change });
+      setCurve(result);
+    } catch (err) {
+      console.error('Error loading impermanent loss curve:', err);
+      setError('Failed to load impermanent loss curve');
+      setCurve(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderChart = () => {
+    if (chartInstance.current) {
+      chartInstance.current.destroy();
+    }
+
+    const sized = curve.current !== null;
+    const percentOfHeld = (point, field) => (point.heldValue > 0 ? (point[field] / point.heldValue) * 100 : 0);
+
+    chartInstance.current = new Chart(chartRef.current.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: curve.points.map(point => `${point.priceChange.toFixed(0)}%`),
+        datasets: [
+          {
+            label: 'Impermanent Loss',
+            data: curve.points.map(point => point.impermanentLossBps / 100),
+            borderColor: '#ff4757',
+            backgroundColor: 'rgba(255, 71, 87, 0.1)',
+            borderWidth: 2,
+            fill: true,
+            pointRadius: 0,
+            tension: 0.4
+          },
+          ...(sized ? [{
+            label: 'Net of Fees and Rewards',
+            data: curve.points.map(point => percentOfHeld(point, 'netImpermanentLoss')),
+            borderColor: '#5352ed',
+            borderWidth: 2,
+            borderDash: [6, 4],
+            fill: false,
+            pointRadius: 0,
+            tension: 0.4
+          }] : [])
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+          mode: 'index',
+          intersect: false
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: (context) => `${context.dataset.label}: ${context.parsed.y.toFixed(2)}%`
+            }
+          }
+        },
+        scales: {
+          x: {
+            title: { display: true, text: 'token0 Price Change' }
+          },
+          y: {
+            title: { display: true, text: 'Loss vs. Holding (%)' },
+            ticks: { callback: (value) => `${value}%` }
+          }
+        }
+      }
+    });
+  };
+
+  const controls = (
+    <div className="chart-controls">
+      <div className="timeframe-selector">
+        {[-50, 0, 50].map(change => (
+          <button
+            key={change}
+            onClick={() => setToken1Change(change)}
+            className={`timeframe-btn ${token1Change === change ? 'active' : ''}`}
+          >
+            token1 {change > 0 ? '+' : ''}{change}%
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="risk-chart-container">
+        <div className="chart-header">
+          <h3>Impermanent Loss</h3>
+        </div>
+        <div className="loading-chart">
+          <div className="loading-spinner"></div>
+          <p>Loading impermanent loss curve...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="risk-chart-container">
+        <div className="chart-header">
+          <h3>Impermanent Loss</h3>
+        </div>
+        <div className="error-chart">
+          <p>❌ {error}</p>
+          <button onClick={loadCurve} className="retry-btn">
+            Retry
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const { current } = curve;
+
+  return (
+    <div className="risk-chart-container">
+      <div className="chart-header">
+        <h3>Impermanent Loss</h3>
+        {controls}
+      </div>
+
+      {current && (
+        <div className="current-risk-summary">
+          <div className="risk-metric">
+            <span className="metric-label">Current IL:</span>
+            <span className="metric-value">
+              {(current.impermanentLossBps / 100).toFixed(2)}% ({formatValue(current.impermanentLoss)})
+            </span>
+          </div>
+          <div className="risk-metric">
+            <span className="metric-label">Net of Fees and Rewards:</span>
+            <span className="metric-value" style={{ color: netColor(current.netImpermanentLoss) }}>
+              {formatValue(current.netImpermanentLoss)}
+            </span>
+          </div>
+          <div className="risk-metric">
+            <span className="metric-label">token0 Move Since Entry:</span>
+            <span className="metric-value">{current.priceChange.toFixed(2)}%</span>
+          </div>
+        </div>
+      )}
+
+      <div className="chart-wrapper">
+        <canvas ref={chartRef} width="800" height="400"></canvas>
+      </div>
+
+      <p className="correlation-note">
+        {current
+          ? 'Loss against holding the deposited tokens, sized to the pool\'s deposits from the reserves when each one entered. The net curve is offset by the swap fees and rewards earned so far.'
+          : 'Not enough recorded reserves to size this pool\'s position yet; the curve shows the loss per unit deposited.'}
+      </p>
+    </div>
+  );
+};
+
+export default ImpermanentLossChart;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { notificationService, NOTIFICATION_CATEGORIES } from '../services/notificationService';
+import useRealtime from '../hooks/useRealtime';
+import { APP_CONFIG } from '../utils/constants';
+
+const CATEGORY_ICONS = {
+  'liquidation-risk': '🚨',
+  'hedge-executed': '🛡️',
+  'strategy-threshold': '📈',
+  'transaction': '🧾'
+};
+
+const NotificationCenter = ({ account, signer }) => {
+  const [notifications, setNotifications] = useState([]);
+  const [mutes, setMutes] = useState({});
+  const [open, setOpen] = useState(false);
+  const [showPreferences, setShowPreferences] = useState(false);
+  const panelRef = useRef(null);
+
+  useEffect(() => {
+    const refresh = () => {
+      setNotifications(notificationService.getNotifications(account));
+      setMutes(notificationService.getMutes(account));
+    };
+    refresh();
+
+    return notificationService.subscribe((changed) => {
+      if (account && changed.toLowerCase() === account.toLowerCase()) refresh();
+    });
+  }, [account]);
+
+  // Backfill alerts that fired while the app was closed
+  useEffect(() => {
+    if (account && APP_CONFIG.FEATURES.NOTIFICATIONS) {
+      notificationService.syncAlertHistory(account).catch(error => {
+        console.error('Error loading alert history:', error);
+      });
+    }
+  }, [account]);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClickOutside = (event) => {
+      if (panelRef.current && !panelRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  // Hedges on the wallet's pools arrive through its portfolio room
+  const handlePortfolioUpdate = ({ type, data }) => {
+    if (type === 'hedge-executed') {
+      notificationService.notify(account, {
+        id: `hedge-${data.txHash}`,
+        category: 'hedge-executed',
+        title: `Hedge executed on pool #${data.poolId}`,
+        message: `Hedged ${parseFloat(data.amount).toFixed(4)} ETH at a cost of ${parseFloat(data.cost).toFixed(4)} ETH`,
+        data: { poolId: data.poolId, transactionHash: data.txHash }
+      });
+    } else if (type === 'alert') {
+      notificationService.notifyAlert(account, data);
+    } else if (type === 'position-health' && !data.isHealthy) {
+      notificationService.notify(account, {
+        id: `health-${data.positionId}-${data.healthFactor}`,
+        category: 'liquidation-risk',
+        title: 'Position below liquidation threshold',
+        message: `Cross-vault position #${data.positionId} health factor is ${(parseFloat(data.healthFactor) / 10000).toFixed(2)}`,
+        severity: 'critical',
+        data: { positionId: data.positionId }
+      });
+    }
+  };
+
+  useRealtime({
+    account,
+    signer,
+    onPortfolioUpdate: handlePortfolioUpdate
+  });
+
+  // Muting also hides what the category already collected
+  const visible = notifications.filter(notification => !mutes[notification.category]);
+  const unreadCount = visible.filter(notification => !notification.read).length;
+
+  const formatTime = (timestamp) => {
+    const date = new Date(timestamp);
+    return `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
+  };
+
+  if (!account) return null;
+
+  return (
+    <div className="notification-center" ref={panelRef}>
+      <button
+        type="button"
+        className="notification-bell"
+        onClick={() => setOpen(!open)}
+        title="Notifications"
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="notification-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {open && (
+        <div className="notification-panel">
+          <div className="notification-panel-header">
+            <h4>Notifications</h4>
+            <div className="notification-actions">
+              <button
+                type="button"
+                className="notification-link"
+                onClick={() => notificationService.markAllRead(account)}
+                disabled={unreadCount === 0}
+              >
+                Mark all read
+              </button>
+              <button
+                type="button"
+                className="notification-link"
+                onClick={() => setShowPreferences(!showPreferences)}
+              >
+                {showPreferences ? 'Done' : 'Preferences'}
+              </button>
+            </div>
+          </div>
+
+          {showPreferences ? (
+            <div className="notification-preferences">
+              {Object.entries(NOTIFICATION_CATEGORIES).map(([category, label]) => (
+                <label key={category} className="notification-preference">
+                  <input
+                    type="checkbox"
+                    checked={!mutes[category]}
+                    onChange={(e) => notificationService.setMuted(account, category, !e.target.checked)}
+                  />
+                  <span>{CATEGORY_ICONS[category]} {label}</span>
+                </label>
+              ))}
+            </div>
+          ) : visible.length === 0 ? (
+            <div className="notification-empty">No notifications yet</div>
+          ) : (
+            <ul className="notification-list">
+              {visible.map(notification => (
+                <li
+                  key={notification.id}
+                  className={`notification-item ${notification.severity} ${notification.read ? 'read' : 'unread'}`}
+                  onClick={() => notificationService.markRead(account, notification.id)}
+                >
+                  <span className="notification-icon">{CATEGORY_ICONS[notification.category]}</span>
+                  <div className="notification-body">
+                    <div className="notification-title">{notification.title}</div>
+                    <div className="notification-message">{notification.message}</div>
+                    <div className="notification-time">{formatTime(notification.timestamp)}</div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
@@ -23,7 +23,7 @@ const RiskChart = ({ poolId }) => {
   }, [poolId, timeframe]);
 
   useEffect(() => {
-    if (riskData && chartRef.current) {
+    if (riskData && riskData.source === 'recorded' && chartRef.current) {
       renderChart();
     }
   }, [riskData]);
@@ -38,50 +38,12 @@ const RiskChart = ({ poolId }) => {
     } catch (err) {
       console.error('Error loading risk data:', err);
       setError('Failed to load risk data');
-      // Generate mock data for demonstration
-      generateMockData();
+      setRiskData(null);
     } finally {
       setLoading(false);
     }
   };
 
-  const generateMockData = () => {
-    const days = timeframe === '24h' ? 24 : timeframe === '7d' ? 7 : 30;
-    const intervals = timeframe === '24h' ? 24 : days;
-    
-    const mockData = {
-      timestamps: [],
-      riskScores: [],
-      volatility: [],
-      impermanentLoss: [],
-      correlationRisk: [],
-      liquidityRisk: []
-    };
-
-    const now = Date.now();
-    const intervalMs = timeframe === '24h' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
-
-    for (let i = intervals - 1; i >= 0; i--) {
-      const timestamp = now - (i * intervalMs);
-      mockData.timestamps.push(timestamp);
-      
-      // Generate realistic risk data with some correlation
-      const baseRisk = 3000 + Math.sin(i * 0.5) * 1000;
-      const volatility = 2000 + Math.random() * 2000;
-      const impermanentLoss = 1000 + Math.random() * 3000;
-      const correlation = 1500 + Math.random() * 1000;
-      const liquidity = 500 + Math.random() * 1500;
-      
-      mockData.riskScores.push(Math.max(0, Math.min(10000, baseRisk + (Math.random() - 0.5) * 1000)));
-      mockData.volatility.push(volatility);
-      mockData.impermanentLoss.push(impermanentLoss);
-      mockData.correlationRisk.push(correlation);
-      mockData.liquidityRisk.push(liquidity);
-    }
-
-    setRiskData(mockData);
-  };
-
   const renderChart = () => {
     if (!chartRef.current || !riskData) return;
 
@@ -275,23 +237,41 @@ const RiskChart = ({ poolId }) => {
     );
   }
 
+  const timeframeSelector = (
+    <div className="chart-controls">
+      <div className="timeframe-selector">
+        {['24h', '7d', '30d', '90d'].map(tf => (
+          <button
+            key={tf}
+            onClick={() => setTimeframe(tf)}
+            className={`timeframe-btn ${timeframe === tf ? 'active' : ''}`}
+          >
+            {tf}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  if (!riskData || riskData.source !== 'recorded') {
+    return (
+      <div className="risk-chart-container">
+        <div className="chart-header">
+          <h3>Risk Analysis</h3>
+          {timeframeSelector}
+        </div>
+        <div className="error-chart">
+          <p>Not enough recorded risk history for this timeframe yet.</p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="risk-chart-container">
       <div className="chart-header">
         <h3>Risk Analysis</h3>
-        <div className="chart-controls">
-          <div className="timeframe-selector">
-            {['24h', '7d', '30d'].map(tf => (
-              <button
-                key={tf}
-                onClick={() => setTimeframe(tf)}
-                className={`timeframe-btn ${timeframe === tf ? 'active' : ''}`}
-              >
-                {tf}
-              </button>
-            ))}
-          </div>
-        </div>
+        {timeframeSelector}
       </div>
 
       <div className="current-risk-summary">
@@ -0,0 +1,478 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { hedgingService } from '../services/hedgingService';
+import { contractService } from '../services/contractService';
+import { formatNumber, getRiskColor } from '../utils/constants';
+
+const EMPTY_FORM = {
+  name: '',
+  riskThreshold: '',
+  hedgeRatio: ''
+};
+
+// Same bounds the /api/hedging/strategies routes enforce
+const validateBasisPoints = (value, label, { required }) => {
+  if (value === '' || value === undefined) {
+    return required ? `${label} is required` : null;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0 || parsed > 10000) {
+    return `${label} must be a whole number between 0 and 10000 (basis points)`;
+  }
+  if (required && parsed === 0) {
+    return `${label} must be greater than 0`;
+  }
+  return null;
+};
+
+const validateStrategy = (form, creating) => {
+  if (creating && form.name.trim().length === 0) {
+    return 'Strategy name is required';
+  }
+  return validateBasisPoints(form.riskThreshold, 'Risk threshold', { required: creating })
+    || validateBasisPoints(form.hedgeRatio, 'Hedge ratio', { required: creating });
+};
+
+// Mirrors HedgingService.findBestStrategy: the active strategy whose threshold sits closest below the risk
+const selectStrategy = (riskScore, strategies) => {
+  let best = null;
+  for (const strategy of strategies) {
+    if (strategy.active && riskScore >= strategy.riskThreshold) {
+      if (!best || riskScore - strategy.riskThreshold < riskScore - best.riskThreshold) {
+        best = strategy;
+      }
+    }
+  }
+  return best;
+};
+
+// Mirrors HedgingService.resolveStrategy: an active assigned strategy wins over selection by risk
+const resolveStrategy = (pool, assignedStrategyId, strategies) => {
+  const assigned = strategies.find(strategy => strategy.id === assignedStrategyId && strategy.active);
+  return assigned || selectStrategy(pool.riskScore, strategies);
+};
+
+// Mirrors hedgeCurves.evaluateCurve, without hysteresis. Strategies without a custom curve
+// hedge their fixed ratio from the threshold up, so drafts follow the edited values.
+const curveRatio = (strategy, riskScore) => {
+  const curve = strategy.customCurve
+    ? strategy.curve
+    : { type: 'step', points: [{ risk: strategy.riskThreshold, ratio: strategy.hedgeRatio }] };
+  const { points } = curve;
+  if (riskScore < points[0].risk) return 0;
+
+  for (let i = points.length - 1; i >= 0; i--) {
+    const point = points[i];
+    if (riskScore < point.risk) continue;
+
+    const next = points[i + 1];
+    if (curve.type === 'step' || !next) return point.ratio;
+    return Math.round(point.ratio + (next.ratio - point.ratio) * (riskScore - point.risk) / (next.risk - point.risk));
+  }
+  return 0;
+};
+
+const describeCurve = (strategy) => {
+  if (!strategy.customCurve) return 'Threshold';
+  const { type, points } = strategy.curve;
+  return `${type.charAt(0).toUpperCase()}${type.slice(1)} (${points.length} point${points.length === 1 ? '' : 's'})`;
+};
+
+const describeStrategy = (pool, strategy) => {
+  if (!strategy) return 'No hedging';
+  return curveRatio(strategy, pool.riskScore) > 0 ? strategy.name : `${strategy.name} (below curve)`;
+};
+
+const StrategyManager = ({ account, pools = [] }) => {
+  const [strategies, setStrategies] = useState([]);
+  const [owner, setOwner] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [assignment, setAssignment] = useState({ poolId: '', strategyId: '' });
+  const [assignedStrategies, setAssignedStrategies] = useState({});
+
+  const creating = editingId === null;
+  const canManage = Boolean(account && owner && owner.toLowerCase() === account.toLowerCase());
+
+  useEffect(() => {
+    loadStrategies();
+  }, []);
+
+  useEffect(() => {
+    if (account) {
+      loadOwner();
+    }
+  }, [account]);
+
+  useEffect(() => {
+    loadAssignments();
+  }, [pools.length]);
+
+  const loadStrategies = async () => {
+    try {
+      setLoading(true);
+      const result = await hedgingService.getStrategies();
+      setStrategies(result);
+    } catch (err) {
+      console.error('Error loading strategies:', err);
+      setError('Failed to load strategies: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadAssignments = async () => {
+    try {
+      const results = await Promise.all(pools.map(pool => hedgingService.getPoolStrategy(pool.id)));
+      setAssignedStrategies(Object.fromEntries(
+        results.map(result => [String(result.poolId), result.assignedStrategyId])
+      ));
+    } catch (err) {
+      console.error('Error loading pool strategy assignments:', err);
+    }
+  };
+
+  const loadOwner = async () => {
+    try {
+      setOwner(await contractService.getHedgingManagerOwner());
+    } catch (err) {
+      setOwner(null);
+    }
+  };
+
+  const runAction = async (action, message) => {
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      await action();
+      setSuccess(message);
+      await loadStrategies();
+      return true;
+    } catch (err) {
+      console.error('Strategy action failed:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleFormChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const startEditing = (strategy) => {
+    setEditingId(strategy.id);
+    setForm({
+      name: strategy.name,
+      riskThreshold: String(strategy.riskThreshold),
+      hedgeRatio: String(strategy.hedgeRatio)
+    });
+    setError('');
+    setSuccess('');
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationError = validateStrategy(form, creating);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    const values = {
+      riskThreshold: form.riskThreshold === '' ? undefined : Number(form.riskThreshold),
+      hedgeRatio: form.hedgeRatio === '' ? undefined : Number(form.hedgeRatio)
+    };
+
+    const saved = creating
+      ? await runAction(
+        () => hedgingService.createStrategy({ name: form.name.trim(), ...values }),
+        `Strategy "${form.name.trim()}" created`
+      )
+      : await runAction(
+        () => hedgingService.updateStrategy(editingId, values),
+        `Strategy #${editingId} updated`
+      );
+
+    if (saved) resetForm();
+  };
+
+  const handleDeactivate = async (strategy) => {
+    if (!window.confirm(`Deactivate strategy "${strategy.name}"? Pools using it will fall back to other strategies.`)) {
+      return;
+    }
+    if (editingId === strategy.id) resetForm();
+    await runAction(() => hedgingService.deactivateStrategy(strategy.id), `Strategy "${strategy.name}" deactivated`);
+  };
+
+  const handleAssign = async (e) => {
+    e.preventDefault();
+    if (!assignment.poolId || !assignment.strategyId) {
+      setError('Choose both a pool and a strategy to assign');
+      return;
+    }
+    const assigned = await runAction(
+      () => hedgingService.assignStrategyToPool(assignment.poolId, assignment.strategyId),
+      `Strategy #${assignment.strategyId} assigned to pool #${assignment.poolId}`
+    );
+
+    if (assigned) loadAssignments();
+  };
+
+  // Strategy list as it would look once the form is saved, used for the trigger preview
+  const draftStrategies = () => {
+    if (validateStrategy(form, creating)) return null;
+
+    const draft = {
+      id: editingId ?? 'draft',
+      name: creating ? form.name.trim() : strategies.find(s => s.id === editingId)?.name,
+      riskThreshold: form.riskThreshold === '' ? undefined : Number(form.riskThreshold),
+      hedgeRatio: form.hedgeRatio === '' ? undefined : Number(form.hedgeRatio),
+      active: true
+    };
+
+    if (creating) return [...strategies, draft];
+    return strategies.map(strategy => (strategy.id === editingId
+      ? {
+        ...strategy,
+        riskThreshold: draft.riskThreshold ?? strategy.riskThreshold,
+        hedgeRatio: draft.hedgeRatio ?? strategy.hedgeRatio
+      }
+      : strategy));
+  };
+
+  const preview = draftStrategies();
+  const activeStrategies = strategies.filter(strategy => strategy.active);
+
+  const renderPreview = () => {
+    if (!preview) {
+      return <p className="hedging-muted">Enter valid thresholds to preview which pools would hedge.</p>;
+    }
+
+    const draftId = editingId ?? 'draft';
+    const rows = pools.filter(pool => pool.active).map(pool => {
+      const assignedId = assignedStrategies[String(pool.id)];
+      const before = resolveStrategy(pool, assignedId, strategies);
+      const after = resolveStrategy(pool, assignedId, preview);
+      const targetRatio = after ? curveRatio(after, pool.riskScore) : 0;
+      const targetHedge = parseFloat(ethers.formatEther(pool.totalDeposits)) * targetRatio / 10000;
+      const assigned = strategies.find(strategy => strategy.id === assignedId);
+      return { pool, assigned, before, after, targetRatio, targetHedge };
+    });
+
+    return (
+      <table className="hedging-table">
+        <thead>
+          <tr>
+            <th>Pool</th>
+            <th>Risk</th>
+            <th>Assigned</th>
+            <th>Current strategy</th>
+            <th>With changes</th>
+            <th>Target hedge</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ pool, assigned, before, after, targetRatio, targetHedge }) => (
+            <tr key={pool.id} className={after && after.id === draftId ? 'strategy-preview-hit' : ''}>
+              <td>#{pool.id}</td>
+              <td style={{ color: getRiskColor(pool.riskScore) }}>{(pool.riskScore / 100).toFixed(2)}%</td>
+              <td>{assigned ? assigned.name : '-'}</td>
+              <td>{describeStrategy(pool, before)}</td>
+              <td>{describeStrategy(pool, after)}</td>
+              <td>{after ? `${formatNumber(targetHedge)} ETH (${(targetRatio / 100).toFixed(1)}%)` : '-'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  };
+
+  return (
+    <div className="strategy-manager">
+      <div className="dashboard-header">
+        <h2>Hedging Strategies</h2>
+        <p>Risk thresholds and hedge ratios used by HedgingManager, in basis points</p>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          <span>⚠️ {error}</span>
+        </div>
+      )}
+
+      {success && (
+        <div className="alert alert-success">
+          <span>✅ {success}</span>
+        </div>
+      )}
+
+      {!canManage && (
+        <p className="hedging-muted">
+          Strategies are read-only. Connect the HedgingManager owner wallet to create, edit or assign strategies.
+        </p>
+      )}
+
+      <div className="hedging-card">
+        <h3>Strategies</h3>
+        {loading ? (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading strategies...</p>
+          </div>
+        ) : strategies.length === 0 ? (
+          <div className="empty-state">
+            <h4>No strategies</h4>
+            <p>HedgingManager has no strategies configured yet.</p>
+          </div>
+        ) : (
+          <table className="hedging-table">
+            <thead>
+              <tr>
+                <th>ID</th>
+                <th>Name</th>
+                <th>Risk threshold</th>
+                <th>Hedge ratio</th>
+                <th>Curve</th>
+                <th>Status</th>
+                {canManage && <th></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {strategies.map(strategy => (
+                <tr key={strategy.id} className={strategy.active ? '' : 'strategy-inactive'}>
+                  <td>#{strategy.id}</td>
+                  <td>{strategy.name}</td>
+                  <td>{strategy.riskThreshold} bps ({(strategy.riskThreshold / 100).toFixed(1)}%)</td>
+                  <td>{strategy.hedgeRatio} bps ({(strategy.hedgeRatio / 100).toFixed(1)}%)</td>
+                  <td>{describeCurve(strategy)}</td>
+                  <td>{strategy.active ? 'Active' : 'Inactive'}</td>
+                  {canManage && (
+                    <td className="strategy-actions">
+                      {strategy.active && (
+                        <>
+                          <button type="button" className="reset-filters-btn" onClick={() => startEditing(strategy)} disabled={saving}>
+                            Edit
+                          </button>
+                          <button type="button" className="reset-filters-btn" onClick={() => handleDeactivate(strategy)} disabled={saving}>
+                            Deactivate
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {canManage && (
+        <div className="hedging-grid">
+          <div className="hedging-card">
+            <h3>{creating ? 'New Strategy' : `Edit Strategy #${editingId}`}</h3>
+            <form className="strategy-form" onSubmit={handleSubmit}>
+              {creating && (
+                <div className="form-group">
+                  <label htmlFor="strategy-name">Name</label>
+                  <input
+                    id="strategy-name"
+                    type="text"
+                    value={form.name}
+                    onChange={(e) => handleFormChange('name', e.target.value)}
+                    placeholder="Conservative"
+                  />
+                </div>
+              )}
+              <div className="form-group">
+                <label htmlFor="strategy-threshold">Risk threshold (bps)</label>
+                <input
+                  id="strategy-threshold"
+                  type="number"
+                  min="0"
+                  max="10000"
+                  step="1"
+                  value={form.riskThreshold}
+                  onChange={(e) => handleFormChange('riskThreshold', e.target.value)}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="strategy-ratio">Hedge ratio (bps)</label>
+                <input
+                  id="strategy-ratio"
+                  type="number"
+                  min="0"
+                  max="10000"
+                  step="1"
+                  value={form.hedgeRatio}
+                  onChange={(e) => handleFormChange('hedgeRatio', e.target.value)}
+                />
+              </div>
+              <div className="activity-filter-actions">
+                <button type="submit" className="apply-filters-btn" disabled={saving}>
+                  {saving ? 'Submitting...' : creating ? 'Create' : 'Save'}
+                </button>
+                {!creating && (
+                  <button type="button" className="reset-filters-btn" onClick={resetForm}>Cancel</button>
+                )}
+              </div>
+            </form>
+
+            <h3>Assign to Pool</h3>
+            <form className="strategy-form" onSubmit={handleAssign}>
+              <div className="form-group">
+                <label htmlFor="assign-pool">Pool</label>
+                <select
+                  id="assign-pool"
+                  value={assignment.poolId}
+                  onChange={(e) => setAssignment(prev => ({ ...prev, poolId: e.target.value }))}
+                >
+                  <option value="">Select pool</option>
+                  {pools.map(pool => (
+                    <option key={pool.id} value={pool.id}>Pool #{pool.id}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="assign-strategy">Strategy</label>
+                <select
+                  id="assign-strategy"
+                  value={assignment.strategyId}
+                  onChange={(e) => setAssignment(prev => ({ ...prev, strategyId: e.target.value }))}
+                >
+                  <option value="">Select strategy</option>
+                  {activeStrategies.map(strategy => (
+                    <option key={strategy.id} value={strategy.id}>{strategy.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="activity-filter-actions">
+                <button type="submit" className="apply-filters-btn" disabled={saving}>Assign</button>
+              </div>
+            </form>
+          </div>
+
+          <div className="hedging-card">
+            <h3>Trigger Preview</h3>
+            {renderPreview()}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StrategyManager;
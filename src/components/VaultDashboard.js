@@ -1,10 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { vaultService } from '../services/vaultService';
 import useWeb3 from '../hooks/useWeb3';
+import useRealtime from '../hooks/useRealtime';
 import { formatNumber, formatPercentage, formatCurrency, getRiskColor } from '../utils/constants';
 
 const VaultDashboard = () => {
-  const { address, provider, signer } = useWeb3();
+  const { account: address, provider, signer } = useWeb3();
   const [vaults, setVaults] = useState([]);
   const [userPortfolio, setUserPortfolio] = useState(null);
   const [selectedVault, setSelectedVault] = useState(null);
@@ -34,7 +35,8 @@ const VaultDashboard = () => {
         supportedAssets.map(async (asset) => {
           try {
             const vaultInfo = await vaultService.getVaultInfo(asset.address);
-            const analytics = await vaultService.getVaultAnalytics(asset.address, '7d');
+            // 30d history is bucketed daily, so its last 7 points cover the last 7 days
+            const analytics = await vaultService.getVaultAnalytics(asset.address, '30d');
             
             return {
               ...asset,
@@ -72,6 +74,40 @@ const VaultDashboard = () => {
     }
   };
 
+  // Vault metrics are recorded server-side on each refresh and pushed to subscribers
+  const handleVaultUpdate = ({ type, key, data }) => {
+    const metrics = type === 'vault-snapshot' ? data.metrics : data;
+    if (!metrics) return;
+
+    const changes = {
+      tvl: metrics.tvl,
+      apy: metrics.apy,
+      utilization: metrics.utilization,
+      isActive: metrics.isActive
+    };
+    setVaults(prev => prev.map(vault =>
+      vault.address.toLowerCase() === key ? { ...vault, ...changes } : vault
+    ));
+    setSelectedVault(prev =>
+      prev && prev.address.toLowerCase() === key ? { ...prev, ...changes } : prev
+    );
+  };
+
+  const handlePortfolioUpdate = ({ type, data }) => {
+    if (type === 'activity' && (data.type === 'vault-deposit' || data.type === 'vault-withdrawal')) {
+      vaultService.invalidateUserCache(address, data.asset);
+      loadUserPortfolio();
+    }
+  };
+
+  useRealtime({
+    account: address,
+    signer,
+    vaults: vaults.map(vault => vault.address),
+    onVaultUpdate: handleVaultUpdate,
+    onPortfolioUpdate: handlePortfolioUpdate
+  });
+
   const handleDeposit = async () => {
     if (!selectedVault || !depositAmount || !signer) return;
 
@@ -451,16 +487,21 @@ const VaultDashboard = () => {
             <div className="historical-chart">
               <h4>7-Day Performance</h4>
               <div className="chart-placeholder">
-                <p>Historical performance chart would be displayed here</p>
-                <div className="chart-data">
-                  {selectedVault.analytics.historical.slice(-7).map((point, index) => (
-                    <div key={index} className="data-point">
-                      <span>Day {index + 1}:</span>
-                      <span>APY {formatPercentage(point.apy)}</span>
-                      <span>TVL {formatTVL(point.tvl)}</span>
-                    </div>
-                  ))}
-                </div>
+                {selectedVault.analytics.source === 'recorded' ? (
+                  <div className="chart-data">
+                    {selectedVault.analytics.historical
+                      .filter(point => point.timestamp >= Date.now() - 7 * 24 * 60 * 60 * 1000)
+                      .map((point) => (
+                      <div key={point.timestamp} className="data-point">
+                        <span>{new Date(point.timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}:</span>
+                        <span>APY {formatPercentage(point.apy)}</span>
+                        <span>TVL {formatTVL(point.tvl)}</span>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p>Not enough recorded history for this vault yet</p>
+                )}
               </div>
             </div>
           )}
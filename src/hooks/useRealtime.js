@@ -0,0 +1,72 @@
+import { useState, useEffect, useRef } from 'react';
+import { realtimeService } from '../services/realtimeService';
+import { contractService } from '../services/contractService';
+
+// Subscribes to live server updates for `account`'s portfolio and the given pool ids, vault
+// asset addresses and cross-vault position ids. `account` and `signer` come from the caller's
+// useWeb3, since each useWeb3 call keeps its own wallet state; joining the portfolio room
+// takes a signature from `signer`, which also brings hedge and risk updates for its pools. Handlers receive
+// { type, key, data, timestamp } payloads, starting with a `<room>-snapshot` on every
+// (re)subscribe, and are expected to merge them into the caller's own state.
+const useRealtime = ({
+  account = null,
+  signer = null,
+  pools = [],
+  vaults = [],
+  positions = [],
+  onPoolUpdate,
+  onPortfolioUpdate,
+  onVaultUpdate,
+  onPositionUpdate
+} = {}) => {
+  const [status, setStatus] = useState(realtimeService.status);
+
+  // Handlers usually close over fresh state each render; keep the latest without resubscribing
+  const handlers = useRef({});
+  handlers.current = { onPoolUpdate, onPortfolioUpdate, onVaultUpdate, onPositionUpdate };
+
+  useEffect(() => realtimeService.onStatusChange(setStatus), []);
+
+  // Arrays are rebuilt every render, so subscriptions are keyed on their contents
+  const poolKey = pools.map(String).join(',');
+  const vaultKey = vaults.map(vault => vault.toLowerCase()).join(',');
+  const positionKey = positions.map(String).join(',');
+
+  useEffect(() => {
+    if (!poolKey) return undefined;
+    const unsubscribes = poolKey.split(',').map(poolId =>
+      realtimeService.subscribe('pool', poolId, payload => handlers.current.onPoolUpdate?.(payload))
+    );
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [poolKey]);
+
+  useEffect(() => {
+    if (!vaultKey) return undefined;
+    const unsubscribes = vaultKey.split(',').map(asset =>
+      realtimeService.subscribe('vault', asset, payload => handlers.current.onVaultUpdate?.(payload))
+    );
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [vaultKey]);
+
+  useEffect(() => {
+    if (!positionKey) return undefined;
+    const unsubscribes = positionKey.split(',').map(positionId =>
+      realtimeService.subscribe('position', positionId, payload => handlers.current.onPositionUpdate?.(payload))
+    );
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [positionKey]);
+
+  useEffect(() => {
+    if (!account || !signer || !onPortfolioUpdate) return undefined;
+    return realtimeService.subscribe('portfolio', account, payload => handlers.current.onPortfolioUpdate?.(payload), {
+      authorize: () => contractService.signAction(`subscribe-portfolio ${account.toLowerCase()}`, {}, signer)
+    });
+  }, [account, signer, Boolean(onPortfolioUpdate)]);
+
+  return {
+    status,
+    connected: status === 'connected'
+  };
+};
+
+export default useRealtime;
@@ -26,13 +26,13 @@ const useWeb3 = () => {
         const accounts = await provider.listAccounts();
         
         if (accounts.length > 0) {
-          const signer = provider.getSigner();
+          const signer = await provider.getSigner();
           const network = await provider.getNetwork();
           
           setProvider(provider);
           setSigner(signer);
-          setAccount(accounts[0]);
-          setChainId(network.chainId);
+          setAccount(await signer.getAddress());
+          setChainId(Number(network.chainId));
         }
       } catch (err) {
         console.error('Error checking connection:', err);
@@ -57,18 +57,26 @@ const useWeb3 = () => {
     }
   };
 
-  const handleAccountsChanged = useCallback((accounts) => {
+  // The listener is registered once, so it builds its own provider rather than closing over state.
+  // Wallets report lowercase addresses here; the signer's is checksummed like checkConnection's.
+  const handleAccountsChanged = useCallback(async (accounts) => {
     if (accounts.length === 0) {
       disconnect();
-    } else {
-      setAccount(accounts[0]);
-      // Refresh provider and signer when account changes
-      if (provider) {
-        const newSigner = provider.getSigner();
-        setSigner(newSigner);
-      }
+      return;
+    }
+
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const signer = await provider.getSigner(accounts[0]);
+
+      setProvider(provider);
+      setSigner(signer);
+      setAccount(await signer.getAddress());
+    } catch (err) {
+      console.error('Error switching account:', err);
+      setError('Failed to switch account');
     }
-  }, [provider]);
+  }, []);
 
   const handleChainChanged = useCallback((chainId) => {
     // Convert hex chainId to decimal
@@ -0,0 +1,36 @@
+import { ethers } from 'ethers';
+
+class ActivityService {
+  constructor() {
+    this.baseURL = '/api/users';
+  }
+
+  // Filters: type (array), poolId, vault, from/to (ISO dates), limit, offset
+  async getUserActivity(userAddress, filters = {}) {
+    if (!userAddress || !ethers.isAddress(userAddress)) {
+      throw new Error('Invalid user address');
+    }
+
+    const params = new URLSearchParams();
+    const { type, poolId, vault, from, to, limit, offset } = filters;
+
+    if (type && type.length > 0) params.set('type', type.join(','));
+    if (poolId !== undefined && poolId !== '') params.set('poolId', poolId);
+    if (vault) params.set('vault', vault);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (limit !== undefined) params.set('limit', limit);
+    if (offset !== undefined) params.set('offset', offset);
+
+    const response = await fetch(`${this.baseURL}/${userAddress}/activity?${params.toString()}`);
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return result;
+  }
+}
+
+export const activityService = new ActivityService();
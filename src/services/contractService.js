@@ -334,6 +334,49 @@ class ContractService {
     }
   }
 
+  // Signs one action for the server, e.g. "POST /api/hedging/kill-switch"; see Authentication in the README
+  async signAction(action, body = {}, signer = this.signer) {
+    if (!signer) throw new Error('Connect a wallet to sign this request');
+
+    const timestamp = Date.now();
+    const message = [
+      'Wedged request',
+      `Action: ${action}`,
+      `Body: ${ethers.id(JSON.stringify(body))}`,
+      `Timestamp: ${timestamp}`
+    ].join('\n');
+
+    return {
+      address: await signer.getAddress(),
+      timestamp,
+      signature: await signer.signMessage(message)
+    };
+  }
+
+  // Signature headers for API actions restricted to a wallet
+  async signRequest(method, path, body = {}) {
+    const { address, timestamp, signature } = await this.signAction(`${method} ${path}`, body);
+
+    return {
+      'X-Wedged-Address': address,
+      'X-Wedged-Timestamp': String(timestamp),
+      'X-Wedged-Signature': signature
+    };
+  }
+
+  // Strategy administration is restricted to the HedgingManager owner
+  async getHedgingManagerOwner() {
+    try {
+      const contract = this.contracts.hedgingManager;
+      if (!contract) throw new Error('HedgingManager contract not initialized');
+
+      return await contract.owner();
+    } catch (error) {
+      console.error('Error getting HedgingManager owner:', error);
+      throw new Error('Failed to fetch HedgingManager owner: ' + error.message);
+    }
+  }
+
   async getHedgePosition(positionId) {
     try {
       const contract = this.contracts.hedgingManager;
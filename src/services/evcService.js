@@ -423,7 +423,7 @@ class EVCService {
     const keysToDelete = [];
     
     for (const [key] of this.cache) {
-      if (key.includes(userAddress.toLowerCase())) {
+      if (key.toLowerCase().includes(userAddress.toLowerCase())) {
         keysToDelete.push(key);
       }
     }
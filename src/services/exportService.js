@@ -0,0 +1,48 @@
+import { ethers } from 'ethers';
+
+export const EXPORT_SECTIONS = {
+  'pools': 'Pool deposits & rewards',
+  'vaults': 'Vault positions & yield',
+  'cross-vault': 'Cross-vault positions',
+  'position-health': 'Cross-vault health history',
+  'hedging-positions': 'Hedge positions',
+  'hedging-analytics': 'Hedging analytics'
+};
+
+class ExportService {
+  constructor() {
+    this.baseURL = '/api/users';
+  }
+
+  // Downloads an export file; omit section with JSON to get every section in one file
+  async downloadExport(userAddress, format = 'csv', section) {
+    if (!userAddress || !ethers.isAddress(userAddress)) {
+      throw new Error('Invalid user address');
+    }
+
+    const params = new URLSearchParams({ format });
+    if (section) params.set('section', section);
+
+    const response = await fetch(`${this.baseURL}/${userAddress}/export?${params.toString()}`);
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const filename = match ? match[1] : `wedged-${section || 'portfolio'}.${format}`;
+
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+}
+
+export const exportService = new ExportService();
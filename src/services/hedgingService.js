@@ -0,0 +1,113 @@
+import { contractService } from './contractService';
+
+class HedgingService {
+  constructor() {
+    this.baseURL = '/api/hedging';
+  }
+
+  // `signed` requests carry the connected wallet's signature for operator-only endpoints
+  async request(path, { signed = false, ...options } = {}) {
+    const auth = signed
+      ? await contractService.signRequest(
+        options.method || 'GET',
+        `${this.baseURL}${path.split('?')[0]}`,
+        options.body ? JSON.parse(options.body) : {}
+      )
+      : {};
+
+    const response = await fetch(`${this.baseURL}${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...auth, ...(options.headers || {}) }
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return result;
+  }
+
+  async getStrategies() {
+    const result = await this.request('/strategies');
+    return result.strategies;
+  }
+
+  async createStrategy({ name, riskThreshold, hedgeRatio }) {
+    return this.request('/strategies', {
+      method: 'POST',
+      body: JSON.stringify({ name, riskThreshold, hedgeRatio }),
+      signed: true
+    });
+  }
+
+  async updateStrategy(strategyId, { riskThreshold, hedgeRatio }) {
+    return this.request(`/strategies/${strategyId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ riskThreshold, hedgeRatio }),
+      signed: true
+    });
+  }
+
+  async deactivateStrategy(strategyId) {
+    return this.request(`/strategies/${strategyId}/deactivate`, { method: 'POST', signed: true });
+  }
+
+  async getCurve(strategyId) {
+    return this.request(`/strategies/${strategyId}/curve`);
+  }
+
+  async setCurve(strategyId, curve) {
+    return this.request(`/strategies/${strategyId}/curve`, {
+      method: 'PUT',
+      body: JSON.stringify(curve),
+      signed: true
+    });
+  }
+
+  async deleteCurve(strategyId) {
+    return this.request(`/strategies/${strategyId}/curve`, { method: 'DELETE', signed: true });
+  }
+
+  async getPoolStrategy(poolId) {
+    return this.request(`/pools/${poolId}/strategy`);
+  }
+
+  async assignStrategyToPool(poolId, strategyId) {
+    return this.request(`/pools/${poolId}/strategy`, {
+      method: 'PUT',
+      body: JSON.stringify({ strategyId }),
+      signed: true
+    });
+  }
+
+  async getPositions({ poolId, active = true, limit = 100, offset = 0 } = {}) {
+    const params = new URLSearchParams({ active: String(active), limit, offset });
+    if (poolId !== undefined && poolId !== '') params.set('poolId', poolId);
+    return this.request(`/positions?${params.toString()}`);
+  }
+
+  async getRecommendations(poolId) {
+    const result = await this.request(`/recommendations/${poolId}`);
+    return result.recommendations;
+  }
+
+  async getAnalytics(timeframe = '7d') {
+    const result = await this.request(`/analytics?timeframe=${timeframe}`);
+    return result.analytics;
+  }
+
+  async estimateCost(poolId, amount) {
+    return this.request('/estimate-cost', {
+      method: 'POST',
+      body: JSON.stringify({ poolId, amount })
+    });
+  }
+
+  async getEffectiveness(poolId, timeframe = '30d') {
+    const result = await this.request(`/effectiveness/${poolId}?timeframe=${timeframe}`);
+    return result.effectiveness;
+  }
+}
+
+export const hedgingService = new HedgingService();
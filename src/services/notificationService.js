@@ -0,0 +1,133 @@
+import { ethers } from 'ethers';
+
+export const NOTIFICATION_CATEGORIES = {
+  'liquidation-risk': 'Liquidation risk',
+  'hedge-executed': 'Hedge executed',
+  'strategy-threshold': 'Strategy thresholds',
+  'transaction': 'Transactions'
+};
+
+// Backend alert rule types and the category they are shown under
+const ALERT_CATEGORIES = {
+  'health-factor': 'liquidation-risk',
+  'pool-risk': 'strategy-threshold',
+  'hedge-drift': 'strategy-threshold'
+};
+
+const MAX_NOTIFICATIONS = 100;
+
+class NotificationService {
+  constructor() {
+    this.baseURL = '/api/alerts';
+    this.listeners = new Set();
+  }
+
+  // Notifications and mutes are stored per wallet so switching accounts switches inboxes
+  storageKey(account, kind) {
+    return `wedged:${kind}:${account.toLowerCase()}`;
+  }
+
+  read(account, kind, fallback) {
+    try {
+      const value = localStorage.getItem(this.storageKey(account, kind));
+      return value ? JSON.parse(value) : fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  write(account, kind, value) {
+    try {
+      localStorage.setItem(this.storageKey(account, kind), JSON.stringify(value));
+    } catch (error) {
+      console.error('Error saving notifications:', error);
+    }
+    this.listeners.forEach(listener => listener(account));
+  }
+
+  getNotifications(account) {
+    return account ? this.read(account, 'notifications', []) : [];
+  }
+
+  getMutes(account) {
+    return account ? this.read(account, 'notification-mutes', {}) : {};
+  }
+
+  setMuted(account, category, muted) {
+    this.write(account, 'notification-mutes', { ...this.getMutes(account), [category]: muted });
+  }
+
+  // Returns the stored notification, or null when muted or already present
+  notify(account, { id, category, title, message, severity = 'info', timestamp, data }) {
+    if (!account || this.getMutes(account)[category]) return null;
+
+    const notifications = this.getNotifications(account);
+    const notificationId = id || `${category}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    if (notifications.some(notification => notification.id === notificationId)) return null;
+
+    const notification = {
+      id: notificationId,
+      category,
+      title,
+      message,
+      severity,
+      timestamp: timestamp || new Date().toISOString(),
+      read: false,
+      data
+    };
+
+    const updated = [notification, ...notifications]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, MAX_NOTIFICATIONS);
+    this.write(account, 'notifications', updated);
+    return notification;
+  }
+
+  notifyAlert(account, alert) {
+    return this.notify(account, {
+      id: `alert-${alert.id}`,
+      category: ALERT_CATEGORIES[alert.type] || 'strategy-threshold',
+      title: alert.type === 'health-factor' ? 'Liquidation risk' : 'Threshold crossed',
+      message: alert.message,
+      severity: alert.severity,
+      timestamp: alert.triggeredAt,
+      data: { ruleId: alert.ruleId, poolId: alert.poolId, positionId: alert.positionId }
+    });
+  }
+
+  markRead(account, id) {
+    this.write(account, 'notifications', this.getNotifications(account).map(notification =>
+      notification.id === id ? { ...notification, read: true } : notification
+    ));
+  }
+
+  markAllRead(account) {
+    this.write(account, 'notifications', this.getNotifications(account).map(notification =>
+      ({ ...notification, read: true })
+    ));
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Pulls alerts triggered while the app was closed
+  async syncAlertHistory(account) {
+    if (!account || !ethers.isAddress(account)) {
+      throw new Error('Invalid user address');
+    }
+
+    const response = await fetch(`${this.baseURL}/history?owner=${account}&limit=50`);
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    result.alerts.forEach(alert => this.notifyAlert(account, alert));
+    return result.alerts.length;
+  }
+}
+
+export const notificationService = new NotificationService();
@@ -0,0 +1,128 @@
+import { io } from 'socket.io-client';
+import { APP_CONFIG } from '../utils/constants';
+
+// Server event for each room type; payloads are { type, key, data, timestamp }
+const ROOM_EVENTS = {
+  pool: 'pool-update',
+  portfolio: 'portfolio-update',
+  vault: 'vault-update',
+  position: 'position-update'
+};
+
+class RealtimeService {
+  constructor() {
+    this.socket = null;
+    this.rooms = new Map();
+    this.statusListeners = new Set();
+    this.status = 'disconnected';
+  }
+
+  connect() {
+    if (this.socket) return this.socket;
+
+    // socket.io retries with exponential backoff and jitter between these bounds
+    this.socket = io(APP_CONFIG.API_BASE_URL, {
+      transports: ['websocket', 'polling'],
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 30000,
+      randomizationFactor: 0.5
+    });
+
+    this.socket.on('connect', () => {
+      this.setStatus('connected');
+      // Rooms do not survive a reconnect; rejoining also brings fresh snapshots
+      for (const room of this.rooms.values()) {
+        this.join(room);
+      }
+    });
+
+    this.socket.on('disconnect', () => this.setStatus('disconnected'));
+    this.socket.io.on('reconnect_attempt', () => this.setStatus('reconnecting'));
+
+    this.socket.on('subscription-error', (error) => {
+      console.error(`Realtime subscription error for ${error.type} ${error.key}:`, error.message);
+    });
+
+    for (const [type, event] of Object.entries(ROOM_EVENTS)) {
+      this.socket.on(event, (payload) => this.dispatch(type, payload));
+    }
+
+    return this.socket;
+  }
+
+  roomId(type, key) {
+    return `${type}-${String(key).toLowerCase()}`;
+  }
+
+  dispatch(type, payload) {
+    const room = this.rooms.get(this.roomId(type, payload.key));
+    if (room) {
+      room.handlers.forEach(handler => handler(payload));
+    }
+  }
+
+  // Rooms with `authorize` join with the payload it resolves to instead of their key
+  async join(room) {
+    try {
+      const payload = room.authorize ? await room.authorize() : room.key;
+      if (this.rooms.get(this.roomId(room.type, room.key)) === room && this.socket && this.socket.connected) {
+        this.socket.emit(`subscribe-${room.type}`, payload);
+      }
+    } catch (error) {
+      console.error(`Realtime subscription error for ${room.type} ${room.key}:`, error.message);
+    }
+  }
+
+  // Returns an unsubscribe function; the room is left when its last handler goes away.
+  // `authorize` resolves the join payload for rooms that need one (portfolio rooms take a signature).
+  subscribe(type, key, handler, { authorize = null } = {}) {
+    if (!ROOM_EVENTS[type]) {
+      throw new Error(`Unknown realtime room type: ${type}`);
+    }
+
+    this.connect();
+
+    const id = this.roomId(type, key);
+    let room = this.rooms.get(id);
+    if (!room) {
+      room = { type, key, authorize, handlers: new Set() };
+      this.rooms.set(id, room);
+      if (this.socket.connected) {
+        this.join(room);
+      }
+    }
+    room.handlers.add(handler);
+
+    return () => {
+      room.handlers.delete(handler);
+      if (room.handlers.size === 0) {
+        this.rooms.delete(id);
+        if (this.socket && this.socket.connected) {
+          this.socket.emit(`unsubscribe-${type}`, key);
+        }
+      }
+    };
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.statusListeners.forEach(listener => listener(status));
+  }
+
+  onStatusChange(listener) {
+    this.statusListeners.add(listener);
+    return () => this.statusListeners.delete(listener);
+  }
+
+  disconnect() {
+    if (this.socket) {
+      this.socket.disconnect();
+      this.socket = null;
+    }
+    this.rooms.clear();
+    this.setStatus('disconnected');
+  }
+}
+
+export const realtimeService = new RealtimeService();
@@ -3,6 +3,8 @@ import { contractService } from './contractService';
 
 class RiskService {
   constructor() {
+    this.baseURL = '/api/pools';
+    this.riskURL = '/api/risk';
     this.cache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
   }
@@ -61,52 +63,47 @@ class RiskService {
     });
   }
 
-  // Get historical risk data for a pool
+  // Get recorded risk history for a pool ('overview' aggregates all pools)
   async getPoolRiskHistory(poolId, timeframe = '7d') {
     const cacheKey = `pool-history-${poolId}-${timeframe}`;
     
     return this.getCachedData(cacheKey, async () => {
-      try {
-        // In a real implementation, this would fetch from a backend API
-        // For now, we'll generate realistic mock data based on current metrics
-        const currentMetrics = await contractService.getPoolRiskMetrics(poolId);
-        return this.generateHistoricalData(poolId, timeframe, currentMetrics);
-      } catch (error) {
-        console.error('Error getting pool risk history:', error);
-        // Generate fallback data
-        return this.generateFallbackHistoricalData(timeframe);
+      const response = await fetch(`${this.baseURL}/${poolId}/risk/history?timeframe=${timeframe}`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
+      return response.json();
     });
   }
 
-  // Calculate impermanent loss for given parameters
-  async calculateImpermanentLoss(token0, token1, amount, priceChangePercent) {
-    try {
-      // Get current price ratio
-      const currentPrice = await contractService.getPrice(token0, token1);
-      
-      // Calculate new price after change
-      const newPrice = currentPrice.mul(100 + priceChangePercent).div(100);
-      
-      // Calculate impermanent loss using the standard formula
-      const oneEther = ethers.parseEther('1');
-      const priceRatio = (newPrice * oneEther) / currentPrice;
-      const sqrt = this.sqrt(priceRatio);
-      
-      // IL = 2 * sqrt(ratio) / (1 + ratio) - 1
-      const numerator = sqrt * 2n;
-      const denominator = oneEther + priceRatio;
-      const ilFactor = (numerator * oneEther) / denominator;
-      
-      if (ilFactor > oneEther) {
-        return ((ilFactor - oneEther) * amount) / oneEther;
+  // Get the pool's impermanent loss curve ({ min, max, steps, token1Change } in percent)
+  async getImpermanentLossCurve(poolId, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const cacheKey = `pool-il-curve-${poolId}-${query}`;
+
+    return this.getCachedData(cacheKey, async () => {
+      const response = await fetch(`${this.baseURL}/${poolId}/impermanent-loss/curve${query ? `?${query}` : ''}`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
-      
-      return 0n;
-    } catch (error) {
-      console.error('Error calculating impermanent loss:', error);
-      return 0n;
-    }
+      return response.json();
+    });
+  }
+
+  // Correlation matrices across registered pools and vaults, or a user's ({ user, method, window })
+  async getCorrelations(params = {}) {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+    ).toString();
+    const cacheKey = `correlations-${query}`;
+
+    return this.getCachedData(cacheKey, async () => {
+      const response = await fetch(`${this.riskURL}/correlations${query ? `?${query}` : ''}`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      return response.json();
+    });
   }
 
   // Portfolio-level risk analysis
@@ -312,98 +309,6 @@ class RiskService {
     return recommendations;
   }
 
-  generateHistoricalData(poolId, timeframe, currentMetrics) {
-    const intervals = timeframe === '24h' ? 24 : timeframe === '7d' ? 7 : 30;
-    const intervalMs = timeframe === '24h' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
-    const now = Date.now();
-
-    const data = {
-      timestamps: [],
-      riskScores: [],
-      volatility: [],
-      impermanentLoss: [],
-      correlationRisk: [],
-      liquidityRisk: []
-    };
-
-    for (let i = intervals - 1; i >= 0; i--) {
-      const timestamp = now - (i * intervalMs);
-      data.timestamps.push(timestamp);
-
-      // Generate realistic variations around current metrics
-      const volatilityBase = currentMetrics.volatility;
-      const ilBase = currentMetrics.impermanentLoss;
-      const corrBase = currentMetrics.correlationRisk;
-      const liquidityBase = currentMetrics.liquidityRisk;
-
-      const variation = (Math.random() - 0.5) * 0.3; // ±15% variation
-      
-      data.volatility.push(Math.max(0, volatilityBase * (1 + variation)));
-      data.impermanentLoss.push(Math.max(0, ilBase * (1 + variation)));
-      data.correlationRisk.push(Math.max(0, corrBase * (1 + variation)));
-      data.liquidityRisk.push(Math.max(0, liquidityBase * (1 + variation)));
-
-      // Calculate composite risk score
-      const compositeRisk = (
-        data.volatility[data.volatility.length - 1] * 0.3 +
-        data.impermanentLoss[data.impermanentLoss.length - 1] * 0.4 +
-        data.correlationRisk[data.correlationRisk.length - 1] * 0.2 +
-        data.liquidityRisk[data.liquidityRisk.length - 1] * 0.1
-      );
-      
-      data.riskScores.push(Math.min(Math.max(compositeRisk, 0), 10000));
-    }
-
-    return data;
-  }
-
-  generateFallbackHistoricalData(timeframe) {
-    const intervals = timeframe === '24h' ? 24 : timeframe === '7d' ? 7 : 30;
-    const intervalMs = timeframe === '24h' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
-    const now = Date.now();
-
-    const data = {
-      timestamps: [],
-      riskScores: [],
-      volatility: [],
-      impermanentLoss: [],
-      correlationRisk: [],
-      liquidityRisk: []
-    };
-
-    for (let i = intervals - 1; i >= 0; i--) {
-      const timestamp = now - (i * intervalMs);
-      data.timestamps.push(timestamp);
-      
-      // Generate fallback data
-      const baseRisk = 3000;
-      const variation = Math.sin(i * 0.5) * 1000 + (Math.random() - 0.5) * 500;
-      
-      data.riskScores.push(Math.max(1000, Math.min(8000, baseRisk + variation)));
-      data.volatility.push(2000 + Math.random() * 2000);
-      data.impermanentLoss.push(1500 + Math.random() * 2500);
-      data.correlationRisk.push(1000 + Math.random() * 1500);
-      data.liquidityRisk.push(500 + Math.random() * 1000);
-    }
-
-    return data;
-  }
-
-  // Mathematical utility for square root approximation
-  sqrt(value) {
-    if (value === 0n) return 0n;
-    
-    let z = (value + 1n) / 2n;
-    let y = value;
-    
-    while (z < y) {
-      y = z;
-      z = (value / z + z) / 2n;
-    }
-    
-    return y;
-  }
-
   // Clear cache
   clearCache() {
     this.cache.clear();
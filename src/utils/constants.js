@@ -1,4 +1,5 @@
 import { ethers } from 'ethers';
+import TOKENS from './tokens.json';
 
 // Contract addresses - these should be updated after deployment
 export const CONTRACT_ADDRESSES = {
@@ -63,13 +64,10 @@ export const NETWORKS = {
   }
 };
 
-// Common token addresses (update for each network)
-export const TOKEN_ADDRESSES = {
-  WETH: '0xC02aaA39b223FE8dCcE9d7b542fFC25BeF35a6f8',
-  USDC: '0xA0b86a33E6417C8a7B2E7c5A0d4c45f2a0C0c0C0',
-  USDT: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
-  DAI: '0x6B175474E89094C44Da98b954EedeAC495271d0F'
-};
+// Common token addresses (update for each network in tokens.json, which the API server also reads)
+export const TOKEN_ADDRESSES = Object.fromEntries(
+  Object.entries(TOKENS).map(([symbol, token]) => [symbol, token.address])
+);
 
 // Contract ABIs - Simplified for essential functions
 export const ABIS = {
@@ -99,6 +97,8 @@ export const ABIS = {
     'function createStrategy(string memory name, uint256 riskThreshold, uint256 hedgeRatio) external returns (uint256)',
     'function updateStrategy(uint256 strategyId, uint256 riskThreshold, uint256 hedgeRatio) external',
     'function assignStrategyToPool(uint256 poolId, uint256 strategyId) external',
+    'function deactivateStrategy(uint256 strategyId) external',
+    'function owner() external view returns (address)',
     'function getStrategy(uint256 strategyId) external view returns (tuple(uint256 id, string name, uint256 riskThreshold, uint256 hedgeRatio, bool active))',
     'function getHedgePosition(uint256 positionId) external view returns (tuple(uint256 poolId, address token0, address token1, uint256 originalAmount, uint256 hedgedAmount, uint256 timestamp, bool active))',
     'function closeHedgePosition(uint256 positionId) external',
@@ -190,7 +190,7 @@ export const APP_CONFIG = {
     ADVANCED_CHARTS: true,
     PORTFOLIO_ANALYTICS: true,
     AUTOMATED_HEDGING: true,
-    NOTIFICATIONS: false
+    NOTIFICATIONS: process.env.REACT_APP_ENABLE_NOTIFICATIONS === 'true'
   }
 };
 
@@ -246,32 +246,9 @@ export const GAS_PRICES = {
 };
 
 // Token metadata
-export const TOKEN_METADATA = {
-  [TOKEN_ADDRESSES.WETH]: {
-    name: 'Wrapped Ether',
-    symbol: 'WETH',
-    decimals: 18,
-    logo: 'https://tokens.1inch.io/0xc02aaa39b223fe8dcce9dbc5f542ffc25bef35a6f8.png'
-  },
-  [TOKEN_ADDRESSES.USDC]: {
-    name: 'USD Coin',
-    symbol: 'USDC',
-    decimals: 6,
-    logo: 'https://tokens.1inch.io/0xa0b86a33e6417c8a7b2e7c5a0d4c45f2a0c0c0c0.png'
-  },
-  [TOKEN_ADDRESSES.USDT]: {
-    name: 'Tether USD',
-    symbol: 'USDT',
-    decimals: 6,
-    logo: 'https://tokens.1inch.io/0xdac17f958d2ee523a2206206994597c13d831ec7.png'
-  },
-  [TOKEN_ADDRESSES.DAI]: {
-    name: 'Dai Stablecoin',
-    symbol: 'DAI',
-    decimals: 18,
-    logo: 'https://tokens.1inch.io/0x6b175474e89094c44da98b954eedeac495271d0f.png'
-  }
-};
+export const TOKEN_METADATA = Object.fromEntries(
+  Object.values(TOKENS).map(({ address, ...metadata }) => [address, metadata])
+);
 
 // Utility functions
 export const formatAddress = (address, chars = 4) => {
@@ -294,6 +271,15 @@ export const formatCurrency = (value, symbol = 'ETH', decimals = APP_CONFIG.DECI
   return `${formatNumber(value, decimals)} ${symbol}`;
 };
 
+// TOKEN_METADATA is keyed by checksummed address; APIs usually return lowercase
+export const getTokenMetadata = (address) => {
+  if (!address) return null;
+  const key = Object.keys(TOKEN_METADATA).find(
+    tokenAddress => tokenAddress.toLowerCase() === address.toLowerCase()
+  );
+  return key ? TOKEN_METADATA[key] : null;
+};
+
 export const getRiskColor = (riskScore) => {
   if (riskScore > APP_CONFIG.RISK_THRESHOLDS.HIGH) return RISK_COLORS.HIGH;
   if (riskScore > APP_CONFIG.RISK_THRESHOLDS.MEDIUM) return RISK_COLORS.MEDIUM;
@@ -340,6 +326,7 @@ export default {
   formatNumber,
   formatPercentage,
   formatCurrency,
+  getTokenMetadata,
   getRiskColor,
   getRiskLevel,
   isValidAddress,